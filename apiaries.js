@@ -0,0 +1,547 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const ds = require('./datastore');
+const { verifyJwt, verifyHiveRole, verifyApiaryRole } = require('./auth');
+const roles = require('./roles');
+const audit = require('./audit');
+const { paginate } = require('./pagination');
+const { HIVES, APIARIES } = require('./constants');
+const { validateBody } = require('./schema');
+const { ConflictError, acceptsJson, requireJsonBody, methodNotAllowed } = require('./errors');
+
+const router = express.Router();
+
+const datastore = ds.datastore;
+
+router.use(bodyParser.json());
+router.use(verifyJwt);
+
+//----------------------------------------------------------------------------
+// Schema used to validate request input.
+//----------------------------------------------------------------------------
+
+// Attributes of an apiary that can be set by POST, PUT and PATCH /apiaries.
+const APIARY_SCHEMA = {
+    'name': { 'type': 'string', 'required': true, 'minLength': 1, 'maxLength': 100 },
+    'latitude': { 'type': 'number', 'required': true, 'min': -90, 'max': 90 },
+    'longitude': { 'type': 'number', 'required': true, 'min': -180, 'max': 180 },
+    'address': { 'type': 'string', 'nullable': true, 'maxLength': 200 },
+    'notes': { 'type': 'string', 'nullable': true, 'maxLength': 2000 }
+};
+
+//----------------------------------------------------------------------------
+// Model functions related to APIARY entities.
+//----------------------------------------------------------------------------
+
+/**
+ * Build the self link of the apiary with the given ID.
+ */
+function apiarySelf (req, apiaryId) {
+    return req.protocol + '://' + req.get('host') + '/apiaries/' + apiaryId;
+};
+
+/**
+ * Function to create a new apiary (yard).
+ *
+ * Schema:
+ *  name (string): name of the apiary
+ *  latitude (number): latitude of the apiary, between -90 and 90
+ *  longitude (number): longitude of the apiary, between -180 and 180
+ *  address (string): street address or directions (optional)
+ *  notes (string): free-form notes (optional)
+ *  owner (string): the user ID for this apiary's beekeeper (creator)
+ *
+ * Hives are added to an apiary with PUT /apiaries/:apiary_id/hives/:hive_id,
+ * which sets the apiary attribute of the hive.
+ */
+function createApiary (req, apiaryInfo) {
+    var newApiaryKey = datastore.key(APIARIES);
+    const newApiary = { 'name': apiaryInfo.name,
+                        'latitude': apiaryInfo.latitude,
+                        'longitude': apiaryInfo.longitude,
+                        'address': apiaryInfo.address === undefined ? null : apiaryInfo.address,
+                        'notes': apiaryInfo.notes === undefined ? null : apiaryInfo.notes
+                    };
+    const apiary = { 'key': newApiaryKey, 'data': newApiary };
+
+    newApiary.owner = req.user.sub;
+
+    return datastore.save(apiary)
+        .then(() => {
+            const self = apiarySelf(req, newApiaryKey.id);
+            return { 'id': newApiaryKey.id, ...newApiary, 'hives': self + '/hives', 'self': self };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve all apiaries for the authenticated user. The results will be paginated
+ * to the size given by the 'limit' query parameter (5 by default), and include
+ * links to the next and previous pages of results.
+ */
+function getApiaries (req) {
+    return paginate(req, () => {
+        return datastore.createQuery(APIARIES).filter('owner', '=', req.user.sub);
+    })
+        .then(page => {
+            page.items.forEach(apiary => {
+                apiary.self = apiarySelf(req, apiary.id);
+                apiary.hives = apiary.self + '/hives';
+            });
+            return { 'total': page.total, 'apiaries': page.items, 'next': page.next, 'prev': page.prev };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the apiary with the given ID.
+ * If not found, throw an error.
+ * Response includes the self link and a link to the apiary's hives.
+ */
+function getApiary (req, apiaryId) {
+    return verifyApiaryRole(req.user.sub, apiaryId, 'viewer')
+        .then(apiary => {
+            const apiaryObj = apiary.map(ds.fromDatastore)[0];
+            apiaryObj.self = apiarySelf(req, apiaryObj.id);
+            apiaryObj.hives = apiaryObj.self + '/hives';
+            return apiaryObj;
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the hives kept in the apiary with the given ID, paginated like
+ * getApiaries.
+ */
+function getApiaryHives (req, apiaryId) {
+    return verifyApiaryRole(req.user.sub, apiaryId, 'viewer')
+        .then(() => {
+            return paginate(req, () => {
+                return datastore.createQuery(HIVES).filter('apiary.id', '=', String(apiaryId));
+            });
+        })
+        .then(page => {
+            page.items.forEach(hive => {
+                hive.self = req.protocol + '://' + req.get('host') + '/hives/' + hive.id;
+            });
+            return { 'total': page.total, 'hives': page.items, 'next': page.next, 'prev': page.prev };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Update all of the attributes of the apiary with the given ID.
+ * The address and notes are cleared if they are not given.
+ */
+function putApiary (req, apiaryId, apiaryInfo) {
+    const apiaryKey = datastore.key([APIARIES, parseInt(apiaryId, 10)]);
+    const newApiary = { 'name': apiaryInfo.name,
+                        'latitude': apiaryInfo.latitude,
+                        'longitude': apiaryInfo.longitude,
+                        'address': apiaryInfo.address === undefined ? null : apiaryInfo.address,
+                        'notes': apiaryInfo.notes === undefined ? null : apiaryInfo.notes
+                    };
+
+    return verifyApiaryRole(req.user.sub, apiaryId, 'editor')
+        .then(apiary => {
+            // editors update the apiary, but it stays with its owner
+            newApiary.owner = apiary[0].owner;
+            return datastore.save({ 'key': apiaryKey, 'data': newApiary });
+        })
+        .then(() => {
+            const self = apiarySelf(req, apiaryKey.id);
+            return { 'id': apiaryKey.id, ...newApiary, 'hives': self + '/hives', 'self': self };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Update any attributes of the apiary with the given ID.
+ */
+function patchApiary (req, apiaryId, apiaryInfo) {
+    const apiaryKey = datastore.key([APIARIES, parseInt(apiaryId, 10)]);
+    const attributes = ['name', 'latitude', 'longitude', 'address', 'notes'];
+    var foundApiary = {};
+
+    return verifyApiaryRole(req.user.sub, apiaryId, 'editor')
+        .then(apiary => {
+            // update the attributes given in the request
+            foundApiary = apiary.map(ds.fromDatastore)[0];
+            attributes.forEach(attribute => {
+                if (apiaryInfo[attribute] != null) {
+                    foundApiary[attribute] = apiaryInfo[attribute];
+                }
+            });
+            return;
+        })
+        .then(() => {
+            const data = { 'owner': foundApiary.owner };
+            attributes.forEach(attribute => {
+                data[attribute] = foundApiary[attribute];
+            });
+            return datastore.save({ 'key': apiaryKey, 'data': data });
+        })
+        .then(() => {
+            foundApiary.self = apiarySelf(req, apiaryKey.id);
+            foundApiary.hives = foundApiary.self + '/hives';
+            return foundApiary;
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Delete the apiary with the given ID, along with its shares. Its hives are
+ * not deleted, but are detached from the apiary in the same transaction,
+ * which records the removal of each in its audit trail.
+ * If not found, throw an error.
+ */
+function deleteApiary (req, apiaryId) {
+    const apiaryKey = datastore.key([APIARIES, parseInt(apiaryId, 10)]);
+
+    // Queries cannot run inside a transaction, so find the hives and shares first
+    const hivesQuery = datastore.createQuery(HIVES)
+        .filter('apiary.id', '=', String(apiaryId))
+        .select('__key__');
+
+    var hiveKeys = [];
+
+    return datastore.runQuery(hivesQuery)
+        .then(hives => {
+            hiveKeys = hives[0].map(hive => hive[ds.Datastore.KEY]);
+            return roles.findShareKeys('apiary', apiaryId);
+        })
+        .then(shareKeys => {
+            return ds.runInTransaction(transaction => {
+                return verifyApiaryRole(req.user.sub, apiaryId, 'owner', transaction)
+                    .then(() => {
+                        return hiveKeys.length > 0 ? transaction.get(hiveKeys) : [[]];
+                    })
+                    .then(foundHives => {
+                        // detach each hive that is still kept in this apiary
+                        foundHives[0].forEach(hive => {
+                            if (hive != null && hive.apiary != null && String(hive.apiary.id) === String(apiaryId)) {
+                                const oldHive = { ...hive };
+                                hive.apiary = null;
+                                transaction.save([hive, audit.auditEvent(req, 'hive', hive[ds.Datastore.KEY].id, 'remove', oldHive, hive)]);
+                            }
+                        });
+                        transaction.delete([apiaryKey, ...shareKeys]);
+                    });
+            });
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Add the hive with hive_id to the apiary with apiary_id.
+ * Error is returned if the user is not authenticated, either entity is not
+ * found or not owned by the user, or the hive is already kept in an apiary.
+ */
+function addHive (req, apiaryId, hiveId) {
+    const beekeeperId = req.user.sub;
+
+    return ds.runInTransaction(transaction => {
+        return verifyApiaryRole(beekeeperId, apiaryId, 'owner', transaction)
+            .then(() => {
+                return verifyHiveRole(beekeeperId, hiveId, 'owner', transaction);
+            })
+            .then(hive => {
+                if (hive[0].apiary != null) {
+                    throw new ConflictError('Hive is already in an apiary');
+                }
+                const oldHive = { ...hive[0] };
+                hive[0].apiary = { 'id': String(apiaryId), 'self': apiarySelf(req, apiaryId) };
+                transaction.save([hive[0], audit.auditEvent(req, 'hive', hiveId, 'assign', oldHive, hive[0])]);
+            });
+    })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Remove the hive with hive_id from the apiary with apiary_id. The hive is
+ * not deleted.
+ * Error is returned if the user is not authenticated, either entity is not
+ * found or not owned by the user, or the hive is not kept in this apiary.
+ */
+function removeHive (req, apiaryId, hiveId) {
+    const beekeeperId = req.user.sub;
+
+    return ds.runInTransaction(transaction => {
+        return verifyApiaryRole(beekeeperId, apiaryId, 'owner', transaction)
+            .then(() => {
+                return verifyHiveRole(beekeeperId, hiveId, 'owner', transaction);
+            })
+            .then(hive => {
+                if (hive[0].apiary == null || String(hive[0].apiary.id) !== String(apiaryId)) {
+                    throw new ConflictError('Hive is not in this apiary');
+                }
+                const oldHive = { ...hive[0] };
+                hive[0].apiary = null;
+                transaction.save([hive[0], audit.auditEvent(req, 'hive', hiveId, 'remove', oldHive, hive[0])]);
+            });
+    })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the users the apiary with apiary_id is shared with, paginated like
+ * getApiaries. Only the owner of the apiary can see them.
+ */
+function getApiaryShares (req, apiaryId) {
+    return verifyApiaryRole(req.user.sub, apiaryId, 'owner')
+        .then(() => {
+            return roles.getShares(req, { 'type': 'apiary', 'entityId': String(apiaryId) });
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Share the apiary with apiary_id, and every hive kept in it, with the user
+ * with user_id as a viewer or an editor, or change their role. Only the owner
+ * of the apiary can share it.
+ */
+function shareApiary (req, apiaryId, userId, role) {
+    return verifyApiaryRole(req.user.sub, apiaryId, 'owner')
+        .then(apiary => {
+            return roles.putShare(req, 'apiary', apiaryId, apiary[0].owner, userId, role);
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Stop sharing the apiary with apiary_id with the user with user_id ('me' for
+ * the authenticated user). The owner can remove anyone, and users can leave
+ * an apiary that is shared with them.
+ */
+function unshareApiary (req, apiaryId, userId) {
+    const subject = userId === 'me' ? req.user.sub : userId;
+
+    return verifyApiaryRole(req.user.sub, apiaryId, subject === req.user.sub ? 'viewer' : 'owner')
+        .then(() => {
+            return roles.deleteShare('apiary', apiaryId, subject);
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+//----------------------------------------------------------------------------
+// Controller functions related to APIARY entities.
+//----------------------------------------------------------------------------
+
+/**
+ * Handle POST requests to /apiaries to create a new apiary. A new apiary will not
+ * be created if name, latitude or longitude is missing from the request.
+ */
+router.post('/', requireJsonBody, acceptsJson, validateBody(APIARY_SCHEMA), function (req, res, next) {
+    createApiary(req, req.body)
+        .then(apiary => {
+            res.status(201).json(apiary);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /apiaries to get all apiaries owned by the user.
+ */
+router.get('/', acceptsJson, function (req, res, next) {
+    getApiaries(req)
+        .then(apiaries => {
+            res.status(200).json(apiaries);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /apiaries/:apiary_id to get the apiary with the given ID.
+ */
+router.get('/:apiary_id', acceptsJson, function (req, res, next) {
+    getApiary(req, req.params.apiary_id)
+        .then(apiary => {
+            res.status(200).json(apiary);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle PUT requests to /apiaries/:apiary_id to replace an apiary's attributes. No
+ * changes will be made if name, latitude or longitude is missing from the request.
+ */
+router.put('/:apiary_id', requireJsonBody, acceptsJson, validateBody(APIARY_SCHEMA), function (req, res, next) {
+    putApiary(req, req.params.apiary_id, req.body)
+        .then(apiary => {
+            res.location(apiary.self);
+            res.status(303).json(apiary);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle PATCH requests to /apiaries/:apiary_id to update individual attributes
+ * of an apiary.
+ */
+router.patch('/:apiary_id', requireJsonBody, acceptsJson, validateBody(APIARY_SCHEMA, { 'partial': true }), function (req, res, next) {
+    patchApiary(req, req.params.apiary_id, req.body)
+        .then(apiary => {
+            res.location(apiary.self);
+            res.status(200).json(apiary);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle DELETE requests to /apiaries/:apiary_id to delete the apiary with the
+ * given ID. Its hives are detached from the apiary, not deleted.
+ */
+router.delete('/:apiary_id', function (req, res, next) {
+    deleteApiary(req, req.params.apiary_id)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /apiaries/:apiary_id/hives to get the hives kept in the apiary.
+ */
+router.get('/:apiary_id/hives', acceptsJson, function (req, res, next) {
+    getApiaryHives(req, req.params.apiary_id)
+        .then(hives => {
+            res.status(200).json(hives);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle PUT requests to /apiaries/:apiary_id/hives/:hive_id to add a hive to
+ * an apiary. No changes will be made if:
+ *   - The user is not authenticated.
+ *   - Either the apiary or hive does not exist, or is not owned by the user.
+ *   - The hive is already kept in an apiary.
+ */
+router.put('/:apiary_id/hives/:hive_id', function (req, res, next) {
+    addHive(req, req.params.apiary_id, req.params.hive_id)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
+});
+
+/**
+ * Handle DELETE requests to /apiaries/:apiary_id/hives/:hive_id to remove a hive
+ * from an apiary. The hive will not be deleted. No changes will be made if:
+ *   - The user is not authenticated.
+ *   - Either the apiary or hive does not exist, or is not owned by the user.
+ *   - The hive is not kept in this apiary.
+ */
+router.delete('/:apiary_id/hives/:hive_id', function (req, res, next) {
+    removeHive(req, req.params.apiary_id, req.params.hive_id)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /apiaries/:apiary_id/shares to list the users the
+ * apiary is shared with, and their roles. Response is a 403 error unless the
+ * user owns the apiary.
+ */
+router.get('/:apiary_id/shares', acceptsJson, function (req, res, next) {
+    getApiaryShares(req, req.params.apiary_id)
+        .then(shares => {
+            res.status(200).json(shares);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle PUT requests to /apiaries/:apiary_id/shares/:user_id to share an apiary
+ * and its hives with a user, with the role given in the body (viewer or editor).
+ * Response is 201 for a new share, and 200 when the role of an existing share
+ * is changed.
+ */
+router.put('/:apiary_id/shares/:user_id', requireJsonBody, acceptsJson, validateBody(roles.SHARE_SCHEMA), function (req, res, next) {
+    shareApiary(req, req.params.apiary_id, req.params.user_id, req.body.role)
+        .then(result => {
+            res.location(result.share.self);
+            res.status(result.created ? 201 : 200).json(result.share);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle DELETE requests to /apiaries/:apiary_id/shares/:user_id to stop sharing
+ * an apiary with a user.
+ */
+router.delete('/:apiary_id/shares/:user_id', function (req, res, next) {
+    unshareApiary(req, req.params.apiary_id, req.params.user_id)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
+});
+
+//----------------------------------------------------------------------------
+// WARNINGS for /apiaries route handlers
+//----------------------------------------------------------------------------
+
+/**
+ * Warn that PUT, PATCH and DELETE requests to /apiaries are not supported.
+ */
+router.all('/', methodNotAllowed('/apiaries', ['GET', 'POST']));
+
+/**
+ * Warn that POST requests to /apiaries/:apiary_id are not supported.
+ */
+router.all('/:apiary_id', methodNotAllowed('/apiaries/:apiary_id', ['GET', 'PUT', 'DELETE', 'PATCH']));
+
+/**
+ * Warn that only GET requests to /apiaries/:apiary_id/hives are supported.
+ */
+router.all('/:apiary_id/hives', methodNotAllowed('/apiaries/:apiary_id/hives', ['GET']));
+
+/**
+ * Warn that only PUT and DELETE requests to /apiaries/:apiary_id/hives/:hive_id are supported.
+ */
+router.all('/:apiary_id/hives/:hive_id', methodNotAllowed('/apiaries/:apiary_id/hives/:hive_id', ['PUT', 'DELETE']));
+
+/**
+ * Warn that only GET requests to /apiaries/:apiary_id/shares are supported.
+ */
+router.all('/:apiary_id/shares', methodNotAllowed('/apiaries/:apiary_id/shares', ['GET']));
+
+/**
+ * Warn that only PUT and DELETE requests to /apiaries/:apiary_id/shares/:user_id are supported.
+ */
+router.all('/:apiary_id/shares/:user_id', methodNotAllowed('/apiaries/:apiary_id/shares/:user_id', ['PUT', 'DELETE']));
+
+//----------------------------------------------------------------------------
+
+module.exports = router;
+
+// The schema is also read by openapi.js to document the API.
+module.exports.APIARY_SCHEMA = APIARY_SCHEMA;
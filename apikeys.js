@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+
+const ds = require('./datastore');
+const { paginate } = require('./pagination');
+const { API_KEYS } = require('./constants');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('./errors');
+
+const datastore = ds.datastore;
+
+// Scopes an API key can be limited to. 'hives' and 'queens' limit the key to
+// those resources (hives include their apiaries and inspections), and
+// 'read-only' to GET requests. A key with neither 'hives' nor 'queens' can
+// use both. 'audit' is needed for the audit trail of every hive and queen at
+// /audit (for keys of administrators), and limits the key to it in the same way.
+const API_KEY_SCOPES = ['read-only', 'hives', 'queens', 'audit'];
+
+// Days an API key can be valid for, at most.
+const MAX_API_KEY_DAYS = 3650;
+
+// Prefix of every API key, telling them apart from JWTs.
+const API_KEY_PREFIX = 'bk_';
+
+//----------------------------------------------------------------------------
+// Personal API keys for machine clients (scales, sensors, scripts) that
+// cannot log in through the browser. A user creates keys at
+// /users/me/api-keys, and a key is sent like a JWT, as
+// "Authorization: Bearer bk_<key id>.<secret>", wherever verifyJwt is used.
+// Only the hash of the secret is stored, so a key is shown once, when it is
+// created. Keys act as the user who created them, within their scopes, and
+// cannot be used to manage API keys.
+//----------------------------------------------------------------------------
+
+/**
+ * Hash the secret of an API key, as it is stored.
+ */
+function hashSecret (secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Check whether a bearer token is an API key rather than a JWT.
+ */
+function isApiKey (token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+};
+
+/**
+ * Split an API key into the key of its entity and its secret.
+ * Returns null if the API key is malformed.
+ */
+function parseApiKey (token) {
+    const match = /^bk_([0-9]+)\.([\w-]{43})$/.exec(token);
+    if (match === null) {
+        return null;
+    }
+    return { 'key': datastore.key([API_KEYS, parseInt(match[1], 10)]), 'secret': match[2] };
+};
+
+/**
+ * Build the response for an API key. The secret is never included.
+ */
+function formatApiKey (req, apiKey) {
+    const id = String(apiKey[ds.Datastore.KEY].id);
+    return { 'id': id,
+                'name': apiKey.name,
+                'scopes': apiKey.scopes,
+                'createdAt': apiKey.createdAt,
+                'expiresAt': apiKey.expiresAt,
+                'self': req.protocol + '://' + req.get('host') + '/users/me/api-keys/' + id
+            };
+};
+
+//----------------------------------------------------------------------------
+// Model functions related to API_KEY entities.
+//----------------------------------------------------------------------------
+
+/**
+ * Create an API key for the authenticated user. The attributes are
+ * validated against API_KEY_SCHEMA (see users.js) by the route.
+ *
+ * Schema:
+ *  subject (string): subject of the user the key acts as
+ *  name (string): name of the key, to tell keys apart
+ *  scopes (array): scopes the key is limited to (see API_KEY_SCOPES), or
+ *      empty for full access
+ *  secretHash (string): SHA-256 of the secret of the key
+ *  createdAt (string): time the key was created
+ *  expiresAt (string): time the key stops working, or null if it never does
+ *
+ * Resolves to the response for the key, with the key itself in 'key'.
+ */
+function createApiKey (req, apiKeyInfo) {
+    const key = datastore.key(API_KEYS);
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const days = apiKeyInfo.expiresInDays == null ? null : apiKeyInfo.expiresInDays;
+    const apiKey = { 'subject': req.user.sub,
+                        'name': apiKeyInfo.name,
+                        'scopes': API_KEY_SCOPES.filter(scope => (apiKeyInfo.scopes || []).includes(scope)),
+                        'secretHash': hashSecret(secret),
+                        'createdAt': now.toISOString(),
+                        'expiresAt': days === null ? null : new Date(now.getTime() + days * 24 * 3600 * 1000).toISOString()
+                    };
+
+    return datastore.save({ 'key': key, 'data': apiKey, 'excludeFromIndexes': ['secretHash'] })
+        .then(() => {
+            apiKey[ds.Datastore.KEY] = key;
+            return { ...formatApiKey(req, apiKey), 'key': API_KEY_PREFIX + key.id + '.' + secret };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the API keys of the authenticated user, paginated like GET /hives.
+ */
+function getApiKeys (req) {
+    return paginate(req, () => {
+        return datastore.createQuery(API_KEYS).filter('subject', '=', req.user.sub);
+    })
+        .then(page => {
+            const apiKeys = page.items.map(apiKey => formatApiKey(req, apiKey));
+            return { 'total': page.total, 'apiKeys': apiKeys, 'next': page.next, 'prev': page.prev };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Revoke the API key with the given ID of the authenticated user.
+ * Throws an error if the user has no such key.
+ */
+function deleteApiKey (req, apiKeyId) {
+    const key = datastore.key([API_KEYS, parseInt(apiKeyId, 10)]);
+
+    return ds.runInTransaction(transaction => {
+        return transaction.get(key)
+            .then(apiKey => {
+                if (apiKey[0] == null || apiKey[0].subject !== req.user.sub) {
+                    throw new NotFoundError('No API key with this key_id exists');
+                }
+                transaction.delete(key);
+            });
+    })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Find the API key sent as a bearer token.
+ * Throws an error if the key is not valid, or has expired.
+ */
+function findApiKey (token) {
+    const parsed = parseApiKey(token);
+    if (parsed === null) {
+        return Promise.reject(new UnauthorizedError('Invalid or expired API key'));
+    }
+
+    return datastore.get(parsed.key)
+        .then(apiKey => {
+            if (apiKey[0] == null || (apiKey[0].expiresAt !== null && Date.parse(apiKey[0].expiresAt) <= Date.now())) {
+                throw new UnauthorizedError('Invalid or expired API key');
+            }
+            const expected = Buffer.from(apiKey[0].secretHash, 'hex');
+            if (!crypto.timingSafeEqual(expected, Buffer.from(hashSecret(parsed.secret), 'hex'))) {
+                throw new UnauthorizedError('Invalid or expired API key');
+            }
+            return apiKey[0];
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Check that the scopes of an API key allow the request.
+ * Throws an error if they do not.
+ */
+function checkScopes (req, apiKey) {
+    const segments = (req.baseUrl + req.path).split('/');
+    const resources = apiKey.scopes.filter(scope => scope !== 'read-only');
+    const needed = [];
+
+    if (segments.includes('api-keys')) {
+        throw new ForbiddenError('API keys cannot be used to manage API keys; log in instead');
+    } else if (apiKey.scopes.includes('read-only') && !['GET', 'HEAD'].includes(req.method)) {
+        throw new ForbiddenError('The API key is read-only', { 'scopes': apiKey.scopes });
+    }
+
+    if (segments.includes('hives') || segments.includes('apiaries')) {
+        needed.push('hives');
+    }
+    if (segments.includes('queens')) {
+        needed.push('queens');
+    }
+    // only /audit itself; the audit trail of one hive or queen is part of it
+    if (segments[1] === 'audit') {
+        needed.push('audit');
+    }
+    const missing = needed.filter(scope => !resources.includes(scope));
+    if ((resources.length > 0 || needed.includes('audit')) && missing.length > 0) {
+        throw new ForbiddenError('The API key does not have the ' + missing.join(' and ') + ' scope',
+            { 'scopes': apiKey.scopes });
+    }
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    API_KEY_SCOPES,
+    MAX_API_KEY_DAYS,
+    isApiKey,
+    createApiKey,
+    getApiKeys,
+    deleteApiKey,
+    findApiKey,
+    checkScopes
+};
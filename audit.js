@@ -0,0 +1,209 @@
+const express = require('express');
+
+const ds = require('./datastore');
+const { verifyJwt } = require('./auth');
+const { paginate } = require('./pagination');
+const { isAdmin } = require('./roles');
+const { isDate } = require('./schema');
+const { AUDIT_EVENTS } = require('./constants');
+const { ValidationError, ForbiddenError, acceptsJson, methodNotAllowed } = require('./errors');
+
+const router = express.Router();
+
+const datastore = ds.datastore;
+
+router.use(verifyJwt);
+
+// Changes an audit event can record, and the collection of each entity type.
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'assign', 'remove'];
+const AUDIT_TYPES = { 'hive': 'hives', 'queen': 'queens' };
+
+//----------------------------------------------------------------------------
+// Audit trail of the changes to hives and queens. The hive, queen and apiary
+// routers save an AUDIT_EVENT with every change, in the same request (or
+// transaction) as the change itself, recording who made it and the values of
+// every attribute before and after.
+//----------------------------------------------------------------------------
+
+/**
+ * Compare the attributes of an entity before and after a change. Either may
+ * be null, for entities that are created or deleted.
+ *
+ * Returns { attribute: { before, after } } for every attribute that changed.
+ */
+function diffEntities (before, after) {
+    const changes = {};
+    const attributes = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    attributes.forEach(attribute => {
+        const oldValue = before == null || before[attribute] === undefined ? null : before[attribute];
+        const newValue = after == null || after[attribute] === undefined ? null : after[attribute];
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[attribute] = { 'before': oldValue, 'after': newValue };
+        }
+    });
+    return changes;
+};
+
+/**
+ * Build the audit event for a change to the entity of the given type ('hive'
+ * or 'queen') and ID, made by the authenticated user. The caller saves it
+ * along with the change.
+ *
+ * Schema:
+ *  entityType (string): type of the changed entity ('hive' or 'queen')
+ *  entityId (string): ID of the changed entity
+ *  action (string): one of AUDIT_ACTIONS
+ *  actor (string): subject of the user who made the change
+ *  apiKey (string): ID of the API key the change was made with, or null
+ *  timestamp (string): time of the change, as an ISO 8601 date and time
+ *  changes (string): JSON of the attributes that changed (see diffEntities)
+ */
+function auditEvent (req, entityType, entityId, action, before, after) {
+    const event = { 'entityType': entityType,
+                    'entityId': String(entityId),
+                    'action': action,
+                    'actor': req.user.sub,
+                    'apiKey': req.user.apiKey === undefined ? null : req.user.apiKey.id,
+                    'timestamp': new Date().toISOString(),
+                    'changes': JSON.stringify(diffEntities(before, after))
+                };
+    return { 'key': datastore.key(AUDIT_EVENTS), 'data': event, 'excludeFromIndexes': ['changes'] };
+};
+
+/**
+ * Build the response for an audit event, with a link to the changed entity.
+ */
+function formatEvent (req, event) {
+    const entitySelf = req.protocol + '://' + req.get('host') + '/' + AUDIT_TYPES[event.entityType] + '/' + event.entityId;
+    return { 'id': String(event[ds.Datastore.KEY].id),
+                'entityType': event.entityType,
+                'entity': { 'id': event.entityId, 'self': entitySelf },
+                'action': event.action,
+                'actor': event.actor,
+                'apiKey': event.apiKey,
+                'timestamp': event.timestamp,
+                'changes': JSON.parse(event.changes)
+            };
+};
+
+/**
+ * Get a page of the audit events returned by createQuery, most recent first.
+ */
+function getEventPage (req, createQuery) {
+    return paginate(req, () => createQuery().order('timestamp', { descending: true }))
+        .then(page => {
+            const events = page.items.map(event => formatEvent(req, event));
+            return { 'total': page.total, 'events': events, 'next': page.next, 'prev': page.prev };
+        });
+};
+
+/**
+ * Get a page of the audit events of the entity of the given type and ID,
+ * most recent first. The routers check that the user may see the entity.
+ */
+function getAuditEvents (req, entityType, entityId) {
+    return getEventPage(req, () => {
+        return datastore.createQuery(AUDIT_EVENTS)
+            .filter('entityType', '=', entityType)
+            .filter('entityId', '=', String(entityId));
+    })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Read a date query parameter (YYYY-MM-DD), or null if it is not given.
+ * Throws an error if it is not a valid date.
+ */
+function getDateParameter (req, name) {
+    const value = req.query[name];
+
+    if (value === undefined) {
+        return null;
+    } else if (!isDate(value)) {
+        throw new ValidationError(name + ' must be a valid date in the format YYYY-MM-DD');
+    }
+    return value;
+};
+
+/**
+ * Retrieve the audit events of every hive and queen, most recent first. Only
+ * administrators can see them. The events can be filtered by the 'user' who
+ * made the changes, and by the dates 'from' and 'to' (YYYY-MM-DD, both
+ * included). The results are paginated like GET /hives.
+ */
+function getAllAuditEvents (req) {
+    var from = null;
+    var to = null;
+
+    try {
+        from = getDateParameter(req, 'from');
+        to = getDateParameter(req, 'to');
+        if (req.query.user !== undefined && typeof req.query.user !== 'string') {
+            throw new ValidationError('user must be a single user ID');
+        }
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    return isAdmin(req.user.sub)
+        .then(admin => {
+            if (!admin) {
+                throw new ForbiddenError('Only administrators can see the audit trail of every user');
+            }
+
+            return getEventPage(req, () => {
+                var query = datastore.createQuery(AUDIT_EVENTS);
+                if (req.query.user !== undefined) {
+                    query = query.filter('actor', '=', req.query.user);
+                }
+                if (from !== null) {
+                    query = query.filter('timestamp', '>=', new Date(from).toISOString());
+                }
+                if (to !== null) {
+                    // events up to the end of the day
+                    const end = new Date(to);
+                    end.setUTCDate(end.getUTCDate() + 1);
+                    query = query.filter('timestamp', '<', end.toISOString());
+                }
+                return query;
+            });
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+//----------------------------------------------------------------------------
+// Controller functions related to AUDIT_EVENT entities.
+//----------------------------------------------------------------------------
+
+/**
+ * Handle GET requests to /audit to list the changes to every hive and queen,
+ * most recent first, optionally filtered with the 'user', 'from' and 'to'
+ * query parameters. Response is a 403 error unless the user is an
+ * administrator.
+ */
+router.get('/', acceptsJson, function (req, res, next) {
+    getAllAuditEvents(req)
+        .then(events => {
+            res.status(200).json(events);
+        })
+        .catch(next);
+});
+
+/**
+ * Warn that only GET requests to /audit are supported.
+ */
+router.all('/', methodNotAllowed('/audit', ['GET']));
+
+//----------------------------------------------------------------------------
+
+module.exports = router;
+
+// Used by the hive and queen routers to record and list their changes.
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.auditEvent = auditEvent;
+module.exports.getAuditEvents = getAuditEvents;
@@ -0,0 +1,210 @@
+const ds = require('./datastore');
+const identity = require('./identity');
+const sessions = require('./sessions');
+const apiKeys = require('./apikeys');
+const roles = require('./roles');
+const { HIVES, QUEENS, APIARIES, DELETED_HIVES, DELETED_QUEENS } = require('./constants');
+const { UnauthorizedError, NotFoundError, GoneError } = require('./errors');
+
+const datastore = ds.datastore;
+
+//----------------------------------------------------------------------------
+// Authentication and verificiation functions shared by the hive, queen and
+// apiary routers.
+//----------------------------------------------------------------------------
+
+/**
+ * Authenticate the request with the JWT in the Authorization header, verified
+ * by the configured identity provider (see identity.js).
+ *
+ * Requests without an Authorization header may use a session cookie instead
+ * (see sessions.js), and the bearer token may be an API key (see apikeys.js),
+ * which is included in the user as apiKey.
+ *
+ * Resolves to the user, { sub, claims }, and rejects with a 401 error if the
+ * request has no valid credentials.
+ */
+function authenticate (req) {
+    const authorization = req.get('Authorization');
+    const match = authorization === undefined ? null : /^Bearer (\S+)$/i.exec(authorization);
+    const cookie = sessions.readSessionCookie(req);
+
+    if (authorization === undefined && cookie !== null) {
+        return sessions.findSession(cookie)
+            .then(session => {
+                return { 'sub': session.subject, 'claims': JSON.parse(session.claims) };
+            });
+    } else if (match === null) {
+        return Promise.reject(new UnauthorizedError('Missing or invalid JWT'));
+    } else if (apiKeys.isApiKey(match[1])) {
+        return apiKeys.findApiKey(match[1])
+            .then(apiKey => {
+                return { 'sub': apiKey.subject,
+                            'claims': { 'sub': apiKey.subject },
+                            'apiKey': { 'id': String(apiKey[ds.Datastore.KEY].id), 'scopes': apiKey.scopes }
+                        };
+            });
+    }
+
+    return identity.provider.verifyToken(match[1])
+        .then(claims => {
+            return { 'sub': claims.sub, 'claims': claims };
+        })
+        .catch(() => {
+            throw new UnauthorizedError('Missing or invalid JWT');
+        });
+};
+
+/**
+ * Middleware identifying the user of every request, before the rate limits
+ * (see ratelimit.js) and routes. Valid credentials are saved as req.user;
+ * requests without them carry on anonymously, with the error saved as
+ * req.authError, to be rejected by verifyJwt on the routes that need a user.
+ */
+function identifyUser (req, res, next) {
+    // an error thrown while reading the credentials must not fail the request
+    Promise.resolve()
+        .then(() => authenticate(req))
+        .then(user => {
+            req.user = user;
+        }, error => {
+            req.authError = error;
+        })
+        .then(() => next());
+};
+
+/**
+ * Middleware requiring an authenticated user (see authenticate), saved as
+ * req.user for the routes; requests without valid credentials are rejected
+ * with a 401. The scopes of an API key are checked against the request.
+ *
+ * Credentials already checked by identifyUser are not checked again.
+ */
+function verifyJwt (req, res, next) {
+    var verified = null;
+
+    if (req.user !== undefined) {
+        verified = Promise.resolve(req.user);
+    } else if (req.authError !== undefined) {
+        verified = Promise.reject(req.authError);
+    } else {
+        verified = authenticate(req);
+    }
+
+    verified
+        .then(user => {
+            if (user.apiKey !== undefined) {
+                apiKeys.checkScopes(req, user.apiKey);
+            }
+            req.user = user;
+            next();
+        })
+        .catch(next);
+};
+
+/**
+ * Build the error for a hive or queen (noun) that was not found: a 410 if it
+ * was deleted and is kept until it is purged (see purge.js) as an entity of
+ * deletedKind, or a 404.
+ */
+function missingEntity (transaction, deletedKind, id, noun) {
+    return (transaction || datastore).get(datastore.key([deletedKind, parseInt(id, 10)]))
+        .then(deleted => {
+            if (deleted[0] != null) {
+                return new GoneError('This ' + noun + ' was deleted; it can be restored with POST /'
+                    + noun + 's/' + id + '/restore', { 'deletedAt': deleted[0].deletedAt });
+            }
+            return new NotFoundError('No ' + noun + ' with this ' + noun + '_id exists');
+        });
+};
+
+/**
+ * Verify that the user has at least the given role (see roles.js) on the
+ * given hive, as its beekeeper or through a share.
+ * Throws an error if the user has no role on the hive, or a lower one.
+ * Throws an error if the hive is not found, or was deleted.
+ * Returns the hive if the role is valid.
+ * 
+ * If a transaction is given, the hive is read as part of it.
+ */
+function verifyHiveRole (userId, hiveId, role, transaction) {
+    const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
+
+    return (transaction || datastore).get(hiveKey)
+        .then(hive => {
+            if (hive[0] === undefined || hive[0] === null) {
+                return missingEntity(transaction, DELETED_HIVES, hiveId, 'hive')
+                    .then(error => {
+                        throw error;
+                    });
+            }
+            return roles.findHiveRole(userId, hive[0], transaction)
+                .then(found => {
+                    roles.requireRole(found, role, 'Hive');
+                    return hive;
+                });
+        });
+};
+
+/**
+ * Verify that the user has at least the given role (see roles.js) on the
+ * given queen, as her beekeeper or through her hive.
+ * Throws an error if the user has no role on the queen, or a lower one.
+ * Throws an error if the queen is not found, or was deleted.
+ * Returns the queen if the role is valid.
+ * 
+ * If a transaction is given, the queen is read as part of it.
+ */
+function verifyQueenRole (userId, queenId, role, transaction) {
+    const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
+
+    return (transaction || datastore).get(queenKey)
+        .then(queen => {
+            if (queen[0] === undefined || queen[0] === null) {
+                return missingEntity(transaction, DELETED_QUEENS, queenId, 'queen')
+                    .then(error => {
+                        throw error;
+                    });
+            }
+            return roles.findQueenRole(userId, queen[0], transaction)
+                .then(found => {
+                    roles.requireRole(found, role, 'Queen');
+                    return queen;
+                });
+        });
+};
+
+/**
+ * Verify that the user has at least the given role (see roles.js) on the
+ * given apiary, as its owner or through a share.
+ * Throws an error if the user has no role on the apiary, or a lower one.
+ * Throws an error if the apiary is not found.
+ * Returns the apiary if the role is valid.
+ * 
+ * If a transaction is given, the apiary is read as part of it.
+ */
+function verifyApiaryRole (userId, apiaryId, role, transaction) {
+    const apiaryKey = datastore.key([APIARIES, parseInt(apiaryId, 10)]);
+
+    return (transaction || datastore).get(apiaryKey)
+        .then(apiary => {
+            if (apiary[0] === undefined || apiary[0] === null) {
+                throw new NotFoundError('No apiary with this apiary_id exists');
+            }
+            return roles.findApiaryRole(userId, apiary[0], transaction)
+                .then(found => {
+                    roles.requireRole(found, role, 'Apiary');
+                    return apiary;
+                });
+        });
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    identifyUser,
+    verifyJwt,
+    verifyHiveRole,
+    verifyQueenRole,
+    verifyApiaryRole
+};
@@ -0,0 +1,312 @@
+const ds = require('./datastore');
+const { ApiError, ValidationError } = require('./errors');
+const { findViolations } = require('./schema');
+const { findAttributeViolations } = require('./patches');
+
+// Largest number of operations in one bulk request, which keeps an atomic
+// request well within the writes Datastore allows in one commit.
+const MAX_BULK_OPERATIONS = 50;
+
+// Operations a bulk request can hold, with the status of each one that succeeds.
+const BULK_OPS = { 'create': 201, 'update': 200, 'delete': 204 };
+const OPERATION_ATTRIBUTES = ['op', 'id', 'data', 'ifMatch'];
+const ID_SCHEMA = { 'id': { 'type': 'id', 'required': true } };
+
+//----------------------------------------------------------------------------
+// Bulk requests (POST /hives/bulk and POST /queens/bulk), which carry out a
+// list of operations in order:
+//
+//     [{ "op": "create", "data": { ... } },
+//      { "op": "update", "id": "123", "data": { ... }, "ifMatch": "\"...\"" },
+//      { "op": "delete", "id": "456" }]
+//
+// The data of an operation is checked against the request schema of the
+// entity, like the body of POST (create) or PATCH (update) would be. Each
+// operation gets its own result, in the same order:
+//
+//     { index, op, status, id, self, code, errors }
+//
+// where status and code are those its own request would get, and errors the
+// invalid attributes, as { attribute, message }.
+//
+// Each operation is carried out in a transaction of its own, so that the
+// others go ahead if it fails. With ?atomic=true they all share a single
+// transaction instead: if any fails, none are carried out, and the others
+// get a 424 'failed_dependency' result.
+//
+// The router of the entity provides what each operation does:
+//
+//  prepare (req, operation): resolves to what the operation needs from
+//      queries, which cannot run inside a transaction
+//  apply (req, transaction, operation, prepared, batch): carries out the
+//      operation as part of the transaction, and resolves to the ID of the
+//      entity. batch is an object shared by the operations of the
+//      transaction, to keep what they changed, which reads within it do not see
+//----------------------------------------------------------------------------
+
+/**
+ * Read the 'atomic' query parameter.
+ * Throws an error if it is neither 'true' nor 'false'.
+ */
+function isAtomic (req) {
+    if (req.query.atomic === undefined) {
+        return false;
+    } else if (req.query.atomic !== 'true' && req.query.atomic !== 'false') {
+        throw new ValidationError('atomic must be true or false');
+    }
+    return req.query.atomic === 'true';
+};
+
+/**
+ * Check an operation of a bulk request, and its data against the schema.
+ * Returns a list of violations, each { attribute, message }, with the
+ * attributes of the data given as e.g. 'data.colonySize'.
+ */
+function findOperationViolations (operation, schema) {
+    const violations = [];
+
+    if (operation === null || typeof operation !== 'object' || Array.isArray(operation)) {
+        return [{ 'attribute': null, 'message': 'The operation must be a JSON object' }];
+    } else if (!Object.prototype.hasOwnProperty.call(BULK_OPS, operation.op)) {
+        return [{ 'attribute': 'op', 'message': 'must be one of: ' + Object.keys(BULK_OPS).join(', ') }];
+    }
+
+    Object.keys(operation).filter(attribute => !OPERATION_ATTRIBUTES.includes(attribute)).forEach(attribute => {
+        violations.push({ 'attribute': attribute, 'message': 'is not a known attribute of an operation' });
+    });
+
+    if (operation.op === 'create') {
+        ['id', 'ifMatch'].filter(attribute => operation[attribute] !== undefined).forEach(attribute => {
+            violations.push({ 'attribute': attribute, 'message': 'must not be given to create an entity' });
+        });
+    } else {
+        findViolations({ 'id': operation.id }, ID_SCHEMA, false).forEach(violation => violations.push(violation));
+    }
+    if (operation.ifMatch !== undefined && typeof operation.ifMatch !== 'string') {
+        violations.push({ 'attribute': 'ifMatch', 'message': 'must be a string' });
+    }
+
+    if (operation.op === 'delete') {
+        if (operation.data !== undefined) {
+            violations.push({ 'attribute': 'data', 'message': 'must not be given to delete an entity' });
+        }
+    } else if (operation.data === null || typeof operation.data !== 'object' || Array.isArray(operation.data)) {
+        violations.push({ 'attribute': 'data', 'message': 'must be a JSON object' });
+    } else {
+        const found = operation.op === 'update' ? findAttributeViolations(operation.data, schema) : findViolations(operation.data, schema, false);
+        found.forEach(violation => {
+            violations.push({ 'attribute': 'data.' + violation.attribute, 'message': violation.message });
+        });
+    }
+    return violations;
+};
+
+/**
+ * Build the result of an operation that succeeded on the entity with the
+ * given ID.
+ */
+function successResult (req, index, operation, id) {
+    const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + id;
+    return { 'index': index,
+                'op': operation.op,
+                'status': BULK_OPS[operation.op],
+                'id': String(id),
+                'self': operation.op === 'delete' ? null : self,
+                'code': null,
+                'errors': null
+            };
+};
+
+/**
+ * Build the result of an operation that failed with the given error. Errors
+ * that are not ApiErrors are unexpected, so they are logged and reported as
+ * a 500 without their message, like the errorHandler does.
+ */
+function errorResult (index, operation, error) {
+    var apiError = error;
+
+    if (!(error instanceof ApiError)) {
+        console.error(error);
+        apiError = new ApiError(500, 'internal_error', 'Unknown server error');
+    }
+
+    const violations = apiError.details !== null && Array.isArray(apiError.details.violations)
+        ? apiError.details.violations
+        : [{ 'attribute': null, 'message': apiError.message }];
+    const hasId = operation !== null && typeof operation === 'object' && operation.id !== undefined && operation.id !== null;
+    return { 'index': index,
+                'op': operation !== null && typeof operation === 'object' && operation.op !== undefined ? operation.op : null,
+                'status': apiError.status,
+                'id': hasId ? String(operation.id) : null,
+                'self': null,
+                'code': apiError.code,
+                'errors': violations
+            };
+};
+
+/**
+ * Build the result of an operation of an atomic request that was not carried
+ * out (or was rolled back) because the operation at failedIndex failed.
+ */
+function notCarriedOut (index, operation, failedIndex) {
+    const error = new ApiError(424, 'failed_dependency',
+        'Not carried out, as operation ' + failedIndex + ' failed and the request is atomic');
+    return errorResult(index, operation, error);
+};
+
+/**
+ * Carry out the operations of a bulk request one at a time, each in a
+ * transaction of its own.
+ */
+function runSeparately (req, operations, handlers, results) {
+    return operations.reduce((previous, operation, index) => {
+        return previous.then(() => {
+            if (results[index] !== undefined) {
+                return;
+            }
+
+            const handler = handlers[operation.op];
+            return handler.prepare(req, operation)
+                .then(prepared => {
+                    return ds.runInTransaction(transaction => handler.apply(req, transaction, operation, prepared, {}));
+                })
+                .then(id => {
+                    results[index] = successResult(req, index, operation, id);
+                })
+                .catch(error => {
+                    results[index] = errorResult(index, operation, error);
+                });
+        });
+    }, Promise.resolve());
+};
+
+/**
+ * Carry out every operation of a bulk request in a single transaction, or
+ * none of them if one fails.
+ */
+function runAtomically (req, operations, handlers, results) {
+    const prepared = [];
+    var failedIndex = null;
+
+    const fail = (index, error) => {
+        operations.forEach((operation, other) => {
+            results[other] = other === index ? errorResult(index, operation, error) : notCarriedOut(other, operation, index);
+        });
+    };
+
+    // an invalid operation fails the request before anything is read
+    failedIndex = results.findIndex(result => result !== undefined);
+    if (failedIndex !== -1) {
+        operations.forEach((operation, index) => {
+            if (results[index] === undefined) {
+                results[index] = notCarriedOut(index, operation, failedIndex);
+            }
+        });
+        return Promise.resolve();
+    }
+
+    return operations.reduce((previous, operation, index) => {
+        return previous.then(() => {
+            return handlers[operation.op].prepare(req, operation)
+                .then(found => {
+                    prepared[index] = found;
+                })
+                .catch(error => {
+                    failedIndex = index;
+                    throw error;
+                });
+        });
+    }, Promise.resolve())
+        .then(() => {
+            return ds.runInTransaction(transaction => {
+                const ids = [];
+                const batch = {};
+                failedIndex = null;
+
+                return operations.reduce((previous, operation, index) => {
+                    return previous.then(() => {
+                        return handlers[operation.op].apply(req, transaction, operation, prepared[index], batch)
+                            .then(id => {
+                                ids[index] = id;
+                            })
+                            .catch(error => {
+                                failedIndex = index;
+                                throw error;
+                            });
+                    });
+                }, Promise.resolve())
+                    .then(() => ids);
+            });
+        })
+        .then(ids => {
+            operations.forEach((operation, index) => {
+                results[index] = successResult(req, index, operation, ids[index]);
+            });
+        })
+        .catch(error => {
+            // errors of the transaction itself (e.g. its commit) fail the whole request
+            if (failedIndex === null) {
+                throw error;
+            }
+            fail(failedIndex, error);
+        });
+};
+
+/**
+ * Carry out the operations in the body of a bulk request, checking the data
+ * of each one against the schema, with the given handlers of each op (see
+ * above). In an atomic request, the same entity cannot be changed twice.
+ *
+ * Resolves to { atomic, succeeded, failed, results }. Throws an error if the
+ * request itself is invalid, e.g. its body is not a list of operations.
+ */
+function runBulk (req, schema, handlers) {
+    const operations = req.body;
+    var atomic = false;
+
+    try {
+        atomic = isAtomic(req);
+        if (!Array.isArray(operations)) {
+            throw new ValidationError('The request body must be a list of operations');
+        } else if (operations.length === 0 || operations.length > MAX_BULK_OPERATIONS) {
+            throw new ValidationError('The request body must have between 1 and ' + MAX_BULK_OPERATIONS + ' operations');
+        }
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const results = new Array(operations.length).fill(undefined);
+    const changedIds = {};
+    operations.forEach((operation, index) => {
+        const violations = findOperationViolations(operation, schema);
+
+        // the operations of a transaction all read the entities as they were before it
+        if (atomic && violations.length === 0 && operation.op !== 'create') {
+            const id = String(parseInt(operation.id, 10));
+            if (changedIds[id] !== undefined) {
+                violations.push({ 'attribute': 'id', 'message': 'is also changed by operation ' + changedIds[id]
+                    + ', but an atomic request can only change an entity once' });
+            }
+            changedIds[id] = index;
+        }
+
+        if (violations.length > 0) {
+            results[index] = errorResult(index, operation,
+                new ValidationError('The operation has ' + violations.length + ' invalid attribute(s)', { 'violations': violations }));
+        }
+    });
+
+    const run = atomic ? runAtomically : runSeparately;
+    return run(req, operations, handlers, results)
+        .then(() => {
+            const failed = results.filter(result => result.errors !== null).length;
+            return { 'atomic': atomic, 'succeeded': results.length - failed, 'failed': failed, 'results': results };
+        });
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    MAX_BULK_OPERATIONS,
+    runBulk
+};
@@ -0,0 +1,240 @@
+require('dotenv').config();
+
+const ds = require('./datastore');
+const { HIVES, QUEENS } = require('./constants');
+
+const datastore = ds.datastore;
+
+//----------------------------------------------------------------------------
+// Consistency check for the references between hives and queens.
+//
+// A hive's queen and a queen's hive must point at each other. This script
+// reports every reference that does not, and clears them when run with
+// --repair. It does the same for the hasQueen and hasHive flags that GET
+// /hives and GET /queens filter by, which must match the references (and
+// are missing from hives and queens saved before they were added):
+//
+//     npm run check-consistency
+//     npm run check-consistency -- --repair
+//----------------------------------------------------------------------------
+
+// Flag kept on each kind of entity, and the reference it tells is set.
+const FLAGS = {
+    [HIVES]: { 'flag': 'hasQueen', 'property': 'queen' },
+    [QUEENS]: { 'flag': 'hasHive', 'property': 'hive' }
+};
+
+/**
+ * Check whether the hive and queen entities point at each other.
+ */
+function isLinked (hive, queen) {
+    return hive != null && queen != null
+        && hive.queen != null && String(hive.queen.id) === String(queen[ds.Datastore.KEY].id)
+        && queen.hive != null && String(queen.hive.id) === String(hive[ds.Datastore.KEY].id);
+};
+
+/**
+ * Find every hive whose queen, and every queen whose hive, does not exist or
+ * does not point back at it.
+ *
+ * Resolves to a list of problems, each naming the entity holding the dangling
+ * reference: { kind, id, property, references, problem }.
+ */
+function findDanglingReferences () {
+    const hivesById = {};
+    const queensById = {};
+    const problems = [];
+
+    return datastore.runQuery(datastore.createQuery(HIVES))
+        .then(hives => {
+            hives[0].forEach(hive => {
+                hivesById[String(hive[ds.Datastore.KEY].id)] = hive;
+            });
+            return datastore.runQuery(datastore.createQuery(QUEENS));
+        })
+        .then(queens => {
+            queens[0].forEach(queen => {
+                queensById[String(queen[ds.Datastore.KEY].id)] = queen;
+            });
+
+            Object.keys(hivesById).forEach(hiveId => {
+                const hive = hivesById[hiveId];
+                if (hive.queen == null) {
+                    return;
+                }
+                const queen = queensById[String(hive.queen.id)];
+                if (!isLinked(hive, queen)) {
+                    problems.push({ 'kind': HIVES, 'id': hiveId, 'property': 'queen', 'references': String(hive.queen.id),
+                                    'problem': queen === undefined ? 'queen does not exist' : 'queen does not live in this hive' });
+                }
+            });
+
+            Object.keys(queensById).forEach(queenId => {
+                const queen = queensById[queenId];
+                if (queen.hive == null) {
+                    return;
+                }
+                const hive = hivesById[String(queen.hive.id)];
+                if (!isLinked(hive, queen)) {
+                    problems.push({ 'kind': QUEENS, 'id': queenId, 'property': 'hive', 'references': String(queen.hive.id),
+                                    'problem': hive === undefined ? 'hive does not exist' : 'hive has a different queen' });
+                }
+            });
+
+            return problems;
+        });
+};
+
+/**
+ * Clear each dangling reference found by findDanglingReferences. Both sides
+ * are read again in a transaction first, so a link that was completed in the
+ * meantime is left alone.
+ *
+ * Resolves to the list of problems that were repaired.
+ */
+function repairDanglingReferences (problems) {
+    const repaired = [];
+
+    return problems.reduce((previous, problem) => {
+        return previous.then(() => {
+            return ds.runInTransaction(transaction => {
+                const entityKey = datastore.key([problem.kind, parseInt(problem.id, 10)]);
+                const otherKind = problem.kind === HIVES ? QUEENS : HIVES;
+                const otherKey = datastore.key([otherKind, parseInt(problem.references, 10)]);
+                var entity = null;
+
+                return transaction.get(entityKey)
+                    .then(found => {
+                        entity = found[0];
+                        return transaction.get(otherKey);
+                    })
+                    .then(other => {
+                        const current = entity == null ? null : entity[problem.property];
+                        if (current == null || String(current.id) !== problem.references) {
+                            return false; // already changed since the check
+                        }
+
+                        const hive = problem.kind === HIVES ? entity : other[0];
+                        const queen = problem.kind === HIVES ? other[0] : entity;
+                        if (isLinked(hive, queen)) {
+                            return false;
+                        }
+                        entity[problem.property] = null;
+                        entity[FLAGS[problem.kind].flag] = false;
+                        transaction.save(entity);
+                        return true;
+                    });
+            })
+                .then(changed => {
+                    if (changed) {
+                        repaired.push(problem);
+                    }
+                });
+        });
+    }, Promise.resolve())
+        .then(() => repaired);
+};
+
+/**
+ * Find every hive whose hasQueen flag, and every queen whose hasHive flag,
+ * does not tell whether her reference is set.
+ *
+ * Resolves to a list of problems: { kind, id, flag, value }, where value is
+ * the one the flag should have.
+ */
+function findStaleFlags () {
+    const problems = [];
+
+    return Promise.all([HIVES, QUEENS].map(kind => datastore.runQuery(datastore.createQuery(kind))))
+        .then(results => {
+            [HIVES, QUEENS].forEach((kind, index) => {
+                const { flag, property } = FLAGS[kind];
+                results[index][0].forEach(entity => {
+                    if (entity[flag] !== (entity[property] != null)) {
+                        problems.push({ 'kind': kind, 'id': String(entity[ds.Datastore.KEY].id), 'flag': flag,
+                                        'value': entity[property] != null });
+                    }
+                });
+            });
+            return problems;
+        });
+};
+
+/**
+ * Set each flag found by findStaleFlags from the entity's reference, read
+ * again in a transaction.
+ *
+ * Resolves to the list of problems that were repaired.
+ */
+function repairStaleFlags (problems) {
+    const repaired = [];
+
+    return problems.reduce((previous, problem) => {
+        return previous.then(() => {
+            return ds.runInTransaction(transaction => {
+                return transaction.get(datastore.key([problem.kind, parseInt(problem.id, 10)]))
+                    .then(found => {
+                        const entity = found[0];
+                        const value = entity == null ? null : entity[FLAGS[problem.kind].property] != null;
+                        if (entity == null || entity[problem.flag] === value) {
+                            return false;
+                        }
+                        entity[problem.flag] = value;
+                        transaction.save(entity);
+                        return true;
+                    });
+            })
+                .then(changed => {
+                    if (changed) {
+                        repaired.push(problem);
+                    }
+                });
+        });
+    }, Promise.resolve())
+        .then(() => repaired);
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    findDanglingReferences,
+    repairDanglingReferences,
+    findStaleFlags,
+    repairStaleFlags
+};
+
+if (require.main === module) {
+    const repair = process.argv.includes('--repair');
+
+    findDanglingReferences()
+        .then(problems => {
+            console.log(JSON.stringify({ 'danglingReferences': problems }, null, 2));
+            if (repair) {
+                return repairDanglingReferences(problems)
+                    .then(repaired => {
+                        console.log('Repaired ' + repaired.length + ' of ' + problems.length + ' dangling references');
+                    });
+            } else if (problems.length > 0) {
+                console.log('Run with --repair to clear these references');
+                process.exitCode = 1;
+            }
+        })
+        // the flags follow the references, so they are checked once those are repaired
+        .then(() => findStaleFlags())
+        .then(problems => {
+            console.log(JSON.stringify({ 'staleFlags': problems }, null, 2));
+            if (repair) {
+                return repairStaleFlags(problems)
+                    .then(repaired => {
+                        console.log('Repaired ' + repaired.length + ' of ' + problems.length + ' stale flags');
+                    });
+            } else if (problems.length > 0) {
+                console.log('Run with --repair to set these flags');
+                process.exitCode = 1;
+            }
+        })
+        .catch(error => {
+            console.error(error);
+            process.exitCode = 1;
+        });
+}
@@ -1,8 +1,88 @@
 const { Datastore } = require('@google-cloud/datastore');
+const path = require('path');
+
+const config = require('./config.json');
+const { MemoryStore } = require('./memorystore');
+const { JsonFileStore } = require('./jsonstore');
+
+/**
+ * Create the storage backend named by DATA_BACKEND (read from the environment,
+ * then config.json):
+ *  datastore: Google Cloud Datastore (default)
+ *  memory: entities are kept in memory and lost when the server stops
+ *  json: entities are kept in the JSON file named by DATA_FILE
+ *
+ * Every backend has the same interface as the Datastore client, so the
+ * models do not need to know which one is in use.
+ */
+function createBackend (backend) {
+    if (backend === undefined || backend === 'datastore') {
+        return new Datastore();
+    } else if (backend === 'memory') {
+        return new MemoryStore();
+    } else if (backend === 'json') {
+        const filename = process.env.DATA_FILE || config.DATA_FILE || 'data.json';
+        return new JsonFileStore(path.resolve(__dirname, filename));
+    } else {
+        throw new Error('Unknown DATA_BACKEND: ' + backend);
+    }
+};
+
+// gRPC status code of a transaction that failed because of contention, and
+// the number of times such a transaction is attempted before giving up.
+const ABORTED = 10;
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const datastore = createBackend(process.env.DATA_BACKEND || config.DATA_BACKEND);
+
+/**
+ * Run work(transaction) inside a transaction and commit it. The writes made
+ * through the transaction are only saved if every step succeeds, and are
+ * rolled back otherwise.
+ *
+ * If the commit fails because another request changed the same entities,
+ * the whole transaction is run again after a short, growing delay.
+ * Resolves to the value returned by work.
+ */
+function runInTransaction (work, attempt = 1) {
+    const transaction = datastore.transaction();
+    var result = null;
+
+    return transaction.run()
+        .then(() => {
+            return work(transaction);
+        })
+        .then(value => {
+            result = value;
+            return transaction.commit();
+        })
+        .then(() => {
+            return result;
+        })
+        .catch(error => {
+            return Promise.resolve()
+                .then(() => transaction.rollback())
+                .catch(() => {
+                    // the transaction has already ended if the commit failed
+                    return;
+                })
+                .then(() => {
+                    if (error.code !== ABORTED || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+                        throw error;
+                    }
+                    const delay = 50 * Math.pow(2, attempt) + Math.floor(Math.random() * 50);
+                    return new Promise(resolve => setTimeout(resolve, delay))
+                        .then(() => runInTransaction(work, attempt + 1));
+                });
+        });
+};
 
 module.exports.Datastore = Datastore;
-module.exports.datastore = new Datastore();
+module.exports.datastore = datastore;
+module.exports.runInTransaction = runInTransaction;
 module.exports.fromDatastore = function fromDatastore(item){
-    item.id = item[Datastore.KEY].id;
+    // entities keyed by a name (e.g. users, by their subject) have no numeric ID
+    const key = item[Datastore.KEY];
+    item.id = key.id !== undefined ? key.id : key.name;
     return item;
 }
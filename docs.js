@@ -0,0 +1,49 @@
+const express = require('express');
+const path = require('path');
+const swaggerUiPath = require('swagger-ui-dist/absolute-path.js');
+
+const { buildSpec } = require('./openapi');
+const { acceptsJson, methodNotAllowed } = require('./errors');
+
+const router = express.Router();
+
+// The document only depends on the code, so it is built once.
+var spec = null;
+
+//----------------------------------------------------------------------------
+// Controller functions related to the API documentation.
+//----------------------------------------------------------------------------
+
+/**
+ * Handle GET requests to /openapi.json to get the OpenAPI document
+ * describing every route of the API.
+ */
+router.get('/openapi.json', acceptsJson, function (req, res) {
+    if (spec === null) {
+        spec = buildSpec();
+    }
+    res.status(200).json(spec);
+});
+
+/**
+ * Serve the scripts and styles of Swagger UI to the documentation page from
+ * the installed swagger-ui-dist package, rather than from another site.
+ */
+router.use('/docs/assets', express.static(swaggerUiPath(), { 'index': false }));
+
+/**
+ * Display the interactive documentation page, which renders /openapi.json.
+ */
+router.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, './views/docs.html'));
+});
+
+/**
+ * Warn that only GET requests to the documentation are supported.
+ */
+router.all('/openapi.json', methodNotAllowed('/openapi.json', ['GET']));
+router.all('/docs', methodNotAllowed('/docs', ['GET']));
+
+//----------------------------------------------------------------------------
+
+module.exports = router;
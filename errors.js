@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+//----------------------------------------------------------------------------
+// Error classes thrown by the models and routes, and the middleware that
+// turns them into JSON responses. Every error response has the body:
+//
+//     { "code": "not_found", "message": "...", "details": null, "requestId": "..." }
+//----------------------------------------------------------------------------
+
+/**
+ * Base class of the errors sent to the client. status is the HTTP status code,
+ * code a short machine-readable name, and details any extra information
+ * (e.g. the attributes that failed validation), or null.
+ */
+class ApiError extends Error {
+    constructor (status, code, message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details === undefined ? null : details;
+    }
+};
+
+class ValidationError extends ApiError {
+    constructor (message, details) {
+        super(400, 'validation_error', message, details);
+    }
+};
+
+class UnauthorizedError extends ApiError {
+    constructor (message, details) {
+        super(401, 'unauthorized', message, details);
+    }
+};
+
+class ForbiddenError extends ApiError {
+    constructor (message, details) {
+        super(403, 'forbidden', message, details);
+    }
+};
+
+class NotFoundError extends ApiError {
+    constructor (message, details) {
+        super(404, 'not_found', message, details);
+    }
+};
+
+class MethodNotAllowedError extends ApiError {
+    constructor (message, details) {
+        super(405, 'method_not_allowed', message, details);
+    }
+};
+
+class NotAcceptableError extends ApiError {
+    constructor (message, details) {
+        super(406, 'not_acceptable', message, details);
+    }
+};
+
+class ConflictError extends ApiError {
+    constructor (message, details) {
+        super(409, 'conflict', message, details);
+    }
+};
+
+class GoneError extends ApiError {
+    constructor (message, details) {
+        super(410, 'gone', message, details);
+    }
+};
+
+class PreconditionFailedError extends ApiError {
+    constructor (message, details) {
+        super(412, 'precondition_failed', message, details);
+    }
+};
+
+class UnsupportedMediaTypeError extends ApiError {
+    constructor (message, details) {
+        super(415, 'unsupported_media_type', message, details);
+    }
+};
+
+class TooManyRequestsError extends ApiError {
+    constructor (message, details) {
+        super(429, 'too_many_requests', message, details);
+    }
+};
+
+//----------------------------------------------------------------------------
+// Middleware
+//----------------------------------------------------------------------------
+
+/**
+ * Give every request an ID, taken from the X-Request-Id header if the client
+ * (or a proxy) sent one, and echo it back in the response.
+ */
+function requestId (req, res, next) {
+    const given = req.get('X-Request-Id');
+    req.id = given !== undefined && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+/**
+ * Reject requests whose Accept header does not allow a JSON response.
+ */
+function acceptsJson (req, res, next) {
+    if (!req.accepts(['application/json'])) {
+        next(new NotAcceptableError('Unsupported MIME type requested - only application/json supported'));
+    } else {
+        next();
+    }
+};
+
+/**
+ * Build middleware rejecting requests whose body is not one of the given
+ * media types, which the error lists. PATCH requests are also told the types
+ * in the Accept-Patch header (RFC 5789).
+ */
+function requireBodyType (types) {
+    return function (req, res, next) {
+        if (!req.is(types)) {
+            if (req.method === 'PATCH') {
+                res.set('Accept-Patch', types.join(', '));
+            }
+            next(new UnsupportedMediaTypeError('Unsupported MIME type received - server can only accept ' + types.join(', '),
+                { 'supported': types }));
+        } else {
+            next();
+        }
+    };
+};
+
+/**
+ * Reject requests whose body is not JSON.
+ */
+const requireJsonBody = requireBodyType(['application/json']);
+
+/**
+ * Build a handler rejecting the methods not supported by a route, e.g.
+ * router.all('/', methodNotAllowed('/hives', ['GET', 'POST'])).
+ */
+function methodNotAllowed (path, methods) {
+    return function (req, res, next) {
+        res.set('Allow', methods.join(', '));
+        next(new MethodNotAllowedError('Acceptable requests to ' + path + ': ' + methods.join(', '),
+            { 'allowed': methods }));
+    };
+};
+
+/**
+ * Reject requests that did not match any route.
+ */
+function notFound (req, res, next) {
+    next(new NotFoundError('No route for ' + req.method + ' ' + req.path));
+};
+
+/**
+ * Send the JSON error response for an error passed to next(). Errors that
+ * are not ApiErrors are unexpected, so they are logged and always sent as
+ * a 500 without their message.
+ */
+function errorHandler (error, req, res, next) {
+    var apiError = error;
+
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    if (!(error instanceof ApiError)) {
+        if (error.type === 'entity.parse.failed') {
+            // thrown by bodyParser.json() for a malformed body
+            apiError = new ValidationError('The request body is not valid JSON');
+        } else if (error.expose === true && error.status >= 400 && error.status < 500) {
+            apiError = new ApiError(error.status, error.type || 'bad_request', error.message);
+        } else {
+            console.error(error);
+            apiError = new ApiError(500, 'internal_error', 'Unknown server error');
+        }
+    }
+
+    res.status(apiError.status).json({
+        'code': apiError.code,
+        'message': apiError.message,
+        'details': apiError.details,
+        'requestId': req.id === undefined ? null : req.id
+    });
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    MethodNotAllowedError,
+    NotAcceptableError,
+    ConflictError,
+    GoneError,
+    PreconditionFailedError,
+    UnsupportedMediaTypeError,
+    TooManyRequestsError,
+    requestId,
+    acceptsJson,
+    requireBodyType,
+    requireJsonBody,
+    methodNotAllowed,
+    notFound,
+    errorHandler
+};
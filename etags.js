@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { PreconditionFailedError } = require('./errors');
+
+//----------------------------------------------------------------------------
+// Entity tags (ETags) of hives and queens, shared by their routers for
+// optimistic concurrency. The tag is a hash of the stored attributes of the
+// entity, so it changes whenever the entity does, whichever route changed it.
+//
+// GET responses carry the tag, and are a 304 with no body if the If-None-Match
+// header holds the same tag. PUT, PATCH and DELETE requests with an If-Match
+// header are only carried out if it holds the current tag.
+//----------------------------------------------------------------------------
+
+/**
+ * JSON of a value with the attributes of every object in sorted order, since
+ * Datastore does not keep the order attributes were saved in.
+ */
+function canonicalJson (value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJson).join(',') + ']';
+    } else if (value !== null && typeof value === 'object') {
+        const attributes = Object.keys(value).filter(attribute => value[attribute] !== undefined).sort();
+        return '{' + attributes.map(attribute => JSON.stringify(attribute) + ':' + canonicalJson(value[attribute])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+};
+
+/**
+ * Build the strong entity tag of the stored attributes of an entity, along
+ * with anything else its GET response includes (e.g. a hive's latest
+ * inspection). The ID added by fromDatastore must not be among them.
+ */
+function entityTag (entity, extra) {
+    const hash = crypto.createHash('sha256')
+        .update(canonicalJson({ 'entity': entity, 'extra': extra === undefined ? null : extra }))
+        .digest('base64url');
+    return '"' + hash.substr(0, 27) + '"';
+};
+
+/**
+ * Split an If-Match or If-None-Match header into its tags.
+ */
+function parseTags (header) {
+    return header.split(',').map(tag => tag.trim());
+};
+
+/**
+ * Whether the request has an If-None-Match header that holds the current tag
+ * of the entity (or '*'), so that the client's copy is still valid. Weak tags
+ * match too, as RFC 9110 asks for GET requests.
+ *
+ * Express makes the same check in res.json, but skips it when the request has
+ * Cache-Control: no-cache, which fetch adds to every conditional request.
+ */
+function isNotModified (req, etag) {
+    const header = req.get('If-None-Match');
+
+    if (header === undefined) {
+        return false;
+    }
+    return parseTags(header).some(tag => tag === '*' || tag === etag || tag === 'W/' + etag);
+};
+
+/**
+ * Throw an error if an If-Match header (undefined if the request has none)
+ * does not hold the current tag of the entity, described by noun (e.g.
+ * 'hive'). Weak tags never match, and '*' matches any entity.
+ */
+function checkIfMatch (header, etag, noun) {
+    if (header === undefined || header === null || header.trim() === '*') {
+        return;
+    } else if (!parseTags(header).includes(etag)) {
+        throw new PreconditionFailedError('The ' + noun + ' has changed since it was read; get it again before changing it',
+            { 'etag': etag });
+    }
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    entityTag,
+    isNotModified,
+    checkIfMatch
+};
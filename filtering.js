@@ -0,0 +1,217 @@
+const { ValidationError } = require('./errors');
+
+// Query parameters that control paging, or which collection is listed,
+// rather than filtering.
+const RESERVED_PARAMS = ['limit', 'cursor', 'sort', 'shared'];
+
+// Operators accepted in the form ?field[operator]=value, and the Datastore
+// operator each one maps to. A bare ?field=value uses 'eq'.
+const OPERATORS = {
+    'eq': '=',
+    'gt': '>',
+    'gte': '>=',
+    'lt': '<',
+    'lte': '<='
+};
+
+//----------------------------------------------------------------------------
+// Helper functions used to filter and sort collections from the query string.
+//----------------------------------------------------------------------------
+
+/**
+ * Build the error thrown for an invalid filter or sort. The reason is sent
+ * back to the client in the 400 response.
+ */
+function invalidQuery (reason) {
+    return new ValidationError(reason);
+};
+
+/**
+ * Convert the query string value of a filter to the type of its field.
+ *
+ * Field types:
+ *  string: compared as given
+ *  int: whole numbers only
+ *  boolean: 'true' or 'false' (e.g. hasQueen, which is kept up to date on each
+ *      hive along with its queen attribute)
+ */
+function parseValue (name, field, value) {
+    if (typeof value !== 'string') {
+        throw invalidQuery('The filter for ' + name + ' can only be given once');
+    }
+
+    if (field.type === 'int') {
+        if (!/^-?[0-9]+$/.test(value)) {
+            throw invalidQuery(name + ' must be filtered by a whole number');
+        }
+        return parseInt(value, 10);
+    } else if (field.type === 'boolean') {
+        if (value !== 'true' && value !== 'false') {
+            throw invalidQuery(name + ' must be filtered by true or false');
+        }
+        return value === 'true';
+    }
+    return value;
+};
+
+/**
+ * Read the filters and sort order of a collection request from its query string.
+ *
+ * fields maps each query parameter that may be used to the entity attribute it
+ * filters, e.g. { 'colonySize': { 'type': 'int' } }. A field may name a
+ * different 'property', may list its allowed values as 'enum', and may be
+ * marked 'sortable: false'.
+ *
+ * Throws a ValidationError, with the reason to show the client, if an
+ * unknown field or operator is used, a value has the wrong type, or the
+ * combination cannot be run by Datastore (see checkIndexed).
+ */
+function parseCollectionQuery (req, fields) {
+    const filters = [];
+    const orders = [];
+    var inequalityProperty = null;
+
+    Object.keys(req.query).forEach(name => {
+        if (RESERVED_PARAMS.includes(name)) {
+            return;
+        }
+
+        const field = fields[name];
+        if (field === undefined) {
+            throw invalidQuery('Unknown filter: ' + name + '. Supported filters: ' + Object.keys(fields).join(', '));
+        }
+        const property = field.property || name;
+
+        // ?field=value is an equality filter, ?field[op]=value uses the given operator
+        var conditions = req.query[name];
+        if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+            conditions = { 'eq': conditions };
+        }
+
+        Object.keys(conditions).forEach(operator => {
+            if (OPERATORS[operator] === undefined) {
+                throw invalidQuery('Unknown operator for ' + name + ': ' + operator + '. Supported operators: ' + Object.keys(OPERATORS).join(', '));
+            } else if (field.type === 'boolean' && operator !== 'eq') {
+                throw invalidQuery(name + ' can only be filtered by equality');
+            }
+
+            const value = parseValue(name, field, conditions[operator]);
+            // a field with an enum (from the schema) can only equal one of its values
+            if (field.enum !== undefined && operator === 'eq' && !field.enum.includes(value)) {
+                throw invalidQuery(name + ' must be one of: ' + field.enum.join(', '));
+            }
+            filters.push({ 'property': property, 'operator': OPERATORS[operator], 'value': value });
+            if (operator !== 'eq') {
+                inequalityProperty = checkInequality(inequalityProperty, property);
+            }
+        });
+    });
+
+    if (req.query.sort !== undefined) {
+        if (typeof req.query.sort !== 'string') {
+            throw invalidQuery('sort can only be given once, as a comma separated list');
+        }
+
+        req.query.sort.split(',').forEach(key => {
+            const descending = key.startsWith('-');
+            const name = descending ? key.substr(1) : key;
+            const field = fields[name];
+            if (field === undefined || field.sortable === false) {
+                throw invalidQuery('Cannot sort by: ' + name);
+            } else if (orders.some(order => order.property === (field.property || name))) {
+                throw invalidQuery('Cannot sort by ' + name + ' more than once');
+            }
+            orders.push({ 'property': field.property || name, 'descending': descending });
+        });
+
+        // Datastore must sort by the property with an inequality filter first
+        if (inequalityProperty !== null && orders[0].property !== inequalityProperty) {
+            throw invalidQuery('Results filtered by a range must be sorted by that attribute first');
+        }
+    }
+
+    checkIndexed(filters, orders, inequalityProperty);
+    return { 'filters': filters, 'orders': orders };
+};
+
+/**
+ * Datastore needs a composite index for every combination of filters and sort
+ * order it runs, and index.yaml has those of these combinations, along with
+ * the filter by beekeeper that every list adds:
+ *  - filters by value only, which Datastore runs by merging its built-in
+ *      indexes
+ *  - one attribute sorted or filtered by a range, and at most one other
+ *      filtered by value
+ *  - two attributes sorted, without filters by value
+ * Throws an error for any other combination, rather than letting Datastore
+ * fail for want of an index.
+ */
+function checkIndexed (filters, orders, inequalityProperty) {
+    const ordered = orders.length > 0
+        ? orders.map(order => order.property)
+        : (inequalityProperty === null ? [] : [inequalityProperty]);
+    const equalities = filters.filter(filter => filter.operator === '=').map(filter => filter.property);
+
+    const both = equalities.find(property => ordered.includes(property));
+    if (both !== undefined) {
+        throw invalidQuery(both + ' cannot be filtered by a value and sorted or filtered by a range as well');
+    } else if (ordered.length > 2) {
+        throw invalidQuery('Results can be sorted by at most two attributes');
+    } else if (ordered.length === 2 && equalities.length > 0) {
+        throw invalidQuery('Results sorted by two attributes cannot be filtered by a value as well');
+    } else if (ordered.length === 1 && new Set(equalities).size > 1) {
+        throw invalidQuery('Results sorted or filtered by a range can only be filtered by one other value as well');
+    }
+};
+
+/**
+ * Datastore only allows range filters on one property per query.
+ * Returns the property that has a range filter, or throws an error
+ * if a second property is given one.
+ */
+function checkInequality (inequalityProperty, property) {
+    if (inequalityProperty !== null && inequalityProperty !== property) {
+        throw invalidQuery('Only one attribute can be filtered by a range');
+    }
+    return property;
+};
+
+/**
+ * Read the 'shared' query parameter of GET /hives and GET /queens, which lists
+ * the entities shared with the user instead of their own. Those are gathered
+ * from several shares rather than read by one query, so they cannot be
+ * filtered or sorted.
+ * Throws an error if it is neither 'true' nor 'false', or is combined with
+ * the filters or sort order read by parseCollectionQuery.
+ */
+function isSharedListing (req, collectionQuery) {
+    if (req.query.shared === undefined || req.query.shared === 'false') {
+        return false;
+    } else if (req.query.shared !== 'true') {
+        throw invalidQuery('shared must be true or false');
+    } else if (collectionQuery.filters.length > 0 || collectionQuery.orders.length > 0) {
+        throw invalidQuery('The entities shared with you cannot be filtered or sorted');
+    }
+    return true;
+};
+
+/**
+ * Add the filters and sort order read by parseCollectionQuery to a Datastore query.
+ */
+function applyCollectionQuery (query, collectionQuery) {
+    collectionQuery.filters.forEach(filter => {
+        query = query.filter(filter.property, filter.operator, filter.value);
+    });
+    collectionQuery.orders.forEach(order => {
+        query = query.order(order.property, { descending: order.descending });
+    });
+    return query;
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    parseCollectionQuery,
+    isSharedListing,
+    applyCollectionQuery
+};
@@ -0,0 +1,142 @@
+const ds = require('./datastore');
+const { paginate } = require('./pagination');
+const { QUEEN_HISTORY } = require('./constants');
+const { ValidationError } = require('./errors');
+const { isDate } = require('./schema');
+
+const datastore = ds.datastore;
+
+// Reasons a queen can arrive in or leave a hive.
+const HISTORY_REASONS = ['swarm', 'supersedure', 'requeen', 'died'];
+
+//----------------------------------------------------------------------------
+// Queen history shared by the hive and queen routers. Every time a queen is
+// assigned to a hive, an entry is opened with the date and reason; removing
+// the queen closes the entry with its own date and reason.
+//----------------------------------------------------------------------------
+
+/**
+ * Read the reason and date (YYYY-MM-DD, defaults to today) of an assignment
+ * or removal from the request body.
+ *
+ * Returns { reason, date }, and throws an error if either is invalid.
+ */
+function getHistoryInfo (body) {
+    const info = body == null ? {} : body;
+    const reason = info.reason === undefined ? null : info.reason;
+    const date = info.date === undefined ? new Date().toISOString().substr(0, 10) : info.date;
+
+    if (reason !== null && !HISTORY_REASONS.includes(reason)) {
+        throw new ValidationError('reason must be one of: ' + HISTORY_REASONS.join(', '));
+    } else if (!isDate(date)) {
+        throw new ValidationError('date must be a valid date in the format YYYY-MM-DD');
+    }
+    return { 'reason': reason, 'date': date };
+};
+
+/**
+ * Open a history entry for the queen moving into the hive, as part of the
+ * given transaction.
+ */
+function openHistoryEntry (transaction, hive, queen, historyInfo) {
+    const entry = { 'hive': String(hive[ds.Datastore.KEY].id),
+                    'hiveName': hive.hiveName,
+                    'queen': String(queen[ds.Datastore.KEY].id),
+                    'queenName': queen.name,
+                    'beekeeper': queen.beekeeper,
+                    'startDate': historyInfo.date,
+                    'startReason': historyInfo.reason,
+                    'endDate': null,
+                    'endReason': null
+                };
+    transaction.save({ 'key': datastore.key(QUEEN_HISTORY), 'data': entry });
+};
+
+/**
+ * Find the keys of the open history entries for the queen in the hive.
+ * Queries cannot run inside a transaction, so this is called before the
+ * transaction that closes them.
+ */
+function findOpenHistoryEntries (hiveId, queenId) {
+    const query = datastore.createQuery(QUEEN_HISTORY)
+        .filter('hive', '=', String(hiveId))
+        .filter('queen', '=', String(queenId))
+        .filter('endDate', '=', null)
+        .select('__key__');
+
+    return datastore.runQuery(query)
+        .then(entries => {
+            return entries[0].map(entry => entry[ds.Datastore.KEY]);
+        });
+};
+
+/**
+ * Close the history entries with the given keys as part of the given
+ * transaction. Entries that were closed in the meantime are left alone.
+ * Throws an error if the date is earlier than the start of an entry.
+ */
+function closeHistoryEntries (transaction, entryKeys, historyInfo) {
+    if (entryKeys.length === 0) {
+        return Promise.resolve();
+    }
+
+    return transaction.get(entryKeys)
+        .then(entries => {
+            const openEntries = entries[0].filter(entry => entry != null && entry.endDate === null);
+            // dates in the format YYYY-MM-DD sort like strings
+            const started = openEntries.find(entry => historyInfo.date < entry.startDate);
+            if (started !== undefined) {
+                throw new ValidationError('date must not be earlier than ' + started.startDate
+                    + ', when the queen was assigned to the hive');
+            }
+            openEntries.forEach(entry => {
+                entry.endDate = historyInfo.date;
+                entry.endReason = historyInfo.reason;
+            });
+            if (openEntries.length > 0) {
+                transaction.save(openEntries);
+            }
+            return;
+        });
+};
+
+/**
+ * Get a page of history entries where property ('hive' or 'queen') is id,
+ * most recent first.
+ */
+function getHistory (req, property, id) {
+    const host = req.protocol + '://' + req.get('host');
+
+    return paginate(req, () => {
+        return datastore.createQuery(QUEEN_HISTORY)
+            .filter(property, '=', String(id))
+            .order('startDate', { descending: true });
+    })
+        .then(page => {
+            const history = page.items.map(entry => {
+                return { 'id': String(entry[ds.Datastore.KEY].id),
+                            'hive': { 'id': entry.hive, 'hiveName': entry.hiveName, 'self': host + '/hives/' + entry.hive },
+                            'queen': { 'id': entry.queen, 'name': entry.queenName, 'self': host + '/queens/' + entry.queen },
+                            'startDate': entry.startDate,
+                            'startReason': entry.startReason,
+                            'endDate': entry.endDate,
+                            'endReason': entry.endReason
+                        };
+            });
+            return { 'total': page.total, 'history': history, 'next': page.next, 'prev': page.prev };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    HISTORY_REASONS,
+    getHistoryInfo,
+    openHistoryEntry,
+    findOpenHistoryEntries,
+    closeHistoryEntries,
+    getHistory
+};
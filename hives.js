@@ -2,132 +2,114 @@ const express = require('express');
 const bodyParser = require('body-parser');
 
 const ds = require('./datastore');
-const { OAUTH2CLIENT, CLIENT_ID, USERS, HIVES, QUEENS } = require('./constants');
+const { verifyJwt, verifyHiveRole, verifyQueenRole } = require('./auth');
+const { paginate, paginateList } = require('./pagination');
+const { parseCollectionQuery, isSharedListing, applyCollectionQuery } = require('./filtering');
+const history = require('./history');
+const etags = require('./etags');
+const patches = require('./patches');
+const bulk = require('./bulk');
+const audit = require('./audit');
+const { findLatestInspection } = require('./inspections');
+const roles = require('./roles');
+const { validateBody } = require('./schema');
+const { NotFoundError, ConflictError,
+        acceptsJson, requireBodyType, requireJsonBody, methodNotAllowed } = require('./errors');
+const { HIVES, DELETED_HIVES, QUEENS, APIARIES } = require('./constants');
 
 const router = express.Router();
 
 const datastore = ds.datastore;
 
-router.use(bodyParser.json());
+router.use(bodyParser.json({ 'type': patches.PATCH_TYPES }));
+router.use(verifyJwt);
+router.use('/:hive_id/inspections', require('./inspections'));
 
 //----------------------------------------------------------------------------
-// Authentication and verificiation functions used to authenticate users 
-// and validate request input.
+// Schema used to validate request input.
 //----------------------------------------------------------------------------
 
-/**
- * Use the Google API to verify the JWT of the request.
- * Structure and code based on the example from the 
- * 'Authenticate with a backend server' guide at
- * https://developers.google.com/identity/sign-in/web/backend-auth
- */
-function verifyJwt (req) {
-    var idToken = '';
-    if (req.headers.authorization !== undefined) {
-        // remove the bearer suffix
-        idToken = req.headers.authorization.substr(7);
-    }
+// Structure types a hive can be built as.
+const STRUCTURE_TYPES = ['Langstroth', 'Top bar', 'Warre', 'Dadant', 'Layens', 'Flow', 'Skep', 'Other'];
 
-    verificationParams = {
-        'idToken': idToken,
-        'audience': CLIENT_ID
-    };
+// Attributes of a hive that can be set by POST, PUT and PATCH /hives. The queen
+// and apiary are set through their own routes.
+const HIVE_SCHEMA = {
+    'hiveName': { 'type': 'string', 'required': true, 'minLength': 1, 'maxLength': 100 },
+    'structureType': { 'type': 'string', 'required': true, 'enum': STRUCTURE_TYPES },
+    'colonySize': { 'type': 'int', 'required': true, 'min': 0, 'max': 1000000 }
+};
 
-    return OAUTH2CLIENT.verifyIdToken(verificationParams)
-        .then(ticket => {
-            return ticket.getPayload(); 
-        })
-        .then(payload => {
-            return payload['sub'];
-        })
-        .catch(error => {
-            throw new Error('Missing or invalid JWT');
-        });
+//----------------------------------------------------------------------------
+// Model functions related to HIVE entities.
+//----------------------------------------------------------------------------
+
+// Attributes of the hive schema that GET /hives can be filtered and sorted by.
+const HIVE_QUERY_FIELDS = {
+    'hiveName': { 'type': 'string' },
+    'structureType': { 'type': 'string', 'enum': STRUCTURE_TYPES },
+    'colonySize': { 'type': 'int' },
+    'hasQueen': { 'type': 'boolean', 'sortable': false }
 };
 
 /**
- * Verify that the user is the beekeeper for the given hive.
- * Throws an error if the user does not match the hive's beekeeper.
- * Throws an error if the hive is not found.
- * Returns the hive if the beekeeper is valid.
+ * Build a new hive with the attributes in hiveInfo, owned by the
+ * authenticated user, under a newly allocated key. Used by createHive and
+ * POST /hives/bulk.
+ *
+ * Resolves to { key, hive, entities }, where entities are the hive and the
+ * audit event of its creation, to save together.
  */
-function verifyBeekeeper (beekeeperId, hiveId) {
-    const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
+function buildHive (req, hiveInfo) {
+    const newHive = { 'hiveName': hiveInfo.hiveName,
+                        'structureType': hiveInfo.structureType,
+                        'colonySize': hiveInfo.colonySize,
+                        'queen': null,
+                        'hasQueen': false,
+                        'apiary': null
+                    };
 
-    return datastore.get(hiveKey)
-        .then(hive => {
-            if (hive[0] === undefined || hive[0] === null) {
-                throw new Error('Hive and/or queen not found');
-            } else if (hive[0].beekeeper !== beekeeperId) {
-                throw new Error('Hive has a different owner');
-            } else {
-                return hive;
-            }
-        });
-};
+    // The authenticated user owns the new entity
+    newHive.beekeeper = req.user.sub;
 
-/**
- * Verify that the attribute uses only spaces and alphanumeric characters.
- * Will not be used to validate date attributes.
- * 
- * Returns nothing if no errors are present, and throws an error if 
- * non-alphanumeric characters are found.
- */
-function verifyAttribute (attribute) {
-    // Information about Regular Expressions learned through trial and error
-    // based on the 'Regular Expressions Quick Start' Guide.
-    // from: https://www.regular-expressions.info/quickstart.html
-    const valid = /^[a-zA-Z0-9 ]+$/;
-
-    if (!valid.test(attribute)) {
-        throw new Error('invalid characters');
-    } else {
-        return;
-    }
+    // Allocate the hive's ID first, so that its audit event can be saved along with it
+    return datastore.allocateIds(datastore.key(HIVES), 1)
+        .then(keys => {
+            const hiveKey = keys[0][0];
+            return { 'key': hiveKey,
+                        'hive': newHive,
+                        'entities': [{ 'key': hiveKey, 'data': newHive },
+                                        audit.auditEvent(req, 'hive', hiveKey.id, 'create', null, newHive)]
+                    };
+        });
 };
 
-//----------------------------------------------------------------------------
-// Model functions related to HIVE entities.
-//----------------------------------------------------------------------------
-
 /**
  * Function to create a new hive.
  * 
  * Schema: 
  *  hiveName (string): tag name for this beehive
- *  structureType (string): structure type of the beehive (e.g. 'long box')
+ *  structureType (string): structure type of the beehive (one of STRUCTURE_TYPES)
  *  colonySize (int): approximate number of bees in the hive at last check
  *  beekeeper (string): the user ID for this hive's beekeeper (creator)
  *  queen (QUEEN): the hive's current queen (must be added by 
  *      PUT /hive/:hive_id/queen/:queen_id)
+ *  apiary (APIARY): the apiary the hive is kept in (must be added by
+ *      PUT /apiaries/:apiary_id/hives/:hive_id)
  * 
- * All string attributes must be alphanumeric.
+ * The attributes are validated against HIVE_SCHEMA by the route.
  */
 function createHive (req, hiveName, structureType, colonySize) {
-    var newHiveKey = datastore.key(HIVES);
-    const newHive = { 'hiveName': hiveName,
-                        'structureType': structureType,
-                        'colonySize': colonySize,
-                        'queen': null
-                    };
-    const hive = { 'key': newHiveKey, 'data': newHive };
-    
-    // Verify the user
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            newHive.beekeeper = beekeeperId;
-            // Verify hiveName and structureType before saving to datastore
-            return verifyAttribute(hiveName);
-        })
-        .then(() => {
-            verifyAttribute(structureType);
-        })
-        .then(() => {
-            return datastore.save(hive);
+    var newHive = {};
+
+    return buildHive(req, { 'hiveName': hiveName, 'structureType': structureType, 'colonySize': colonySize })
+        .then(built => {
+            newHive = built;
+            return datastore.save(built.entities);
         })
         .then(() => {
-            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + newHiveKey.id;
-            return { 'id': newHiveKey.id, ...newHive, 'self': self };
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + newHive.key.id;
+            return { 'id': newHive.key.id, ...newHive.hive, 'self': self };
         })
         .catch(error => {
             throw error;
@@ -135,59 +117,78 @@ function createHive (req, hiveName, structureType, colonySize) {
 };
 
 /**
- * Retrieve all hives for the authenticated user. The results will be paginated to 
- * a size of 5, and include a link to the next 5 results. 
+ * Retrieve all hives of the given beekeeper. The results will be paginated to 
+ * the size given by the 'limit' query parameter (5 by default), and include links
+ * to the next and previous pages of results.
+ * 
+ * The hives can be filtered and sorted by the attributes in HIVE_QUERY_FIELDS,
+ * e.g. '?colonySize[gte]=20000&hasQueen=false&sort=-colonySize'.
+ *
+ * With '?shared=true', the hives shared with the beekeeper (directly or
+ * through an apiary) are listed instead, in the order of their IDs.
  */
-function getHives (req) {
-    var foundHives = {};
-    var foundHivesInfo = {};
-    var beekeeper = '';
+function getHives (req, beekeeperId) {
+    var collectionQuery = {};
+    var shared = false;
 
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            beekeeper = beekeeperId;
-            const allHivesQuery = datastore.createQuery(HIVES)
-                .filter('beekeeper', '=', beekeeper);
-            return datastore.runQuery(allHivesQuery);
-        })
-        .then(hives => {
-            foundHives.total = hives[0].length;
-            const paginHivesQuery = datastore.createQuery(HIVES).limit(5)
-                .filter('beekeeper', '=', beekeeper);
-            return datastore.runQuery(paginHivesQuery);
-        })
-        .then(hives => {
-            foundHives.hives = hives[0]; // hive entities as a list
-            foundHivesInfo = hives[1]; // query information
-            foundHives.hives.map(ds.fromDatastore);
-            
-            // add a link to the next page of results if there are more results remaining
-            if (foundHivesInfo.moreResults !== datastore.NO_MORE_RESULTS) {
-                foundHives.next = req.protocol + "://" + req.get("host") + req.baseUrl + "?cursor=" + foundHivesInfo.endCursor;
-            }
-            return foundHives;
+    try {
+        collectionQuery = parseCollectionQuery(req, HIVE_QUERY_FIELDS);
+        shared = isSharedListing(req, collectionQuery);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const listed = shared
+        ? roles.findSharedHives(beekeeperId).then(hives => paginateList(req, hives))
+        : paginate(req, () => {
+            const hivesQuery = datastore.createQuery(HIVES).filter('beekeeper', '=', beekeeperId);
+            return applyCollectionQuery(hivesQuery, collectionQuery);
+        });
+
+    return listed
+        .then(page => {
+            return { 'total': page.total, 'hives': page.items, 'next': page.next, 'prev': page.prev };
         })
         .catch(error => {
             throw error;
         });
 };
 
+/**
+ * Build the entity tag of a hive (see etags.js) from its stored attributes
+ * and its latest inspection, which GET /hives/:hive_id includes.
+ */
+function hiveTag (hive, latestInspection) {
+    return etags.entityTag(hive, latestInspection);
+};
+
 /**
  * Retrieve the hive with the given ID.
  * If not found, throw an error.
  * Response includes the self link.
+ *
+ * Resolves to { etag, hive }.
  */
 function getHive (req, hiveId) {
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            return verifyBeekeeper(beekeeperId, hiveId);
-        })
+    var foundHive = {};
+
+    return verifyHiveRole(req.user.sub, hiveId, 'viewer')
         .then(hive => {
+            foundHive = hive;
+            return findLatestInspection(hiveId);
+        })
+        .then(latestInspection => {
+            const etag = hiveTag(foundHive[0], latestInspection);
+
             // Save self link and return object containining all hive data
-            const hiveObj = hive.map(ds.fromDatastore)[0];
-            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + hiveObj.id;
-            hiveObj.self = self;
-            return hiveObj;
+            const hiveObj = foundHive.map(ds.fromDatastore)[0];
+            hiveObj.self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + hiveObj.id;
+            hiveObj.latestInspection = null;
+            if (latestInspection !== null) {
+                const inspectionSelf = hiveObj.self + '/inspections/' + latestInspection.id;
+                hiveObj.latestInspection = { ...latestInspection, 'self': inspectionSelf };
+            }
+            return { 'etag': etag, 'hive': hiveObj };
         })
         .catch(error => {
             throw error;
@@ -195,41 +196,206 @@ function getHive (req, hiveId) {
 };
 
 /**
- * Delete the hive with the given ID.
- * If not found, throw an error.
+ * Delete the hive with the given ID. If not found, throw an error.
+ *
+ * The hive is kept as a DELETED_HIVE entity with the same ID, along with its
+ * inspection log and its shares, so that it can be restored until it is
+ * purged (see purge.js). Keeping it as another kind hides it from every
+ * query of hives without filtering them.
+ * 
+ * The hive's queen (if any) is released from the hive in the same transaction,
+ * so the queen is never left pointing at a hive that no longer exists, and the
+ * queen's history entry for this hive is closed.
  */
 function deleteHive (req, hiveId) {
+    return prepareHiveDeletion(hiveId)
+        .then(prepared => {
+            return ds.runInTransaction(transaction => {
+                return deleteHiveInTransaction(req, transaction, hiveId, prepared, req.get('If-Match'));
+            });
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Find what deleting the hive with hive_id needs from queries, which cannot
+ * run inside a transaction: its latest inspection (for its ETag) and the open
+ * history entries of its queen.
+ * Helper function for use with deleteHive and POST /hives/bulk.
+ */
+function prepareHiveDeletion (hiveId) {
     const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
+    const prepared = { 'latestInspection': null, 'historyKeys': [], 'historyInfo': history.getHistoryInfo({}) };
 
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            return verifyBeekeeper(beekeeperId, hiveId);
+    return findLatestInspection(hiveId)
+        .then(inspection => {
+            prepared.latestInspection = inspection;
+            return datastore.get(hiveKey);
         })
         .then(hive => {
-            if (hive[0] == null) {
-                throw new Error('Hive and/or queen not found');
+            if (hive[0] == null || hive[0].queen == null) {
+                return [];
             }
+            return history.findOpenHistoryEntries(hiveId, hive[0].queen.id);
+        })
+        .then(historyKeys => {
+            prepared.historyKeys = historyKeys;
+            return prepared;
+        });
+};
+
+/**
+ * Delete the hive with hive_id as part of the given transaction, as described
+ * for deleteHive, with what prepareHiveDeletion found. ifMatch is the If-Match
+ * header the deletion is made with, if any.
+ * Helper function for use with deleteHive and POST /hives/bulk.
+ */
+function deleteHiveInTransaction (req, transaction, hiveId, prepared, ifMatch) {
+    const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
+    const deletedKey = datastore.key([DELETED_HIVES, parseInt(hiveId, 10)]);
+    var foundHive = {};
 
+    return verifyHiveRole(req.user.sub, hiveId, 'owner', transaction)
+        .then(hive => {
+            etags.checkIfMatch(ifMatch, hiveTag(hive[0], prepared.latestInspection), 'hive');
+            foundHive = hive;
             // remove association with a queen before deleting
             if (hive[0].queen != null) {
-                return removeQueen(req, hiveId, hive[0].queen.id);
+                return releaseQueen(req, transaction, hiveId, hive[0].queen.id)
+                    .then(() => history.closeHistoryEntries(transaction, prepared.historyKeys, prepared.historyInfo));
             }
             return;
         })
         .then(() => {
-            // delete the hive
-            return datastore.delete(hiveKey);
+            // the deleted hive remembers its queen, to take her back if it is restored
+            const deletedHive = { ...foundHive[0], 'deletedAt': new Date().toISOString(), 'deletedBy': req.user.sub };
+            transaction.delete(hiveKey);
+            transaction.save([{ 'key': deletedKey, 'data': deletedHive },
+                                audit.auditEvent(req, 'hive', hiveId, 'delete', foundHive[0], null)]);
+        });
+};
+
+/**
+ * Restore the hive with the given ID, deleted by deleteHive. Only the owner
+ * of the hive can restore it. Throws an error if the hive was not deleted,
+ * or has been purged.
+ *
+ * The hive gets back the queen it had when it was deleted, if she still
+ * exists, has not moved into another hive and the user is an editor of her;
+ * her history entry for the hive is opened again from today. The hive is
+ * taken out of its apiary if the apiary was deleted in the meantime.
+ */
+function restoreHive (req, hiveId) {
+    const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
+    const deletedKey = datastore.key([DELETED_HIVES, parseInt(hiveId, 10)]);
+    const historyInfo = history.getHistoryInfo({});
+    var restoredHive = {};
+
+    return ds.runInTransaction(transaction => {
+        var deletedHive = null;
+
+        return transaction.get(hiveKey)
+            .then(hive => {
+                if (hive[0] != null) {
+                    throw new ConflictError('Hive is not deleted');
+                }
+                return transaction.get(deletedKey);
+            })
+            .then(deleted => {
+                if (deleted[0] == null) {
+                    throw new NotFoundError('No hive with this hive_id exists');
+                }
+                deletedHive = deleted[0];
+                return roles.findHiveRole(req.user.sub, deletedHive, transaction);
+            })
+            .then(role => {
+                roles.requireRole(role, 'owner', 'Hive');
+                restoredHive = { 'hiveName': deletedHive.hiveName,
+                                    'structureType': deletedHive.structureType,
+                                    'colonySize': deletedHive.colonySize,
+                                    'beekeeper': deletedHive.beekeeper,
+                                    'queen': null,
+                                    'hasQueen': false,
+                                    'apiary': deletedHive.apiary === undefined ? null : deletedHive.apiary
+                                };
+                if (restoredHive.apiary === null) {
+                    return;
+                }
+                return transaction.get(datastore.key([APIARIES, parseInt(restoredHive.apiary.id, 10)]))
+                    .then(apiary => {
+                        if (apiary[0] == null) {
+                            restoredHive.apiary = null;
+                        }
+                    });
+            })
+            .then(() => {
+                if (deletedHive.queen == null) {
+                    return;
+                }
+                return reclaimQueen(req, transaction, deletedHive, restoredHive, historyInfo);
+            })
+            .then(() => {
+                transaction.delete(deletedKey);
+                transaction.save([{ 'key': hiveKey, 'data': restoredHive },
+                                    audit.auditEvent(req, 'hive', hiveId, 'restore', null, restoredHive)]);
+            });
+    })
+        .then(() => {
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + hiveKey.id;
+            return { 'id': hiveKey.id, ...restoredHive, 'self': self };
         })
         .catch(error => {
             throw error;
         });
 };
 
+/**
+ * Move the queen the deleted hive had back into the restored hive, as part
+ * of the given transaction, if she still exists, has no other hive and the
+ * user is an editor of her. Otherwise the hive is restored without a queen.
+ * Helper function for use with restoreHive.
+ */
+function reclaimQueen (req, transaction, deletedHive, restoredHive, historyInfo) {
+    const hiveId = deletedHive[ds.Datastore.KEY].id;
+    var foundQueen = {};
+
+    return transaction.get(datastore.key([QUEENS, parseInt(deletedHive.queen.id, 10)]))
+        .then(queen => {
+            if (queen[0] == null || queen[0].hive != null) {
+                return null;
+            }
+            foundQueen = queen;
+            return roles.findQueenRole(req.user.sub, queen[0], transaction);
+        })
+        .then(role => {
+            if (!roles.hasRole(role, 'editor')) {
+                return;
+            }
+
+            const oldQueen = { ...foundQueen[0] };
+            const hiveSelf = req.protocol + '://' + req.get('host') + '/hives/' + hiveId;
+            foundQueen[0].hive = { 'id': String(hiveId), 'hiveName': restoredHive.hiveName, 'self': hiveSelf };
+            foundQueen[0].hasHive = true;
+            restoredHive.queen = deletedHive.queen;
+            restoredHive.hasQueen = true;
+
+            transaction.save([foundQueen[0], audit.auditEvent(req, 'queen', deletedHive.queen.id, 'assign', oldQueen, foundQueen[0])]);
+            history.openHistoryEntry(transaction, deletedHive, foundQueen[0], historyInfo);
+        });
+};
+
 /**
  * Update all of the attributes of the hive with ID passed to updateHive.
  * 
  * The Queen attribute will not be updated. Updating a queen can be done 
- * through the route 'PUT /hives/:hive_id/queens/:queen_id'
+ * through the route 'PUT /hives/:hive_id/queens/:queen_id'. The same goes for
+ * the apiary, through 'PUT /apiaries/:apiary_id/hives/:hive_id'.
+ *
+ * The hive is read and saved in one transaction, so that the If-Match header
+ * (if any) is checked against the hive that is replaced.
+ * Resolves to { etag, hive }.
  */
 function putHive (req, hiveId, hiveName, structureType, colonySize) {
     const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
@@ -238,25 +404,31 @@ function putHive (req, hiveId, hiveName, structureType, colonySize) {
                         'colonySize': colonySize
                     };
 
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            newHive.beekeeper = beekeeperId;
-            return verifyBeekeeper(beekeeperId, hiveId);
-        })
-        .then(hive => {
-            newHive.queen = hive[0].queen;
-            // Verify hiveName and structureType before saving to datastore
-            return verifyAttribute(hiveName);
-        })
-        .then(() => {
-            return verifyAttribute(structureType);
-        })
-        .then(() => {
-            return datastore.save({ 'key': hiveKey, 'data': newHive });
+    var latestInspection = null;
+
+    // Queries cannot run inside a transaction, so find the latest inspection first
+    return findLatestInspection(hiveId)
+        .then(inspection => {
+            latestInspection = inspection;
+
+            return ds.runInTransaction(transaction => {
+                return verifyHiveRole(req.user.sub, hiveId, 'editor', transaction)
+                    .then(hive => {
+                        etags.checkIfMatch(req.get('If-Match'), hiveTag(hive[0], latestInspection), 'hive');
+
+                        // editors update the hive, but it stays with its beekeeper
+                        newHive.beekeeper = hive[0].beekeeper;
+                        newHive.queen = hive[0].queen;
+                        newHive.hasQueen = hive[0].queen != null;
+                        newHive.apiary = hive[0].apiary === undefined ? null : hive[0].apiary;
+                        transaction.save([{ 'key': hiveKey, 'data': newHive },
+                                            audit.auditEvent(req, 'hive', hiveId, 'update', hive[0], newHive)]);
+                    });
+            });
         })
         .then(() => {
             const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + hiveKey.id;
-            return { 'id': hiveKey.id, ...newHive, 'self': self };
+            return { 'etag': hiveTag(newHive, latestInspection), 'hive': { 'id': hiveKey.id, ...newHive, 'self': self } };
         })
         .catch(error => {
             throw error;
@@ -264,145 +436,315 @@ function putHive (req, hiveId, hiveName, structureType, colonySize) {
 };
 
 /**
- * Update any attributes of the hive with ID passed to updateHive.
+ * Update any attributes of the hive with ID passed to updateHive, with the
+ * body of the PATCH request: patch is the list of operations of a JSON Patch,
+ * a JSON Merge Patch, or the attributes to change, depending on patchType
+ * (see patches.js).
  * 
  * The Queen attribute will not be updated. Assigning a queen can be done 
- * through the route 'PUT /hives/:hive_id/queens/:queen_id'
+ * through the route 'PUT /hives/:hive_id/queens/:queen_id'. The same goes for
+ * the apiary, through 'PUT /apiaries/:apiary_id/hives/:hive_id'.
+ *
+ * Like putHive, the hive is read and saved in one transaction.
+ * Resolves to { etag, hive }.
  */
-function patchHive (req, hiveId, hiveName, structureType, colonySize) {  
-    const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
-    var foundHive = {};
+function patchHive (req, hiveId, patchType, patch) {
+    var latestInspection = null;
+
+    // Queries cannot run inside a transaction, so find the latest inspection first
+    return findLatestInspection(hiveId)
+        .then(inspection => {
+            latestInspection = inspection;
 
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            return verifyBeekeeper(beekeeperId, hiveId);
+            return ds.runInTransaction(transaction => {
+                return patchHiveInTransaction(req, transaction, hiveId, patchType, patch, latestInspection, req.get('If-Match'));
+            });
         })
-        .then(hive => {
-            // save hive data and verify hiveName input
-            foundHive = hive.map(ds.fromDatastore)[0];
-            if (hiveName != null) {
-                foundHive.hiveName = hiveName;
-                return verifyAttribute(hiveName);
-            } else {
-                return;
-            }
+        .then(patched => {
+            patched.hive.self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + patched.hive.id;
+            return patched;
         })
-        .then(() => {
-            // verify structureType input (if applicable)
-            if (structureType != null) {
-                foundHive.structureType = structureType;
-                return verifyAttribute(structureType);
-            } else {
-                return;
-            }
-        })
-        .then(() => {
-            if (colonySize != null) {
-                foundHive.colonySize = colonySize;
-            }
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Patch the hive with hive_id as part of the given transaction, as described
+ * for patchHive, given its latest inspection. ifMatch is the If-Match header
+ * the change is made with, if any.
+ * Helper function for use with patchHive and POST /hives/bulk.
+ *
+ * Resolves to { etag, hive }, where the hive has no self link yet.
+ */
+function patchHiveInTransaction (req, transaction, hiveId, patchType, patch, latestInspection, ifMatch) {
+    const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
+
+    return verifyHiveRole(req.user.sub, hiveId, 'editor', transaction)
+        .then(hive => {
+            etags.checkIfMatch(ifMatch, hiveTag(hive[0], latestInspection), 'hive');
+
+            // patch the attributes a client can change, keeping the old ones for the audit trail
+            const oldHive = { ...hive[0] };
+            const attributes = { 'hiveName': hive[0].hiveName,
+                                    'structureType': hive[0].structureType,
+                                    'colonySize': hive[0].colonySize
+                                };
+            const patched = patches.applyPatch(patchType, patch, attributes, HIVE_SCHEMA);
+            const foundHive = hive.map(ds.fromDatastore)[0];
+            foundHive.hiveName = patched.hiveName;
+            foundHive.structureType = patched.structureType;
+            foundHive.colonySize = patched.colonySize;
             const data = { 'hiveName': foundHive.hiveName,
                             'structureType': foundHive.structureType,
                             'colonySize': foundHive.colonySize,
                             'beekeeper': foundHive.beekeeper,
-                            'queen': foundHive.queen
+                            'queen': foundHive.queen,
+                            'hasQueen': foundHive.queen != null,
+                            'apiary': foundHive.apiary === undefined ? null : foundHive.apiary
             };
-            return datastore.save({ 'key': hiveKey, 'data': data });
-        })
-        .then(() => {
-            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + hiveKey.id;
-            foundHive.self = self;
-            return foundHive;
-        })
-        .catch(error => {
-            throw error;
+            transaction.save([{ 'key': hiveKey, 'data': data },
+                                audit.auditEvent(req, 'hive', hiveId, 'update', oldHive, data)]);
+            return { 'etag': hiveTag(data, latestInspection), 'hive': foundHive };
         });
 };
 
 /**
  * Update the hive with hive_id to contain the queen with queen_id.
  * The queen object with queen_id is updated to now operate in this hive.
- * Error is returned if the user is not authenticated, the hive is not
- * found, or the queen already has a hive.
+ * Error is returned if the user is not authenticated, either entity is not
+ * found, the user is not an editor of both, or the queen already has a hive.
+ * 
+ * Both entities are read and saved in one transaction, so two hives can
+ * never claim the same queen. The same transaction opens a history entry
+ * with the date and reason given in the request body.
  */
 function assignQueen (req, hiveId, queenId) {
     const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
-    var foundHive = {};
+    const beekeeperId = req.user.sub;
+    var historyInfo = {};
+
+    try {
+        historyInfo = history.getHistoryInfo(req.body);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    return ds.runInTransaction(transaction => {
+        var foundHive = {};
+
+        return verifyHiveRole(beekeeperId, hiveId, 'editor', transaction)
+            .then(hive => {
+                foundHive = hive;
+                return verifyQueenRole(beekeeperId, queenId, 'editor', transaction);
+            })
+            .then(queen => {
+                if (queen[0].hive != null) {
+                    throw new ConflictError('Queen is already assigned');
+                } else if (foundHive[0].queen != null) {
+                    throw new ConflictError('Hive already has a queen');
+                }
+
+                const oldQueen = { ...queen[0] };
+                const oldHive = { ...foundHive[0] };
 
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            return verifyBeekeeper(beekeeperId, hiveId);
-        })
-        .then(hive => {
-            foundHive = hive;
-            return datastore.get(queenKey);
-        })
-        .then(queen => {
-            // if hive with given ID not found, throw error
-            if (queen[0] == null) {
-                throw new Error('Hive and/or queen not found');
-            } else if (queen[0].hive != null) {
-                throw new Error('Queen is already assigned');
-            } else {
                 // update the found queen to show the found hive as its carrier
                 const hiveSelf = req.protocol + '://' + req.get('host') + '/hives/' + hiveId;
-                const hive = { 'id': hiveId, 'hiveName': foundHive[0].hiveName, 'self': hiveSelf };
-                queen[0].hive = hive;
-                return datastore.save(queen[0]);
-            };
-        })
-        .then(() => {
-        // Update the found hive to now have the queen assigned to it
-            const queenSelf = req.protocol + '://' + req.get('host') + '/queens/' + queenKey.id;
-            foundHive[0].queen = { 'id': String(queenKey.id), 'self': queenSelf };
-            return datastore.save(foundHive[0]);
-        })
+                queen[0].hive = { 'id': String(hiveId), 'hiveName': foundHive[0].hiveName, 'self': hiveSelf };
+                queen[0].hasHive = true;
+
+                // update the found hive to now have the queen assigned to it
+                const queenSelf = req.protocol + '://' + req.get('host') + '/queens/' + queenKey.id;
+                foundHive[0].queen = { 'id': String(queenKey.id), 'self': queenSelf };
+                foundHive[0].hasQueen = true;
+
+                transaction.save([queen[0], foundHive[0],
+                                    audit.auditEvent(req, 'hive', hiveId, 'assign', oldHive, foundHive[0]),
+                                    audit.auditEvent(req, 'queen', queenKey.id, 'assign', oldQueen, queen[0])]);
+                history.openHistoryEntry(transaction, foundHive[0], queen[0], historyInfo);
+            });
+    })
         .catch(error => {
             throw error;
         });
 };
 
+/**
+ * Clear the hive of the queen with queen_id as part of the given transaction,
+ * if the queen still lives in the hive with hive_id. A queen that is missing
+ * or already points elsewhere is left alone, so that a dangling reference
+ * never blocks deleting a hive. The removal is recorded in her audit trail.
+ */
+function releaseQueen (req, transaction, hiveId, queenId) {
+    const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
+
+    return transaction.get(queenKey)
+        .then(queen => {
+            if (queen[0] != null && queen[0].hive != null && String(queen[0].hive.id) === String(hiveId)) {
+                const oldQueen = { ...queen[0] };
+                queen[0].hive = null;
+                queen[0].hasHive = false;
+                transaction.save([queen[0], audit.auditEvent(req, 'queen', queenId, 'remove', oldQueen, queen[0])]);
+            }
+            return;
+        });
+};
+
 /**
  * Remove the queen with queen_id from the hive with hive_id.
  * Error is returned if the user is not authenticated, the hive is not
  * found, or the queen is not associated with this hive.
+ * 
+ * Both entities are updated in one transaction, which also closes the
+ * queen's history entry with the date and reason given in the request body.
  */
 function removeQueen (req, hiveId, queenId) {
     const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
-    var foundHive = {};
-    
-    return verifyJwt(req)
-        .then(beekeeperId => {
-            return verifyBeekeeper(beekeeperId, hiveId);
+    var historyInfo = {};
+
+    try {
+        historyInfo = history.getHistoryInfo(req.body);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    return history.findOpenHistoryEntries(hiveId, queenId)
+        .then(historyKeys => {
+            return ds.runInTransaction(transaction => {
+                var foundHive = {};
+
+                return verifyHiveRole(req.user.sub, hiveId, 'editor', transaction)
+                    .then(hive => {
+                        foundHive = hive;
+                        if (foundHive[0].queen == null || String(foundHive[0].queen.id) !== queenId) {
+                            throw new ConflictError('Queen is not associated with this hive');
+                        }
+                        return transaction.get(queenKey);
+                    })
+                    .then(queen => {
+                        if (queen[0] == null) { // queen not found
+                            throw new NotFoundError('No queen with this queen_id exists');
+                        } else if (queen[0].hive == null || String(queen[0].hive.id) !== String(hiveId)) {
+                            throw new ConflictError('Queen is not associated with this hive');
+                        }
+
+                        // update the found queen and hive to no longer point at each other
+                        const oldQueen = { ...queen[0] };
+                        const oldHive = { ...foundHive[0] };
+                        queen[0].hive = null;
+                        queen[0].hasHive = false;
+                        foundHive[0].queen = null;
+                        foundHive[0].hasQueen = false;
+                        transaction.save([queen[0], foundHive[0],
+                                            audit.auditEvent(req, 'hive', hiveId, 'remove', oldHive, foundHive[0]),
+                                            audit.auditEvent(req, 'queen', queenId, 'remove', oldQueen, queen[0])]);
+                        return history.closeHistoryEntries(transaction, historyKeys, historyInfo);
+                    });
+            });
         })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the users the hive with hive_id is shared with, paginated like
+ * GET /hives. Only the owner of the hive can see them.
+ */
+function getHiveShares (req, hiveId) {
+    return verifyHiveRole(req.user.sub, hiveId, 'owner')
+        .then(() => {
+            return roles.getShares(req, { 'type': 'hive', 'entityId': String(hiveId) });
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Share the hive with hive_id with the user with user_id as a viewer or an
+ * editor, or change their role. Only the owner of the hive can share it.
+ */
+function shareHive (req, hiveId, userId, role) {
+    return verifyHiveRole(req.user.sub, hiveId, 'owner')
         .then(hive => {
-            foundHive = hive;
-            if (foundHive[0].queen == null || String(foundHive[0].queen.id) !== queenId) {
-                throw new Error('Queen is not associated with this hive');
-            } else {
-                foundHive[0].queen = null;
-                return datastore.get(queenKey);
-            };
+            return roles.putShare(req, 'hive', hiveId, hive[0].beekeeper, userId, role);
         })
-        .then(queen => {
-            if (queen[0] == null) { // queen not found
-                throw new Error('Hive and/or queen not found');
-            } else if (queen[0].hive == null) {
-                throw new Error('Queen is not associated with this hive');
-            } else if (queen[0].hive.id !== hiveId) {
-                throw new Error('Queen is not associated with this hive');
-            } else {
-                // update the found queen to remove its hive (set to null)
-                queen[0].hive = null;
-                return datastore.save(queen[0]);
-            };
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Stop sharing the hive with hive_id with the user with user_id ('me' for
+ * the authenticated user). The owner can remove anyone, and users can leave
+ * a hive that is shared with them.
+ */
+function unshareHive (req, hiveId, userId) {
+    const subject = userId === 'me' ? req.user.sub : userId;
+
+    return verifyHiveRole(req.user.sub, hiveId, subject === req.user.sub ? 'viewer' : 'owner')
+        .then(() => {
+            return roles.deleteShare('hive', hiveId, subject);
         })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the queens the hive with hive_id has had, most recent first.
+ * The results are paginated like GET /hives.
+ */
+function getQueenHistory (req, hiveId) {
+    return verifyHiveRole(req.user.sub, hiveId, 'viewer')
         .then(() => {
-            // Save the hive entity with the updated queen array
-            return datastore.save(foundHive[0]);
+            return history.getHistory(req, 'hive', hiveId);
         })
         .catch(error => {
             throw error;
+        });
+};
+
+/**
+ * Retrieve the changes made to the hive with hive_id, most recent first.
+ * The results are paginated like GET /hives.
+ */
+function getHiveAudit (req, hiveId) {
+    return verifyHiveRole(req.user.sub, hiveId, 'viewer')
+        .then(() => {
+            return audit.getAuditEvents(req, 'hive', hiveId);
         })
+        .catch(error => {
+            throw error;
+        });
+};
+
+// What each operation of POST /hives/bulk does (see bulk.js): an update
+// patches the hive with the attributes given, like PATCH /hives/:hive_id.
+const HIVE_BULK_OPERATIONS = {
+    'create': {
+        'prepare': (req, operation) => buildHive(req, operation.data),
+        'apply': (req, transaction, operation, built) => {
+            transaction.save(built.entities);
+            return Promise.resolve(built.key.id);
+        }
+    },
+    'update': {
+        'prepare': (req, operation) => findLatestInspection(operation.id),
+        'apply': (req, transaction, operation, latestInspection) => {
+            return patchHiveInTransaction(req, transaction, operation.id, patches.JSON_TYPE, operation.data,
+                latestInspection, operation.ifMatch)
+                .then(() => operation.id);
+        }
+    },
+    'delete': {
+        'prepare': (req, operation) => prepareHiveDeletion(operation.id),
+        'apply': (req, transaction, operation, prepared) => {
+            return deleteHiveInTransaction(req, transaction, operation.id, prepared, operation.ifMatch)
+                .then(() => operation.id);
+        }
+    }
 };
 
 //----------------------------------------------------------------------------
@@ -413,260 +755,273 @@ function removeQueen (req, hiveId, queenId) {
  * Handle POST requests to /hives to create a new hive. A new hive will not
  * be created if hiveName, structureType, or colonySize is missing from the request.
  */
-router.post('/', function (req, res) {
-    if (req.get('Content-Type') !== 'application/json') {
-        res.status(415).json({ Error: 'Unsupported MIME type received - server can only accept application/json' });
-
-    } else if (req.body.hiveName === undefined || req.body.structureType === undefined || req.body.colonySize === undefined) {
-        res.status(400).json({ Error: 'The request object is missing at least one of the required attributes' });
-
-    } else {
-        createHive(req, req.body.hiveName, req.body.structureType, req.body.colonySize)
-            .then(hive => {
-                // req.accepts() returns content type if found, and False if none found
-                // Source: https://www.tutorialspoint.com/express-js-req-accepts-method
-                const accepts = req.accepts(['application/json']);
-                if (!accepts) {
-                    res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-                } else if (accepts === 'application/json') {
-                    res.set('Content-Type', 'application/json');
-                    res.status(201).json(hive);
-                } else {
-                    res.status(500).send('Unknown server error');
-                }
-            })
-            .catch(error => {
-                if (error.message === 'invalid characters') {
-                    res.status(400).json({ Error: 'hiveName and structureType must include only alphanumeric characters' });
-                } else if (error.message === 'Missing or invalid JWT') {
-                    res.status(401).json({ Error: error.message });
-                }
-            });
-    };
+router.post('/', requireJsonBody, acceptsJson, validateBody(HIVE_SCHEMA), function (req, res, next) {
+    createHive(req, req.body.hiveName, req.body.structureType, req.body.colonySize)
+        .then(hive => {
+            res.status(201).json(hive);
+        })
+        .catch(next);
 });
 
 /**
- * Handle GET requests to /hives to get all hives. 5 hives will be listed per page, along
- * with a link to the next 5 hives, if any. Only those hives associated with the user will
- * be returned.
+ * Handle POST requests to /hives/bulk to create, update and delete several
+ * hives at once. Response is a 200 with the result of every operation, or a
+ * 207 if any failed; with ?atomic=true, none are carried out if any fails.
  */
-router.get('/', function (req, res) {
-    getHives(req)
-        .then(hives => {    
-            const accepts = req.accepts(['application/json']);        
-            if (!accepts) {
-                res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-            } else if (accepts === 'application/json') {
-                res.set('Content-Type', 'application/json');
-                res.status(200).json(hives);
-            }
+router.post('/bulk', requireJsonBody, acceptsJson, function (req, res, next) {
+    bulk.runBulk(req, HIVE_SCHEMA, HIVE_BULK_OPERATIONS)
+        .then(outcome => {
+            res.status(outcome.failed === 0 ? 200 : 207).json(outcome);
         })
-        .catch(error => {
-            if (error.message === 'Missing or invalid JWT') {
-                res.status(401).json({ Error: error.message });
-            }
+        .catch(next);
+});
+
+/**
+ * Warn that only POST requests to /hives/bulk are supported.
+ */
+router.all('/bulk', methodNotAllowed('/hives/bulk', ['POST']));
+
+/**
+ * Handle GET requests to /hives to get all hives. 5 hives will be listed per page unless
+ * a limit is given, along with links to the next and previous pages, if any. Only those
+ * hives associated with the user will be returned, filtered and sorted by the query string.
+ */
+router.get('/', acceptsJson, function (req, res, next) {
+    getHives(req, req.user.sub)
+        .then(hives => {
+            res.status(200).json(hives);
         })
+        .catch(next);
 });
 
 /**
  * Handle GET requests to /hives/:hive_id to get the hive with the given ID.
- * Response is a 404 error if no hive is found with given ID.
+ * Response is a 404 error if no hive is found with given ID. Response has an
+ * ETag header, and is a 304 with no body if If-None-Match holds the same tag.
  */
-router.get('/:hive_id', function (req, res) {
+router.get('/:hive_id', acceptsJson, function (req, res, next) {
     getHive(req, req.params.hive_id)
-        .then(hive => {
-            // req.accepts() returns content type if found, and False if none found
-            // Source: https://www.tutorialspoint.com/express-js-req-accepts-method
-            const accepts = req.accepts(['application/json']);
-            if (!accepts) {
-                res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-            } else if (accepts === 'application/json') {
-                res.set('Content-Type', 'application/json');
-                res.status(200).json(hive);
-            } else {
-                res.status(500).json({ Error: 'Unknown server error' });
-            };
-        })
-        .catch(error => {
-            if (error.message === 'Missing or invalid JWT') {
-                res.status(401).json({ Error: error.message });
-            } else if (error.message === 'Hive has a different owner') {
-                res.status(403).json({ Error: error.message });
-            } else if (error.message === 'Hive and/or queen not found') {
-                res.status(404).json({ Error: error.message });
+        .then(({ etag, hive }) => {
+            res.set('ETag', etag);
+            if (etags.isNotModified(req, etag)) {
+                res.status(304).end();
+                return;
             }
-        });
+            res.status(200).json(hive);
+        })
+        .catch(next);
 });
 
 /**
  * Handle DELETE requests to /hives/:hive_id to delete the hive with the given ID.
- * Response is a 404 error if no hive is found with given ID or the user
- * is not authenticated.
+ * Response is a 404 error if no hive is found with given ID, a 403 error if the
+ * user does not own the hive, and a 401 error if the user is not authenticated.
+ * The hive can be restored until it is purged; until then, requests to it are
+ * a 410 error. Response is a 412 error if If-Match does not hold the hive's ETag.
  */
-router.delete('/:hive_id', function (req, res) {
+router.delete('/:hive_id', function (req, res, next) {
     deleteHive(req, req.params.hive_id)
         .then(() => {
             res.status(204).end();
         })
-        .catch(error => {
-            if (error.message === 'Hive and/or queen not found') {
-                res.status(404).json({ Error: error.message });
-            } else if (error.message === 'Hive has a different owner') {
-                res.status(403).json({ Error: error.message });
-            } else if (error.message === 'Missing or invalid JWT') {
-                res.status(401).json({ Error: error.message });
-            }
-        });
+        .catch(next);
+});
+
+/**
+ * Handle POST requests to /hives/:hive_id/restore to restore a deleted hive,
+ * with its queen if she can be taken back. Response is a 409 error if the hive
+ * is not deleted, and a 404 error if it was never created or has been purged.
+ */
+router.post('/:hive_id/restore', acceptsJson, function (req, res, next) {
+    restoreHive(req, req.params.hive_id)
+        .then(hive => {
+            res.location(hive.self);
+            res.status(200).json(hive);
+        })
+        .catch(next);
 });
 
 /**
  * Handle PUT requests to /hives/:hive_id to replace a hive's attributes. No changes will be
  * made if hiveName, structureType, or colonySize is missing from the request.
+ * Response is a 412 error if If-Match does not hold the hive's ETag.
  */
-router.put('/:hive_id', function (req, res) {
-    if (req.get('Content-Type') !== 'application/json') {
-        res.status(415).json({ Error: 'Unsupported MIME type received - server can only accept application/json' });
-    
-    } else if (req.body.hiveName === undefined || req.body.structureType === undefined || req.body.colonySize === undefined) {
-        res.status(400).json({ Error: 'The request object is missing at least one of the required attributes' });
-
-    } else {
-        putHive(req, req.params.hive_id, req.body.hiveName, req.body.structureType, req.body.colonySize)
-            .then(hive => {     
-                const accepts = req.accepts(['application/json']);
-                if (!accepts) {
-                    res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-                } else if (accepts === 'application/json') {  
-                    res.location(hive.self);
-                    res.set('Content-Type', 'application/json');
-                    res.status(303).json(hive);
-                }
-            })
-            .catch(error => {
-                if (error.message === 'invalid characters') {
-                    res.status(400).json({ Error: 'hiveName and structureType must include only alphanumeric characters' });
-                } else if (error.message === 'Missing or invalid JWT') {
-                    res.status(401).json({ Error: error.message });
-                } else if (error.message === 'Hive and/or queen not found') {
-                    res.status(404).json({ Error: error.message });
-                }
-            });
-    };
+router.put('/:hive_id', requireJsonBody, acceptsJson, validateBody(HIVE_SCHEMA), function (req, res, next) {
+    putHive(req, req.params.hive_id, req.body.hiveName, req.body.structureType, req.body.colonySize)
+        .then(({ etag, hive }) => {
+            res.set('ETag', etag);
+            res.location(hive.self);
+            res.status(303).json(hive);
+        })
+        .catch(next);
 });
 
 /**
  * Handle PATCH requests to /hives/:hive_id to update a hive. Allows for individual 
- * attributes to be changed on a hive entity.
+ * attributes to be changed on a hive entity, with the attributes to change as
+ * application/json, a JSON Merge Patch (application/merge-patch+json) or a JSON
+ * Patch (application/json-patch+json). Response is a 412 error if If-Match
+ * does not hold the hive's ETag, and a 409 error if a JSON Patch cannot be applied.
  */
-router.patch('/:hive_id', function (req, res) {
-    if (req.get('Content-Type') !== 'application/json') {
-        res.status(415).json({ Error: 'Unsupported MIME type received - server can only accept application/json' });
-    } else {
-        patchHive(req, req.params.hive_id, req.body.hiveName, req.body.structureType, req.body.colonySize)
-            .then(hive => {
-                const accepts = req.accepts(['application/json']);
-                if (!accepts) {
-                    res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-                } else if (accepts === 'application/json') {  
-                    res.location(hive.self);
-                    res.set('Content-Type', 'application/json');
-                    res.status(200).json(hive);
-                }
-            })
-            .catch(error => {
-                if (error.message === 'invalid characters') {
-                    res.status(400).json({ Error: 'hiveName and structureType must include only alphanumeric characters' });
-                } else if (error.message === 'Missing or invalid JWT') {
-                    res.status(401).json({ Error: error.message });
-                } else if (error.message === 'Hive and/or queen not found') {
-                    res.status(404).json({ Error: error.message });
-                }
-            });
-    };
+router.patch('/:hive_id', requireBodyType(patches.PATCH_TYPES), acceptsJson, patches.validatePatch(HIVE_SCHEMA), function (req, res, next) {
+    patchHive(req, req.params.hive_id, patches.patchType(req), req.body)
+        .then(({ etag, hive }) => {
+            res.set('ETag', etag);
+            res.location(hive.self);
+            res.status(200).json(hive);
+        })
+        .catch(next);
 });
 
+/**
+ * Handle GET requests to /hives/:hive_id/audit to list the changes made to the
+ * hive: who made each one, when, and the attributes before and after.
+ */
+router.get('/:hive_id/audit', acceptsJson, function (req, res, next) {
+    getHiveAudit(req, req.params.hive_id)
+        .then(events => {
+            res.status(200).json(events);
+        })
+        .catch(next);
+});
+
+/**
+ * Warn that only GET requests to /hives/:hive_id/audit are supported.
+ */
+router.all('/:hive_id/audit', methodNotAllowed('/hives/:hive_id/audit', ['GET']));
+
+/**
+ * Handle GET requests to /hives/:hive_id/queens/history to list the queens the
+ * hive has had, with the date and reason each one arrived and left.
+ */
+router.get('/:hive_id/queens/history', acceptsJson, function (req, res, next) {
+    getQueenHistory(req, req.params.hive_id)
+        .then(queenHistory => {
+            res.status(200).json(queenHistory);
+        })
+        .catch(next);
+});
+
+/**
+ * Warn that only GET requests to /hives/:hive_id/queens/history are supported.
+ */
+router.all('/:hive_id/queens/history', methodNotAllowed('/hives/:hive_id/queens/history', ['GET']));
+
 /**
  * Handle PUT requests to /hives/:hive_id/queens/:queen_id to assign a queen to 
- * a hive. No changes will be made if:
+ * a hive. The body may give the reason the queen arrived (swarm, supersedure,
+ * requeen or died) and the date (YYYY-MM-DD, today by default) for its history.
+ * No changes will be made if:
  *   - The user is not authenticated.
  *   - Either the hive or queen does not exist.
+ *   - The user is not an editor of both the hive and the queen.
+ *   - The hive already has a queen.
  *   - The queen is already living with another hive.
  */
-router.put('/:hive_id/queens/:queen_id', function (req, res) {
+router.put('/:hive_id/queens/:queen_id', function (req, res, next) {
     assignQueen(req, req.params.hive_id, req.params.queen_id)
         .then(() => {
             res.status(204).end();
         })
-        .catch(error => {
-            if (error.message === 'Hive and/or queen not found') {
-                res.status(404).json({ Error: error.message });
-            } else if (error.message === 'Queen is already assigned') {
-                res.status(403).json({ Error: error.message });
-            } else if (error.message === 'Missing or invalid JWT') {
-                res.status(401).json({ Error: error.message });
-            }
-        });
+        .catch(next);
 });
 
 /**
  * Handle DELETE requests to /hives/:hive_id/queens/:queen_id to remove a queen 
- * from a hive. The queen will not be deleted. No changes will be made if:
+ * from a hive. The queen will not be deleted. Like PUT, the body may give the
+ * reason and date the queen left. No changes will be made if:
  *   - The user is not authenticated.
  *   - Either the hive or queen does not exist.
  *   - The queen is not living with this hive.
  */
-router.delete('/:hive_id/queens/:queen_id', function (req, res) {
+router.delete('/:hive_id/queens/:queen_id', function (req, res, next) {
     removeQueen(req, req.params.hive_id, req.params.queen_id)
         .then(() => {
             res.status(204).end();
         })
-        .catch(error => {
-            if (error.message === 'Hive and/or queen not found') {
-                res.status(404).json({ Error: error.message });
-            } else if (error.message === 'Queen is not associated with this hive') {
-                res.status(403).json({ Error: error.message });
-            } else if (error.message === 'Missing or invalid JWT') {
-                res.status(401).json({ Error: error.message });
-            }
-        });
+        .catch(next);
 });
 
-//----------------------------------------------------------------------------
-// WARNINGS for /hive route handlers
-//----------------------------------------------------------------------------
-
 /**
- * Warn that PUT requests to /hives are not supported.
+ * Handle GET requests to /hives/:hive_id/shares to list the users the hive is
+ * shared with, and their roles. Response is a 403 error unless the user owns
+ * the hive.
  */
- router.put('/', function (req, res) {
-    res.set('Accept', 'Get, Post');
-    res.status(405).json({ Error: "Acceptable reqests to /hives: GET, POST" });
+router.get('/:hive_id/shares', acceptsJson, function (req, res, next) {
+    getHiveShares(req, req.params.hive_id)
+        .then(shares => {
+            res.status(200).json(shares);
+        })
+        .catch(next);
 });
 
 /**
- * Warn that DELETE requests to /hives are not supported.
+ * Handle PUT requests to /hives/:hive_id/shares/:user_id to share a hive with a
+ * user, with the role given in the body (viewer or editor). Response is 201
+ * for a new share, and 200 when the role of an existing share is changed.
  */
-router.delete('/', function (req, res) {
-    res.set('Accept', 'Get, Post');
-    res.status(405).json({ Error: "Acceptable reqests to /hives: GET, POST" });
+router.put('/:hive_id/shares/:user_id', requireJsonBody, acceptsJson, validateBody(roles.SHARE_SCHEMA), function (req, res, next) {
+    shareHive(req, req.params.hive_id, req.params.user_id, req.body.role)
+        .then(result => {
+            res.location(result.share.self);
+            res.status(result.created ? 201 : 200).json(result.share);
+        })
+        .catch(next);
 });
 
 /**
- * Warn that PATCH requests to /hives are not supported.
+ * Handle DELETE requests to /hives/:hive_id/shares/:user_id to stop sharing a
+ * hive with a user.
  */
-router.patch('/', function (req, res) {
-    res.set('Accept', 'Get, Post');
-    res.status(405).json({ Error: "Acceptable reqests to /hives: GET, POST" });
+router.delete('/:hive_id/shares/:user_id', function (req, res, next) {
+    unshareHive(req, req.params.hive_id, req.params.user_id)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
 });
 
+//----------------------------------------------------------------------------
+// WARNINGS for /hive route handlers
+//----------------------------------------------------------------------------
+
+/**
+ * Warn that PUT, PATCH and DELETE requests to /hives are not supported.
+ */
+router.all('/', methodNotAllowed('/hives', ['GET', 'POST']));
+
 /**
  * Warn that POST requests to /hives/:hive_id are not supported.
  */
-router.post('/:hive_id', function (req, res) {
-    res.set('Accept', 'Get, Put, Delete, Patch');
-    res.status(405).json({ Error: 'Acceptable reqests to /hives/:hive_id: GET, PUT, DELETE, PATCH' });
-})
+router.all('/:hive_id', methodNotAllowed('/hives/:hive_id', ['GET', 'PUT', 'DELETE', 'PATCH']));
+
+/**
+ * Warn that only POST requests to /hives/:hive_id/restore are supported.
+ */
+router.all('/:hive_id/restore', methodNotAllowed('/hives/:hive_id/restore', ['POST']));
+
+/**
+ * Warn that only PUT and DELETE requests to /hives/:hive_id/queens/:queen_id are supported.
+ */
+router.all('/:hive_id/queens/:queen_id', methodNotAllowed('/hives/:hive_id/queens/:queen_id', ['PUT', 'DELETE']));
+
+/**
+ * Warn that only GET requests to /hives/:hive_id/shares are supported.
+ */
+router.all('/:hive_id/shares', methodNotAllowed('/hives/:hive_id/shares', ['GET']));
+
+/**
+ * Warn that only PUT and DELETE requests to /hives/:hive_id/shares/:user_id are supported.
+ */
+router.all('/:hive_id/shares/:user_id', methodNotAllowed('/hives/:hive_id/shares/:user_id', ['PUT', 'DELETE']));
 
 //----------------------------------------------------------------------------
 
 module.exports = router;
+
+// The schema and query fields are also read by openapi.js to document the API.
+module.exports.HIVE_SCHEMA = HIVE_SCHEMA;
+module.exports.HIVE_QUERY_FIELDS = HIVE_QUERY_FIELDS;
+
+// Also used by users.js to list the hives of a user.
+module.exports.getHives = getHives;
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const config = require('./config.json');
+const { decodeJwt, signJwt, verifySignature, verifyClaims } = require('./jwt');
+
+// Issuer of Google ID tokens. Google also signs some tokens with the issuer
+// written without the scheme.
+const GOOGLE_ISSUER = 'https://accounts.google.com';
+
+// Seconds to wait before fetching the signing keys of an issuer again when a
+// token names a key that is not in the cached set.
+const KEY_REFRESH_INTERVAL = 60;
+
+// Seconds a refresh token of the local issuer is valid for (30 days).
+const LOCAL_REFRESH_LIFETIME = 30 * 24 * 3600;
+
+//----------------------------------------------------------------------------
+// Identity providers. A provider verifies the ID tokens sent to the API, and
+// runs the login on the welcome page. Each one has the interface:
+//
+//  verifyToken(token): resolves to the claims of a valid token
+//  getAuthorizationUrl(redirectUrl, login): resolves to the URL the user is
+//      sent to log in, which returns to redirectUrl with a code and the given
+//      login.state. login.codeChallenge is the PKCE challenge (S256) of the
+//      login.
+//  exchangeCode(code, redirectUrl, codeVerifier): resolves to { idToken,
+//      claims, refreshToken } for the user who logged in, if the code verifier
+//      matches the challenge. The refresh token is null if the provider did
+//      not grant offline access.
+//  refresh(refreshToken): resolves to { idToken, claims, refreshToken } with
+//      a new ID token, and the refresh token to use next time
+//  revoke(refreshToken): revokes the refresh token with the provider, if it
+//      supports it
+//
+// Refresh tokens of the provider never leave the server: they are kept in
+// the user's session (see sessions.js).
+//
+// The provider is chosen by AUTH_PROVIDER (read from the environment, then
+// config.json): google (default), oidc or local.
+//----------------------------------------------------------------------------
+
+/**
+ * Provider for an OpenID Connect issuer. The endpoints and signing keys
+ * are read from the issuer's discovery document.
+ *
+ * Options:
+ *  issuer: URL of the issuer
+ *  issuers: values accepted in the iss claim (the issuer by default)
+ *  clientId, clientSecret: credentials of this app with the issuer
+ *  scope: scopes requested at login (default 'openid profile')
+ *  authorizationParams: other parameters of the authorization URL, e.g. to
+ *      ask Google for offline access
+ */
+class OidcProvider {
+    constructor (options) {
+        if (!options.issuer) {
+            throw new Error('An OIDC provider needs an issuer (AUTH_ISSUER)');
+        }
+        this.issuer = options.issuer.replace(/\/$/, '');
+        this.issuers = options.issuers || [this.issuer];
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.scope = options.scope || 'openid profile';
+        this.authorizationParams = options.authorizationParams || {};
+        this.discovery = null;
+        this.keys = null;
+        this.keysFetchedAt = 0;
+    }
+
+    /**
+     * Fetch the discovery document of the issuer, once.
+     */
+    discover () {
+        if (this.discovery === null) {
+            this.discovery = axios.get(this.issuer + '/.well-known/openid-configuration')
+                .then(response => {
+                    return response.data;
+                })
+                .catch(error => {
+                    this.discovery = null; // try again on the next request
+                    throw error;
+                });
+        }
+        return this.discovery;
+    }
+
+    /**
+     * Fetch the signing keys of the issuer, by key ID.
+     */
+    fetchKeys () {
+        return this.discover()
+            .then(discovery => {
+                return axios.get(discovery.jwks_uri);
+            })
+            .then(response => {
+                const keys = {};
+                response.data.keys.filter(jwk => jwk.use === undefined || jwk.use === 'sig').forEach(jwk => {
+                    keys[jwk.kid] = crypto.createPublicKey({ 'key': jwk, 'format': 'jwk' });
+                });
+                this.keys = keys;
+                this.keysFetchedAt = Date.now();
+                return keys;
+            });
+    }
+
+    /**
+     * Find the signing key with the given ID. The keys are fetched again if
+     * the ID is unknown, since issuers rotate their keys.
+     */
+    getKey (keyId) {
+        const stale = Date.now() - this.keysFetchedAt > KEY_REFRESH_INTERVAL * 1000;
+        const keys = this.keys !== null && (this.keys[keyId] !== undefined || !stale)
+            ? Promise.resolve(this.keys)
+            : this.fetchKeys();
+
+        return keys.then(found => {
+            if (found[keyId] === undefined) {
+                throw new Error('Unknown token signing key: ' + keyId);
+            }
+            return found[keyId];
+        });
+    }
+
+    verifyToken (token) {
+        var decoded = null;
+
+        try {
+            if (!this.clientId) {
+                throw new Error('No CLIENT_ID is configured to check the token audience');
+            }
+            decoded = decodeJwt(token);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.getKey(decoded.header.kid)
+            .then(key => {
+                verifySignature(decoded, key);
+                verifyClaims(decoded.payload, this.issuers, this.clientId);
+                return decoded.payload;
+            });
+    }
+
+    getAuthorizationUrl (redirectUrl, login) {
+        return this.discover()
+            .then(discovery => {
+                const params = new URLSearchParams({ 'response_type': 'code',
+                                                        'client_id': this.clientId,
+                                                        'redirect_uri': redirectUrl,
+                                                        'scope': this.scope,
+                                                        'state': login.state,
+                                                        'code_challenge': login.codeChallenge,
+                                                        'code_challenge_method': 'S256',
+                                                        ...this.authorizationParams
+                                                    });
+                return discovery.authorization_endpoint + '?' + params.toString();
+            });
+    }
+
+    /**
+     * Post a form to the given endpoint of the issuer, with the credentials
+     * of this app.
+     */
+    postForm (endpoint, form) {
+        const params = new URLSearchParams({ ...form, 'client_id': this.clientId, 'client_secret': this.clientSecret });
+        return axios.post(endpoint, params.toString(),
+            { 'headers': { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    }
+
+    /**
+     * Verify the ID token in a response of the token endpoint. Resolves to
+     * { idToken, claims, refreshToken }, where the refresh token is the new
+     * one if the issuer sent one, or else the given one.
+     */
+    readTokenResponse (data, refreshToken) {
+        if (typeof data.id_token !== 'string') {
+            return Promise.reject(new Error('The identity provider did not return an ID token'));
+        }
+
+        return this.verifyToken(data.id_token)
+            .then(claims => {
+                return { 'idToken': data.id_token,
+                            'claims': claims,
+                            'refreshToken': data.refresh_token || refreshToken
+                        };
+            });
+    }
+
+    exchangeCode (code, redirectUrl, codeVerifier) {
+        return this.discover()
+            .then(discovery => {
+                return this.postForm(discovery.token_endpoint, { 'grant_type': 'authorization_code',
+                                                                    'code': code,
+                                                                    'redirect_uri': redirectUrl,
+                                                                    'code_verifier': codeVerifier
+                                                                });
+            })
+            .then(response => {
+                return this.readTokenResponse(response.data, null);
+            });
+    }
+
+    refresh (refreshToken) {
+        return this.discover()
+            .then(discovery => {
+                return this.postForm(discovery.token_endpoint,
+                    { 'grant_type': 'refresh_token', 'refresh_token': refreshToken });
+            })
+            .then(response => {
+                return this.readTokenResponse(response.data, refreshToken);
+            });
+    }
+
+    revoke (refreshToken) {
+        return this.discover()
+            .then(discovery => {
+                if (discovery.revocation_endpoint === undefined) {
+                    return null; // the issuer cannot revoke tokens
+                }
+                return this.postForm(discovery.revocation_endpoint,
+                    { 'token': refreshToken, 'token_type_hint': 'refresh_token' });
+            });
+    }
+};
+
+/**
+ * Provider for local development, which signs its own tokens (HS256) with
+ * a configured secret key. Logging in on the welcome page signs in as the
+ * configured subject without leaving the app. Its authorization code is the
+ * PKCE challenge of the login, so the code verifier is checked as it would
+ * be by a real issuer.
+ *
+ * Its refresh tokens are signed the same way, with the issuer itself as the
+ * audience so they are never accepted as ID tokens.
+ *
+ * Options:
+ *  key: the secret key that signs the tokens
+ *  issuer: value of the iss claim (default 'beekeeper-local')
+ *  audience: value of the aud claim (default 'beekeeper-api')
+ *  subject, givenName, familyName: the user who logs in on the welcome page
+ *  lifetime: seconds a token is valid for (default one hour)
+ */
+class LocalProvider {
+    constructor (options) {
+        if (!options.key) {
+            throw new Error('The local issuer needs a key (AUTH_LOCAL_KEY)');
+        }
+        this.key = options.key;
+        this.issuer = options.issuer || 'beekeeper-local';
+        this.audience = options.audience || 'beekeeper-api';
+        this.subject = options.subject || 'local-beekeeper';
+        this.givenName = options.givenName || 'Local';
+        this.familyName = options.familyName || 'Beekeeper';
+        this.lifetime = options.lifetime || 3600;
+    }
+
+    /**
+     * Sign a token for the given subject. Other claims (e.g. the names, or
+     * an exp for an expired token in tests) override the defaults.
+     */
+    signToken (subject, claims) {
+        const now = Math.floor(Date.now() / 1000);
+        return signJwt({ 'iss': this.issuer,
+                            'aud': this.audience,
+                            'sub': subject,
+                            'iat': now,
+                            'exp': now + this.lifetime,
+                            ...claims
+                        }, this.key);
+    }
+
+    verifyToken (token) {
+        try {
+            const decoded = decodeJwt(token);
+            if (decoded.header.alg !== 'HS256') {
+                throw new Error('The local issuer only accepts HS256 tokens');
+            }
+            verifySignature(decoded, this.key);
+            verifyClaims(decoded.payload, [this.issuer], this.audience);
+            return Promise.resolve(decoded.payload);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    getAuthorizationUrl (redirectUrl, login) {
+        const params = new URLSearchParams({ 'code': 'local.' + login.codeChallenge, 'state': login.state });
+        return Promise.resolve(redirectUrl + '?' + params.toString());
+    }
+
+    exchangeCode (code, redirectUrl, codeVerifier) {
+        const challenge = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+        if (code !== 'local.' + challenge) {
+            return Promise.reject(new Error('The code verifier does not match the authorization code'));
+        }
+
+        const names = { 'given_name': this.givenName, 'family_name': this.familyName };
+        const now = Math.floor(Date.now() / 1000);
+        const refreshToken = this.signToken(this.subject, { ...names, 'aud': this.issuer, 'exp': now + LOCAL_REFRESH_LIFETIME });
+        const idToken = this.signToken(this.subject, names);
+
+        return this.verifyToken(idToken)
+            .then(claims => {
+                return { 'idToken': idToken, 'claims': claims, 'refreshToken': refreshToken };
+            });
+    }
+
+    refresh (refreshToken) {
+        var payload = null;
+
+        try {
+            const decoded = decodeJwt(refreshToken);
+            verifySignature(decoded, this.key);
+            verifyClaims(decoded.payload, [this.issuer], this.issuer);
+            payload = decoded.payload;
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const idToken = this.signToken(payload.sub, { 'given_name': payload.given_name, 'family_name': payload.family_name });
+        return this.verifyToken(idToken)
+            .then(claims => {
+                return { 'idToken': idToken, 'claims': claims, 'refreshToken': refreshToken };
+            });
+    }
+
+    revoke (refreshToken) {
+        return Promise.resolve(null); // the session holding the token is deleted
+    }
+};
+
+/**
+ * Read a setting from the environment, then config.json.
+ */
+function setting (name) {
+    return process.env[name] || config[name];
+};
+
+/**
+ * Create the identity provider named by settings.provider:
+ *  google: Google accounts (default)
+ *  oidc: the OpenID Connect issuer at settings.issuer
+ *  local: tokens signed by this app with settings.localKey, for development
+ *      and tests only
+ */
+function createProvider (settings) {
+    if (settings.provider === undefined || settings.provider === 'google') {
+        // Google only sends a refresh token for offline access, and only on
+        // the first consent unless it is asked for again.
+        return new OidcProvider({ 'issuer': GOOGLE_ISSUER,
+                                    'issuers': [GOOGLE_ISSUER, 'accounts.google.com'],
+                                    'clientId': settings.clientId,
+                                    'clientSecret': settings.clientSecret,
+                                    'authorizationParams': { 'access_type': 'offline', 'prompt': 'consent' }
+                                });
+    } else if (settings.provider === 'oidc') {
+        return new OidcProvider({ 'issuer': settings.issuer,
+                                    'clientId': settings.clientId,
+                                    'clientSecret': settings.clientSecret,
+                                    'scope': settings.scope || 'openid profile offline_access'
+                                });
+    } else if (settings.provider === 'local') {
+        if (settings.production) {
+            throw new Error('The local issuer cannot be used in production');
+        }
+        return new LocalProvider({ 'key': settings.localKey,
+                                    'audience': settings.clientId,
+                                    'subject': settings.localSubject
+                                });
+    } else {
+        throw new Error('Unknown AUTH_PROVIDER: ' + settings.provider);
+    }
+};
+
+const provider = createProvider({
+    'provider': setting('AUTH_PROVIDER'),
+    'issuer': setting('AUTH_ISSUER'),
+    'scope': setting('AUTH_SCOPE'),
+    'clientId': setting('CLIENT_ID'),
+    'clientSecret': process.env.CLIENT_SECRET,
+    'localKey': process.env.AUTH_LOCAL_KEY,
+    'localSubject': setting('AUTH_LOCAL_SUBJECT'),
+    'production': process.env.NODE_ENV === 'production'
+});
+
+/**
+ * URL the identity provider sends the user back to after logging in:
+ * AUTH_REDIRECT_URL if it is set, otherwise /oauth on the host of the request.
+ */
+function getRedirectUrl (req) {
+    return setting('AUTH_REDIRECT_URL') || req.protocol + '://' + req.get('host') + '/oauth';
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    OidcProvider,
+    LocalProvider,
+    createProvider,
+    getRedirectUrl,
+    provider
+};
@@ -1,7 +1,20 @@
 const router = module.exports = require('express').Router();
+const { requestId, notFound, errorHandler } = require('./errors');
+const { identifyUser } = require('./auth');
+const { limitAddress, rateLimit } = require('./ratelimit');
+
+router.use(requestId);
+router.use(limitAddress);
+router.use(identifyUser);
+router.use(rateLimit);
 
 router.use('/users', require('./users'));
 router.use('/hives', require('./hives'));
 router.use('/queens', require('./queens'));
+router.use('/apiaries', require('./apiaries'));
+router.use('/audit', require('./audit'));
+router.use('/', require('./docs'));
 router.use('/', require('./login'));
-router.use('/oauth', require('./login'));
+
+router.use(notFound);
+router.use(errorHandler);
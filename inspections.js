@@ -0,0 +1,350 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const ds = require('./datastore');
+const { verifyJwt, verifyHiveRole } = require('./auth');
+const { paginate } = require('./pagination');
+const etags = require('./etags');
+const audit = require('./audit');
+const { HIVES, INSPECTIONS } = require('./constants');
+const { validateBody } = require('./schema');
+const { NotFoundError, acceptsJson, requireJsonBody, methodNotAllowed } = require('./errors');
+
+// mergeParams gives access to :hive_id from the parent hives router
+const router = express.Router({ mergeParams: true });
+
+const datastore = ds.datastore;
+
+router.use(bodyParser.json());
+router.use(verifyJwt);
+
+//----------------------------------------------------------------------------
+// Schema and verificiation functions used to validate request input.
+//----------------------------------------------------------------------------
+
+// Attributes of an inspection that can be set by POST and PATCH.
+const INSPECTION_SCHEMA = {
+    'date': { 'type': 'date', 'required': true },
+    'broodPattern': { 'type': 'string', 'required': true, 'minLength': 1, 'maxLength': 100 },
+    'temperament': { 'type': 'string', 'required': true, 'minLength': 1, 'maxLength': 100 },
+    'framesOfBees': { 'type': 'int', 'required': true, 'min': 0, 'max': 100 },
+    'queenSighted': { 'type': 'boolean', 'required': true },
+    'eggsSeen': { 'type': 'boolean', 'required': true },
+    'notes': { 'type': 'string', 'nullable': true, 'maxLength': 2000 },
+    'colonySize': { 'type': 'int', 'nullable': true, 'min': 0, 'max': 1000000 }
+};
+
+/**
+ * Retrieve the inspection with the given ID and check that it belongs
+ * to the hive with the given ID.
+ * Throws an error if the inspection is not found for this hive.
+ */
+function verifyInspection (hiveId, inspectionId) {
+    const inspectionKey = datastore.key([INSPECTIONS, parseInt(inspectionId, 10)]);
+
+    return datastore.get(inspectionKey)
+        .then(inspection => {
+            if (inspection[0] == null || inspection[0].hive !== String(hiveId)) {
+                throw new NotFoundError('No inspection with this inspection_id exists for this hive');
+            } else {
+                return inspection;
+            }
+        });
+};
+
+//----------------------------------------------------------------------------
+// Model functions related to INSPECTION entities.
+//----------------------------------------------------------------------------
+
+/**
+ * Find the most recent inspection of the hive with hive_id, as { id, date },
+ * or null if it has none.
+ */
+function findLatestInspection (hiveId) {
+    const latestInspectionQuery = datastore.createQuery(INSPECTIONS)
+        .filter('hive', '=', String(hiveId))
+        .order('date', { descending: true })
+        .limit(1);
+
+    return datastore.runQuery(latestInspectionQuery)
+        .then(inspections => {
+            if (inspections[0].length === 0) {
+                return null;
+            }
+            const inspection = inspections[0].map(ds.fromDatastore)[0];
+            return { 'id': inspection.id, 'date': inspection.date };
+        });
+};
+
+/**
+ * Function to create a new inspection of the hive with hive_id.
+ *
+ * Schema:
+ *  date (string): date of the inspection (YYYY-MM-DD)
+ *  broodPattern (string): appearance of the brood (e.g. 'solid', 'spotty')
+ *  temperament (string): behaviour of the colony during the inspection
+ *  framesOfBees (int): number of frames covered with bees
+ *  queenSighted (boolean): whether the queen was seen
+ *  eggsSeen (boolean): whether eggs were seen
+ *  notes (string): free-form notes (optional)
+ *  colonySize (int): approximate number of bees counted (optional)
+ *  beekeeper (string): the user ID of the beekeeper who inspected the hive
+ *  hive (string): the ID of the inspected hive
+ *
+ * If colonySize is given, the hive's colonySize is updated as well. The hive
+ * is read again and saved in the same transaction as the inspection, so that
+ * only its colonySize changes, and the request is a 412 error if it has an
+ * If-Match header and the hive has changed.
+ */
+function createInspection (req, hiveId, inspectionInfo) {
+    const ifMatch = req.get('If-Match');
+    const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
+    var newInspectionKey = null;
+    const newInspection = { 'date': inspectionInfo.date,
+                            'broodPattern': inspectionInfo.broodPattern,
+                            'temperament': inspectionInfo.temperament,
+                            'framesOfBees': inspectionInfo.framesOfBees,
+                            'queenSighted': inspectionInfo.queenSighted,
+                            'eggsSeen': inspectionInfo.eggsSeen,
+                            'notes': inspectionInfo.notes === undefined ? null : inspectionInfo.notes,
+                            'colonySize': inspectionInfo.colonySize === undefined ? null : inspectionInfo.colonySize,
+                            'hive': String(hiveId)
+                        };
+    var latestInspection = null;
+
+    newInspection.beekeeper = req.user.sub;
+
+    // Queries cannot run inside a transaction, so find the latest inspection (for the
+    // hive's ETag) first, and allocate the inspection's ID
+    return (ifMatch === undefined ? Promise.resolve(null) : findLatestInspection(hiveId))
+        .then(inspection => {
+            latestInspection = inspection;
+            return datastore.allocateIds(datastore.key(INSPECTIONS), 1);
+        })
+        .then(keys => {
+            newInspectionKey = keys[0][0];
+
+            return ds.runInTransaction(transaction => {
+                return verifyHiveRole(req.user.sub, hiveId, 'editor', transaction)
+                    .then(hive => {
+                        etags.checkIfMatch(ifMatch, etags.entityTag(hive[0], latestInspection), 'hive');
+                        const entities = [{ 'key': newInspectionKey, 'data': newInspection }];
+
+                        // Record the new colony size on the hive, if one was counted, in its audit trail too
+                        if (newInspection.colonySize != null) {
+                            const updatedHive = { ...hive[0], 'colonySize': newInspection.colonySize };
+                            entities.push({ 'key': hiveKey, 'data': updatedHive },
+                                            audit.auditEvent(req, 'hive', hiveId, 'update', hive[0], updatedHive));
+                        }
+                        transaction.save(entities);
+                    });
+            });
+        })
+        .then(() => {
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + newInspectionKey.id;
+            return { 'id': newInspectionKey.id, ...newInspection, 'self': self };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve all inspections of the hive with hive_id, newest first. The results
+ * will be paginated to the size given by the 'limit' query parameter (5 by default),
+ * and include links to the next and previous pages of results.
+ */
+function getInspections (req, hiveId) {
+    return verifyHiveRole(req.user.sub, hiveId, 'viewer')
+        .then(() => {
+            return paginate(req, () => {
+                return datastore.createQuery(INSPECTIONS)
+                    .filter('hive', '=', String(hiveId))
+                    .order('date', { descending: true });
+            });
+        })
+        .then(page => {
+            page.items.forEach(inspection => {
+                inspection.self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + inspection.id;
+            });
+            return { 'total': page.total, 'inspections': page.items, 'next': page.next, 'prev': page.prev };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the inspection with the given ID.
+ * If not found, throw an error.
+ * Response includes the self link.
+ */
+function getInspection (req, hiveId, inspectionId) {
+    return verifyHiveRole(req.user.sub, hiveId, 'viewer')
+        .then(() => {
+            return verifyInspection(hiveId, inspectionId);
+        })
+        .then(inspection => {
+            // Save self link and return object containining all inspection data
+            const inspectionObj = inspection.map(ds.fromDatastore)[0];
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + inspectionObj.id;
+            inspectionObj.self = self;
+            return inspectionObj;
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Update any attributes of the inspection with the given ID.
+ *
+ * The hive and beekeeper attributes will not be updated, and the hive's
+ * colonySize is only updated when an inspection is created.
+ */
+function patchInspection (req, hiveId, inspectionId, inspectionInfo) {
+    const inspectionKey = datastore.key([INSPECTIONS, parseInt(inspectionId, 10)]);
+    const attributes = ['date', 'broodPattern', 'temperament', 'framesOfBees',
+                        'queenSighted', 'eggsSeen', 'notes', 'colonySize'];
+    var foundInspection = {};
+
+    return verifyHiveRole(req.user.sub, hiveId, 'editor')
+        .then(() => {
+            return verifyInspection(hiveId, inspectionId);
+        })
+        .then(inspection => {
+            // update the attributes given in the request
+            foundInspection = inspection.map(ds.fromDatastore)[0];
+            attributes.forEach(attribute => {
+                if (inspectionInfo[attribute] != null) {
+                    foundInspection[attribute] = inspectionInfo[attribute];
+                }
+            });
+            return;
+        })
+        .then(() => {
+            const data = { 'beekeeper': foundInspection.beekeeper, 'hive': foundInspection.hive };
+            attributes.forEach(attribute => {
+                data[attribute] = foundInspection[attribute];
+            });
+            return datastore.save({ 'key': inspectionKey, 'data': data });
+        })
+        .then(() => {
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + inspectionKey.id;
+            foundInspection.self = self;
+            return foundInspection;
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Delete the inspection with the given ID.
+ * If not found, throw an error.
+ */
+function deleteInspection (req, hiveId, inspectionId) {
+    const inspectionKey = datastore.key([INSPECTIONS, parseInt(inspectionId, 10)]);
+
+    return verifyHiveRole(req.user.sub, hiveId, 'editor')
+        .then(() => {
+            return verifyInspection(hiveId, inspectionId);
+        })
+        .then(() => {
+            return datastore.delete(inspectionKey);
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+//----------------------------------------------------------------------------
+// Controller functions related to INSPECTION entities.
+//----------------------------------------------------------------------------
+
+/**
+ * Handle POST requests to /hives/:hive_id/inspections to record a new inspection.
+ * A new inspection will not be created if date, broodPattern, temperament,
+ * framesOfBees, queenSighted or eggsSeen is missing from the request.
+ */
+router.post('/', requireJsonBody, acceptsJson, validateBody(INSPECTION_SCHEMA), function (req, res, next) {
+    createInspection(req, req.params.hive_id, req.body)
+        .then(inspection => {
+            res.status(201).json(inspection);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /hives/:hive_id/inspections to get the hive's inspections.
+ * 5 inspections will be listed per page unless a limit is given, newest first, along
+ * with links to the next and previous pages, if any.
+ */
+router.get('/', acceptsJson, function (req, res, next) {
+    getInspections(req, req.params.hive_id)
+        .then(inspections => {
+            res.status(200).json(inspections);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /hives/:hive_id/inspections/:inspection_id to get the
+ * inspection with the given ID.
+ */
+router.get('/:inspection_id', acceptsJson, function (req, res, next) {
+    getInspection(req, req.params.hive_id, req.params.inspection_id)
+        .then(inspection => {
+            res.status(200).json(inspection);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle PATCH requests to /hives/:hive_id/inspections/:inspection_id to update
+ * individual attributes of an inspection.
+ */
+router.patch('/:inspection_id', requireJsonBody, acceptsJson, validateBody(INSPECTION_SCHEMA, { 'partial': true }), function (req, res, next) {
+    patchInspection(req, req.params.hive_id, req.params.inspection_id, req.body)
+        .then(inspection => {
+            res.location(inspection.self);
+            res.status(200).json(inspection);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle DELETE requests to /hives/:hive_id/inspections/:inspection_id to delete
+ * the inspection with the given ID. The hive's colonySize is not changed.
+ */
+router.delete('/:inspection_id', function (req, res, next) {
+    deleteInspection(req, req.params.hive_id, req.params.inspection_id)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
+});
+
+//----------------------------------------------------------------------------
+// WARNINGS for /hives/:hive_id/inspections route handlers
+//----------------------------------------------------------------------------
+
+/**
+ * Warn that PUT, PATCH and DELETE requests to /hives/:hive_id/inspections are not supported.
+ */
+router.all('/', methodNotAllowed('/hives/:hive_id/inspections', ['GET', 'POST']));
+
+/**
+ * Warn that POST and PUT requests to /hives/:hive_id/inspections/:inspection_id are not supported.
+ */
+router.all('/:inspection_id', methodNotAllowed('/hives/:hive_id/inspections/:inspection_id', ['GET', 'PATCH', 'DELETE']));
+
+//----------------------------------------------------------------------------
+
+module.exports = router;
+
+// The schema is also read by openapi.js to document the API.
+module.exports.INSPECTION_SCHEMA = INSPECTION_SCHEMA;
+
+// The latest inspection is also part of the hive's ETag (see hives.js).
+module.exports.findLatestInspection = findLatestInspection;
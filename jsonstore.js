@@ -0,0 +1,40 @@
+const fs = require('fs');
+
+const { MemoryStore } = require('./memorystore');
+
+//----------------------------------------------------------------------------
+// JSON file storage backend, for running the API offline while keeping
+// data between restarts.
+//----------------------------------------------------------------------------
+
+/**
+ * Storage backend that keeps every entity in memory like MemoryStore, and
+ * writes them all to a JSON file after each change. The file is read
+ * again when the server starts.
+ */
+class JsonFileStore extends MemoryStore {
+    constructor (filename) {
+        super();
+        this.filename = filename;
+
+        if (fs.existsSync(filename)) {
+            const stored = JSON.parse(fs.readFileSync(filename, 'utf8'));
+            this.entities = stored.entities;
+            this.lastId = stored.lastId;
+        }
+    }
+
+    /**
+     * Write all entities to the JSON file.
+     */
+    persist () {
+        const stored = { 'entities': this.entities, 'lastId': this.lastId };
+        fs.writeFileSync(this.filename, JSON.stringify(stored, null, 2));
+    }
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    JsonFileStore
+};
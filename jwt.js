@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// Seconds of clock difference allowed between the issuer and this server
+// when checking the times in a token.
+const CLOCK_SKEW = 300;
+
+// Signature algorithms accepted in tokens, and how each one is verified.
+const ALGORITHMS = {
+    'RS256': { 'hash': 'sha256' },
+    'ES256': { 'hash': 'sha256', 'dsaEncoding': 'ieee-p1363' },
+    'HS256': { 'hash': 'sha256', 'hmac': true }
+};
+
+//----------------------------------------------------------------------------
+// Helper functions used to sign and verify JSON Web Tokens.
+//----------------------------------------------------------------------------
+
+/**
+ * Encode a value as a base64url segment of a token.
+ */
+function encodeSegment (value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+};
+
+/**
+ * Split a token into its header, payload and signature, without checking it.
+ * Throws an error if the token is malformed.
+ */
+function decodeJwt (token) {
+    const segments = typeof token === 'string' ? token.split('.') : [];
+    if (segments.length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    const header = JSON.parse(Buffer.from(segments[0], 'base64url').toString());
+    const payload = JSON.parse(Buffer.from(segments[1], 'base64url').toString());
+    if (header === null || typeof header !== 'object' || payload === null || typeof payload !== 'object') {
+        throw new Error('Malformed token');
+    }
+
+    return { 'header': header,
+                'payload': payload,
+                'signed': segments[0] + '.' + segments[1],
+                'signature': Buffer.from(segments[2], 'base64url')
+            };
+};
+
+/**
+ * Sign the claims with the secret key (HS256).
+ */
+function signJwt (claims, secret, keyId) {
+    const header = { 'alg': 'HS256', 'typ': 'JWT' };
+    if (keyId !== undefined) {
+        header.kid = keyId;
+    }
+
+    const signed = encodeSegment(header) + '.' + encodeSegment(claims);
+    const signature = crypto.createHmac('sha256', secret).update(signed).digest('base64url');
+    return signed + '.' + signature;
+};
+
+/**
+ * Check the signature of a decoded token with the given key: a secret for
+ * HS256, or a public KeyObject for RS256 and ES256.
+ * Throws an error if the algorithm is not supported or the signature is wrong.
+ */
+function verifySignature (decoded, key) {
+    const algorithm = ALGORITHMS[decoded.header.alg];
+    var valid = false;
+
+    if (algorithm === undefined) {
+        throw new Error('Unsupported token algorithm: ' + decoded.header.alg);
+    }
+
+    if (algorithm.hmac === true) {
+        if (typeof key !== 'string' && !Buffer.isBuffer(key)) {
+            throw new Error('Token algorithm does not match the key');
+        }
+        const expected = crypto.createHmac(algorithm.hash, key).update(decoded.signed).digest();
+        valid = expected.length === decoded.signature.length && crypto.timingSafeEqual(expected, decoded.signature);
+    } else {
+        if (!(key instanceof crypto.KeyObject) || key.type !== 'public') {
+            throw new Error('Token algorithm does not match the key');
+        }
+        const verifyKey = algorithm.dsaEncoding === undefined ? key : { 'key': key, 'dsaEncoding': algorithm.dsaEncoding };
+        valid = crypto.verify(algorithm.hash, Buffer.from(decoded.signed), verifyKey, decoded.signature);
+    }
+
+    if (!valid) {
+        throw new Error('Invalid token signature');
+    }
+};
+
+/**
+ * Check the standard claims of a token payload: the issuer must be one of
+ * issuers, the audience must include audience, and the token must have a
+ * subject and be within its lifetime.
+ * Throws an error describing the first claim that is not valid.
+ */
+function verifyClaims (payload, issuers, audience) {
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+    if (!issuers.includes(payload.iss)) {
+        throw new Error('Invalid token issuer: ' + payload.iss);
+    } else if (!audiences.includes(audience)) {
+        throw new Error('Invalid token audience');
+    } else if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+        throw new Error('Token has no subject');
+    } else if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW < now) {
+        throw new Error('Token has expired');
+    } else if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW > now) {
+        throw new Error('Token was issued in the future');
+    } else if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW > now) {
+        throw new Error('Token is not valid yet');
+    }
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    decodeJwt,
+    signJwt,
+    verifySignature,
+    verifyClaims
+};
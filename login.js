@@ -1,106 +1,156 @@
 const express = require('express');
 const bodyParser = require('body-parser');
+const crypto = require('crypto');
 
 const ds = require('./datastore');
 const datastore = ds.datastore;
-const { OAUTH2CLIENT, USERS } = require('./constants');
+const identity = require('./identity');
+const sessions = require('./sessions');
+const { registerUser } = require('./users');
+const { LOGIN_STATES } = require('./constants');
+const { ApiError, ValidationError, UnauthorizedError, acceptsJson, requireJsonBody, methodNotAllowed } = require('./errors');
+const { validateBody } = require('./schema');
+const { decodeJwt, signJwt, verifySignature, verifyClaims } = require('./jwt');
 
 const json2html = require('node-json2html');
-const axios = require('axios');
 const path = require('path');
 
-const url = require('url');
-
 const router = express.Router();
 router.use(bodyParser.json());
 
+// Minutes a user has to log in with the identity provider after pressing the
+// button on the welcome page.
+const LOGIN_LIFETIME_MINUTES = 10;
+
+// Cookie tying the return from the identity provider to the browser that
+// started the login.
+const LOGIN_COOKIE = 'beekeeper_login';
+
+// Issuer and audience of the signed state of a login.
+const STATE_ISSUER = 'beekeeper-login';
+
+// Key signing the state of logins. Without AUTH_STATE_KEY, a key is made when
+// the server starts, so a login must return to the instance that started it.
+const STATE_KEY = process.env.AUTH_STATE_KEY || crypto.randomBytes(32).toString('hex');
+
+// Body of a request to refresh or log out of a session. Cookie sessions do
+// not need to send the token to log out.
+const SESSION_TOKEN_SCHEMA = {
+    'refreshToken': { 'type': 'string', 'required': true, 'minLength': 1 }
+};
 
 /**
  * Convert the object resObj to an HTML format and send the file in the response
- * with the given status code.
+ * with the given status code. The refresh token is only shown if there is one
+ * to copy, i.e. the session is not kept in a cookie. The values are escaped,
+ * since the names come from the identity provider.
  */
-function sendHTML(res, statusCode, idToken, resObj) {
+function sendHTML(res, statusCode, idToken, refreshToken, resObj) {
     // Learned to use the json2html library based on examples from the json2html 
     // documentation.
     // https://json2html.com/docs/
     var template = [
         {'<>':'p','text':'Below is your user profile information with the beekeeper API'},
         {'<>':'ul','html':[
-            {'<>':'li','html':function(){return('Your given name is ' + this.givenName)}},
-            {'<>':'li','html':function(){return('Your family name is ' + this.familyName)}},
-            {'<>':'li','html':function(){return('Your user ID is: ' + resObj.metadata.source.id)}},
-            {'<>':'li','html':function(){return('Your new JWT is: ' + idToken)}}
+            {'<>':'li','text':function(){return('Your given name is ' + this.firstName)}},
+            {'<>':'li','text':function(){return('Your family name is ' + this.lastName)}},
+            {'<>':'li','text':function(){return('Your user ID is: ' + this.userId)}},
+            {'<>':'li','text':function(){return('Your new JWT is: ' + idToken)}}
         ]}
     ];
 
+    if (refreshToken !== null) {
+        template[1].html.push({'<>':'li','text':function(){return('Your refresh token is: ' + refreshToken)}});
+        template.push({'<>':'p','text':'Send the refresh token to POST /auth/token for a new JWT when this one expires.'});
+    } else {
+        template.push({'<>':'p','text':'You are logged in to the API in this browser until you log out at POST /auth/logout.'});
+    }
+
     res.set('Content-Type', 'text/html');
     res.status(statusCode).send(json2html.render(resObj, template));
 };
 
+/**
+ * Error handler of the login pages, sending the error as an HTML page with a
+ * link to try again, rather than the JSON error of the API. Errors that are
+ * not ApiErrors are logged and shown as an unknown error.
+ */
+function sendErrorPage(error, req, res, next) {
+    var apiError = error;
+
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (!(error instanceof ApiError)) {
+        console.error(error);
+        apiError = new ApiError(500, 'internal_error', 'Unknown server error');
+    }
+
+    var template = [
+        {'<>':'h1','text':'Login failed'},
+        {'<>':'p','text':'${message}'},
+        {'<>':'p','html':[{'<>':'a','href':'/','text':'Try logging in again'}]},
+        {'<>':'p','text':'Request ID: ${requestId}'}
+    ];
+
+    res.set('Content-Type', 'text/html');
+    res.status(apiError.status).send(json2html.render({ 'message': apiError.message, 'requestId': req.id }, template));
+};
+
 //----------------------------------------------------------------------------
 // Model functions related to the welcome page.
+//
+// Every login started on the welcome page is saved as a LOGIN_STATE entity
+// with its PKCE code verifier. The identity provider sends back the signed
+// state of the login, which must match the login cookie of the browser and
+// can only be used once.
 //----------------------------------------------------------------------------
 
 /**
- * Function to create a new user (beekeeper).
- * 
- * Schema: 
- *  firstName (string): first name of the user
- *  lastName (string): last name of the user
- *  userId (string): identification ID for the user (the sub field of the public_id)
- *  isBeekeper (boolean): identifies the user as a verified beekeeper (default true)
+ * Hash a value of a login, as it is stored or compared.
  */
-function createUser (userInfo) {
-    var newUserKey = datastore.key(USERS);
-    const newUser = {'firstName': userInfo.givenName,
-                        'lastName': userInfo.familyName,
-                        'userId': userInfo.metadata.source.id,
-                        'isBeekeeper': true
-                    };
-    const user = { 'key': newUserKey, 'data': newUser };
-    
-    return datastore.save(user)
-        .then(() => {
-            return { 'id': newUserKey.id, ...newUser };
-        })
-        .catch(error => {
-            throw error;
-        });
+function hashValue (value) {
+    return crypto.createHash('sha256').update(value).digest();
 };
 
 /**
- * Generate a URL to redirect the user to in order to request
- * permission to their Google account information.
+ * Start a login, and delete the logins that expired without returning.
+ *
+ * Schema:
+ *  nonceHash (string): SHA-256 of the nonce in the browser's login cookie
+ *  codeVerifier (string): the PKCE code verifier, sent when exchanging the code
+ *  expiresAt (number): time in milliseconds
+ *
+ * Resolves to { state, nonce, codeChallenge }.
  */
-function getAuthorizationURL() {
-    // URL created will request permission for user profile information
-    const authorizationUrl = OAUTH2CLIENT.generateAuthUrl({
-        'access_type': 'online',
-        'scope': 'profile',
-        'include_granted_scopes': true
-    });
+function startLogin () {
+    const key = datastore.key(LOGIN_STATES);
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + LOGIN_LIFETIME_MINUTES * 60 * 1000;
+    const loginState = { 'nonceHash': hashValue(nonce).toString('hex'),
+                            'codeVerifier': codeVerifier,
+                            'expiresAt': expiresAt
+                        };
+    const expiredQuery = datastore.createQuery(LOGIN_STATES).filter('expiresAt', '<', Date.now()).limit(20);
 
-    return authorizationUrl;
-};
-
-/**
- * Send a POST request to the Google token authorization page
- * using the code recently received from the server 
- */
-function getServerToken(req) {
-    // Method for extracting the "code" parameter taken from the Google Identiy
-    // guide for 'Using Oauth2.0 for Web Applications'
-    // Available at: https://developers.google.com/identity/protocols/oauth2/web-server
-    
-    // Attempted to use the URL API to extract the "code" paramater, rather than the 
-    // deprecated query method suggested by the Google API docs.
-    // Available at: https://developer.mozilla.org/en-US/docs/Web/API/URL_API
-    const returnedUrl = url.parse(req.url, true).query;
-    
-    return OAUTH2CLIENT.getToken(returnedUrl.code)
-        .then(token => { // contains access token
-            OAUTH2CLIENT.setCredentials( { token } );
-            return token.tokens;
+    return datastore.save({ 'key': key, 'data': loginState, 'excludeFromIndexes': ['codeVerifier'] })
+        .then(() => {
+            return datastore.runQuery(expiredQuery);
+        })
+        .then(expired => {
+            return datastore.delete(expired[0].map(entity => entity[ds.Datastore.KEY]));
+        })
+        .then(() => {
+            const state = signJwt({ 'iss': STATE_ISSUER,
+                                    'aud': STATE_ISSUER,
+                                    'sub': String(key.id),
+                                    'exp': Math.floor(expiresAt / 1000)
+                                }, STATE_KEY);
+            return { 'state': state,
+                        'nonce': nonce,
+                        'codeChallenge': crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+                    };
         })
         .catch(error => {
             throw error;
@@ -108,23 +158,39 @@ function getServerToken(req) {
 };
 
 /**
- * Send a GET request to the Google People API to request
- * the names field.
+ * Finish the login of the state sent back by the identity provider, in the
+ * browser with the given login cookie. The login is deleted, so its state
+ * cannot be used again.
+ * Throws an error if the state is forged or expired, does not belong to the
+ * browser, or was already used.
+ *
+ * Resolves to the PKCE code verifier of the login.
  */
-function getUserInfo(token) {
-    const request = {
-        'method': 'get',
-        'url': 'https://people.googleapis.com/v1/people/me?personFields=names',
-        'headers': { 'Authorization': 'Bearer ' + token.access_token }
-    };
-
-    return axios(request)
-        .then(response => {
-            return response.data.names[0];  // names fields
-        })
-        .catch(error => {
-            throw error;
-        });
+function finishLogin (state, nonce) {
+    var key = null;
+
+    try {
+        const decoded = decodeJwt(state);
+        verifySignature(decoded, STATE_KEY);
+        verifyClaims(decoded.payload, [STATE_ISSUER], STATE_ISSUER);
+        key = datastore.key([LOGIN_STATES, parseInt(decoded.payload.sub, 10)]);
+    } catch (error) {
+        return Promise.reject(new ValidationError('The login is invalid or has expired'));
+    }
+
+    return ds.runInTransaction(transaction => {
+        return transaction.get(key)
+            .then(loginState => {
+                if (loginState[0] === undefined || loginState[0] === null || loginState[0].expiresAt <= Date.now()) {
+                    throw new ValidationError('The login has already been used or has expired');
+                } else if (nonce === null
+                            || !crypto.timingSafeEqual(hashValue(nonce), Buffer.from(loginState[0].nonceHash, 'hex'))) {
+                    throw new ValidationError('The login was started in another browser');
+                }
+                transaction.delete(key);
+                return loginState[0].codeVerifier;
+            });
+    });
 };
 
 //----------------------------------------------------------------------------
@@ -140,46 +206,129 @@ router.get('/', (req, res) => {
 });
 
 /**
- * Get the user information after verifying the state value and getting the
- * token from the server.
+ * Get the user information after the identity provider redirects back with
+ * a code, by exchanging the code for the user's ID token. The state must be
+ * that of a login started in this browser, and the code is exchanged with
+ * the login's PKCE code verifier. A session is started for the login, either
+ * shown as a refresh token or set as a cookie.
  */
-router.get('/oauth', (req, res) => {
-    var userToken = {};
-    var userData = {};
-    
-    getServerToken(req)
-        .then(token => {
-            userToken = token;
-            return getUserInfo(token);
+router.get('/oauth', (req, res, next) => {
+    const nonce = sessions.readCookie(req, LOGIN_COOKIE);
+    var login = null;
+    var session = null;
+
+    res.clearCookie(LOGIN_COOKIE, { 'httpOnly': true, 'secure': req.secure, 'sameSite': 'lax', 'path': '/oauth' });
+
+    if (typeof req.query.error === 'string') {
+        return next(new UnauthorizedError('The identity provider did not log you in: ' + req.query.error));
+    } else if (typeof req.query.code !== 'string' || typeof req.query.state !== 'string') {
+        return next(new ValidationError('The login did not return an authorization code and state'));
+    }
+
+    finishLogin(req.query.state, nonce)
+        .then(codeVerifier => {
+            return identity.provider.exchangeCode(req.query.code, identity.getRedirectUrl(req), codeVerifier)
+                .catch(() => {
+                    throw new UnauthorizedError('The identity provider did not accept the login');
+                });
         })
-        .then(userInfo => {
-            userData = userInfo;
-            return createUser(userInfo);
+        .then(result => {
+            login = result;
+            return sessions.createSession(login);
         })
-        .then(() => {
-            sendHTML(res, 200, userToken.id_token, userData);
+        .then(created => {
+            session = created;
+            return registerUser(login.claims, true);
         })
-        .catch(error => {
-            res.status(500).json(error.message);
+        .then(user => {
+            if (sessions.usesSessionCookie()) {
+                sessions.setSessionCookie(req, res, session);
+                sendHTML(res, 200, login.idToken, null, user);
+            } else {
+                sendHTML(res, 200, login.idToken, session.refreshable ? session.token : null, user);
+            }
+        })
+        .catch(next);
+}, sendErrorPage);
+
+/**
+ * Exchange a refresh token for a new JWT. The response includes the refresh
+ * token to use next time, since each one can only be used once.
+ */
+router.post('/auth/token', requireJsonBody, acceptsJson, validateBody(SESSION_TOKEN_SCHEMA), (req, res, next) => {
+    sessions.refreshSession(req.body.refreshToken)
+        .then(result => {
+            res.set('Cache-Control', 'no-store');
+            res.status(200).json({ 'idToken': result.idToken,
+                                    'tokenType': 'Bearer',
+                                    'expiresIn': Math.max(0, result.claims.exp - Math.floor(Date.now() / 1000)),
+                                    'refreshToken': result.refreshToken
+                                });
+        })
+        .catch(next);
+});
+
+/**
+ * Log out of the session of the refresh token in the body, or of the session
+ * cookie, and revoke the identity provider's refresh token. Sessions that have
+ * already ended are ignored.
+ */
+router.post('/auth/logout', validateBody(SESSION_TOKEN_SCHEMA, { 'partial': true }), (req, res, next) => {
+    const cookie = sessions.readSessionCookie(req);
+    const token = req.body.refreshToken !== undefined ? req.body.refreshToken : cookie;
+
+    if (token === null) {
+        return next(new ValidationError('Send the refreshToken of the session, or the session cookie'));
+    }
+
+    sessions.deleteSession(token)
+        .then(() => {
+            if (cookie !== null) {
+                sessions.clearSessionCookie(req, res);
+            }
+            res.status(204).end();
         })
+        .catch(next);
 });
 
+/**
+ * Warn that only POST requests are supported to end or refresh a session.
+ */
+router.all('/auth/token', methodNotAllowed('/auth/token', ['POST']));
+router.all('/auth/logout', methodNotAllowed('/auth/logout', ['POST']));
+
 
 /** 
  * Caught when the user presses the button on the welcome page. Directs
- * The user to a page that will ask for permission to access their Google
- * Account information.
+ * The user to a page of the identity provider that will ask them to log in
+ * and for permission to access their profile. The login cookie ties the
+ * state of the login to this browser.
  */
-router.post('/', (req, res) => {
-    const authorizationURL = getAuthorizationURL();
-    
-    // Store the Google authorizaiton URL in the response header.
-    // The user will then be redirected to the Google authorization page.
-    res.location(authorizationURL);
-    res.status(303).end();
-});
+router.post('/', (req, res, next) => {
+    startLogin()
+        .then(login => {
+            res.cookie(LOGIN_COOKIE, login.nonce, { 'httpOnly': true,
+                                                    'secure': req.secure,
+                                                    // sent when the identity provider redirects back
+                                                    'sameSite': 'lax',
+                                                    'path': '/oauth',
+                                                    'maxAge': LOGIN_LIFETIME_MINUTES * 60 * 1000
+                                                });
+            return identity.provider.getAuthorizationUrl(identity.getRedirectUrl(req), login);
+        })
+        .then(authorizationURL => {
+            // Store the authorization URL in the response header.
+            // The user will then be redirected to the authorization page.
+            res.location(authorizationURL);
+            res.status(303).end();
+        })
+        .catch(next);
+}, sendErrorPage);
 
 
 //----------------------------------------------------------------------------
 
 module.exports = router;
+
+// The schema is also read by openapi.js to document the API.
+module.exports.SESSION_TOKEN_SCHEMA = SESSION_TOKEN_SCHEMA;
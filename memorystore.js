@@ -0,0 +1,402 @@
+const { Datastore } = require('@google-cloud/datastore');
+
+const KEY = Datastore.KEY;
+const NO_MORE_RESULTS = Datastore.NO_MORE_RESULTS;
+const MORE_RESULTS_AFTER_LIMIT = Datastore.MORE_RESULTS_AFTER_LIMIT;
+
+// gRPC status code of a transaction that failed because of contention
+const ABORTED = 10;
+
+//----------------------------------------------------------------------------
+// In-memory storage backend. MemoryStore implements the part of the Datastore
+// client used by the models (keys, ID allocation, get/save/delete, queries,
+// count aggregations and transactions), so the API can run and be tested without
+// Google Cloud.
+//----------------------------------------------------------------------------
+
+/**
+ * Copy the stored data so that callers cannot change the store by
+ * changing the entities they were given.
+ */
+function copy (data) {
+    return JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * Read a property of an entity, following dot notation into embedded
+ * entities (e.g. 'queen.id'). Returns undefined if the property is not set.
+ */
+function getProperty (entity, property) {
+    return property.split('.').reduce((value, name) => {
+        if (value === undefined || value === null || typeof value !== 'object') {
+            return undefined;
+        }
+        return value[name];
+    }, entity);
+};
+
+/**
+ * Compare two property values in the order Datastore sorts them: null first,
+ * then booleans, numbers, strings and finally embedded entities.
+ */
+function compareValues (a, b) {
+    const rank = value => {
+        if (value === null) {
+            return 0;
+        } else if (typeof value === 'boolean') {
+            return 1;
+        } else if (typeof value === 'number') {
+            return 2;
+        } else if (typeof value === 'string') {
+            return 3;
+        }
+        return 4;
+    };
+
+    if (rank(a) !== rank(b)) {
+        return rank(a) - rank(b);
+    } else if (rank(a) === 4 || a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+};
+
+/**
+ * Check a property value against a query filter.
+ */
+function matchesFilter (value, filter) {
+    // Like Datastore, entities without the property never match a filter on it
+    if (value === undefined) {
+        return false;
+    }
+
+    const comparison = compareValues(value, filter.val);
+    switch (filter.op) {
+        case '=':
+            return comparison === 0;
+        case '!=':
+            return comparison !== 0;
+        case '<':
+            return comparison < 0;
+        case '<=':
+            return comparison <= 0;
+        case '>':
+            return comparison > 0;
+        case '>=':
+            return comparison >= 0;
+        default:
+            throw new Error('Unsupported filter operator: ' + filter.op);
+    }
+};
+
+/**
+ * Key of an entity kind, optionally with an ID. Incomplete keys
+ * (without an ID) are given one when the entity is saved.
+ */
+class MemoryKey {
+    constructor (path) {
+        this.kind = path[0];
+        this.id = path[1];
+        this.path = path;
+    }
+};
+
+/**
+ * Query over one entity kind, built with the same chained calls as a
+ * Datastore query.
+ */
+class MemoryQuery {
+    constructor (kind) {
+        this.kinds = [kind];
+        this.filters = [];
+        this.orders = [];
+        this.selectVal = [];
+        this.startVal = null;
+        this.limitVal = -1;
+        this.offsetVal = -1;
+    }
+
+    filter (property, operator, value) {
+        if (value === undefined) {
+            value = operator;
+            operator = '=';
+        }
+        this.filters.push({ 'name': property, 'op': operator, 'val': value });
+        return this;
+    }
+
+    order (property, options) {
+        const descending = options !== undefined && options.descending === true;
+        this.orders.push({ 'name': property, 'sign': descending ? '-' : '+' });
+        return this;
+    }
+
+    select (fields) {
+        this.selectVal = [].concat(fields);
+        return this;
+    }
+
+    start (cursor) {
+        this.startVal = cursor;
+        return this;
+    }
+
+    limit (n) {
+        this.limitVal = n;
+        return this;
+    }
+
+    offset (n) {
+        this.offsetVal = n;
+        return this;
+    }
+};
+
+/**
+ * Count aggregation over a query, mirroring createAggregationQuery().count().
+ */
+class MemoryAggregateQuery {
+    constructor (query) {
+        this.query = query;
+        this.aliases = [];
+    }
+
+    count (alias) {
+        this.aliases.push(alias);
+        return this;
+    }
+};
+
+/**
+ * Transaction over a MemoryStore. Like a Datastore transaction, writes are
+ * applied together on commit, and the commit fails with an ABORTED error
+ * if any entity read by the transaction was changed in the meantime.
+ */
+class MemoryTransaction {
+    constructor (store) {
+        this.store = store;
+        this.readVersions = {};
+        this.mutations = [];
+    }
+
+    run () {
+        return Promise.resolve([this]);
+    }
+
+    get (keys) {
+        [].concat(keys).forEach(key => {
+            const versionKey = this.store.versionKey(key);
+            this.readVersions[versionKey] = this.store.versions[versionKey] || 0;
+        });
+        return this.store.get(keys);
+    }
+
+    save (entities) {
+        this.mutations.push({ 'method': 'save', 'value': entities });
+    }
+
+    delete (keys) {
+        this.mutations.push({ 'method': 'delete', 'value': keys });
+    }
+
+    commit () {
+        const changed = Object.keys(this.readVersions).some(versionKey => {
+            return (this.store.versions[versionKey] || 0) !== this.readVersions[versionKey];
+        });
+        if (changed) {
+            const error = new Error('Too much contention on these datastore entities. Please try again.');
+            error.code = ABORTED;
+            return Promise.reject(error);
+        }
+
+        return this.mutations.reduce((previous, mutation) => {
+            return previous.then(() => this.store[mutation.method](mutation.value));
+        }, Promise.resolve())
+            .then(() => []);
+    }
+
+    rollback () {
+        this.mutations = [];
+        return Promise.resolve([]);
+    }
+};
+
+/**
+ * Storage backend that keeps every entity in memory. Data is lost when
+ * the server stops; see JsonFileStore for a backend that keeps it.
+ */
+class MemoryStore {
+    constructor () {
+        this.KEY = KEY;
+        this.NO_MORE_RESULTS = NO_MORE_RESULTS;
+        this.MORE_RESULTS_AFTER_LIMIT = MORE_RESULTS_AFTER_LIMIT;
+
+        // entities[kind][id] holds the data of each saved entity
+        this.entities = {};
+        this.lastId = 0;
+
+        // number of times each entity has been written, used by transactions
+        this.versions = {};
+    }
+
+    versionKey (key) {
+        return key.kind + '/' + String(key.id);
+    }
+
+    transaction () {
+        return new MemoryTransaction(this);
+    }
+
+    key (path) {
+        return new MemoryKey([].concat(path));
+    }
+
+    createQuery (kind) {
+        return new MemoryQuery(kind);
+    }
+
+    /**
+     * Reserve IDs for count new entities of the kind of the incomplete key,
+     * like Datastore's allocateIds, so they can be saved in a transaction
+     * with entities that refer to them.
+     */
+    allocateIds (key, count) {
+        const keys = [];
+        for (var i = 0; i < count; i++) {
+            this.lastId += 1;
+            keys.push(new MemoryKey([key.kind, String(this.lastId)]));
+        }
+        this.persist();
+        return Promise.resolve([keys]);
+    }
+
+    createAggregationQuery (query) {
+        return new MemoryAggregateQuery(query);
+    }
+
+    /**
+     * Return a copy of the stored entity with its key attached.
+     */
+    toEntity (key, data) {
+        const entity = copy(data);
+        entity[KEY] = new MemoryKey([key.kind, String(key.id)]);
+        return entity;
+    }
+
+    get (keys) {
+        const found = [].concat(keys).map(key => {
+            const kind = this.entities[key.kind] || {};
+            const data = kind[String(key.id)];
+            return data === undefined ? undefined : this.toEntity(key, data);
+        });
+        return Promise.resolve([Array.isArray(keys) ? found : found[0]]);
+    }
+
+    save (entities) {
+        [].concat(entities).forEach(entity => {
+            // accept both { key, data } objects and entities returned by get()
+            const key = entity.key !== undefined && entity[KEY] === undefined ? entity.key : entity[KEY];
+            const data = entity.key !== undefined && entity[KEY] === undefined ? entity.data : entity;
+
+            if (key.id === undefined) {
+                this.lastId += 1;
+                key.id = String(this.lastId);
+                key.path = [key.kind, key.id];
+            }
+            if (this.entities[key.kind] === undefined) {
+                this.entities[key.kind] = {};
+            }
+            this.entities[key.kind][String(key.id)] = copy(data);
+            this.versions[this.versionKey(key)] = (this.versions[this.versionKey(key)] || 0) + 1;
+        });
+        this.persist();
+        return Promise.resolve([]);
+    }
+
+    delete (keys) {
+        [].concat(keys).forEach(key => {
+            if (this.entities[key.kind] !== undefined) {
+                delete this.entities[key.kind][String(key.id)];
+            }
+            this.versions[this.versionKey(key)] = (this.versions[this.versionKey(key)] || 0) + 1;
+        });
+        this.persist();
+        return Promise.resolve([]);
+    }
+
+    /**
+     * Find every entity matching the filters of the query, in query order.
+     * Without a sort order, entities are returned in key order like Datastore.
+     */
+    findAll (query) {
+        const kind = this.entities[query.kinds[0]] || {};
+        const keyOrder = Object.keys(kind).sort((a, b) => compareValues(Number(a), Number(b)) || compareValues(a, b));
+
+        const matches = keyOrder
+            .map(id => ({ 'id': id, 'data': kind[id] }))
+            .filter(entity => {
+                return query.filters.every(filter => matchesFilter(getProperty(entity.data, filter.name), filter));
+            })
+            .filter(entity => {
+                return query.orders.every(order => getProperty(entity.data, order.name) !== undefined);
+            });
+
+        return matches.sort((a, b) => {
+            for (const order of query.orders) {
+                const comparison = compareValues(getProperty(a.data, order.name), getProperty(b.data, order.name));
+                if (comparison !== 0) {
+                    return order.sign === '-' ? -comparison : comparison;
+                }
+            }
+            return 0;
+        });
+    }
+
+    runQuery (query) {
+        const matches = this.findAll(query);
+
+        // cursors are the position in the results just after the last entity returned
+        var start = query.startVal !== null ? parseInt(query.startVal, 10) : 0;
+        if (isNaN(start) || start < 0) {
+            return Promise.reject(new Error('Invalid query cursor'));
+        }
+        if (query.offsetVal > 0) {
+            start += query.offsetVal;
+        }
+        const end = query.limitVal >= 0 ? start + query.limitVal : matches.length;
+        const page = matches.slice(start, end);
+
+        const keysOnly = query.selectVal.length === 1 && query.selectVal[0] === '__key__';
+        const entities = page.map(entity => {
+            const key = { 'kind': query.kinds[0], 'id': entity.id };
+            return this.toEntity(key, keysOnly ? {} : entity.data);
+        });
+        const info = {
+            'moreResults': end < matches.length ? MORE_RESULTS_AFTER_LIMIT : NO_MORE_RESULTS,
+            'endCursor': String(start + page.length)
+        };
+        return Promise.resolve([entities, info]);
+    }
+
+    runAggregationQuery (aggregateQuery) {
+        const total = this.findAll(aggregateQuery.query).length;
+        const result = {};
+        aggregateQuery.aliases.forEach(alias => {
+            result[alias] = total;
+        });
+        return Promise.resolve([[result]]);
+    }
+
+    /**
+     * Called after every write. The in-memory store keeps nothing on disk.
+     */
+    persist () {
+        return;
+    }
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    MemoryStore
+};
@@ -0,0 +1,897 @@
+const { HIVE_SCHEMA, HIVE_QUERY_FIELDS } = require('./hives');
+const { QUEEN_SCHEMA, QUEEN_QUERY_FIELDS } = require('./queens');
+const { APIARY_SCHEMA } = require('./apiaries');
+const { INSPECTION_SCHEMA } = require('./inspections');
+const { USER_SCHEMA, API_KEY_SCHEMA } = require('./users');
+const { SHARE_SCHEMA } = require('./roles');
+const { SESSION_TOKEN_SCHEMA } = require('./login');
+const { SESSION_COOKIE } = require('./sessions');
+const { HISTORY_REASONS } = require('./history');
+const { AUDIT_ACTIONS } = require('./audit');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./pagination');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE } = require('./patches');
+const { MAX_BULK_OPERATIONS } = require('./bulk');
+
+// Error responses that operations can list, by status code. Each one is
+// described in components.responses under the given name.
+const ERROR_RESPONSES = {
+    400: { 'name': 'ValidationError', 'code': 'validation_error', 'description': 'The request body or query string is invalid' },
+    401: { 'name': 'Unauthorized', 'code': 'unauthorized', 'description': 'The JWT, session cookie or refresh token is missing or invalid' },
+    403: { 'name': 'Forbidden', 'code': 'forbidden', 'description': 'Your role on the entity or the scopes of your API key do not allow this, or it needs an administrator' },
+    404: { 'name': 'NotFound', 'code': 'not_found', 'description': 'No entity exists with the given ID' },
+    405: { 'name': 'MethodNotAllowed', 'code': 'method_not_allowed', 'description': 'The method is not supported by the path' },
+    406: { 'name': 'NotAcceptable', 'code': 'not_acceptable', 'description': 'The Accept header does not allow application/json' },
+    409: { 'name': 'Conflict', 'code': 'conflict', 'description': 'The request conflicts with the current state of the entities' },
+    410: { 'name': 'Gone', 'code': 'gone', 'description': 'The entity was deleted, and can be restored until it is purged' },
+    412: { 'name': 'PreconditionFailed', 'code': 'precondition_failed', 'description': 'The If-Match header does not hold the current ETag of the entity' },
+    415: { 'name': 'UnsupportedMediaType', 'code': 'unsupported_media_type', 'description': 'The request body is not application/json (or a patch document, on PATCH)' },
+    429: { 'name': 'TooManyRequests', 'code': 'too_many_requests', 'description': 'The rate limit of the user or IP address was reached' },
+    500: { 'name': 'InternalError', 'code': 'internal_error', 'description': 'Unknown server error' }
+};
+
+//----------------------------------------------------------------------------
+// Helper functions used to build the OpenAPI document from the schemas the
+// routers validate request bodies with (see schema.js).
+//----------------------------------------------------------------------------
+
+/**
+ * Convert the rules of one attribute of a request schema to a JSON schema.
+ */
+function attributeSchema (rules) {
+    const types = {
+        'string': { 'type': 'string' },
+        'int': { 'type': 'integer' },
+        'number': { 'type': 'number' },
+        'boolean': { 'type': 'boolean' },
+        'date': { 'type': 'string', 'format': 'date' },
+        'id': { 'type': 'string', 'pattern': '^[0-9]+$', 'description': 'ID of another entity (a whole number may also be sent)' },
+        'array': { 'type': 'array' }
+    };
+    const jsonSchema = { ...types[rules.type] };
+
+    if (rules.items !== undefined) {
+        jsonSchema.items = attributeSchema(rules.items);
+    }
+    if (rules.nullable === true) {
+        jsonSchema.nullable = true;
+    }
+    if (rules.enum !== undefined) {
+        jsonSchema.enum = rules.enum;
+    }
+    if (rules.minLength !== undefined) {
+        jsonSchema.minLength = rules.minLength;
+    }
+    if (rules.maxLength !== undefined) {
+        jsonSchema.maxLength = rules.maxLength;
+    }
+    if (rules.min !== undefined) {
+        jsonSchema.minimum = rules.min;
+    }
+    if (rules.max !== undefined) {
+        jsonSchema.maximum = rules.max;
+    }
+    return jsonSchema;
+};
+
+/**
+ * Convert a request schema to the JSON schema of a request body. With partial
+ * set (for PATCH), no attribute is required.
+ */
+function requestSchema (schema, partial) {
+    const properties = {};
+    Object.keys(schema).forEach(attribute => {
+        properties[attribute] = attributeSchema(schema[attribute]);
+    });
+
+    const required = Object.keys(schema).filter(attribute => schema[attribute].required === true);
+    const jsonSchema = { 'type': 'object', 'properties': properties, 'additionalProperties': false };
+    if (!partial && required.length > 0) {
+        jsonSchema.required = required;
+    }
+    return jsonSchema;
+};
+
+/**
+ * JSON schema of an entity in a response: the attributes of its request
+ * schema, plus its ID and those set by the server.
+ */
+function entitySchema (schema, serverProperties) {
+    const properties = { 'id': { 'type': 'string' } };
+    Object.keys(schema).forEach(attribute => {
+        properties[attribute] = attributeSchema(schema[attribute]);
+    });
+    return { 'type': 'object', 'properties': { ...properties, ...serverProperties } };
+};
+
+/**
+ * JSON schema of a page of a collection, with the items listed under name.
+ */
+function pageSchema (name, itemSchema) {
+    return {
+        'type': 'object',
+        'properties': {
+            'total': { 'type': 'integer', 'description': 'Number of items in the whole collection' },
+            [name]: { 'type': 'array', 'items': itemSchema },
+            'next': { 'type': 'string', 'format': 'uri', 'description': 'Only sent if there is a next page' },
+            'prev': { 'type': 'string', 'format': 'uri', 'description': 'Only sent if there is a previous page' }
+        }
+    };
+};
+
+/**
+ * JSON schema of an operation of a bulk request for the entity with the given
+ * name, whose data follows its input schema (create) or patch schema (update).
+ */
+function bulkOperationSchema (name) {
+    return {
+        'type': 'object',
+        'required': ['op'],
+        'additionalProperties': false,
+        'properties': {
+            'op': { 'type': 'string', 'enum': ['create', 'update', 'delete'] },
+            'id': { 'type': 'string', 'description': 'ID of the entity to update or delete' },
+            'data': { 'anyOf': [ref('schemas', name + 'Input'), ref('schemas', name + 'Patch')],
+                        'description': 'Attributes of the entity to create, or to change' },
+            'ifMatch': { 'type': 'string', 'description': 'ETag the entity to update or delete must still have' }
+        }
+    };
+};
+
+/**
+ * Reference to a component of the document.
+ */
+function ref (kind, name) {
+    return { '$ref': '#/components/' + kind + '/' + name };
+};
+
+/**
+ * Query parameters filtering a collection by the given query fields
+ * (see filtering.js).
+ */
+function filterParameters (fields) {
+    return Object.keys(fields).map(name => {
+        const field = fields[name];
+        if (field.type === 'boolean') {
+            return { 'name': name, 'in': 'query', 'schema': { 'type': 'boolean' },
+                        'description': 'Only list entities where ' + name + ' is true or false' };
+        }
+        const schema = { 'type': field.type === 'int' ? 'integer' : 'string' };
+        if (field.enum !== undefined) {
+            schema.enum = field.enum;
+        }
+        return { 'name': name, 'in': 'query', 'schema': schema,
+                    'description': 'Only list entities with this ' + name + '. Ranges are given as ' + name + '[gt], '
+                        + name + '[gte], ' + name + '[lt] or ' + name + '[lte]' };
+    });
+};
+
+/**
+ * Query parameters sorting a collection by the sortable query fields.
+ */
+function sortParameter (fields) {
+    const sortable = Object.keys(fields).filter(name => fields[name].sortable !== false);
+    return { 'name': 'sort', 'in': 'query', 'schema': { 'type': 'string' },
+                'description': 'Comma separated attributes to sort by (at most two), each prefixed with - for '
+                    + 'descending order. Sortable attributes: ' + sortable.join(', ') + '. Results sorted by one '
+                    + 'attribute can be filtered by one other value; results sorted by two cannot be filtered by value.' };
+};
+
+/**
+ * Build an operation of the document.
+ *
+ * Options:
+ *  tag: the resource the operation belongs to
+ *  auth: whether the operation needs a JWT or session cookie (default true)
+ *  parameters: path and query parameters, as names in components.parameters
+ *      or parameter objects
+ *  body: JSON schema of the request body, if any
+ *  bodyRequired: whether the request body must be sent (default true)
+ *  patch: whether the body can also be a JSON Merge Patch or a JSON Patch
+ *  responses: the successful responses, by status code
+ *  errors: status codes of the error responses (429 and 500 are always added)
+ */
+function operation (summary, options) {
+    const op = { 'summary': summary, 'tags': [options.tag] };
+
+    if (options.auth !== false) {
+        op.security = [{ 'bearerAuth': [] }, { 'cookieAuth': [] }];
+    }
+    if (options.parameters !== undefined) {
+        op.parameters = options.parameters.map(parameter => {
+            return typeof parameter === 'string' ? ref('parameters', parameter) : parameter;
+        });
+    }
+    if (options.body !== undefined) {
+        op.requestBody = {
+            'required': options.bodyRequired !== false,
+            'content': { 'application/json': { 'schema': options.body } }
+        };
+        if (options.patch === true) {
+            op.requestBody.content[MERGE_PATCH_TYPE] = { 'schema': options.body };
+            op.requestBody.content[JSON_PATCH_TYPE] = { 'schema': ref('schemas', 'JsonPatch') };
+        }
+    }
+
+    op.responses = { ...options.responses };
+    (options.errors || []).concat([429, 500]).forEach(status => {
+        op.responses[status] = ref('responses', ERROR_RESPONSES[status].name);
+    });
+    return op;
+};
+
+/**
+ * Successful response with a JSON body.
+ */
+function jsonResponse (description, schema, headers) {
+    const response = { 'description': description, 'content': { 'application/json': { 'schema': schema } } };
+    if (headers !== undefined) {
+        response.headers = headers;
+    }
+    return response;
+};
+
+//----------------------------------------------------------------------------
+// The OpenAPI document.
+//----------------------------------------------------------------------------
+
+/**
+ * Components shared by the operations: entity and request schemas,
+ * parameters, error responses and the security schemes.
+ */
+function buildComponents () {
+    const link = { 'type': 'object', 'nullable': true,
+                    'properties': { 'id': { 'type': 'string' }, 'self': { 'type': 'string', 'format': 'uri' } } };
+    const self = { 'type': 'string', 'format': 'uri' };
+    const lineageNode = {
+        'id': { 'type': 'string' },
+        'name': { 'type': 'string' },
+        'status': attributeSchema(QUEEN_SCHEMA.status),
+        'markingColor': attributeSchema(QUEEN_SCHEMA.markingColor),
+        'self': self
+    };
+
+    const schemas = {
+        'Link': link,
+        'Hive': entitySchema(HIVE_SCHEMA, {
+            'beekeeper': { 'type': 'string', 'description': 'User ID of the owner' },
+            'queen': ref('schemas', 'Link'),
+            'hasQueen': { 'type': 'boolean', 'description': 'Whether the hive has a queen' },
+            'apiary': ref('schemas', 'Link'),
+            'latestInspection': { 'type': 'object', 'nullable': true, 'description': 'Only sent by GET /hives/{hive_id}',
+                                    'properties': { 'id': { 'type': 'string' }, 'date': { 'type': 'string', 'format': 'date' }, 'self': self } },
+            'self': self
+        }),
+        'HiveInput': requestSchema(HIVE_SCHEMA, false),
+        'HivePatch': requestSchema(HIVE_SCHEMA, true),
+        'Queen': entitySchema(QUEEN_SCHEMA, {
+            'motherQueen': ref('schemas', 'Link'),
+            'beekeeper': { 'type': 'string', 'description': 'User ID of the owner' },
+            'hive': { 'type': 'object', 'nullable': true,
+                        'properties': { 'id': { 'type': 'string' }, 'hiveName': { 'type': 'string' }, 'self': self } },
+            'hasHive': { 'type': 'boolean', 'description': 'Whether the queen lives in a hive' },
+            'self': self
+        }),
+        'QueenInput': requestSchema(QUEEN_SCHEMA, false),
+        'QueenPatch': requestSchema(QUEEN_SCHEMA, true),
+        'Apiary': entitySchema(APIARY_SCHEMA, {
+            'owner': { 'type': 'string', 'description': 'User ID of the owner' },
+            'hives': { 'type': 'string', 'format': 'uri', 'description': 'Link to the hives kept in the apiary' },
+            'self': self
+        }),
+        'ApiaryInput': requestSchema(APIARY_SCHEMA, false),
+        'ApiaryPatch': requestSchema(APIARY_SCHEMA, true),
+        'Inspection': entitySchema(INSPECTION_SCHEMA, {
+            'beekeeper': { 'type': 'string', 'description': 'User ID of the beekeeper who inspected the hive' },
+            'hive': { 'type': 'string', 'description': 'ID of the inspected hive' },
+            'self': self
+        }),
+        'InspectionInput': requestSchema(INSPECTION_SCHEMA, false),
+        'InspectionPatch': requestSchema(INSPECTION_SCHEMA, true),
+        'User': {
+            'type': 'object',
+            'properties': {
+                'id': { 'type': 'string', 'description': 'Subject of the user\'s JWT' },
+                'firstName': { 'type': 'string', 'nullable': true },
+                'lastName': { 'type': 'string', 'nullable': true },
+                'userId': { 'type': 'string', 'description': 'Subject of the user\'s JWT' },
+                'isBeekeeper': { 'type': 'boolean' },
+                'isAdmin': { 'type': 'boolean' },
+                'firstLogin': { 'type': 'string', 'format': 'date-time', 'nullable': true },
+                'lastLogin': { 'type': 'string', 'format': 'date-time', 'nullable': true },
+                'hives': { 'type': 'string', 'format': 'uri', 'description': 'Only sent by /users/me' },
+                'queens': { 'type': 'string', 'format': 'uri', 'description': 'Only sent by /users/me' }
+            }
+        },
+        'UserPatch': requestSchema(USER_SCHEMA, true),
+        'ApiKey': {
+            'type': 'object',
+            'properties': {
+                'id': { 'type': 'string' },
+                'name': { 'type': 'string' },
+                'scopes': attributeSchema(API_KEY_SCHEMA.scopes),
+                'createdAt': { 'type': 'string', 'format': 'date-time' },
+                'expiresAt': { 'type': 'string', 'format': 'date-time', 'nullable': true },
+                'key': { 'type': 'string', 'description': 'Only sent when the key is created: send it as the bearer token' },
+                'self': self
+            }
+        },
+        'ApiKeyInput': requestSchema(API_KEY_SCHEMA, false),
+        'Share': {
+            'type': 'object',
+            'properties': {
+                'type': { 'type': 'string', 'enum': ['hive', 'apiary'] },
+                'entity': ref('schemas', 'Link'),
+                'user': { 'type': 'string', 'description': 'Subject of the user the entity is shared with' },
+                'role': attributeSchema(SHARE_SCHEMA.role),
+                'grantedBy': { 'type': 'string', 'description': 'Subject of the user who last set the role' },
+                'createdAt': { 'type': 'string', 'format': 'date-time' },
+                'self': self
+            }
+        },
+        'ShareInput': requestSchema(SHARE_SCHEMA, false),
+        'SessionToken': requestSchema(SESSION_TOKEN_SCHEMA, false),
+        'SessionTokenOptional': requestSchema(SESSION_TOKEN_SCHEMA, true),
+        'Tokens': {
+            'type': 'object',
+            'properties': {
+                'idToken': { 'type': 'string', 'description': 'The new JWT' },
+                'tokenType': { 'type': 'string', 'enum': ['Bearer'] },
+                'expiresIn': { 'type': 'integer', 'description': 'Seconds until the JWT expires' },
+                'refreshToken': { 'type': 'string', 'description': 'Refresh token to use next time; the one sent can no longer be used' }
+            }
+        },
+        'HistoryChange': {
+            'type': 'object',
+            'properties': {
+                'reason': { 'type': 'string', 'enum': HISTORY_REASONS },
+                'date': { 'type': 'string', 'format': 'date', 'description': 'Defaults to today' }
+            }
+        },
+        'HistoryEntry': {
+            'type': 'object',
+            'properties': {
+                'id': { 'type': 'string' },
+                'hive': { 'type': 'object', 'properties': { 'id': { 'type': 'string' }, 'hiveName': { 'type': 'string' }, 'self': self } },
+                'queen': { 'type': 'object', 'properties': { 'id': { 'type': 'string' }, 'name': { 'type': 'string' }, 'self': self } },
+                'startDate': { 'type': 'string', 'format': 'date' },
+                'startReason': { 'type': 'string', 'enum': HISTORY_REASONS, 'nullable': true },
+                'endDate': { 'type': 'string', 'format': 'date', 'nullable': true },
+                'endReason': { 'type': 'string', 'enum': HISTORY_REASONS, 'nullable': true }
+            }
+        },
+        'HiveBulkOperation': bulkOperationSchema('Hive'),
+        'QueenBulkOperation': bulkOperationSchema('Queen'),
+        'BulkResult': {
+            'type': 'object',
+            'properties': {
+                'index': { 'type': 'integer', 'description': 'Position of the operation in the request' },
+                'op': { 'type': 'string', 'enum': ['create', 'update', 'delete'], 'nullable': true },
+                'status': { 'type': 'integer', 'description': 'Status the operation would get as a request of its own, '
+                    + 'or 424 if it was not carried out because another operation of an atomic request failed' },
+                'id': { 'type': 'string', 'nullable': true },
+                'self': { ...self, 'nullable': true },
+                'code': { 'type': 'string', 'nullable': true, 'description': 'Error code, as in error responses, or failed_dependency' },
+                'errors': { 'type': 'array', 'nullable': true,
+                            'items': { 'type': 'object',
+                                        'properties': { 'attribute': { 'type': 'string', 'nullable': true }, 'message': { 'type': 'string' } } } }
+            }
+        },
+        'BulkOutcome': {
+            'type': 'object',
+            'properties': {
+                'atomic': { 'type': 'boolean' },
+                'succeeded': { 'type': 'integer' },
+                'failed': { 'type': 'integer' },
+                'results': { 'type': 'array', 'items': ref('schemas', 'BulkResult') }
+            }
+        },
+        'JsonPatch': {
+            'type': 'array',
+            'description': 'JSON Patch (RFC 6902) of the attributes of the request schema; the patched entity must follow it',
+            'items': {
+                'type': 'object',
+                'required': ['op', 'path'],
+                'properties': {
+                    'op': { 'type': 'string', 'enum': ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                    'path': { 'type': 'string', 'description': 'JSON Pointer, e.g. /colonySize' },
+                    'from': { 'type': 'string', 'description': 'JSON Pointer of the value to move or copy' },
+                    'value': { 'description': 'Value to add, replace or test' }
+                }
+            }
+        },
+        'AuditEvent': {
+            'type': 'object',
+            'properties': {
+                'id': { 'type': 'string' },
+                'entityType': { 'type': 'string', 'enum': ['hive', 'queen'] },
+                'entity': ref('schemas', 'Link'),
+                'action': { 'type': 'string', 'enum': AUDIT_ACTIONS },
+                'actor': { 'type': 'string', 'description': 'Subject of the user who made the change' },
+                'apiKey': { 'type': 'string', 'nullable': true, 'description': 'ID of the API key the change was made with' },
+                'timestamp': { 'type': 'string', 'format': 'date-time' },
+                'changes': { 'type': 'object', 'description': 'The attributes that changed, as { attribute: { before, after } }',
+                                'additionalProperties': { 'type': 'object', 'properties': { 'before': {}, 'after': {} } } }
+            }
+        },
+        'LineageDescendant': {
+            'type': 'object',
+            'properties': { ...lineageNode, 'daughters': { 'type': 'array', 'items': ref('schemas', 'LineageDescendant') } }
+        },
+        'Lineage': {
+            'type': 'object',
+            'properties': {
+                ...lineageNode,
+                'ancestors': { 'type': 'array', 'items': { 'type': 'object', 'properties': lineageNode },
+                                'description': 'Mother, grandmother, etc., nearest first' },
+                'descendants': { 'type': 'array', 'items': ref('schemas', 'LineageDescendant') }
+            }
+        },
+        'Error': {
+            'type': 'object',
+            'required': ['code', 'message', 'details', 'requestId'],
+            'properties': {
+                'code': { 'type': 'string', 'enum': Object.keys(ERROR_RESPONSES).map(status => ERROR_RESPONSES[status].code) },
+                'message': { 'type': 'string' },
+                'details': { 'type': 'object', 'nullable': true,
+                                'description': 'e.g. { violations: [{ attribute, message }] } for a validation_error' },
+                'requestId': { 'type': 'string' }
+            }
+        }
+    };
+
+    const integerHeader = (description) => {
+        return { 'schema': { 'type': 'integer' }, 'description': description };
+    };
+    const rateLimitHeaders = {
+        'Retry-After': integerHeader('Seconds until requests are allowed again'),
+        'RateLimit-Limit': integerHeader('Requests allowed per window'),
+        'RateLimit-Remaining': integerHeader('Requests left in the current window'),
+        'RateLimit-Reset': integerHeader('Seconds until the window ends')
+    };
+
+    const responses = {};
+    Object.keys(ERROR_RESPONSES).forEach(status => {
+        const error = ERROR_RESPONSES[status];
+        responses[error.name] = jsonResponse(error.description + ' (' + error.code + ')', ref('schemas', 'Error'),
+            status === '429' ? rateLimitHeaders : undefined);
+    });
+
+    const idParameter = (name, description) => {
+        return { 'name': name, 'in': 'path', 'required': true, 'schema': { 'type': 'string' }, 'description': description };
+    };
+    const parameters = {
+        'user_id': idParameter('user_id', 'Subject of the user, or me for the authenticated user'),
+        'hive_id': idParameter('hive_id', 'ID of the hive'),
+        'queen_id': idParameter('queen_id', 'ID of the queen'),
+        'apiary_id': idParameter('apiary_id', 'ID of the apiary'),
+        'inspection_id': idParameter('inspection_id', 'ID of the inspection'),
+        'key_id': idParameter('key_id', 'ID of the API key'),
+        'limit': { 'name': 'limit', 'in': 'query',
+                    'schema': { 'type': 'integer', 'minimum': 1, 'maximum': MAX_PAGE_SIZE, 'default': DEFAULT_PAGE_SIZE },
+                    'description': 'Number of items per page' },
+        'cursor': { 'name': 'cursor', 'in': 'query', 'schema': { 'type': 'string' },
+                    'description': 'Opaque position of the page, taken from the next and prev links' },
+        'shared_hives': { 'name': 'shared', 'in': 'query', 'schema': { 'type': 'boolean', 'default': false },
+                            'description': 'List the hives shared with the user (directly or through an apiary) instead '
+                                + 'of their own, in the order of their IDs. Cannot be combined with filters or sort' },
+        'shared_queens': { 'name': 'shared', 'in': 'query', 'schema': { 'type': 'boolean', 'default': false },
+                            'description': 'List the queens in the hives shared with the user instead of their own, '
+                                + 'in the order of their IDs. Cannot be combined with filters or sort' },
+        'if_match': { 'name': 'If-Match', 'in': 'header', 'schema': { 'type': 'string' },
+                        'description': 'ETag the entity was read with; the request is a 412 error if it has changed since' },
+        'if_none_match': { 'name': 'If-None-Match', 'in': 'header', 'schema': { 'type': 'string' },
+                            'description': 'ETag of a cached copy of the entity; the response is a 304 if it has not changed' }
+    };
+
+    const securitySchemes = {
+        'bearerAuth': { 'type': 'http', 'scheme': 'bearer', 'bearerFormat': 'JWT',
+                        'description': 'ID token from the configured identity provider, as shown on the welcome page after logging in, '
+                            + 'or an API key created at /users/me/api-keys' },
+        'cookieAuth': { 'type': 'apiKey', 'in': 'cookie', 'name': SESSION_COOKIE,
+                        'description': 'Session cookie set by logging in on the welcome page, when AUTH_SESSION_COOKIE is enabled' }
+    };
+
+    return { 'schemas': schemas, 'responses': responses, 'parameters': parameters, 'securitySchemes': securitySchemes };
+};
+
+/**
+ * The operations of every route, by path and method.
+ */
+function buildPaths () {
+    const location = { 'Location': { 'schema': { 'type': 'string', 'format': 'uri' }, 'description': 'Link to the entity' } };
+    const etag = { 'ETag': { 'schema': { 'type': 'string' }, 'description': 'Version of the entity, for If-Match and If-None-Match' } };
+    const notModified = { '304': { 'description': 'The entity has not changed since it was read with the ETag in If-None-Match',
+                                    'headers': etag } };
+    const noContent = (description) => {
+        return { '204': { 'description': description } };
+    };
+    const html = (description) => {
+        return { '200': { 'description': description, 'content': { 'text/html': { 'schema': { 'type': 'string' } } } } };
+    };
+
+    const users = { 'tag': 'Users' };
+    const hives = { 'tag': 'Hives' };
+    const queens = { 'tag': 'Queens' };
+    const apiaries = { 'tag': 'Apiaries' };
+    const inspections = { 'tag': 'Inspections' };
+    const auditEvents = (description) => {
+        return { '200': jsonResponse(description, pageSchema('events', ref('schemas', 'AuditEvent'))) };
+    };
+    const bulkRequest = (name) => {
+        return { 'type': 'array', 'minItems': 1, 'maxItems': MAX_BULK_OPERATIONS, 'items': ref('schemas', name + 'BulkOperation') };
+    };
+    const bulkResponses = {
+        '200': jsonResponse('Every operation succeeded', ref('schemas', 'BulkOutcome')),
+        '207': jsonResponse('Some operations failed (with atomic=true, none were carried out)', ref('schemas', 'BulkOutcome'))
+    };
+    const atomicQuery = { 'name': 'atomic', 'in': 'query', 'schema': { 'type': 'boolean', 'default': false },
+                            'description': 'Carry out every operation, or none of them if any fails' };
+    const dateQuery = (name, description) => {
+        return { 'name': name, 'in': 'query', 'schema': { 'type': 'string', 'format': 'date' }, 'description': description };
+    };
+
+    return {
+        '/': {
+            'get': operation('Welcome page with the button to log in', {
+                'tag': 'Login', 'auth': false, 'responses': html('The welcome page') }),
+            'post': operation('Start logging in with the identity provider', {
+                'tag': 'Login', 'auth': false,
+                'responses': { '303': { 'description': 'Redirect to the identity provider\'s login page, setting the login cookie',
+                                        'headers': location } } })
+        },
+        '/oauth': {
+            'get': operation('Finish logging in and show the user\'s JWT', {
+                'tag': 'Login', 'auth': false,
+                'parameters': [{ 'name': 'code', 'in': 'query', 'required': true, 'schema': { 'type': 'string' },
+                                    'description': 'Authorization code sent by the identity provider' },
+                                { 'name': 'state', 'in': 'query', 'required': true, 'schema': { 'type': 'string' },
+                                    'description': 'Signed state of the login started by POST /' },
+                                { 'name': 'error', 'in': 'query', 'schema': { 'type': 'string' },
+                                    'description': 'Sent by the identity provider instead of a code if the login failed' },
+                                { 'name': 'beekeeper_login', 'in': 'cookie', 'required': true, 'schema': { 'type': 'string' },
+                                    'description': 'Login cookie set by POST /' }],
+                'responses': { ...html('The user\'s profile and JWT, with a refresh token or a session cookie'),
+                                '400': { 'description': 'Error page: the login is invalid, expired, already used or from another browser',
+                                            'content': { 'text/html': { 'schema': { 'type': 'string' } } } },
+                                '401': { 'description': 'Error page: the identity provider did not log the user in',
+                                            'content': { 'text/html': { 'schema': { 'type': 'string' } } } } } })
+        },
+        '/auth/token': {
+            'post': operation('Exchange a refresh token for a new JWT', {
+                'tag': 'Login', 'auth': false, 'body': ref('schemas', 'SessionToken'), 'errors': [400, 401, 406, 415],
+                'responses': { '200': jsonResponse('The new JWT and refresh token', ref('schemas', 'Tokens')) } })
+        },
+        '/auth/logout': {
+            'post': operation('End a session and revoke its refresh token', {
+                'tag': 'Login', 'auth': false, 'body': ref('schemas', 'SessionTokenOptional'), 'bodyRequired': false,
+                'parameters': [{ 'name': SESSION_COOKIE, 'in': 'cookie', 'schema': { 'type': 'string' },
+                                    'description': 'Session cookie, if the session was kept in a cookie' }],
+                'errors': [400],
+                'responses': noContent('The session has ended') })
+        },
+        '/openapi.json': {
+            'get': operation('This OpenAPI document', {
+                'tag': 'Documentation', 'auth': false,
+                'responses': { '200': jsonResponse('The OpenAPI document', { 'type': 'object' }) } })
+        },
+        '/docs': {
+            'get': operation('Interactive documentation of the API', {
+                'tag': 'Documentation', 'auth': false, 'responses': html('The documentation page') })
+        },
+        '/users': {
+            'get': operation('List all users (administrators only)', {
+                ...users, 'parameters': ['limit', 'cursor'], 'errors': [400, 401, 403, 406],
+                'responses': { '200': jsonResponse('A page of users', pageSchema('users', ref('schemas', 'User'))) } })
+        },
+        '/users/me': {
+            'get': operation('Get your profile', {
+                ...users, 'errors': [401, 406],
+                'responses': { '200': jsonResponse('Your profile', ref('schemas', 'User')) } }),
+            'patch': operation('Change your names', {
+                ...users, 'body': ref('schemas', 'UserPatch'), 'errors': [400, 401, 406, 415],
+                'responses': { '200': jsonResponse('Your updated profile', ref('schemas', 'User')) } })
+        },
+        '/users/me/api-keys': {
+            'get': operation('List your API keys', {
+                ...users, 'parameters': ['limit', 'cursor'], 'errors': [400, 401, 403, 406],
+                'responses': { '200': jsonResponse('A page of API keys', pageSchema('apiKeys', ref('schemas', 'ApiKey'))) } }),
+            'post': operation('Create an API key (shown only in this response)', {
+                ...users, 'body': ref('schemas', 'ApiKeyInput'), 'errors': [400, 401, 403, 406, 415],
+                'responses': { '201': jsonResponse('The new API key', ref('schemas', 'ApiKey'), location) } })
+        },
+        '/users/me/api-keys/{key_id}': {
+            'delete': operation('Revoke an API key', {
+                ...users, 'parameters': ['key_id'], 'errors': [401, 403, 404],
+                'responses': noContent('The API key was revoked') })
+        },
+        '/users/{user_id}/hives': {
+            'get': operation('List the hives of a user (your own, or anyone\'s for administrators)', {
+                ...users,
+                'parameters': ['user_id', 'limit', 'cursor', 'shared_hives'].concat(filterParameters(HIVE_QUERY_FIELDS), [sortParameter(HIVE_QUERY_FIELDS)]),
+                'errors': [400, 401, 403, 404, 406],
+                'responses': { '200': jsonResponse('A page of hives', pageSchema('hives', ref('schemas', 'Hive'))) } })
+        },
+        '/users/{user_id}/queens': {
+            'get': operation('List the queens of a user (your own, or anyone\'s for administrators)', {
+                ...users,
+                'parameters': ['user_id', 'limit', 'cursor', 'shared_queens'].concat(filterParameters(QUEEN_QUERY_FIELDS), [sortParameter(QUEEN_QUERY_FIELDS)]),
+                'errors': [400, 401, 403, 404, 406],
+                'responses': { '200': jsonResponse('A page of queens', pageSchema('queens', ref('schemas', 'Queen'))) } })
+        },
+        '/users/{user_id}/shares': {
+            'get': operation('List the hives and apiaries shared with a user (you, or anyone for administrators)', {
+                ...users, 'parameters': ['user_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406],
+                'responses': { '200': jsonResponse('A page of shares', pageSchema('shares', ref('schemas', 'Share'))) } })
+        },
+        '/hives': {
+            'get': operation('List your hives', {
+                ...hives,
+                'parameters': ['limit', 'cursor', 'shared_hives'].concat(filterParameters(HIVE_QUERY_FIELDS), [sortParameter(HIVE_QUERY_FIELDS)]),
+                'errors': [400, 401, 406],
+                'responses': { '200': jsonResponse('A page of hives', pageSchema('hives', ref('schemas', 'Hive'))) } }),
+            'post': operation('Create a hive', {
+                ...hives, 'body': ref('schemas', 'HiveInput'), 'errors': [400, 401, 406, 415],
+                'responses': { '201': jsonResponse('The new hive', ref('schemas', 'Hive')) } })
+        },
+        '/hives/bulk': {
+            'post': operation('Create, update and delete several hives at once, in order', {
+                ...hives, 'parameters': [atomicQuery], 'body': bulkRequest('Hive'), 'errors': [400, 401, 406, 415],
+                'responses': bulkResponses })
+        },
+        '/hives/{hive_id}': {
+            'get': operation('Get a hive, with its latest inspection', {
+                ...hives, 'parameters': ['hive_id', 'if_none_match'], 'errors': [401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('The hive', ref('schemas', 'Hive'), etag), ...notModified } }),
+            'put': operation('Replace a hive', {
+                ...hives, 'parameters': ['hive_id', 'if_match'], 'body': ref('schemas', 'HiveInput'),
+                'errors': [400, 401, 403, 404, 406, 410, 412, 415],
+                'responses': { '303': jsonResponse('The updated hive', ref('schemas', 'Hive'), { ...location, ...etag }) } }),
+            'patch': operation('Update some attributes of a hive', {
+                ...hives, 'parameters': ['hive_id', 'if_match'], 'body': ref('schemas', 'HivePatch'), 'patch': true,
+                'errors': [400, 401, 403, 404, 406, 409, 410, 412, 415],
+                'responses': { '200': jsonResponse('The updated hive', ref('schemas', 'Hive'), { ...location, ...etag }) } }),
+            'delete': operation('Delete a hive, releasing its queen; it can be restored until it is purged', {
+                ...hives, 'parameters': ['hive_id', 'if_match'], 'errors': [401, 403, 404, 410, 412],
+                'responses': noContent('The hive was deleted') })
+        },
+        '/hives/{hive_id}/restore': {
+            'post': operation('Restore a deleted hive, with its queen if she can be taken back (owner only)', {
+                ...hives, 'parameters': ['hive_id'], 'errors': [401, 403, 404, 406, 409],
+                'responses': { '200': jsonResponse('The restored hive', ref('schemas', 'Hive'), location) } })
+        },
+        '/hives/{hive_id}/audit': {
+            'get': operation('List the changes made to a hive, most recent first', {
+                ...hives, 'parameters': ['hive_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406, 410],
+                'responses': auditEvents('A page of audit events') })
+        },
+        '/hives/{hive_id}/queens/history': {
+            'get': operation('List the queens a hive has had, most recent first', {
+                ...hives, 'parameters': ['hive_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('A page of history entries', pageSchema('history', ref('schemas', 'HistoryEntry'))) } })
+        },
+        '/hives/{hive_id}/queens/{queen_id}': {
+            'put': operation('Assign a queen to a hive', {
+                ...hives, 'parameters': ['hive_id', 'queen_id'], 'body': ref('schemas', 'HistoryChange'), 'bodyRequired': false,
+                'errors': [400, 401, 403, 404, 409, 410],
+                'responses': noContent('The queen was assigned to the hive') }),
+            'delete': operation('Remove a queen from a hive', {
+                ...hives, 'parameters': ['hive_id', 'queen_id'], 'body': ref('schemas', 'HistoryChange'), 'bodyRequired': false,
+                'errors': [400, 401, 403, 404, 409, 410],
+                'responses': noContent('The queen was removed from the hive') })
+        },
+        '/hives/{hive_id}/shares': {
+            'get': operation('List the users a hive is shared with (owner only)', {
+                ...hives, 'parameters': ['hive_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('A page of shares', pageSchema('shares', ref('schemas', 'Share'))) } })
+        },
+        '/hives/{hive_id}/shares/{user_id}': {
+            'put': operation('Share a hive with a user as a viewer or editor (owner only)', {
+                ...hives, 'parameters': ['hive_id', 'user_id'], 'body': ref('schemas', 'ShareInput'),
+                'errors': [400, 401, 403, 404, 406, 410, 415],
+                'responses': { '200': jsonResponse('The role of the user was changed', ref('schemas', 'Share'), location),
+                                '201': jsonResponse('The hive was shared with the user', ref('schemas', 'Share'), location) } }),
+            'delete': operation('Stop sharing a hive with a user (owner, or the user themself)', {
+                ...hives, 'parameters': ['hive_id', 'user_id'], 'errors': [401, 403, 404, 410],
+                'responses': noContent('The hive is no longer shared with the user') })
+        },
+        '/hives/{hive_id}/inspections': {
+            'get': operation('List the inspections of a hive', {
+                ...inspections, 'parameters': ['hive_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('A page of inspections', pageSchema('inspections', ref('schemas', 'Inspection'))) } }),
+            'post': operation('Record an inspection of a hive', {
+                ...inspections, 'parameters': ['hive_id', 'if_match'], 'body': ref('schemas', 'InspectionInput'),
+                'errors': [400, 401, 403, 404, 406, 410, 412, 415],
+                'responses': { '201': jsonResponse('The new inspection', ref('schemas', 'Inspection')) } })
+        },
+        '/hives/{hive_id}/inspections/{inspection_id}': {
+            'get': operation('Get an inspection of a hive', {
+                ...inspections, 'parameters': ['hive_id', 'inspection_id'], 'errors': [401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('The inspection', ref('schemas', 'Inspection')) } }),
+            'patch': operation('Update some attributes of an inspection', {
+                ...inspections, 'parameters': ['hive_id', 'inspection_id'], 'body': ref('schemas', 'InspectionPatch'),
+                'errors': [400, 401, 403, 404, 406, 410, 415],
+                'responses': { '200': jsonResponse('The updated inspection', ref('schemas', 'Inspection'), location) } }),
+            'delete': operation('Delete an inspection', {
+                ...inspections, 'parameters': ['hive_id', 'inspection_id'], 'errors': [401, 403, 404, 410],
+                'responses': noContent('The inspection was deleted') })
+        },
+        '/queens': {
+            'get': operation('List your queens', {
+                ...queens,
+                'parameters': ['limit', 'cursor', 'shared_queens'].concat(filterParameters(QUEEN_QUERY_FIELDS), [sortParameter(QUEEN_QUERY_FIELDS)]),
+                'errors': [400, 401, 406],
+                'responses': { '200': jsonResponse('A page of queens', pageSchema('queens', ref('schemas', 'Queen'))) } }),
+            'post': operation('Create a queen', {
+                ...queens, 'body': ref('schemas', 'QueenInput'), 'errors': [400, 401, 406, 415],
+                'responses': { '201': jsonResponse('The new queen', ref('schemas', 'Queen')) } })
+        },
+        '/queens/bulk': {
+            'post': operation('Create, update and delete several queens at once, in order', {
+                ...queens, 'parameters': [atomicQuery], 'body': bulkRequest('Queen'), 'errors': [400, 401, 406, 415],
+                'responses': bulkResponses })
+        },
+        '/queens/{queen_id}': {
+            'get': operation('Get a queen', {
+                ...queens, 'parameters': ['queen_id', 'if_none_match'], 'errors': [401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('The queen', ref('schemas', 'Queen'), etag), ...notModified } }),
+            'put': operation('Replace a queen', {
+                ...queens, 'parameters': ['queen_id', 'if_match'], 'body': ref('schemas', 'QueenInput'),
+                'errors': [400, 401, 403, 404, 406, 410, 412, 415],
+                'responses': { '303': jsonResponse('The updated queen', ref('schemas', 'Queen'), { ...location, ...etag }) } }),
+            'patch': operation('Update some attributes of a queen', {
+                ...queens, 'parameters': ['queen_id', 'if_match'], 'body': ref('schemas', 'QueenPatch'), 'patch': true,
+                'errors': [400, 401, 403, 404, 406, 409, 410, 412, 415],
+                'responses': { '200': jsonResponse('The updated queen', ref('schemas', 'Queen'), { ...location, ...etag }) } }),
+            'delete': operation('Delete a queen, removing it from its hive; she can be restored until she is purged', {
+                ...queens, 'parameters': ['queen_id', 'if_match'], 'errors': [401, 403, 404, 410, 412],
+                'responses': noContent('The queen was deleted') })
+        },
+        '/queens/{queen_id}/hives/history': {
+            'get': operation('List the hives a queen has lived in, most recent first', {
+                ...queens, 'parameters': ['queen_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('A page of history entries', pageSchema('history', ref('schemas', 'HistoryEntry'))) } })
+        },
+        '/queens/{queen_id}/restore': {
+            'post': operation('Restore a deleted queen, in her hive if she can move back into it (owner only)', {
+                ...queens, 'parameters': ['queen_id'], 'errors': [401, 403, 404, 406, 409],
+                'responses': { '200': jsonResponse('The restored queen', ref('schemas', 'Queen'), location) } })
+        },
+        '/queens/{queen_id}/audit': {
+            'get': operation('List the changes made to a queen, most recent first', {
+                ...queens, 'parameters': ['queen_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406, 410],
+                'responses': auditEvents('A page of audit events') })
+        },
+        '/queens/{queen_id}/lineage': {
+            'get': operation('Get the ancestors and descendants of a queen', {
+                ...queens, 'parameters': ['queen_id'], 'errors': [401, 403, 404, 406, 410],
+                'responses': { '200': jsonResponse('The lineage tree', ref('schemas', 'Lineage')) } })
+        },
+        '/apiaries': {
+            'get': operation('List your apiaries', {
+                ...apiaries, 'parameters': ['limit', 'cursor'], 'errors': [400, 401, 406],
+                'responses': { '200': jsonResponse('A page of apiaries', pageSchema('apiaries', ref('schemas', 'Apiary'))) } }),
+            'post': operation('Create an apiary', {
+                ...apiaries, 'body': ref('schemas', 'ApiaryInput'), 'errors': [400, 401, 406, 415],
+                'responses': { '201': jsonResponse('The new apiary', ref('schemas', 'Apiary')) } })
+        },
+        '/apiaries/{apiary_id}': {
+            'get': operation('Get an apiary', {
+                ...apiaries, 'parameters': ['apiary_id'], 'errors': [401, 403, 404, 406],
+                'responses': { '200': jsonResponse('The apiary', ref('schemas', 'Apiary')) } }),
+            'put': operation('Replace an apiary', {
+                ...apiaries, 'parameters': ['apiary_id'], 'body': ref('schemas', 'ApiaryInput'), 'errors': [400, 401, 403, 404, 406, 415],
+                'responses': { '303': jsonResponse('The updated apiary', ref('schemas', 'Apiary'), location) } }),
+            'patch': operation('Update some attributes of an apiary', {
+                ...apiaries, 'parameters': ['apiary_id'], 'body': ref('schemas', 'ApiaryPatch'), 'errors': [400, 401, 403, 404, 406, 415],
+                'responses': { '200': jsonResponse('The updated apiary', ref('schemas', 'Apiary'), location) } }),
+            'delete': operation('Delete an apiary, keeping its hives', {
+                ...apiaries, 'parameters': ['apiary_id'], 'errors': [401, 403, 404],
+                'responses': noContent('The apiary was deleted') })
+        },
+        '/apiaries/{apiary_id}/hives': {
+            'get': operation('List the hives kept in an apiary', {
+                ...apiaries, 'parameters': ['apiary_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406],
+                'responses': { '200': jsonResponse('A page of hives', pageSchema('hives', ref('schemas', 'Hive'))) } })
+        },
+        '/apiaries/{apiary_id}/hives/{hive_id}': {
+            'put': operation('Move a hive into an apiary', {
+                ...apiaries, 'parameters': ['apiary_id', 'hive_id'], 'errors': [401, 403, 404, 409, 410],
+                'responses': noContent('The hive was added to the apiary') }),
+            'delete': operation('Take a hive out of an apiary', {
+                ...apiaries, 'parameters': ['apiary_id', 'hive_id'], 'errors': [401, 403, 404, 409, 410],
+                'responses': noContent('The hive was removed from the apiary') })
+        },
+        '/apiaries/{apiary_id}/shares': {
+            'get': operation('List the users an apiary is shared with (owner only)', {
+                ...apiaries, 'parameters': ['apiary_id', 'limit', 'cursor'], 'errors': [400, 401, 403, 404, 406],
+                'responses': { '200': jsonResponse('A page of shares', pageSchema('shares', ref('schemas', 'Share'))) } })
+        },
+        '/apiaries/{apiary_id}/shares/{user_id}': {
+            'put': operation('Share an apiary and its hives with a user as a viewer or editor (owner only)', {
+                ...apiaries, 'parameters': ['apiary_id', 'user_id'], 'body': ref('schemas', 'ShareInput'),
+                'errors': [400, 401, 403, 404, 406, 415],
+                'responses': { '200': jsonResponse('The role of the user was changed', ref('schemas', 'Share'), location),
+                                '201': jsonResponse('The apiary was shared with the user', ref('schemas', 'Share'), location) } }),
+            'delete': operation('Stop sharing an apiary with a user (owner, or the user themself)', {
+                ...apiaries, 'parameters': ['apiary_id', 'user_id'], 'errors': [401, 403, 404],
+                'responses': noContent('The apiary is no longer shared with the user') })
+        },
+        '/audit': {
+            'get': operation('List the changes made to every hive and queen, most recent first (administrators only)', {
+                'tag': 'Audit',
+                'parameters': ['limit', 'cursor',
+                                { 'name': 'user', 'in': 'query', 'schema': { 'type': 'string' },
+                                    'description': 'Only the changes made by the user with this subject' },
+                                dateQuery('from', 'Only the changes made on or after this date'),
+                                dateQuery('to', 'Only the changes made on or before this date')],
+                'errors': [400, 401, 403, 406],
+                'responses': auditEvents('A page of audit events') })
+        }
+    };
+};
+
+/**
+ * Build the OpenAPI 3 document describing the API.
+ */
+function buildSpec () {
+    return {
+        'openapi': '3.0.3',
+        'info': {
+            'title': 'Beekeeper API',
+            'version': require('./package.json').version,
+            'description': 'Manage hives, queens, apiaries and inspections. Requests to a path with a method '
+                + 'that is not listed are rejected with a 405 method_not_allowed error and an Allow header.'
+        },
+        'servers': [{ 'url': '/' }],
+        'paths': buildPaths(),
+        'components': buildComponents()
+    };
+};
+
+/**
+ * List the routes registered on an Express router and the routers mounted on
+ * it, as { method, path } with paths in the OpenAPI form (/hives/{hive_id}).
+ * Routes handling every method (the 405 handlers) are left out.
+ */
+function listRoutes (router, prefix) {
+    const routes = [];
+    const base = prefix === undefined ? '' : prefix;
+
+    router.stack.forEach(layer => {
+        if (layer.route !== undefined) {
+            const path = (base + layer.route.path).replace(/\/$/, '') || '/';
+            Object.keys(layer.route.methods)
+                .filter(method => method !== '_all')
+                .forEach(method => {
+                    routes.push({ 'method': method, 'path': path.replace(/:(\w+)/g, '{$1}') });
+                });
+        } else if (layer.name === 'router') {
+            routes.push(...listRoutes(layer.handle, base + mountPath(layer)));
+        }
+    });
+    return routes;
+};
+
+/**
+ * Express only keeps the regular expression of the path a router is mounted
+ * at, so turn it back into the path, e.g. /hives/:hive_id/inspections.
+ */
+function mountPath (layer) {
+    var keyIndex = 0;
+
+    if (layer.regexp.fast_slash) {
+        return '';
+    }
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\(\?:\(\[\^\\\/\]\+\?\)\)/g, () => ':' + layer.keys[keyIndex++].name)
+        .replace(/\\\//g, '/');
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    buildSpec,
+    listRoutes
+};
@@ -0,0 +1,173 @@
+const ds = require('./datastore');
+const { ValidationError } = require('./errors');
+
+const datastore = ds.datastore;
+
+// Number of entities returned per page when no limit is requested, and the
+// largest limit a client may ask for.
+const DEFAULT_PAGE_SIZE = 5;
+const MAX_PAGE_SIZE = 50;
+
+//----------------------------------------------------------------------------
+// Helper functions used to page through collections with cursors.
+//----------------------------------------------------------------------------
+
+/**
+ * Read the page size from the 'limit' query parameter.
+ * Throws an error if the limit is not a whole number between 1 and MAX_PAGE_SIZE.
+ */
+function getPageSize (req) {
+    if (req.query.limit === undefined) {
+        return DEFAULT_PAGE_SIZE;
+    }
+
+    const valid = /^[0-9]+$/;
+    const pageSize = parseInt(req.query.limit, 10);
+    if (!valid.test(req.query.limit) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new ValidationError('limit must be a whole number between 1 and ' + MAX_PAGE_SIZE);
+    }
+    return pageSize;
+};
+
+/**
+ * Encode the position of a page as the opaque value sent in the 'cursor'
+ * query parameter. The Datastore cursor only moves forward, so the offset
+ * of the page is kept alongside it to build the link to the previous page.
+ */
+function encodeCursor (position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Decode the 'cursor' query parameter created by encodeCursor.
+ * Throws an error if the cursor was not created by this API.
+ */
+function decodeCursor (cursor) {
+    if (cursor === undefined) {
+        return { 'offset': 0 };
+    }
+
+    var position = null;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        throw new ValidationError('The cursor is not valid for this collection');
+    }
+
+    if (position === null || !Number.isInteger(position.offset) || position.offset < 0
+            || (position.cursor !== undefined && typeof position.cursor !== 'string')) {
+        throw new ValidationError('The cursor is not valid for this collection');
+    }
+    return position;
+};
+
+/**
+ * Build a link to the page at the given position of the current collection.
+ * Any other query parameters of the request (e.g. filters) are kept.
+ */
+function pageLink (req, pageSize, position) {
+    const [path, query] = req.originalUrl.split('?');
+    const params = new URLSearchParams(query || '');
+    params.delete('cursor');
+    params.set('limit', pageSize);
+    if (position.offset > 0) {
+        params.set('cursor', encodeCursor(position));
+    }
+    return req.protocol + '://' + req.get('host') + path + '?' + params.toString();
+};
+
+/**
+ * Retrieve one page of the entities returned by createQuery, starting at the
+ * 'cursor' query parameter and holding at most 'limit' entities.
+ *
+ * createQuery must return a new Query each time it is called, since the same
+ * query is used both to count the matching entities and to fetch the page.
+ *
+ * Resolves to { total, items, next, prev }, where next and prev are links to
+ * the neighbouring pages and are only included if those pages exist.
+ */
+function paginate (req, createQuery) {
+    var pageSize = DEFAULT_PAGE_SIZE;
+    var position = {};
+    const page = {};
+
+    try {
+        pageSize = getPageSize(req);
+        position = decodeCursor(req.query.cursor);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    // Count the entities on the server rather than loading all of them
+    const countQuery = datastore.createAggregationQuery(createQuery()).count('total');
+
+    return datastore.runAggregationQuery(countQuery)
+        .then(counts => {
+            page.total = counts[0][0].total;
+
+            var pageQuery = createQuery().limit(pageSize);
+            if (position.cursor !== undefined) {
+                pageQuery = pageQuery.start(position.cursor);
+            } else if (position.offset > 0) {
+                pageQuery = pageQuery.offset(position.offset);
+            }
+            return datastore.runQuery(pageQuery);
+        })
+        .then(entities => {
+            page.items = entities[0].map(ds.fromDatastore);
+            const pageInfo = entities[1]; // query information
+
+            // add a link to the next page of results if there are more results remaining
+            const nextOffset = position.offset + page.items.length;
+            if (page.items.length > 0 && nextOffset < page.total) {
+                page.next = pageLink(req, pageSize, { 'cursor': pageInfo.endCursor, 'offset': nextOffset });
+            }
+
+            // add a link to the previous page of results if this is not the first page
+            if (position.offset > 0) {
+                page.prev = pageLink(req, pageSize, { 'offset': Math.max(position.offset - pageSize, 0) });
+            }
+            return page;
+        });
+};
+
+/**
+ * Retrieve one page of a list of entities that was not read by a single
+ * query (e.g. those gathered from several shares), starting at the 'cursor'
+ * query parameter and holding at most 'limit' entities, like paginate.
+ *
+ * Resolves to { total, items, next, prev }, as paginate does.
+ */
+function paginateList (req, entities) {
+    var pageSize = DEFAULT_PAGE_SIZE;
+    var position = {};
+
+    try {
+        pageSize = getPageSize(req);
+        position = decodeCursor(req.query.cursor);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const page = { 'total': entities.length,
+                    'items': entities.slice(position.offset, position.offset + pageSize).map(ds.fromDatastore)
+                };
+
+    const nextOffset = position.offset + page.items.length;
+    if (page.items.length > 0 && nextOffset < page.total) {
+        page.next = pageLink(req, pageSize, { 'offset': nextOffset });
+    }
+    if (position.offset > 0) {
+        page.prev = pageLink(req, pageSize, { 'offset': Math.max(position.offset - pageSize, 0) });
+    }
+    return Promise.resolve(page);
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    paginate,
+    paginateList
+};
@@ -0,0 +1,358 @@
+const { ValidationError, ConflictError } = require('./errors');
+const { findViolations } = require('./schema');
+
+// Media types of the request bodies PATCH routes accept: the attributes to
+// change (where null means "not given"), a JSON Merge Patch (RFC 7396) and
+// a JSON Patch (RFC 6902).
+const JSON_TYPE = 'application/json';
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+const PATCH_TYPES = [JSON_TYPE, MERGE_PATCH_TYPE, JSON_PATCH_TYPE];
+
+const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+// Reference tokens that would reach the prototype of an object rather than
+// one of its attributes.
+const FORBIDDEN_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+//----------------------------------------------------------------------------
+// Patch documents for the PATCH routes of hives and queens. A patch is
+// applied to the attributes of the entity as a client sends them (its
+// request schema), and the result is validated against the full schema, so
+// a patch can clear a nullable attribute but not remove a required one.
+//----------------------------------------------------------------------------
+
+/**
+ * Find the media type of the request body among PATCH_TYPES.
+ */
+function patchType (req) {
+    return req.is(PATCH_TYPES) || JSON_TYPE;
+};
+
+/**
+ * Whether two JSON values are equal, whatever the order of their attributes.
+ */
+function isEqual (a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+            && a.every((item, index) => isEqual(item, b[index]));
+    } else if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+    }
+    return a === b;
+};
+
+/**
+ * Apply a JSON Merge Patch to a value (RFC 7396): the attributes of the patch
+ * replace those of the value, recursively, and null attributes are removed.
+ */
+function applyMergePatch (value, patch) {
+    if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+        return patch;
+    }
+
+    const result = value !== null && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+    Object.keys(patch).forEach(attribute => {
+        if (patch[attribute] === null) {
+            delete result[attribute];
+        } else {
+            result[attribute] = applyMergePatch(result[attribute], patch[attribute]);
+        }
+    });
+    return result;
+};
+
+/**
+ * Split a JSON Pointer (RFC 6901) into its reference tokens.
+ */
+function parsePointer (pointer) {
+    return pointer === '' ? [] : pointer.substr(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Whether a JSON Pointer (if given) goes through the prototype of an object.
+ */
+function isForbiddenPointer (pointer) {
+    return typeof pointer === 'string' && parsePointer(pointer).some(token => FORBIDDEN_TOKENS.includes(token));
+};
+
+/**
+ * Whether an object has an attribute of its own (not an inherited one).
+ */
+function hasOwn (object, attribute) {
+    return Object.prototype.hasOwnProperty.call(object, attribute);
+};
+
+/**
+ * Find the container (object or array) holding the value a pointer refers to,
+ * and the token of the value in it. Throws an error if the container does
+ * not exist.
+ */
+function findContainer (document, tokens, fail) {
+    var container = document;
+
+    tokens.slice(0, -1).forEach(token => {
+        if (container === null || typeof container !== 'object') {
+            throw fail('its path does not exist');
+        } else if (Array.isArray(container)) {
+            container = container[arrayIndex(container, token, false, fail)];
+        } else if (hasOwn(container, token)) {
+            container = container[token];
+        } else {
+            throw fail('its path does not exist');
+        }
+    });
+    if (container === null || typeof container !== 'object') {
+        throw fail('its path does not exist');
+    }
+    return { 'container': container, 'token': tokens[tokens.length - 1] };
+};
+
+/**
+ * Read the index of an array element from a reference token. With append set
+ * (for 'add'), '-' and the length of the array refer to its end.
+ */
+function arrayIndex (array, token, append, fail) {
+    if (append && token === '-') {
+        return array.length;
+    }
+    const index = /^(0|[1-9][0-9]*)$/.test(token) ? parseInt(token, 10) : -1;
+    if (index < 0 || index > array.length || (index === array.length && !append)) {
+        throw fail('its path does not exist');
+    }
+    return index;
+};
+
+/**
+ * Apply a JSON Patch (RFC 6902), a list of operations applied in order, to a
+ * document. Returns the patched copy of the document.
+ *
+ * Throws a 409 error if an operation cannot be applied to the document, e.g.
+ * a 'test' operation that fails or a path that does not exist.
+ */
+function applyJsonPatch (document, operations) {
+    var result = JSON.parse(JSON.stringify(document));
+
+    operations.forEach((operation, index) => {
+        const fail = (reason) => {
+            return new ConflictError('Operation ' + index + ' (' + operation.op + ' ' + operation.path + ') of the JSON Patch failed: '
+                + reason, { 'operation': index });
+        };
+
+        const getValue = (pointer) => {
+            const tokens = parsePointer(pointer);
+            if (tokens.length === 0) {
+                return result;
+            }
+            const { container, token } = findContainer(result, tokens, fail);
+            if (!Array.isArray(container) && !hasOwn(container, token)) {
+                throw fail('its path does not exist');
+            }
+            const value = Array.isArray(container) ? container[arrayIndex(container, token, false, fail)] : container[token];
+            if (value === undefined) {
+                throw fail('its path does not exist');
+            }
+            return value;
+        };
+
+        const removeValue = (pointer) => {
+            const value = getValue(pointer);
+            const tokens = parsePointer(pointer);
+            if (tokens.length === 0) {
+                throw fail('the whole document cannot be removed');
+            }
+            const { container, token } = findContainer(result, tokens, fail);
+            if (Array.isArray(container)) {
+                container.splice(arrayIndex(container, token, false, fail), 1);
+            } else {
+                delete container[token];
+            }
+            return value;
+        };
+
+        const addValue = (pointer, value) => {
+            const tokens = parsePointer(pointer);
+            if (tokens.length === 0) {
+                result = value;
+                return;
+            }
+            const { container, token } = findContainer(result, tokens, fail);
+            if (Array.isArray(container)) {
+                container.splice(arrayIndex(container, token, true, fail), 0, value);
+            } else {
+                container[token] = value;
+            }
+        };
+
+        const copy = (value) => JSON.parse(JSON.stringify(value));
+
+        if (isForbiddenPointer(operation.path) || isForbiddenPointer(operation.from)) {
+            throw fail('its path is not an attribute');
+        }
+
+        switch (operation.op) {
+            case 'add':
+                addValue(operation.path, copy(operation.value));
+                break;
+            case 'remove':
+                removeValue(operation.path);
+                break;
+            case 'replace':
+                getValue(operation.path);
+                if (operation.path !== '') {
+                    removeValue(operation.path);
+                }
+                addValue(operation.path, copy(operation.value));
+                break;
+            case 'move':
+                if (operation.path.startsWith(operation.from + '/')) {
+                    throw fail('a value cannot be moved into itself');
+                }
+                addValue(operation.path, removeValue(operation.from));
+                break;
+            case 'copy':
+                addValue(operation.path, copy(getValue(operation.from)));
+                break;
+            case 'test':
+                if (!isEqual(getValue(operation.path), operation.value)) {
+                    throw fail('the value is not the one expected');
+                }
+                break;
+        }
+    });
+    return result;
+};
+
+/**
+ * Check that a JSON Patch is a list of well-formed operations.
+ * Returns a list of violations, each { operation, message }.
+ */
+function findJsonPatchViolations (operations) {
+    const violations = [];
+    const isPointer = (pointer) => typeof pointer === 'string' && (pointer === '' || pointer.startsWith('/'));
+
+    if (!Array.isArray(operations)) {
+        return [{ 'operation': null, 'message': 'A JSON Patch must be a list of operations' }];
+    }
+
+    operations.forEach((operation, index) => {
+        if (operation === null || typeof operation !== 'object' || Array.isArray(operation)) {
+            violations.push({ 'operation': index, 'message': 'must be an object' });
+        } else if (!JSON_PATCH_OPS.includes(operation.op)) {
+            violations.push({ 'operation': index, 'message': 'op must be one of: ' + JSON_PATCH_OPS.join(', ') });
+        } else if (!isPointer(operation.path)) {
+            violations.push({ 'operation': index, 'message': 'path must be a JSON Pointer' });
+        } else if (['move', 'copy'].includes(operation.op) && !isPointer(operation.from)) {
+            violations.push({ 'operation': index, 'message': 'from must be a JSON Pointer' });
+        } else if (isForbiddenPointer(operation.path) || isForbiddenPointer(operation.from)) {
+            violations.push({ 'operation': index, 'message': 'path and from must not refer to ' + FORBIDDEN_TOKENS.join(', ') });
+        } else if (['add', 'replace', 'test'].includes(operation.op) && operation.value === undefined) {
+            violations.push({ 'operation': index, 'message': 'value is required' });
+        }
+    });
+    return violations;
+};
+
+/**
+ * Check the attributes to change given by a JSON body or a merge patch
+ * against the schema. Attributes set to null are not given (JSON) or are
+ * cleared (merge patch), so they only need to be known attributes.
+ * Returns a list of violations, each { attribute, message }.
+ */
+function findAttributeViolations (body, schema) {
+    const violations = [];
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return findViolations(body, schema, true);
+    }
+
+    // without a prototype, so that a '__proto__' attribute is kept (and rejected)
+    const attributes = Object.create(null);
+    Object.keys(body).filter(attribute => body[attribute] !== null).forEach(attribute => {
+        attributes[attribute] = body[attribute];
+    });
+    Object.keys(body).filter(attribute => body[attribute] === null).forEach(attribute => {
+        if (!Object.prototype.hasOwnProperty.call(schema, attribute)) {
+            violations.push({ 'attribute': attribute, 'message': 'is not a known attribute' });
+        }
+    });
+    return violations.concat(findViolations(attributes, schema, true));
+};
+
+/**
+ * Build middleware that checks the body of a PATCH request before the entity
+ * is read: the attributes of a JSON body or merge patch against the schema
+ * (see findAttributeViolations), and the operations of a JSON Patch. The
+ * patched entity is checked by applyPatch.
+ */
+function validatePatch (schema) {
+    return function (req, res, next) {
+        const type = patchType(req);
+        var violations = [];
+
+        if (type === JSON_PATCH_TYPE) {
+            violations = findJsonPatchViolations(req.body);
+        } else {
+            violations = findAttributeViolations(req.body, schema);
+        }
+
+        if (violations.length > 0) {
+            next(new ValidationError('The request body has ' + violations.length + ' invalid attribute(s) or operation(s)',
+                { 'violations': violations }));
+        } else {
+            next();
+        }
+    };
+};
+
+/**
+ * Apply the body of a PATCH request, of the given type (see patchType), to
+ * the attributes of an entity (in the form of its request schema).
+ *
+ * Returns the patched attributes, with null for those that were cleared.
+ * Throws a 400 error if they do not follow the schema, and a 409 error if a
+ * JSON Patch cannot be applied.
+ */
+function applyPatch (type, patch, attributes, schema) {
+    var patched = null;
+
+    if (type === MERGE_PATCH_TYPE) {
+        patched = applyMergePatch(attributes, patch);
+    } else if (type === JSON_PATCH_TYPE) {
+        patched = applyJsonPatch(attributes, patch);
+    } else {
+        // the attributes given in the request replace the current ones; null is "not given"
+        patched = { ...attributes };
+        Object.keys(patch).filter(attribute => patch[attribute] !== null).forEach(attribute => {
+            patched[attribute] = patch[attribute];
+        });
+    }
+
+    const violations = findViolations(patched, schema, false);
+    if (violations.length > 0) {
+        throw new ValidationError('The patched entity has ' + violations.length + ' invalid attribute(s)',
+            { 'violations': violations });
+    }
+
+    Object.keys(schema).forEach(attribute => {
+        if (patched[attribute] === undefined) {
+            patched[attribute] = null;
+        }
+    });
+    return patched;
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    JSON_TYPE,
+    MERGE_PATCH_TYPE,
+    JSON_PATCH_TYPE,
+    PATCH_TYPES,
+    patchType,
+    findAttributeViolations,
+    validatePatch,
+    applyPatch
+};
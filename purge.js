@@ -0,0 +1,131 @@
+require('dotenv').config();
+
+const ds = require('./datastore');
+const config = require('./config.json');
+const roles = require('./roles');
+const { DELETED_HIVES, DELETED_QUEENS, INSPECTIONS } = require('./constants');
+
+const datastore = ds.datastore;
+
+// Days a deleted hive or queen is kept, and can be restored, unless another
+// retention period is configured.
+const DEFAULT_RETENTION_DAYS = 30;
+
+//----------------------------------------------------------------------------
+// Purge of deleted hives and queens.
+//
+// Deleting a hive or queen keeps it as a DELETED_HIVE or DELETED_QUEEN
+// entity, which can be restored. This script deletes them for good once they
+// have been deleted for longer than DELETE_RETENTION_DAYS (read from the
+// environment, then config.json; 30 by default), along with the inspection
+// log and shares of each hive. Their audit trail and queen history are kept.
+// Run it regularly, e.g. once a day:
+//
+//     npm run purge-deleted
+//----------------------------------------------------------------------------
+
+/**
+ * Read the retention period in days. Throws an error if it is set to anything
+ * other than a whole number.
+ */
+function getRetentionDays () {
+    const value = process.env.DELETE_RETENTION_DAYS !== undefined
+        ? process.env.DELETE_RETENTION_DAYS
+        : config.DELETE_RETENTION_DAYS;
+
+    if (value === undefined || value === '') {
+        return DEFAULT_RETENTION_DAYS;
+    } else if (!/^[0-9]+$/.test(String(value))) {
+        throw new Error('DELETE_RETENTION_DAYS must be a whole number');
+    }
+    return parseInt(value, 10);
+};
+
+/**
+ * Find the entities of the given kind that were deleted before the cutoff
+ * (an ISO 8601 date and time).
+ */
+function findExpired (kind, cutoff) {
+    const query = datastore.createQuery(kind).filter('deletedAt', '<', cutoff);
+
+    return datastore.runQuery(query)
+        .then(entities => entities[0]);
+};
+
+/**
+ * Delete the hive for good, with its inspection log and its shares.
+ */
+function purgeHive (hive) {
+    const hiveId = String(hive[ds.Datastore.KEY].id);
+    const inspectionsQuery = datastore.createQuery(INSPECTIONS)
+        .filter('hive', '=', hiveId)
+        .select('__key__');
+    var inspectionKeys = [];
+
+    return datastore.runQuery(inspectionsQuery)
+        .then(inspections => {
+            inspectionKeys = inspections[0].map(inspection => inspection[ds.Datastore.KEY]);
+            return roles.findShareKeys('hive', hiveId);
+        })
+        .then(shareKeys => {
+            return datastore.delete([hive[ds.Datastore.KEY], ...inspectionKeys, ...shareKeys]);
+        });
+};
+
+/**
+ * Delete for good the hives and queens that were deleted longer than the
+ * retention period before now (a Date, the current time by default).
+ *
+ * Resolves to { hives, queens }, the IDs of the purged entities.
+ */
+function purgeDeleted (now) {
+    const purged = { 'hives': [], 'queens': [] };
+    var cutoff = null;
+
+    try {
+        const retentionMs = getRetentionDays() * 24 * 60 * 60 * 1000;
+        cutoff = new Date((now || new Date()).getTime() - retentionMs).toISOString();
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    return findExpired(DELETED_HIVES, cutoff)
+        .then(hives => {
+            // one entity at a time, to keep each batch of deletes small
+            return hives.reduce((previous, hive) => {
+                return previous
+                    .then(() => purgeHive(hive))
+                    .then(() => {
+                        purged.hives.push(String(hive[ds.Datastore.KEY].id));
+                    });
+            }, Promise.resolve());
+        })
+        .then(() => findExpired(DELETED_QUEENS, cutoff))
+        .then(queens => {
+            return queens.reduce((previous, queen) => {
+                return previous
+                    .then(() => datastore.delete(queen[ds.Datastore.KEY]))
+                    .then(() => {
+                        purged.queens.push(String(queen[ds.Datastore.KEY].id));
+                    });
+            }, Promise.resolve());
+        })
+        .then(() => purged);
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    purgeDeleted
+};
+
+if (require.main === module) {
+    purgeDeleted()
+        .then(purged => {
+            console.log(JSON.stringify({ 'purged': purged }, null, 2));
+        })
+        .catch(error => {
+            console.error(error);
+            process.exitCode = 1;
+        });
+}
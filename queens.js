@@ -2,43 +2,189 @@ const express = require('express');
 const bodyParser = require('body-parser');
 
 const ds = require('./datastore');
-const { OAUTH2CLIENT, CLIENT_ID, USERS, HIVES, QUEENS } = require('./constants');
+const { verifyJwt, verifyQueenRole } = require('./auth');
+const { paginate, paginateList } = require('./pagination');
+const { parseCollectionQuery, isSharedListing, applyCollectionQuery } = require('./filtering');
+const history = require('./history');
+const roles = require('./roles');
+const audit = require('./audit');
+const etags = require('./etags');
+const patches = require('./patches');
+const bulk = require('./bulk');
+const { validateBody } = require('./schema');
+const { ValidationError, NotFoundError, ConflictError, acceptsJson, requireBodyType, requireJsonBody, methodNotAllowed } = require('./errors');
+const { HIVES, QUEENS, DELETED_QUEENS } = require('./constants');
 
 const router = express.Router();
 
 const datastore = ds.datastore;
 
-router.use(bodyParser.json());
+router.use(bodyParser.json({ 'type': patches.PATCH_TYPES }));
+router.use(verifyJwt);
 
 //----------------------------------------------------------------------------
-// Authentication and verificiation functions used to authenticate users 
-// and validate request input.
+// Schema and verificiation functions used to validate request input.
 //----------------------------------------------------------------------------
 
+// Values allowed for the breeding record attributes of a queen.
+const QUEEN_STATUSES = ['virgin', 'mated', 'laying', 'superseded', 'dead'];
+const MATING_METHODS = ['open', 'instrumental'];
+
+// International queen marking colours, chosen by the year the queen was raised:
+// years ending in 1 or 6 are white, 2 or 7 yellow, 3 or 8 red, 4 or 9 green,
+// and 5 or 0 blue. Indexed by the year modulo 5.
+const MARKING_COLORS = ['blue', 'white', 'yellow', 'red', 'green'];
+
+// Number of generations followed up and down when building a queen's lineage.
+const MAX_LINEAGE_DEPTH = 20;
+
+// Attributes of a queen that can be set by POST, PUT and PATCH /queens. The
+// hive is set through PUT /hives/:hive_id/queens/:queen_id.
+const QUEEN_SCHEMA = {
+    'name': { 'type': 'string', 'required': true, 'minLength': 1, 'maxLength': 100 },
+    'species': { 'type': 'string', 'required': true, 'minLength': 1, 'maxLength': 100 },
+    'age': { 'type': 'int', 'required': true, 'min': 0, 'max': 120 },
+    'motherQueen': { 'type': 'id', 'nullable': true },
+    'matingDate': { 'type': 'date', 'nullable': true },
+    'matingMethod': { 'type': 'string', 'nullable': true, 'enum': MATING_METHODS },
+    'markingColor': { 'type': 'string', 'nullable': true, 'enum': MARKING_COLORS },
+    'status': { 'type': 'string', 'nullable': true, 'enum': QUEEN_STATUSES }
+};
+
 /**
- * Verify that the attribute uses only spaces and alphanumeric characters.
- * Will not be used to validate date attributes.
- * 
- * Returns nothing if no errors are present, and throws an error if 
- * non-alphanumeric characters are found.
- */
-async function verifyAttribute (attribute) {
-    // Information about Regular Expressions learned through trial and error
-    // based on the 'Regular Expressions Quick Start' Guide.
-    // from: https://www.regular-expressions.info/quickstart.html
-    const valid = /^[a-zA-Z0-9 ]+$/;
-
-    if (!valid.test(attribute)) {
-        throw new Error('invalid characters');
-    } else {
-        return Promise.resolve();
+ * Build the error thrown for a motherQueen that cannot be used. The reason
+ * is sent back to the client in the 400 response.
+ */
+function invalidMotherQueen (reason) {
+    return new ValidationError(reason, { 'violations': [{ 'attribute': 'motherQueen', 'message': reason }] });
+};
+
+/**
+ * Marking colour for a queen mated on the given date (YYYY-MM-DD), following
+ * the year-colour convention in MARKING_COLORS.
+ */
+function markingColorForDate (date) {
+    return MARKING_COLORS[parseInt(date.substr(0, 4), 10) % 5];
+};
+
+/**
+ * Verify that the queen with motherQueenId can be the mother of the queen with
+ * queenId (null for a queen that is being created). The mother must be one of the
+ * beekeeper's queens, and must not be the queen itself or one of its descendants.
+ *
+ * pending (optional) holds the changes of the queens an atomic bulk request has
+ * made so far, by queen ID, as { deleted, motherQueen }. They are not saved
+ * until the request commits, so the lineage follows them instead.
+ *
+ * Resolves to the motherQueen attribute to save, or null if there is no mother.
+ */
+function verifyMotherQueen (req, beekeeperId, queenId, motherQueenId, pending) {
+    const visited = [];
+    const changes = pending || {};
+
+    if (motherQueenId == null) {
+        return Promise.resolve(null);
     }
+
+    // Follow the mother's own lineage upwards, looking for the queen itself
+    function checkAncestor (ancestorId) {
+        if (queenId !== null && String(ancestorId) === String(queenId)) {
+            return Promise.reject(invalidMotherQueen('motherQueen cannot be the queen itself or one of its descendants'));
+        } else if (visited.includes(String(ancestorId))) {
+            return Promise.resolve();
+        }
+        visited.push(String(ancestorId));
+
+        return datastore.get(datastore.key([QUEENS, parseInt(ancestorId, 10)]))
+            .then(ancestor => {
+                const change = Object.prototype.hasOwnProperty.call(changes, String(ancestorId)) ? changes[String(ancestorId)] : null;
+                var motherId = ancestor[0] != null && ancestor[0].motherQueen != null ? ancestor[0].motherQueen.id : null;
+
+                if (String(ancestorId) === String(motherQueenId)
+                        && (ancestor[0] == null || ancestor[0].beekeeper !== beekeeperId || (change !== null && change.deleted))) {
+                    throw invalidMotherQueen('motherQueen must be the ID of one of your queens');
+                } else if (change !== null) {
+                    motherId = change.motherQueen;
+                }
+                return motherId === null ? undefined : checkAncestor(motherId);
+            });
+    };
+
+    return checkAncestor(motherQueenId)
+        .then(() => {
+            const motherSelf = req.protocol + '://' + req.get('host') + '/queens/' + motherQueenId;
+            return { 'id': String(motherQueenId), 'self': motherSelf };
+        });
 };
 
 //----------------------------------------------------------------------------
 // Model functions related to queen entities.
 //----------------------------------------------------------------------------
 
+// Attributes of the queen schema that GET /queens can be filtered and sorted by.
+const QUEEN_QUERY_FIELDS = {
+    'name': { 'type': 'string' },
+    'species': { 'type': 'string' },
+    'age': { 'type': 'int' },
+    'status': { 'type': 'string', 'enum': QUEEN_STATUSES, 'sortable': false },
+    'markingColor': { 'type': 'string', 'enum': MARKING_COLORS, 'sortable': false },
+    'hasHive': { 'type': 'boolean', 'sortable': false }
+};
+
+/**
+ * Read the breeding record attributes of a queen from the request body,
+ * using null for those that are not given. If no markingColor is given,
+ * it follows the year-colour convention for the matingDate.
+ */
+function getBreedingRecord (queenInfo) {
+    const record = { 'matingDate': queenInfo.matingDate === undefined ? null : queenInfo.matingDate,
+                        'matingMethod': queenInfo.matingMethod === undefined ? null : queenInfo.matingMethod,
+                        'markingColor': queenInfo.markingColor === undefined ? null : queenInfo.markingColor,
+                        'status': queenInfo.status === undefined ? null : queenInfo.status
+                    };
+    if (record.markingColor === null && record.matingDate !== null) {
+        record.markingColor = markingColorForDate(record.matingDate);
+    }
+    return record;
+};
+
+/**
+ * Build a new queen with the attributes in queenInfo, owned by the
+ * authenticated user, under a newly allocated key, after verifying her
+ * mother. Used by createQueen and POST /queens/bulk.
+ *
+ * Resolves to { key, queen, entities }, where entities are the queen and the
+ * audit event of her creation, to save together.
+ */
+function buildQueen (req, queenInfo) {
+    const newQueen = { 'name': queenInfo.name,
+                        'species': queenInfo.species,
+                        'age': queenInfo.age,
+                        'hive': null,
+                        'hasHive': false,
+                        ...getBreedingRecord(queenInfo)
+                    };
+
+    // The authenticated user owns the new entity
+    newQueen.beekeeper = req.user.sub;
+
+    return verifyMotherQueen(req, req.user.sub, null, queenInfo.motherQueen)
+        .then(motherQueen => {
+            newQueen.motherQueen = motherQueen;
+
+            // Allocate the queen's ID first, so that her audit event can be saved along with her
+            return datastore.allocateIds(datastore.key(QUEENS), 1);
+        })
+        .then(keys => {
+            const queenKey = keys[0][0];
+            return { 'key': queenKey,
+                        'queen': newQueen,
+                        'entities': [{ 'key': queenKey, 'data': newQueen },
+                                        audit.auditEvent(req, 'queen', queenKey.id, 'create', null, newQueen)]
+                    };
+        });
+};
+
 /**
  * Function to create a new queen.
  * 
@@ -46,30 +192,30 @@ async function verifyAttribute (attribute) {
  *  name (string): the queen bee's name
  *  species (string): bee species of the queen
  *  age (int): approximate age (in months)
+ *  beekeeper (string): the user ID for this queen's beekeeper (creator)
  *  hive (object): the queen's current hive (must be added by 
  *      PUT /hive/:hive_id/queen/:queen_id)
+ *  motherQueen (object): the queen this queen was raised from (optional,
+ *      given as the mother's queen ID)
+ *  matingDate (string): date the queen was mated, YYYY-MM-DD (optional)
+ *  matingMethod (string): 'open' or 'instrumental' (optional)
+ *  markingColor (string): colour the queen is marked with, following the
+ *      year-colour convention (optional, defaults to the colour of the mating year)
+ *  status (string): 'virgin', 'mated', 'laying', 'superseded' or 'dead' (optional)
  * 
- * All string attributes must be alphanumeric.
- */
-function createQueen (req, name, species, age) {
-    var newQueenKey = datastore.key(QUEENS);
-    const newQueen = { 'name': name,
-                        'species': species,
-                        'age': age,
-                        'hive': null
-                    };
-    const queen = { 'key': newQueenKey, 'data': newQueen };
+ * The attributes are validated against QUEEN_SCHEMA by the route.
+ */
+function createQueen (req, queenInfo) {
+    var newQueen = {};
 
-    return verifyAttribute(name)
-        .then(() => {
-            return verifyAttribute(species);
-        })
-        .then(() => {
-            return datastore.save(queen);
+    return buildQueen(req, queenInfo)
+        .then(built => {
+            newQueen = built;
+            return datastore.save(built.entities);
         })
         .then(() => {
-            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + newQueenKey.id;
-            return { 'id': newQueenKey.id, ...newQueen, 'self': self };
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + newQueen.key.id;
+            return { 'id': newQueen.key.id, ...newQueen.queen, 'self': self };
         })
         .catch(error => {
             throw error;
@@ -77,31 +223,55 @@ function createQueen (req, name, species, age) {
 };
 
 /**
- * Retrieve all queens. The results will be paginated to a size of 5, and a link to the
- * next 5 results. 
+ * Find the queens living in the hives shared with the user with the given
+ * subject (see roles.findSharedHives), leaving out those they own.
+ * Resolves to the queen entities, in the order of their IDs.
  */
-function getQueens (req) {
-    const allQueensQuery = datastore.createQuery(QUEENS);
-    const paginQueensQuery = datastore.createQuery(QUEENS).limit(5);
-
-    var foundQueens = {};
-    var foundQueensInfo = {};
-
-    return datastore.runQuery(allQueensQuery)
-        .then(queens => {
-            foundQueens.total = queens[0].length;
-            return datastore.runQuery(paginQueensQuery);
+function findSharedQueens (subject) {
+    return roles.findSharedHives(subject)
+        .then(hives => {
+            const queenKeys = hives.filter(hive => hive.queen != null)
+                .map(hive => datastore.key([QUEENS, parseInt(hive.queen.id, 10)]));
+            return queenKeys.length === 0 ? [[]] : datastore.get(queenKeys);
         })
         .then(queens => {
-            foundQueens.queens = queens[0]; // queen entities as a list
-            foundQueensInfo = queens[1]; // query information
-            foundQueens.queens.map(ds.fromDatastore);
-            
-            // add a link to the next page of results if there are more results remaining
-            if (foundQueensInfo.moreResults !== datastore.NO_MORE_RESULTS) {
-                foundQueens.next = req.protocol + "://" + req.get("host") + req.baseUrl + "?cursor=" + foundQueensInfo.endCursor;
-            }
-            return foundQueens;
+            return queens[0].filter(queen => queen != null && queen.beekeeper !== subject)
+                .sort((a, b) => parseInt(a[ds.Datastore.KEY].id, 10) - parseInt(b[ds.Datastore.KEY].id, 10));
+        });
+};
+
+/**
+ * Retrieve all queens of the given beekeeper. The results will be paginated to
+ * the size given by the 'limit' query parameter (5 by default), and include links
+ * to the next and previous pages of results.
+ *
+ * The queens can be filtered and sorted by the attributes in QUEEN_QUERY_FIELDS,
+ * e.g. '?species=Carniolan&age[lt]=24&sort=age'.
+ *
+ * With '?shared=true', the queens in the hives shared with the beekeeper are
+ * listed instead (see findSharedQueens).
+ */
+function getQueens (req, beekeeperId) {
+    var collectionQuery = {};
+    var shared = false;
+
+    try {
+        collectionQuery = parseCollectionQuery(req, QUEEN_QUERY_FIELDS);
+        shared = isSharedListing(req, collectionQuery);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const listed = shared
+        ? findSharedQueens(beekeeperId).then(queens => paginateList(req, queens))
+        : paginate(req, () => {
+            const queensQuery = datastore.createQuery(QUEENS).filter('beekeeper', '=', beekeeperId);
+            return applyCollectionQuery(queensQuery, collectionQuery);
+        });
+
+    return listed
+        .then(page => {
+            return { 'total': page.total, 'queens': page.items, 'next': page.next, 'prev': page.prev };
         })
         .catch(error => {
             throw error;
@@ -112,108 +282,261 @@ function getQueens (req) {
  * Retrieve the queen with the given ID.
  * If not found, throw an error.
  * Response includes the self link.
+ *
+ * Resolves to { etag, queen }, with the entity tag of the queen (see etags.js).
  */
 function getQueen (req, queenId) {
-    const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
-
-    return datastore.get(queenKey)
+    return verifyQueenRole(req.user.sub, queenId, 'viewer')
         .then(queen => {
-            // Do nothing if the queen is not found. 
-            if (queen[0] === undefined || queen[0] === null) {
-                throw new Error('Queen not found');
-            } else {
-                // Save self link and return object containining all queen data
-                const queenObj = queen.map(ds.fromDatastore)[0];
-                const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + queenObj.id;
-                queenObj.self = self;
-                return queenObj;
-            };
+            const etag = etags.entityTag(queen[0]);
+
+            // Save self link and return object containining all queen data
+            const queenObj = queen.map(ds.fromDatastore)[0];
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + queenObj.id;
+            queenObj.self = self;
+            return { 'etag': etag, 'queen': queenObj };
+        })
+        .catch(error => {
+            throw error;
         });
 };
 
 /**
- * Remove the queen with queen_id from the hive with hive_id.
- * Error is returned if the user is not authenticated, the hive is not
- * found, or the queen is not associated with this hive.
+ * Remove the queen with queen_id from the hive with hive_id as part of the
+ * given transaction, if the hive still points at this queen. A hive that is
+ * missing or has another queen is left alone, so that a dangling reference
+ * never blocks deleting a queen. The removal is recorded in the hive's audit
+ * trail.
  * Helper function for use with deleteQueen.
  */
-function removeQueen (req, hiveId, queenId) {
+function releaseHive (req, transaction, hiveId, queenId) {
     const hiveKey = datastore.key([HIVES, parseInt(hiveId, 10)]);
-    var foundHive = {};
- 
-    return datastore.get(hiveKey)
+
+    return transaction.get(hiveKey)
         .then(hive => {
-            foundHive = hive;
-            if (foundHive[0].queen == null || String(foundHive[0].queen.id) !== queenId) {
-                throw new Error('Queen is not associated with this hive');
-            } else {
-                foundHive[0].queen = null;
-                return datastore.save(foundHive[0]);
-            };
+            if (hive[0] != null && hive[0].queen != null && String(hive[0].queen.id) === String(queenId)) {
+                const oldHive = { ...hive[0] };
+                hive[0].queen = null;
+                hive[0].hasQueen = false;
+                transaction.save([hive[0], audit.auditEvent(req, 'hive', hiveId, 'remove', oldHive, hive[0])]);
+            }
+            return;
+        });
+};
+
+/**
+ * Delete the Queen with the given ID.
+ * If not found, or not owned by the user, throw an error.
+ *
+ * The queen is kept as a DELETED_QUEEN entity with the same ID, so that she
+ * can be restored until she is purged (see purge.js).
+ * 
+ * The queen is removed from its hive (if any) in the same transaction, so the
+ * hive is never left pointing at a queen that no longer exists, and her
+ * history entry for that hive is closed.
+ */
+function deleteQueen (req, queenId) {
+    return prepareQueenDeletion(queenId)
+        .then(prepared => {
+            return ds.runInTransaction(transaction => {
+                return deleteQueenInTransaction(req, transaction, queenId, prepared, req.get('If-Match'));
+            });
         })
         .catch(error => {
             throw error;
-        })
+        });
 };
 
 /**
- * Delete the Queen with the given ID.
- * If not found, throw an error.
+ * Find the open history entries of the queen with queen_id, which deleting
+ * her closes, since queries cannot run inside a transaction.
+ * Helper function for use with deleteQueen and POST /queens/bulk.
  */
-function deleteQueen (req, queenId) {
+function prepareQueenDeletion (queenId) {
     const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
+    const historyInfo = history.getHistoryInfo({});
 
     return datastore.get(queenKey)
         .then(queen => {
-            if (queen[0] == null) {
-                throw new Error('Queen not found');
-            } else if (queen[0].hive != null) {
-                // remove the queen as the hive's queen before deleting
-                const hiveId = queen[0].hive.id;
-                return removeQueen(req, hiveId, queenId);
-            } else {
-                return;
+            if (queen[0] == null || queen[0].hive == null) {
+                return [];
             }
+            return history.findOpenHistoryEntries(queen[0].hive.id, queenId);
+        })
+        .then(historyKeys => {
+            return { 'historyKeys': historyKeys, 'historyInfo': historyInfo };
+        });
+};
+
+/**
+ * Delete the queen with queen_id as part of the given transaction, as
+ * described for deleteQueen, with what prepareQueenDeletion found. ifMatch is
+ * the If-Match header the deletion is made with, if any, and the deletion is
+ * added to pending (see verifyMotherQueen) if it is given.
+ * Helper function for use with deleteQueen and POST /queens/bulk.
+ */
+function deleteQueenInTransaction (req, transaction, queenId, prepared, ifMatch, pending) {
+    const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
+    const deletedKey = datastore.key([DELETED_QUEENS, parseInt(queenId, 10)]);
+    var foundQueen = {};
+
+    return verifyQueenRole(req.user.sub, queenId, 'owner', transaction)
+        .then(queen => {
+            etags.checkIfMatch(ifMatch, etags.entityTag(queen[0]), 'queen');
+            foundQueen = queen;
+            // remove the queen as the hive's queen before deleting
+            if (queen[0].hive != null) {
+                return releaseHive(req, transaction, queen[0].hive.id, queenId)
+                    .then(() => history.closeHistoryEntries(transaction, prepared.historyKeys, prepared.historyInfo));
+            }
+            return;
         })
         .then(() => {
-            return datastore.delete(queenKey);
+            // the deleted queen remembers her hive, to move back into it if she is restored
+            const deletedQueen = { ...foundQueen[0], 'deletedAt': new Date().toISOString(), 'deletedBy': req.user.sub };
+            transaction.delete(queenKey);
+            transaction.save([{ 'key': deletedKey, 'data': deletedQueen },
+                                audit.auditEvent(req, 'queen', queenId, 'delete', foundQueen[0], null)]);
+            if (pending !== undefined) {
+                pending[String(queenId)] = { 'deleted': true, 'motherQueen': null };
+            }
+        });
+};
+
+/**
+ * Restore the queen with the given ID, deleted by deleteQueen. Only the
+ * beekeeper of the queen can restore her. Throws an error if the queen was
+ * not deleted, or has been purged.
+ *
+ * The queen moves back into the hive she lived in when she was deleted, if
+ * it still exists, has no other queen and the user is an editor of it; her
+ * history entry for the hive is opened again from today.
+ */
+function restoreQueen (req, queenId) {
+    const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
+    const deletedKey = datastore.key([DELETED_QUEENS, parseInt(queenId, 10)]);
+    const historyInfo = history.getHistoryInfo({});
+    var restoredQueen = {};
+
+    return ds.runInTransaction(transaction => {
+        var deletedQueen = null;
+
+        return transaction.get(queenKey)
+            .then(queen => {
+                if (queen[0] != null) {
+                    throw new ConflictError('Queen is not deleted');
+                }
+                return transaction.get(deletedKey);
+            })
+            .then(deleted => {
+                if (deleted[0] == null) {
+                    throw new NotFoundError('No queen with this queen_id exists');
+                }
+                deletedQueen = deleted[0];
+                // her old hive gives no role on her, only her beekeeper can restore her
+                return roles.findQueenRole(req.user.sub, { ...deletedQueen, 'hive': null }, transaction);
+            })
+            .then(role => {
+                roles.requireRole(role, 'owner', 'Queen');
+                restoredQueen = { ...deletedQueen, 'hive': null, 'hasHive': false };
+                delete restoredQueen.deletedAt;
+                delete restoredQueen.deletedBy;
+
+                if (deletedQueen.hive == null) {
+                    return;
+                }
+                return reclaimHive(req, transaction, deletedQueen, restoredQueen, historyInfo);
+            })
+            .then(() => {
+                transaction.delete(deletedKey);
+                transaction.save([{ 'key': queenKey, 'data': restoredQueen },
+                                    audit.auditEvent(req, 'queen', queenId, 'restore', null, restoredQueen)]);
+            });
+    })
+        .then(() => {
+            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + queenKey.id;
+            return { 'id': queenKey.id, ...restoredQueen, 'self': self };
         })
         .catch(error => {
-            throw new Error(error.message);
+            throw error;
+        });
+};
+
+/**
+ * Move the deleted queen back into the hive she lived in, as part of the
+ * given transaction, if it still exists, has no other queen and the user is
+ * an editor of it. Otherwise the queen is restored without a hive.
+ * Helper function for use with restoreQueen.
+ */
+function reclaimHive (req, transaction, deletedQueen, restoredQueen, historyInfo) {
+    const queenId = deletedQueen[ds.Datastore.KEY].id;
+    var foundHive = {};
+
+    return transaction.get(datastore.key([HIVES, parseInt(deletedQueen.hive.id, 10)]))
+        .then(hive => {
+            if (hive[0] == null || hive[0].queen != null) {
+                return null;
+            }
+            foundHive = hive;
+            return roles.findHiveRole(req.user.sub, hive[0], transaction);
+        })
+        .then(role => {
+            if (!roles.hasRole(role, 'editor')) {
+                return;
+            }
+
+            const oldHive = { ...foundHive[0] };
+            const queenSelf = req.protocol + '://' + req.get('host') + '/queens/' + queenId;
+            foundHive[0].queen = { 'id': String(queenId), 'self': queenSelf };
+            foundHive[0].hasQueen = true;
+            restoredQueen.hive = { ...deletedQueen.hive, 'hiveName': foundHive[0].hiveName };
+            restoredQueen.hasHive = true;
+
+            transaction.save([foundHive[0], audit.auditEvent(req, 'hive', deletedQueen.hive.id, 'assign', oldHive, foundHive[0])]);
+            history.openHistoryEntry(transaction, foundHive[0], deletedQueen, historyInfo);
         });
 };
 
 /**
  * Update all of the attributes of the queen with ID passed to updateQueen.
  * 
- * The Queen attribute will not be updated. Updating a queen can be done 
- * through the route 'PUT /queens/:queen_id/queens/:queen_id'
+ * The hive attribute will not be updated. Assigning a hive can be done 
+ * through the route 'PUT /hives/:hive_id/queens/:queen_id'
+ *
+ * The queen is read and saved in one transaction, so that the If-Match header
+ * (if any) is checked against the queen that is replaced.
+ * Resolves to { etag, queen }.
  */
-function putQueen (req, queenId, name, species, age) {
+function putQueen (req, queenId, queenInfo) {
     const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
-    const newQueen = { 'name': name,
-                        'species': species,
-                        'age': age,
-                        'hive': null
+    const newQueen = { 'name': queenInfo.name,
+                        'species': queenInfo.species,
+                        'age': queenInfo.age,
+                        ...getBreedingRecord(queenInfo)
                     };
 
-    return datastore.get(queenKey)
-        // Check if the queen entity already existed and was assigned to a hive
-        .then(queen => {
-            if (queen[0] != null) {
+    return ds.runInTransaction(transaction => {
+        var oldQueen = {};
+
+        return verifyQueenRole(req.user.sub, queenId, 'editor', transaction)
+            // Keep the beekeeper and the hive the queen is currently assigned to
+            .then(queen => {
+                etags.checkIfMatch(req.get('If-Match'), etags.entityTag(queen[0]), 'queen');
+                oldQueen = queen[0];
+                newQueen.beekeeper = queen[0].beekeeper;
                 newQueen.hive = queen[0].hive;
-            }
-            return verifyAttribute(name);
-        })
-        .then(() => {
-            verifyAttribute(species);
-        })
-        .then(() => {
-            return datastore.save({ 'key': queenKey, 'data': newQueen });
-        })
+                newQueen.hasHive = queen[0].hive != null;
+                return verifyMotherQueen(req, newQueen.beekeeper, queenId, queenInfo.motherQueen);
+            })
+            .then(motherQueen => {
+                newQueen.motherQueen = motherQueen;
+                transaction.save([{ 'key': queenKey, 'data': newQueen },
+                                    audit.auditEvent(req, 'queen', queenId, 'update', oldQueen, newQueen)]);
+            });
+    })
         .then(() => {
             const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + queenKey.id;
-            return { 'id': queenKey.id, ...newQueen, 'self': self };
+            return { 'etag': etags.entityTag(newQueen), 'queen': { 'id': queenKey.id, ...newQueen, 'self': self } };
         })
         .catch(error => {
             throw error;
@@ -221,56 +544,235 @@ function putQueen (req, queenId, name, species, age) {
 };
 
 /**
- * Update any attributes of the queen with ID passed to updateQueen.
+ * Update any attributes of the queen with ID passed to updateQueen, with the
+ * body of the PATCH request as patch, of the given patchType (see patchHive).
  * 
- * The Queen attribute will not be updated. Updating a queen can be done 
- * through the route 'PUT /queens/:queen_id/queens/:queen_id'
+ * The hive attribute will not be updated. Assigning a hive can be done 
+ * through the route 'PUT /hives/:hive_id/queens/:queen_id'
+ *
+ * Like putQueen, the queen is read and saved in one transaction.
+ * Resolves to { etag, queen }.
+ */
+function patchQueen (req, queenId, patchType, patch) {
+    return ds.runInTransaction(transaction => {
+        return patchQueenInTransaction(req, transaction, queenId, patchType, patch, req.get('If-Match'));
+    })
+        .then(patched => {
+            patched.queen.self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + patched.queen.id;
+            return patched;
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Patch the queen with queen_id as part of the given transaction, as
+ * described for patchQueen. ifMatch is the If-Match header the change is
+ * made with, if any. With pending (see verifyMotherQueen), the mother is
+ * verified against the changes made before in the same transaction, and the
+ * new one is added to them.
+ * Helper function for use with patchQueen and POST /queens/bulk.
+ *
+ * Resolves to { etag, queen }, where the queen has no self link yet.
  */
-function patchQueen (req, queenId, name, species, age) {
+function patchQueenInTransaction (req, transaction, queenId, patchType, patch, ifMatch, pending) {
     const queenKey = datastore.key([QUEENS, parseInt(queenId, 10)]);
+    const attributes = ['name', 'species', 'age', 'matingDate', 'matingMethod', 'markingColor', 'status'];
     var foundQueen = {};
+    var oldQueen = {};
 
-    return datastore.get(queenKey)
+    return verifyQueenRole(req.user.sub, queenId, 'editor', transaction)
         .then(queen => {
-            // save queen data and verify name input
+            etags.checkIfMatch(ifMatch, etags.entityTag(queen[0]), 'queen');
+
+            // patch the attributes a client can change, and verify the mother (if she changed),
+            // keeping the old ones for the audit trail
+            oldQueen = { ...queen[0] };
+            const motherQueenId = queen[0].motherQueen == null ? null : String(queen[0].motherQueen.id);
+            const queenInfo = { 'motherQueen': motherQueenId };
+            attributes.forEach(attribute => {
+                queenInfo[attribute] = queen[0][attribute] === undefined ? null : queen[0][attribute];
+            });
+            const patched = patches.applyPatch(patchType, patch, queenInfo, QUEEN_SCHEMA);
+
             foundQueen = queen.map(ds.fromDatastore)[0];
-            if (name != null) {
-                foundQueen.name = name;
-                return verifyAttribute(name);
-            } else {
-                return;
+            attributes.forEach(attribute => {
+                foundQueen[attribute] = patched[attribute];
+            });
+            if (patched.motherQueen === null) {
+                foundQueen.motherQueen = null;
+            } else if (String(patched.motherQueen) !== motherQueenId) {
+                return verifyMotherQueen(req, foundQueen.beekeeper, queenId, patched.motherQueen, pending)
+                    .then(motherQueen => {
+                        foundQueen.motherQueen = motherQueen;
+                    });
             }
+            return;
         })
         .then(() => {
-            // verify species input (if applicable)
-            if (species != null) {
-                foundQueen.species = species;
-                return verifyAttribute(species);
-            } else {
-                return;
+            const data = { 'beekeeper': foundQueen.beekeeper,
+                            'hive': foundQueen.hive,
+                            'hasHive': foundQueen.hive != null,
+                            'motherQueen': foundQueen.motherQueen === undefined ? null : foundQueen.motherQueen
+                        };
+            attributes.forEach(attribute => {
+                data[attribute] = foundQueen[attribute] === undefined ? null : foundQueen[attribute];
+            });
+            transaction.save([{ 'key': queenKey, 'data': data },
+                                audit.auditEvent(req, 'queen', queenId, 'update', oldQueen, data)]);
+            if (pending !== undefined) {
+                pending[String(queenId)] = { 'deleted': false, 'motherQueen': data.motherQueen === null ? null : data.motherQueen.id };
             }
+            return { 'etag': etags.entityTag(data), 'queen': foundQueen };
+        });
+};
+
+/**
+ * Retrieve the hives the queen with queen_id has lived in, most recent first.
+ * The results are paginated like GET /queens.
+ */
+function getHiveHistory (req, queenId) {
+    return verifyQueenRole(req.user.sub, queenId, 'viewer')
+        .then(() => {
+            return history.getHistory(req, 'queen', queenId);
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Summary of a queen used in its lineage tree.
+ */
+function lineageNode (req, queen) {
+    return { 'id': String(queen[ds.Datastore.KEY].id),
+                'name': queen.name,
+                'status': queen.status === undefined ? null : queen.status,
+                'markingColor': queen.markingColor === undefined ? null : queen.markingColor,
+                'self': req.protocol + '://' + req.get('host') + '/queens/' + queen[ds.Datastore.KEY].id
+            };
+};
+
+/**
+ * Get the lineage of the queen with queenId as a tree:
+ *  ancestors: the queen's mother, grandmother, etc., nearest first. The list
+ *      stops at the first mother that no longer exists.
+ *  descendants: the queen's daughters, each with its own daughters.
+ *
+ * At most MAX_LINEAGE_DEPTH generations are followed in each direction.
+ */
+function getLineage (req, queenId) {
+    var beekeeperId = null; // the queen's own beekeeper
+    const lineage = {};
+    const ancestors = [];
+    const visited = [String(queenId)];
+
+    function getAncestors (motherQueen) {
+        if (motherQueen == null || ancestors.length >= MAX_LINEAGE_DEPTH || visited.includes(String(motherQueen.id))) {
+            return Promise.resolve();
+        }
+        visited.push(String(motherQueen.id));
+
+        return datastore.get(datastore.key([QUEENS, parseInt(motherQueen.id, 10)]))
+            .then(mother => {
+                if (mother[0] == null) {
+                    return;
+                }
+                ancestors.push(lineageNode(req, mother[0]));
+                return getAncestors(mother[0].motherQueen);
+            });
+    };
+
+    function getDescendants (motherId, depth) {
+        if (depth > MAX_LINEAGE_DEPTH) {
+            return Promise.resolve([]);
+        }
+        const query = datastore.createQuery(QUEENS)
+            .filter('beekeeper', '=', beekeeperId)
+            .filter('motherQueen.id', '=', String(motherId));
+
+        return datastore.runQuery(query)
+            .then(daughters => {
+                const unvisited = daughters[0].filter(daughter => !visited.includes(String(daughter[ds.Datastore.KEY].id)));
+                unvisited.forEach(daughter => visited.push(String(daughter[ds.Datastore.KEY].id)));
+
+                return Promise.all(unvisited.map(daughter => {
+                    return getDescendants(daughter[ds.Datastore.KEY].id, depth + 1)
+                        .then(granddaughters => {
+                            const node = lineageNode(req, daughter);
+                            node.daughters = granddaughters;
+                            return node;
+                        });
+                }));
+            });
+    };
+
+    return verifyQueenRole(req.user.sub, queenId, 'viewer')
+        .then(queen => {
+            beekeeperId = queen[0].beekeeper;
+            Object.assign(lineage, lineageNode(req, queen[0]));
+            return getAncestors(queen[0].motherQueen);
         })
         .then(() => {
-            if (age != null) {
-                foundQueen.age = age;
-            }
-            const data = { 'name': foundQueen.name,
-                            'species': foundQueen.species,
-                            'age': foundQueen.age,
-                            'hive': foundQueen.hive
-                        };
-            return datastore.save({ 'key': queenKey, 'data': data });
+            lineage.ancestors = ancestors;
+            return getDescendants(queenId, 1);
         })
+        .then(descendants => {
+            lineage.descendants = descendants;
+            return lineage;
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Retrieve the changes made to the queen with queen_id, most recent first.
+ * The results are paginated like GET /queens.
+ */
+function getQueenAudit (req, queenId) {
+    return verifyQueenRole(req.user.sub, queenId, 'viewer')
         .then(() => {
-            const self = req.protocol + '://' + req.get('host') + req.baseUrl + '/' + queenKey.id;
-            foundQueen.self = self;
-            return foundQueen;
+            return audit.getAuditEvents(req, 'queen', queenId);
         })
         .catch(error => {
             throw error;
         });
 };
 
+// What each operation of POST /queens/bulk does (see bulk.js): an update
+// patches the queen with the attributes given, like PATCH /queens/:queen_id.
+// The changes of the request are kept in its batch, so that the mothers set
+// by an atomic request are verified against each other.
+const QUEEN_BULK_OPERATIONS = {
+    'create': {
+        'prepare': (req, operation) => buildQueen(req, operation.data),
+        'apply': (req, transaction, operation, built, batch) => {
+            const mother = built.queen.motherQueen === null ? null : batch[built.queen.motherQueen.id];
+            if (mother != null && mother.deleted) {
+                return Promise.reject(invalidMotherQueen('motherQueen must be the ID of one of your queens'));
+            }
+            transaction.save(built.entities);
+            return Promise.resolve(built.key.id);
+        }
+    },
+    'update': {
+        'prepare': () => Promise.resolve(null),
+        'apply': (req, transaction, operation, prepared, batch) => {
+            return patchQueenInTransaction(req, transaction, operation.id, patches.JSON_TYPE, operation.data, operation.ifMatch, batch)
+                .then(() => operation.id);
+        }
+    },
+    'delete': {
+        'prepare': (req, operation) => prepareQueenDeletion(operation.id),
+        'apply': (req, transaction, operation, prepared, batch) => {
+            return deleteQueenInTransaction(req, transaction, operation.id, prepared, operation.ifMatch, batch)
+                .then(() => operation.id);
+        }
+    }
+};
+
 //----------------------------------------------------------------------------
 // Controller functions related to QUEEN entities.
 //----------------------------------------------------------------------------
@@ -279,160 +781,157 @@ function patchQueen (req, queenId, name, species, age) {
  * Handle POST requests to /queens to create a new queen. A new queen will not
  * be created if name, species, or age is missing from the request.
  */
-router.post('/', function (req, res) {
-    if (req.get('Content-Type') !== 'application/json') {
-        res.status(415).json({ Error: 'Unsupported MIME type received - server can only accept application/json' });
-
-    } else if (req.body.name === undefined || req.body.species === undefined || req.body.age === undefined) {
-        res.status(400).json({ Error: 'The request object is missing at least one of the required attributes' });
+router.post('/', requireJsonBody, acceptsJson, validateBody(QUEEN_SCHEMA), function (req, res, next) {
+    createQueen(req, req.body)
+        .then(queen => {
+            res.status(201).json(queen);
+        })
+        .catch(next);
+});
 
-    } else {
-        createQueen(req, req.body.name, req.body.species, req.body.age)
-            .then(queen => {
-                // req.accepts() returns content type if found, and False if none found
-                // Source: https://www.tutorialspoint.com/express-js-req-accepts-method
-                const accepts = req.accepts(['application/json']);
-                if (!accepts) {
-                    res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-                } else if (accepts === 'application/json') {
-                    res.set('Content-Type', 'application/json');
-                    res.status(201).json(queen);
-                } else {
-                    res.status(500).send('Unknown server error');
-                }
-            })
-            .catch(error => {
-                if (error.message === 'invalid characters') {
-                    res.status(400).json({ Error: 'Name and species must include only alphanumeric characters' });
-                } else if (error.message === 'Missing or invalid JWT') {
-                    res.status(401).json({ Error: error.message });
-                } else {
-                    res.status(404).json({ Error: error.message });
-                }
-            });
-    };
+/**
+ * Handle POST requests to /queens/bulk to create, update and delete several
+ * queens at once, like POST /hives/bulk.
+ */
+router.post('/bulk', requireJsonBody, acceptsJson, function (req, res, next) {
+    bulk.runBulk(req, QUEEN_SCHEMA, QUEEN_BULK_OPERATIONS)
+        .then(outcome => {
+            res.status(outcome.failed === 0 ? 200 : 207).json(outcome);
+        })
+        .catch(next);
 });
 
 /**
- * Handle GET requests to /queens to get all queens. 5 queens will be listed per page, along
- * with a link to the next 5 queens, if any.
+ * Warn that only POST requests to /queens/bulk are supported.
  */
-router.get('/', function (req, res) {
-    getQueens(req)
+router.all('/bulk', methodNotAllowed('/queens/bulk', ['POST']));
+
+/**
+ * Handle GET requests to /queens to get all queens. 5 queens will be listed per page unless
+ * a limit is given, along with links to the next and previous pages, if any. Only those
+ * queens owned by the user will be returned, filtered and sorted by the query string.
+ */
+router.get('/', acceptsJson, function (req, res, next) {
+    getQueens(req, req.user.sub)
         .then(queens => {
-            const accepts = req.accepts(['application/json']);
-            
-            // determine the appropriate MIME type to send based on the request
-            if (!accepts) {
-                res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-            } else if (accepts === 'application/json') {
-                res.set('Content-Type', 'application/json');
-                res.status(200).json(queens);
-            }
-        });
+            res.status(200).json(queens);
+        })
+        .catch(next);
 });
 
 /**
  * Handle GET requests to /queens/:queen_id to get the queen with the given ID.
- * Response is a 404 error if no queen is found with given ID.
+ * Response is a 404 error if no queen is found with given ID. Response has an
+ * ETag header, and is a 304 with no body if If-None-Match holds the same tag.
  */
-router.get('/:queen_id', function (req, res) {
+router.get('/:queen_id', acceptsJson, function (req, res, next) {
     getQueen(req, req.params.queen_id)
-        .then(queen => {
-            // req.accepts() returns content type if found, and False if none found
-            // Source: https://www.tutorialspoint.com/express-js-req-accepts-method
-            const accepts = req.accepts(['application/json']);
-            
-            // determine the appropriate MIME type to send based on the request
-            if (!accepts) {
-                res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-            } else if (accepts === 'application/json') {
-                res.set('Content-Type', 'application/json');
-                res.status(200).json(queen);
-            } else {
-                res.status(500).json({ Error: 'Unknown server error' });
-            };
+        .then(({ etag, queen }) => {
+            res.set('ETag', etag);
+            if (etags.isNotModified(req, etag)) {
+                res.status(304).end();
+                return;
+            }
+            res.status(200).json(queen);
         })
-        .catch(error => {
-            res.status(404).json({ Error: 'No queen with this queen_id exists' });
-        });
+        .catch(next);
+});
+
+/**
+ * Get the hives the queen with queen_id has lived in, with the date and reason
+ * she arrived in and left each one.
+ */
+router.get('/:queen_id/hives/history', acceptsJson, function (req, res, next) {
+    getHiveHistory(req, req.params.queen_id)
+        .then(hiveHistory => {
+            res.status(200).json(hiveHistory);
+        })
+        .catch(next);
+});
+
+/**
+ * Get the changes made to the queen with queen_id: who made each one, when,
+ * and the attributes before and after.
+ */
+router.get('/:queen_id/audit', acceptsJson, function (req, res, next) {
+    getQueenAudit(req, req.params.queen_id)
+        .then(events => {
+            res.status(200).json(events);
+        })
+        .catch(next);
+});
+
+/**
+ * Get the lineage (ancestors and descendants) of the queen with queen_id.
+ */
+router.get('/:queen_id/lineage', acceptsJson, function (req, res, next) {
+    getLineage(req, req.params.queen_id)
+        .then(lineage => {
+            res.status(200).json(lineage);
+        })
+        .catch(next);
 });
 
 /**
  * Handle DELETE requests to /queens/:queen_id to delete the queen with the given ID.
- * Response is a 404 error if no queen is found with given ID or the user
- * is not authenticated.
+ * Response is a 404 error if no queen is found with given ID, a 403 error if the
+ * user does not own the queen, and a 401 error if the user is not authenticated.
+ * The queen can be restored until she is purged; until then, requests to her
+ * are a 410 error. Response is a 412 error if If-Match does not hold the queen's
+ * ETag.
  */
-router.delete('/:queen_id', function (req, res) {
+router.delete('/:queen_id', function (req, res, next) {
     deleteQueen(req, req.params.queen_id)
         .then(() => {
             res.status(204).end();
         })
-        .catch(error => {
-            res.status(404).json({ Error: 'No queen with this queen_id exists' });
-        });
+        .catch(next);
+});
+
+/**
+ * Handle POST requests to /queens/:queen_id/restore to restore a deleted queen,
+ * in her hive if she can move back into it. Response is a 409 error if the queen
+ * is not deleted, and a 404 error if she was never created or has been purged.
+ */
+router.post('/:queen_id/restore', acceptsJson, function (req, res, next) {
+    restoreQueen(req, req.params.queen_id)
+        .then(queen => {
+            res.location(queen.self);
+            res.status(200).json(queen);
+        })
+        .catch(next);
 });
 
 /**
  * Handle PUT requests to /queens/:queen_id to replace a queen's attributes. No changes will be
  * made if name, species, or age is missing from the request.
+ * Response is a 412 error if If-Match does not hold the queen's ETag.
  */
-router.put('/:queen_id', function (req, res) {
-    if (req.get('Content-Type') !== 'application/json') {
-        res.status(415).json({ Error: 'Unsupported MIME type received - server can only accept application/json' });
-    
-    } else if (req.body.name === undefined || req.body.species === undefined || req.body.age === undefined) {
-        res.status(400).json({ Error: 'The request object is missing at least one of the required attributes' });
-    
-    } else {
-        putQueen(req, req.params.queen_id, req.body.name, req.body.species, req.body.age)
-            .then(queen => {            
-                const accepts = req.accepts(['application/json']);
-                if (!accepts) {
-                    res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-                } else if (accepts === 'application/json') {  
-                    res.location(queen.self);
-                    res.set('Content-Type', 'application/json');
-                    res.status(303).json(queen);
-                }
-            })
-            .catch(error => {
-                if (error.message === 'invalid characters') {
-                    res.status(400).json({ Error: 'Name and species must include only alphanumeric characters' });
-                } else {
-                    res.status(404).json({ Error: 'No queen with this queen_id exists' });
-                }
-            });
-    };
+router.put('/:queen_id', requireJsonBody, acceptsJson, validateBody(QUEEN_SCHEMA), function (req, res, next) {
+    putQueen(req, req.params.queen_id, req.body)
+        .then(({ etag, queen }) => {
+            res.set('ETag', etag);
+            res.location(queen.self);
+            res.status(303).json(queen);
+        })
+        .catch(next);
 });
 
 /**
  * Handle PATCH requests to /queens/:queen_id to update a queen. Allows for individual 
- * attributes to be changed on a queen entity.
+ * attributes to be changed on a queen entity, with the attributes to change as
+ * application/json, a JSON Merge Patch (application/merge-patch+json) or a JSON
+ * Patch (application/json-patch+json). Response is a 412 error if If-Match
+ * does not hold the queen's ETag, and a 409 error if a JSON Patch cannot be applied.
  */
-router.patch('/:queen_id', function (req, res) {
-    if (req.get('Content-Type') !== 'application/json') {
-        res.status(415).json({ Error: 'Unsupported MIME type received - server can only accept application/json' });
-    } else {
-        patchQueen(req, req.params.queen_id, req.body.name, req.body.species, req.body.age)
-            .then(queen => {
-                const accepts = req.accepts(['application/json']);
-                if (!accepts) {
-                    res.status(406).json({ Error: 'Unsupported MIME type requested - only application/json supported' });
-                } else if (accepts === 'application/json') {  
-                    res.location(queen.self);
-                    res.set('Content-Type', 'application/json');
-                    res.status(200).json(queen);
-                }
-            })
-            .catch(error => {
-                if (error.message === 'invalid characters') {
-                    res.status(400).json({ Error: 'Name and species must include only alphanumeric characters' });
-                } else {
-                    res.status(404).json({ Error: 'No queen with this queen_id exists' });
-                }
-            });
-    };
+router.patch('/:queen_id', requireBodyType(patches.PATCH_TYPES), acceptsJson, patches.validatePatch(QUEEN_SCHEMA), function (req, res, next) {
+    patchQueen(req, req.params.queen_id, patches.patchType(req), req.body)
+        .then(({ etag, queen }) => {
+            res.set('ETag', etag);
+            res.location(queen.self);
+            res.status(200).json(queen);
+        })
+        .catch(next);
 });
 
 //----------------------------------------------------------------------------
@@ -440,37 +939,42 @@ router.patch('/:queen_id', function (req, res) {
 //----------------------------------------------------------------------------
 
 /**
- * Warn that PUT requests to /queens are not supported.
+ * Warn that PUT, PATCH and DELETE requests to /queens are not supported.
  */
-router.put('/', function (req, res) {
-    res.set('Accept', 'Get, Post');
-    res.status(405).json({ Error: "Acceptable reqests to /queens: GET, POST" });
-});
+router.all('/', methodNotAllowed('/queens', ['GET', 'POST']));
 
 /**
- * Warn that DELETE requests to /queens are not supported.
+ * Warn that POST requests to /queens/:queen_id are not supported.
  */
-router.delete('/', function (req, res) {
-    res.set('Accept', 'Get, Post');
-    res.status(405).json({ Error: "Acceptable reqests to /queens: GET, POST" });
-});
+router.all('/:queen_id', methodNotAllowed('/queens/:queen_id', ['GET', 'PUT', 'DELETE', 'PATCH']));
 
 /**
- * Warn that PATCH requests to /queens are not supported.
+ * Warn that only GET requests to /queens/:queen_id/hives/history are supported.
  */
-router.patch('/', function (req, res) {
-    res.set('Accept', 'Get, Post');
-    res.status(405).json({ Error: "Acceptable reqests to /queens: GET, POST" });
-});
+router.all('/:queen_id/hives/history', methodNotAllowed('/queens/:queen_id/hives/history', ['GET']));
 
 /**
- * Warn that POST requests to /queens/:queen_id are not supported.
+ * Warn that only GET requests to /queens/:queen_id/lineage are supported.
  */
-router.post('/:queen_id', function (req, res) {
-    res.set('Accept', 'Get, Put, Delete, Patch');
-    res.status(405).json({ Error: 'Acceptable reqests to /queens/:queen_id: GET, PUT, DELETE, PATCH' });
-})
+router.all('/:queen_id/lineage', methodNotAllowed('/queens/:queen_id/lineage', ['GET']));
+
+/**
+ * Warn that only POST requests to /queens/:queen_id/restore are supported.
+ */
+router.all('/:queen_id/restore', methodNotAllowed('/queens/:queen_id/restore', ['POST']));
+
+/**
+ * Warn that only GET requests to /queens/:queen_id/audit are supported.
+ */
+router.all('/:queen_id/audit', methodNotAllowed('/queens/:queen_id/audit', ['GET']));
 
 //----------------------------------------------------------------------------
 
 module.exports = router;
+
+// The schema and query fields are also read by openapi.js to document the API.
+module.exports.QUEEN_SCHEMA = QUEEN_SCHEMA;
+module.exports.QUEEN_QUERY_FIELDS = QUEEN_QUERY_FIELDS;
+
+// Also used by users.js to list the queens of a user.
+module.exports.getQueens = getQueens;
@@ -0,0 +1,318 @@
+const ds = require('./datastore');
+const config = require('./config.json');
+const { RATE_LIMITS } = require('./constants');
+const { TooManyRequestsError } = require('./errors');
+
+const datastore = ds.datastore;
+
+// Limits used unless others are configured: requests per window for each
+// authenticated user, and for each client IP address without a user.
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_USER_MAX = 300;
+const DEFAULT_IP_MAX = 60;
+
+// Counter entities kept for each client by DatastoreRateLimitStore, so that
+// its concurrent requests seldom update the same entity.
+const DATASTORE_SHARDS = 10;
+
+//----------------------------------------------------------------------------
+// Rate limits for every route. Requests are counted in fixed windows, per
+// authenticated user (see identifyUser in auth.js), or per client IP address
+// for requests without valid credentials. The app enables 'trust proxy', so
+// the address is the client's rather than the load balancer's.
+//
+// Credentials are only checked once the address is known to be under its
+// limit (see limitAddress), so that a client sending forged or stolen ones
+// cannot make the API check them faster than the limit.
+//
+// Settings, read from the environment, then config.json:
+//  RATE_LIMIT_WINDOW_SECONDS: length of a window (default 60)
+//  RATE_LIMIT_USER_MAX: requests per window for a user (default 300)
+//  RATE_LIMIT_IP_MAX: requests per window for an IP address (default 60)
+//  RATE_LIMIT_STORE: 'memory' (default) to count in this instance, or
+//      'datastore' to share the counts between instances
+//
+// A limit of 0 turns it off. Another shared store (e.g. Redis, which suits
+// busy APIs better than Datastore) can be plugged in with setStore.
+//----------------------------------------------------------------------------
+
+/**
+ * Counts requests in the memory of this instance. Windows that have ended
+ * are swept once per window, so idle clients are forgotten.
+ */
+class MemoryRateLimitStore {
+    constructor () {
+        this.windows = new Map();
+        this.nextSweep = 0;
+    }
+
+    /**
+     * Count a request for the key in its current window, starting a new
+     * window of windowMs if there is none. Resolves to { count, resetAt },
+     * the requests in the window so far and the time it ends (ms).
+     */
+    increment (key, windowMs) {
+        const now = Date.now();
+
+        if (now >= this.nextSweep) {
+            this.windows.forEach((window, windowKey) => {
+                if (window.resetAt <= now) {
+                    this.windows.delete(windowKey);
+                }
+            });
+            this.nextSweep = now + windowMs;
+        }
+
+        var window = this.windows.get(key);
+        if (window === undefined || window.resetAt <= now) {
+            window = { 'count': 0, 'resetAt': now + windowMs };
+            this.windows.set(key, window);
+        }
+        window.count += 1;
+        return Promise.resolve({ 'count': window.count, 'resetAt': window.resetAt });
+    }
+
+    /**
+     * Resolves to the key's current window, { count, resetAt }, without
+     * counting a request, or to null if it has none.
+     */
+    peek (key) {
+        const window = this.windows.get(key);
+
+        if (window === undefined || window.resetAt <= Date.now()) {
+            return Promise.resolve(null);
+        }
+        return Promise.resolve({ 'count': window.count, 'resetAt': window.resetAt });
+    }
+};
+
+/**
+ * Counts requests in RATE_LIMIT entities, so that every instance of the app
+ * shares the counts. Each client's count is split between DATASTORE_SHARDS
+ * entities, keyed by client and shard: a request updates one of them, picked
+ * at random, in a transaction, and the client's count is their sum. Windows
+ * are aligned to the clock, so that the shards agree on when they end.
+ *
+ * Each request costs a transaction and a lookup of every shard, so busy APIs
+ * are better served by a store kept in memory, such as Redis.
+ */
+class DatastoreRateLimitStore {
+    /**
+     * Keys of the counter entities of a client.
+     */
+    shardKeys (key) {
+        const keys = [];
+
+        for (var shard = 0; shard < DATASTORE_SHARDS; shard++) {
+            keys.push(datastore.key([RATE_LIMITS, key + '#' + shard]));
+        }
+        return keys;
+    }
+
+    /**
+     * Add up the counts of the shards in the window ending at resetAt, or in
+     * any window that has not ended if resetAt is null. Resolves to
+     * { count, resetAt }, or to null if no shard is in such a window.
+     */
+    sumShards (keys, resetAt) {
+        return datastore.get(keys)
+            .then(found => {
+                const now = Date.now();
+                const current = found[0].filter(shard => {
+                    return shard != null && (resetAt === null ? shard.resetAt > now : shard.resetAt === resetAt);
+                });
+
+                if (current.length === 0) {
+                    return null;
+                }
+                return {
+                    'count': current.reduce((sum, shard) => sum + shard.count, 0),
+                    'resetAt': Math.max(...current.map(shard => shard.resetAt))
+                };
+            });
+    }
+
+    increment (key, windowMs) {
+        const now = Date.now();
+        const resetAt = now - now % windowMs + windowMs;
+        const keys = this.shardKeys(key);
+        const shardKey = keys[Math.floor(Math.random() * keys.length)];
+
+        return ds.runInTransaction(transaction => {
+            return transaction.get(shardKey)
+                .then(found => {
+                    // a shard left from an earlier window starts again
+                    const count = found[0] != null && found[0].resetAt === resetAt ? found[0].count + 1 : 1;
+                    transaction.save({ 'key': shardKey, 'data': { 'count': count, 'resetAt': resetAt },
+                                        'excludeFromIndexes': ['count', 'resetAt'] });
+                });
+        })
+            .then(() => this.sumShards(keys, resetAt));
+    }
+
+    peek (key) {
+        return this.sumShards(this.shardKeys(key), null);
+    }
+};
+
+// The store counting the requests, created on first use unless one is set.
+var store = null;
+
+/**
+ * Read a whole number setting from the environment, then config.json.
+ * Throws an error if it is set to anything else.
+ */
+function readSetting (name, fallback) {
+    const value = process.env[name] !== undefined ? process.env[name] : config[name];
+
+    if (value === undefined || value === '') {
+        return fallback;
+    } else if (!/^[0-9]+$/.test(String(value))) {
+        throw new Error(name + ' must be a whole number');
+    }
+    return parseInt(value, 10);
+};
+
+/**
+ * Create the store chosen by RATE_LIMIT_STORE.
+ */
+function createStore () {
+    const name = process.env.RATE_LIMIT_STORE || config.RATE_LIMIT_STORE || 'memory';
+
+    if (name === 'memory') {
+        return new MemoryRateLimitStore();
+    } else if (name === 'datastore') {
+        return new DatastoreRateLimitStore();
+    }
+    throw new Error('Unknown RATE_LIMIT_STORE: ' + name);
+};
+
+/**
+ * Use another store to count requests, e.g. one shared through Redis. It
+ * must have an increment(key, windowMs) method like MemoryRateLimitStore's,
+ * and may have a peek(key) method, without which limitAddress lets every
+ * request through to have its credentials checked.
+ */
+function setStore (newStore) {
+    store = newStore;
+};
+
+/**
+ * Read the window and the limit named maxSetting, and create the store if
+ * there is none yet. Returns { windowSeconds, max }.
+ * Throws an error if a setting is invalid.
+ */
+function readLimit (maxSetting, defaultMax) {
+    const limit = {
+        'windowSeconds': Math.max(readSetting('RATE_LIMIT_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS), 1),
+        'max': readSetting(maxSetting, defaultMax)
+    };
+
+    store = store || createStore();
+    return limit;
+};
+
+/**
+ * Set the rate limit headers of the response for the client's window, and
+ * return the 429 error to send if the window has gone over the limit.
+ */
+function checkWindow (res, limit, window) {
+    const reset = Math.max(Math.ceil((window.resetAt - Date.now()) / 1000), 0);
+
+    res.set('RateLimit-Policy', limit.max + ';w=' + limit.windowSeconds);
+    res.set('RateLimit-Limit', String(limit.max));
+    res.set('RateLimit-Remaining', String(Math.max(limit.max - window.count, 0)));
+    res.set('RateLimit-Reset', String(reset));
+
+    if (window.count > limit.max) {
+        res.set('Retry-After', String(reset));
+        return new TooManyRequestsError('Too many requests; try again in ' + reset + ' seconds',
+            { 'limit': limit.max, 'windowSeconds': limit.windowSeconds, 'retryAfter': reset });
+    }
+    return null;
+};
+
+/**
+ * Middleware rejecting, before its credentials are checked, a request from an
+ * IP address that has used up its limit with requests without valid
+ * credentials. The request is not counted: rateLimit counts it once its user
+ * is known.
+ *
+ * If the store fails, or cannot peek, the request is let through.
+ */
+function limitAddress (req, res, next) {
+    var limit = null;
+
+    try {
+        limit = readLimit('RATE_LIMIT_IP_MAX', DEFAULT_IP_MAX);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (limit.max === 0 || typeof store.peek !== 'function') {
+        return next();
+    }
+
+    store.peek('ip:' + req.ip)
+        .then(window => {
+            // the headers of requests under the limit are set by rateLimit
+            if (window !== null && window.count >= limit.max) {
+                throw checkWindow(res, limit, { 'count': window.count + 1, 'resetAt': window.resetAt });
+            }
+            next();
+        }, error => {
+            console.error('Could not check the rate limit of the address', error.message);
+            next();
+        })
+        .catch(next);
+};
+
+/**
+ * Middleware counting the request against the limit of its user or IP
+ * address. Every response gets the RateLimit-Policy, RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset (seconds) headers, and requests
+ * over the limit are rejected with a 429 and a Retry-After header.
+ *
+ * If the store fails (e.g. a Datastore transaction that keeps being aborted),
+ * the request is let through rather than taking the API down with it.
+ */
+function rateLimit (req, res, next) {
+    var limit = null;
+
+    try {
+        limit = req.user !== undefined
+            ? readLimit('RATE_LIMIT_USER_MAX', DEFAULT_USER_MAX)
+            : readLimit('RATE_LIMIT_IP_MAX', DEFAULT_IP_MAX);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (limit.max === 0) {
+        return next();
+    }
+
+    const key = req.user !== undefined ? 'user:' + req.user.sub : 'ip:' + req.ip;
+
+    store.increment(key, limit.windowSeconds * 1000)
+        .then(window => {
+            const error = checkWindow(res, limit, window);
+            if (error !== null) {
+                throw error;
+            }
+            next();
+        }, error => {
+            console.error('Could not count the request against the rate limit', error.message);
+            next();
+        })
+        .catch(next);
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    MemoryRateLimitStore,
+    DatastoreRateLimitStore,
+    setStore,
+    limitAddress,
+    rateLimit
+};
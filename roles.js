@@ -0,0 +1,340 @@
+const ds = require('./datastore');
+const config = require('./config.json');
+const { paginate } = require('./pagination');
+const { USERS, HIVES, SHARES } = require('./constants');
+const { ValidationError, ForbiddenError, NotFoundError } = require('./errors');
+
+const datastore = ds.datastore;
+
+// Roles a user can have on a hive, queen or apiary, from least to most
+// access. Each role can do everything the roles before it can:
+//  viewer: read the entity and everything in it
+//  editor: also change the entity, its inspections and its queen
+//  owner: also delete the entity, move hives between apiaries and share it
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles that an owner can share an entity with.
+const SHARE_ROLES = ['viewer', 'editor'];
+
+// Entities that can be shared, and the collection each one is found in.
+const SHARE_TYPES = { 'hive': 'hives', 'apiary': 'apiaries' };
+
+// Attributes of a share that can be set by PUT .../shares/:user_id.
+const SHARE_SCHEMA = {
+    'role': { 'type': 'string', 'required': true, 'enum': SHARE_ROLES }
+};
+
+//----------------------------------------------------------------------------
+// Role-based access to hives, queens and apiaries, shared by their routers.
+//
+// The beekeeper who created an entity is its owner. Owners can share a hive,
+// or an apiary with all of its hives, with other users as viewers or editors,
+// which is saved as a SHARE entity. The queen in a hive can be seen and
+// changed by the users the hive is shared with. Administrators (the users
+// in AUTH_ADMINS, or with isAdmin set) are owners of everything.
+//----------------------------------------------------------------------------
+
+/**
+ * Subjects of the users who are always administrators (AUTH_ADMINS, a comma
+ * separated list read from the environment, then config.json).
+ */
+function listedAdmins () {
+    const admins = process.env.AUTH_ADMINS || config.AUTH_ADMINS || '';
+    return admins.split(',').map(subject => subject.trim()).filter(subject => subject.length > 0);
+};
+
+/**
+ * Check whether the user with the given subject is an administrator.
+ */
+function isAdmin (subject) {
+    if (listedAdmins().includes(subject)) {
+        return Promise.resolve(true);
+    }
+
+    return datastore.get(datastore.key([USERS, subject]))
+        .then(user => {
+            return user[0] != null && user[0].isAdmin === true;
+        });
+};
+
+/**
+ * Key of the share of an entity (a SHARE_TYPES type) with a user. There is at
+ * most one share of each entity with each user.
+ */
+function shareKey (type, entityId, subject) {
+    return datastore.key([SHARES, type + ':' + entityId + ':' + subject]);
+};
+
+/**
+ * Check whether a role gives at least the access of the required role.
+ */
+function hasRole (role, required) {
+    return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+/**
+ * Pick the role giving the most access, or null if there are none.
+ */
+function bestRole (roles) {
+    return roles.reduce((best, role) => hasRole(best, role) ? best : role, null);
+};
+
+/**
+ * Find the role of a user on an entity with the given owner, shared with
+ * them through the SHARE entities with the given keys. Resolves to the role,
+ * or null if the user has no access.
+ */
+function findRole (subject, owner, keys, transaction) {
+    if (owner === subject) {
+        return Promise.resolve('owner');
+    }
+
+    return isAdmin(subject)
+        .then(admin => {
+            if (admin) {
+                return 'owner';
+            } else if (keys.length === 0) {
+                return null;
+            }
+            return (transaction || datastore).get(keys)
+                .then(shares => {
+                    return bestRole(shares[0].filter(share => share != null).map(share => share.role));
+                });
+        });
+};
+
+/**
+ * Find the role of the user on a hive: from owning it, or from a share of
+ * the hive or of the apiary it is kept in.
+ */
+function findHiveRole (subject, hive, transaction) {
+    const keys = [shareKey('hive', hive[ds.Datastore.KEY].id, subject)];
+    if (hive.apiary != null) {
+        keys.push(shareKey('apiary', hive.apiary.id, subject));
+    }
+    return findRole(subject, hive.beekeeper, keys, transaction);
+};
+
+/**
+ * Find the role of the user on a queen: from owning her, or from a role on
+ * the hive she lives in. Owning the hive makes the user an editor of the
+ * queen, so only her own beekeeper can delete her.
+ */
+function findQueenRole (subject, queen, transaction) {
+    return findRole(subject, queen.beekeeper, [], transaction)
+        .then(role => {
+            if (role !== null || queen.hive == null) {
+                return role;
+            }
+            return (transaction || datastore).get(datastore.key([HIVES, parseInt(queen.hive.id, 10)]))
+                .then(hive => {
+                    return hive[0] == null ? null : findHiveRole(subject, hive[0], transaction);
+                })
+                .then(hiveRole => {
+                    return hiveRole === 'owner' ? 'editor' : hiveRole;
+                });
+        });
+};
+
+/**
+ * Find the role of the user on an apiary: from owning it, or from a share.
+ */
+function findApiaryRole (subject, apiary, transaction) {
+    return findRole(subject, apiary.owner, [shareKey('apiary', apiary[ds.Datastore.KEY].id, subject)], transaction);
+};
+
+/**
+ * Throw an error unless the role gives at least the required role on the
+ * entity, described by noun (e.g. 'Hive') in the error.
+ */
+function requireRole (role, required, noun) {
+    if (role === null) {
+        throw new ForbiddenError(noun + ' has a different owner');
+    } else if (!hasRole(role, required)) {
+        throw new ForbiddenError('Your role on this ' + noun.toLowerCase() + ' (' + role + ') does not allow this; '
+            + required + ' is required', { 'role': role, 'required': required });
+    }
+};
+
+//----------------------------------------------------------------------------
+// Model functions related to SHARE entities, used by the hive, apiary and
+// user routers. The routers check that the user may manage the shares.
+//----------------------------------------------------------------------------
+
+/**
+ * Build the response for a share, with links to the shared entity and to
+ * the share itself.
+ */
+function formatShare (req, share) {
+    const entitySelf = req.protocol + '://' + req.get('host') + '/' + SHARE_TYPES[share.type] + '/' + share.entityId;
+    return { 'type': share.type,
+                'entity': { 'id': share.entityId, 'self': entitySelf },
+                'user': share.user,
+                'role': share.role,
+                'grantedBy': share.grantedBy,
+                'createdAt': share.createdAt,
+                'self': entitySelf + '/shares/' + encodeURIComponent(share.user)
+            };
+};
+
+/**
+ * Retrieve the shares matching the given filters: { type, entityId } for the
+ * shares of an entity, or { user } for those granted to a user. The results
+ * are paginated like GET /hives.
+ */
+function getShares (req, filters) {
+    return paginate(req, () => {
+        var query = datastore.createQuery(SHARES);
+        Object.keys(filters).forEach(property => {
+            query = query.filter(property, '=', filters[property]);
+        });
+        return query;
+    })
+        .then(page => {
+            const shares = page.items.map(share => formatShare(req, share));
+            return { 'total': page.total, 'shares': shares, 'next': page.next, 'prev': page.prev };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Share the entity of the given type and ID, owned by owner, with the user
+ * with the given subject, or change the role of an existing share.
+ *
+ * Schema:
+ *  type (string): type of the shared entity ('hive' or 'apiary')
+ *  entityId (string): ID of the shared entity
+ *  user (string): subject of the user the entity is shared with
+ *  role (string): role of the user on the entity (one of SHARE_ROLES)
+ *  grantedBy (string): subject of the user who shared the entity
+ *  createdAt (string): time the entity was first shared with the user
+ *
+ * Throws an error if the user does not exist, or owns the entity.
+ * Resolves to { created, share }, where created is true for a new share.
+ */
+function putShare (req, type, entityId, owner, subject, role) {
+    const key = shareKey(type, entityId, subject);
+
+    if (subject === owner) {
+        return Promise.reject(new ValidationError('The owner of the ' + type + ' cannot be given another role'));
+    }
+
+    return datastore.get(datastore.key([USERS, subject]))
+        .then(user => {
+            if (user[0] === undefined || user[0] === null) {
+                throw new NotFoundError('No user with this user_id exists');
+            }
+
+            return ds.runInTransaction(transaction => {
+                return transaction.get(key)
+                    .then(existing => {
+                        const share = existing[0] != null ? existing[0] : {
+                            'type': type,
+                            'entityId': String(entityId),
+                            'user': subject,
+                            'createdAt': new Date().toISOString()
+                        };
+                        share.role = role;
+                        share.grantedBy = req.user.sub;
+
+                        transaction.save({ 'key': key, 'data': share });
+                        return { 'created': existing[0] == null, 'share': formatShare(req, share) };
+                    });
+            });
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Stop sharing the entity of the given type and ID with the user with the
+ * given subject. Throws an error if it is not shared with them.
+ */
+function deleteShare (type, entityId, subject) {
+    const key = shareKey(type, entityId, subject);
+
+    return ds.runInTransaction(transaction => {
+        return transaction.get(key)
+            .then(share => {
+                if (share[0] === undefined || share[0] === null) {
+                    throw new NotFoundError('The ' + type + ' is not shared with this user');
+                }
+                transaction.delete(key);
+            });
+    })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Find the keys of all shares of the entity of the given type and ID, so they
+ * can be deleted along with it. Queries cannot run inside a transaction, so
+ * this is called before the transaction that deletes the entity.
+ */
+function findShareKeys (type, entityId) {
+    const query = datastore.createQuery(SHARES)
+        .filter('type', '=', type)
+        .filter('entityId', '=', String(entityId))
+        .select('__key__');
+
+    return datastore.runQuery(query)
+        .then(shares => {
+            return shares[0].map(share => share[ds.Datastore.KEY]);
+        });
+};
+
+/**
+ * Find the hives shared with the user with the given subject, directly or
+ * through an apiary, leaving out those they own. Used by GET /hives and GET
+ * /queens to list the hives and queens shared with the user.
+ *
+ * Resolves to the hive entities, in the order of their IDs.
+ */
+function findSharedHives (subject) {
+    const sharesQuery = datastore.createQuery(SHARES).filter('user', '=', subject);
+    const hives = {};
+
+    return datastore.runQuery(sharesQuery)
+        .then(shares => {
+            const hiveKeys = shares[0].filter(share => share.type === 'hive')
+                .map(share => datastore.key([HIVES, parseInt(share.entityId, 10)]));
+            const apiaryIds = shares[0].filter(share => share.type === 'apiary').map(share => share.entityId);
+
+            // the hives of each shared apiary are found by a query of their own
+            return Promise.all([hiveKeys.length === 0 ? [[]] : datastore.get(hiveKeys)].concat(apiaryIds.map(apiaryId => {
+                return datastore.runQuery(datastore.createQuery(HIVES).filter('apiary.id', '=', String(apiaryId)));
+            })));
+        })
+        .then(results => {
+            results.forEach(found => {
+                found[0].filter(hive => hive != null && hive.beekeeper !== subject).forEach(hive => {
+                    hives[hive[ds.Datastore.KEY].id] = hive;
+                });
+            });
+            return Object.keys(hives).sort((a, b) => parseInt(a, 10) - parseInt(b, 10)).map(id => hives[id]);
+        });
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    ROLES,
+    SHARE_ROLES,
+    SHARE_SCHEMA,
+    listedAdmins,
+    isAdmin,
+    hasRole,
+    findHiveRole,
+    findQueenRole,
+    findApiaryRole,
+    requireRole,
+    getShares,
+    putShare,
+    deleteShare,
+    findShareKeys,
+    findSharedHives
+};
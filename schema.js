@@ -0,0 +1,161 @@
+const { ValidationError } = require('./errors');
+
+//----------------------------------------------------------------------------
+// Declarative validation of request bodies. A schema maps each attribute of
+// an entity to its rules, e.g.
+//
+//     { 'colonySize': { 'type': 'int', 'required': true, 'min': 0 } }
+//
+// Rules:
+//  type: 'string', 'int', 'number', 'boolean', 'date' (YYYY-MM-DD),
+//      'id' (the ID of another entity, as a string or whole number) or
+//      'array' (a list, whose items are checked against the 'items' rules)
+//  required: must be given when creating or replacing the entity
+//  nullable: may be null
+//  minLength, maxLength: length of a string
+//  min, max: range of a number
+//  enum: list of the allowed values
+//  items: rules that each item of an array must follow
+//----------------------------------------------------------------------------
+
+/**
+ * Check that a value is a date in the format YYYY-MM-DD. Dates like
+ * 2024-02-31, which Date.parse would roll over, are rejected.
+ */
+function isDate (value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !isNaN(Date.parse(value)) && new Date(value).toISOString().substr(0, 10) === value;
+};
+
+/**
+ * Check a value against the type of an attribute.
+ */
+function hasType (value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'int':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'date':
+            return isDate(value);
+        case 'id':
+            return (typeof value === 'string' && /^[0-9]+$/.test(value)) || (Number.isInteger(value) && value > 0);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            throw new Error('Unknown schema type: ' + type);
+    }
+};
+
+/**
+ * Describe the type of an attribute in a violation message.
+ */
+function describeType (type) {
+    const descriptions = {
+        'string': 'a string',
+        'int': 'a whole number',
+        'number': 'a number',
+        'boolean': 'true or false',
+        'date': 'a valid date in the format YYYY-MM-DD',
+        'id': 'an ID',
+        'array': 'a list'
+    };
+    return descriptions[type];
+};
+
+/**
+ * Check one attribute against its rules.
+ * Returns the violation message, or null if the value is valid.
+ */
+function checkAttribute (value, rules) {
+    if (value === null) {
+        return rules.nullable === true ? null : 'must not be null';
+    } else if (!hasType(value, rules.type)) {
+        return 'must be ' + describeType(rules.type);
+    } else if (rules.items !== undefined) {
+        const messages = value.map(item => checkAttribute(item, rules.items)).filter(message => message !== null);
+        return messages.length > 0 ? 'items ' + messages[0] : null;
+    } else if (rules.enum !== undefined && !rules.enum.includes(value)) {
+        return 'must be one of: ' + rules.enum.join(', ');
+    } else if (rules.minLength !== undefined && value.trim().length < rules.minLength) {
+        return rules.minLength === 1 ? 'must not be empty' : 'must be at least ' + rules.minLength + ' characters long';
+    } else if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return 'must be at most ' + rules.maxLength + ' characters long';
+    } else if (rules.min !== undefined && value < rules.min) {
+        return 'must be at least ' + rules.min;
+    } else if (rules.max !== undefined && value > rules.max) {
+        return 'must be at most ' + rules.max;
+    }
+    return null;
+};
+
+/**
+ * Validate a request body against a schema, collecting every violation.
+ * With partial set (for PATCH), required attributes may be left out.
+ *
+ * Returns a list of violations, each { attribute, message }, which is
+ * empty if the body is valid.
+ */
+function findViolations (body, schema, partial) {
+    const violations = [];
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ 'attribute': null, 'message': 'The request body must be a JSON object' }];
+    }
+
+    Object.keys(body).forEach(attribute => {
+        if (!Object.prototype.hasOwnProperty.call(schema, attribute)) {
+            violations.push({ 'attribute': attribute, 'message': 'is not a known attribute' });
+        }
+    });
+
+    Object.keys(schema).forEach(attribute => {
+        const rules = schema[attribute];
+        if (body[attribute] === undefined) {
+            if (rules.required === true && !partial) {
+                violations.push({ 'attribute': attribute, 'message': 'is required' });
+            }
+            return;
+        }
+
+        const message = checkAttribute(body[attribute], rules);
+        if (message !== null) {
+            violations.push({ 'attribute': attribute, 'message': message });
+        }
+    });
+
+    return violations;
+};
+
+/**
+ * Build middleware that validates the request body against the schema, and
+ * rejects it with a single ValidationError listing every violation.
+ *
+ * Options:
+ *  partial: only validate the attributes that are given (for PATCH)
+ */
+function validateBody (schema, options) {
+    const partial = options !== undefined && options.partial === true;
+
+    return function (req, res, next) {
+        const violations = findViolations(req.body, schema, partial);
+        if (violations.length > 0) {
+            next(new ValidationError('The request body has ' + violations.length + ' invalid attribute(s)',
+                { 'violations': violations }));
+        } else {
+            next();
+        }
+    };
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    isDate,
+    findViolations,
+    validateBody
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+
+const ds = require('./datastore');
+const config = require('./config.json');
+const identity = require('./identity');
+const { SESSIONS } = require('./constants');
+const { UnauthorizedError } = require('./errors');
+
+const datastore = ds.datastore;
+
+// Days a session lasts after logging in, however often it is refreshed.
+const SESSION_LIFETIME_DAYS = 30;
+
+// Name of the cookie holding the session token in cookie session mode.
+const SESSION_COOKIE = 'beekeeper_session';
+
+//----------------------------------------------------------------------------
+// Sessions of logged in users, shared by the login router and the JWT
+// middleware. A session is created for every login, and keeps the identity
+// provider's refresh token on the server. The client only gets an opaque
+// session token, "<session id>.<secret>", whose secret is stored hashed:
+//
+//  - By default, the token is shown on the login page as the refresh token,
+//    and exchanged for new ID tokens at POST /auth/token. Every exchange
+//    replaces the secret, so each refresh token can only be used once.
+//  - With AUTH_SESSION_COOKIE=true, the token is set in an HttpOnly cookie
+//    instead, and the cookie authenticates API requests by itself.
+//
+// POST /auth/logout deletes the session and revokes the provider's token.
+//----------------------------------------------------------------------------
+
+/**
+ * Whether logins start cookie sessions (AUTH_SESSION_COOKIE, read from the
+ * environment, then config.json).
+ */
+function usesSessionCookie () {
+    return String(process.env.AUTH_SESSION_COOKIE || config.AUTH_SESSION_COOKIE) === 'true';
+};
+
+/**
+ * Hash the secret of a session token, as it is stored.
+ */
+function hashSecret (secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Split a session token into the key of its session and its secret.
+ * Returns null if the token is malformed.
+ */
+function parseToken (token) {
+    const match = typeof token === 'string' ? /^([0-9]+)\.([\w-]{43})$/.exec(token) : null;
+    if (match === null) {
+        return null;
+    }
+    return { 'key': datastore.key([SESSIONS, parseInt(match[1], 10)]), 'secret': match[2] };
+};
+
+/**
+ * Check that a session exists, matches the secret and has not expired.
+ */
+function isValidSession (session, secret) {
+    if (session === undefined || session === null || session.expiresAt <= Date.now()) {
+        return false;
+    }
+    const expected = Buffer.from(session.secretHash, 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(hashSecret(secret), 'hex'));
+};
+
+//----------------------------------------------------------------------------
+// Model functions related to SESSION entities.
+//----------------------------------------------------------------------------
+
+/**
+ * Create a session for the user who just logged in, from the result of the
+ * provider's exchangeCode.
+ *
+ * Schema:
+ *  subject (string): sub claim of the user's ID token
+ *  claims (string): claims of the user's latest ID token, as JSON
+ *  secretHash (string): SHA-256 of the secret of the session token
+ *  providerRefreshToken (string): the provider's refresh token, or null if
+ *      it did not grant offline access
+ *  createdAt (number), expiresAt (number): times in milliseconds
+ *
+ * Resolves to { token, refreshable, expiresAt }.
+ */
+function createSession (login) {
+    const key = datastore.key(SESSIONS);
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = { 'subject': login.claims.sub,
+                        'claims': JSON.stringify(login.claims),
+                        'secretHash': hashSecret(secret),
+                        'providerRefreshToken': login.refreshToken || null,
+                        'createdAt': now,
+                        'expiresAt': now + SESSION_LIFETIME_DAYS * 24 * 3600 * 1000
+                    };
+
+    return datastore.save({ 'key': key, 'data': session, 'excludeFromIndexes': ['claims', 'providerRefreshToken'] })
+        .then(() => {
+            return { 'token': key.id + '.' + secret,
+                        'refreshable': session.providerRefreshToken !== null,
+                        'expiresAt': session.expiresAt
+                    };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Find the session of a session token.
+ * Throws an error if the token is not valid, or its session has expired.
+ */
+function findSession (token) {
+    const parsed = parseToken(token);
+    if (parsed === null) {
+        return Promise.reject(new UnauthorizedError('Invalid or expired session'));
+    }
+
+    return datastore.get(parsed.key)
+        .then(session => {
+            if (!isValidSession(session[0], parsed.secret)) {
+                throw new UnauthorizedError('Invalid or expired session');
+            }
+            return session[0];
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Exchange a refresh token for a new ID token from the identity provider.
+ * The session is given a new secret, so the refresh token cannot be used
+ * again; if two requests use it at once, only the first one succeeds.
+ *
+ * Resolves to { idToken, claims, refreshToken }, with the new refresh token.
+ */
+function refreshSession (token) {
+    const parsed = parseToken(token);
+    const secret = crypto.randomBytes(32).toString('base64url');
+    var login = null;
+
+    return findSession(token)
+        .then(session => {
+            if (session.providerRefreshToken === null) {
+                throw new UnauthorizedError('The identity provider did not grant offline access, so this session cannot be refreshed');
+            }
+            return identity.provider.refresh(session.providerRefreshToken)
+                .catch(() => {
+                    throw new UnauthorizedError('The identity provider refused to refresh the session; log in again');
+                });
+        })
+        .then(result => {
+            login = result;
+            return ds.runInTransaction(transaction => {
+                return transaction.get(parsed.key)
+                    .then(session => {
+                        if (!isValidSession(session[0], parsed.secret)) {
+                            throw new UnauthorizedError('Invalid or expired session');
+                        }
+                        session[0].secretHash = hashSecret(secret);
+                        session[0].providerRefreshToken = login.refreshToken;
+                        session[0].claims = JSON.stringify(login.claims);
+                        transaction.save({ 'key': parsed.key, 'data': session[0],
+                                            'excludeFromIndexes': ['claims', 'providerRefreshToken'] });
+                    });
+            });
+        })
+        .then(() => {
+            return { 'idToken': login.idToken, 'claims': login.claims, 'refreshToken': parsed.key.id + '.' + secret };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Delete the session of a session token, and revoke the provider's refresh
+ * token. Tokens that are already invalid are ignored. The session is deleted
+ * even if the provider could not be reached to revoke its token.
+ */
+function deleteSession (token) {
+    var session = null;
+
+    return findSession(token)
+        .then(found => {
+            session = found;
+            return datastore.delete(session[ds.Datastore.KEY]);
+        })
+        .then(() => {
+            if (session.providerRefreshToken !== null) {
+                return identity.provider.revoke(session.providerRefreshToken)
+                    .catch(error => {
+                        console.error('Could not revoke the refresh token of session ' + session[ds.Datastore.KEY].id, error.message);
+                    });
+            }
+        })
+        .catch(error => {
+            if (error instanceof UnauthorizedError) {
+                return; // nothing to log out of
+            }
+            throw error;
+        });
+};
+
+//----------------------------------------------------------------------------
+// Helper functions for the session cookie.
+//----------------------------------------------------------------------------
+
+/**
+ * Read the cookie with the given name from the request.
+ * Returns null if the request has no such cookie, or its value is not
+ * URL-encoded properly.
+ */
+function readCookie (req, name) {
+    const cookies = (req.get('Cookie') || '').split(';');
+
+    for (const cookie of cookies) {
+        const separator = cookie.indexOf('=');
+        if (separator > 0 && cookie.substr(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(cookie.substr(separator + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Read the session token from the cookie of the request.
+ * Returns null if there is no session cookie.
+ */
+function readSessionCookie (req) {
+    return readCookie(req, SESSION_COOKIE);
+};
+
+/**
+ * Set the session cookie on the response. It cannot be read by scripts,
+ * and is not sent with requests from other sites.
+ */
+function setSessionCookie (req, res, session) {
+    res.cookie(SESSION_COOKIE, session.token, { 'httpOnly': true,
+                                                'secure': req.secure,
+                                                'sameSite': 'strict',
+                                                'path': '/',
+                                                'expires': new Date(session.expiresAt)
+                                            });
+};
+
+/**
+ * Remove the session cookie from the browser.
+ */
+function clearSessionCookie (req, res) {
+    res.clearCookie(SESSION_COOKIE, { 'httpOnly': true, 'secure': req.secure, 'sameSite': 'strict', 'path': '/' });
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    SESSION_COOKIE,
+    usesSessionCookie,
+    createSession,
+    findSession,
+    refreshSession,
+    deleteSession,
+    readCookie,
+    readSessionCookie,
+    setSessionCookie,
+    clearSessionCookie
+};
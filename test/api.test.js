@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, signToken, logIn, newUser } = require('./helpers');
+const { signJwt } = require('../jwt');
+const { buildSpec } = require('../openapi');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+test('requests without a valid token are 401', async () => {
+    const user = newUser();
+    const now = Math.floor(Date.now() / 1000);
+    const tokens = {
+        'missing': undefined,
+        'malformed': 'not-a-jwt',
+        'expired': signToken(user, { 'iat': now - 7200, 'exp': now - 3600 }),
+        'wrong audience': signToken(user, { 'aud': 'another-app' }),
+        'wrong issuer': signToken(user, { 'iss': 'https://issuer.example.com' }),
+        'wrong key': signJwt({ 'iss': 'beekeeper-local', 'aud': 'beekeeper-api', 'sub': user, 'exp': now + 60 }, 'another key'),
+        'unsigned': signToken(user).split('.').slice(0, 2).join('.') + '.'
+    };
+
+    for (const name of Object.keys(tokens)) {
+        const response = await api.request('GET', '/hives', { 'token': tokens[name] });
+        assert.strictEqual(response.status, 401, name + ' token');
+        assert.strictEqual(response.body.code, 'unauthorized');
+    }
+
+    const valid = await api.request('GET', '/hives', { 'token': signToken(user) });
+    assert.strictEqual(valid.status, 200);
+});
+
+test('every protected route is 401 without a token', async () => {
+    const spec = buildSpec();
+
+    for (const path of Object.keys(spec.paths)) {
+        for (const method of Object.keys(spec.paths[path])) {
+            if (spec.paths[path][method].security === undefined) {
+                continue;
+            }
+            const response = await api.request(method.toUpperCase(), path.replace(/{\w+}/g, '1'));
+            assert.strictEqual(response.status, 401, method.toUpperCase() + ' ' + path);
+        }
+    }
+});
+
+test('unsupported methods are 405 with the Allow header', async () => {
+    const spec = buildSpec();
+    const methods = ['get', 'post', 'put', 'patch', 'delete'];
+
+    for (const path of Object.keys(spec.paths)) {
+        const allowed = Object.keys(spec.paths[path]);
+        const method = methods.find(name => !allowed.includes(name));
+        if (path === '/' || path === '/oauth') {
+            continue; // the login pages are not part of the JSON API
+        }
+
+        const response = await api.request(method.toUpperCase(), path.replace(/{\w+}/g, '1'), { 'user': newUser() });
+        assert.strictEqual(response.status, 405, method.toUpperCase() + ' ' + path);
+        assert.strictEqual(response.body.code, 'method_not_allowed');
+        assert.deepStrictEqual(response.headers.get('Allow').split(', ').sort(),
+            allowed.map(name => name.toUpperCase()).sort());
+    }
+});
+
+test('requests that do not accept JSON are 406', async () => {
+    const user = newUser();
+
+    for (const path of ['/hives', '/queens', '/apiaries', '/users']) {
+        const response = await api.request('GET', path, { 'user': user, 'headers': { 'Accept': 'text/html' } });
+        assert.strictEqual(response.status, 406, path);
+        assert.strictEqual(response.body.code, 'not_acceptable');
+    }
+});
+
+test('request bodies that are not JSON are 415', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 1 } })).body;
+    const text = { 'user': user, 'body': 'hiveName', 'headers': { 'Content-Type': 'text/plain' } };
+
+    for (const [method, path] of [['POST', '/queens'], ['POST', '/apiaries'], ['PUT', '/hives/' + hive.id],
+                                    ['PATCH', '/hives/' + hive.id], ['POST', '/hives/' + hive.id + '/inspections']]) {
+        const response = await api.request(method, path, text);
+        assert.strictEqual(response.status, 415, method + ' ' + path);
+        assert.strictEqual(response.body.code, 'unsupported_media_type');
+    }
+});
+
+test('unknown routes are 404 and every error has a request ID', async () => {
+    const response = await api.request('GET', '/bees', { 'headers': { 'X-Request-Id': 'test-request-1' } });
+
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(response.body, { 'code': 'not_found', 'message': 'No route for GET /bees',
+                                            'details': null, 'requestId': 'test-request-1' });
+    assert.strictEqual(response.headers.get('X-Request-Id'), 'test-request-1');
+});
+
+test('logging in on the welcome page gives a JWT for the API', async () => {
+    const page = await api.request('GET', '/', { 'headers': { 'Accept': 'text/html' } });
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /<form method="POST" action="\/">/);
+
+    const profile = await logIn(api);
+    assert.strictEqual(profile.status, 200);
+
+    const hives = await api.request('GET', '/hives', { 'token': profile.idToken });
+    assert.strictEqual(hives.status, 200);
+});
+
+test('the documentation is served', async () => {
+    const spec = await api.request('GET', '/openapi.json');
+    assert.strictEqual(spec.status, 200);
+    assert.strictEqual(spec.body.openapi, '3.0.3');
+
+    const page = await api.request('GET', '/docs', { 'headers': { 'Accept': 'text/html' } });
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /\/openapi\.json/);
+    assert.doesNotMatch(page.body, /https?:\/\//);
+
+    const script = await api.request('GET', '/docs/assets/swagger-ui-bundle.js', { 'headers': { 'Accept': '*/*' } });
+    assert.strictEqual(script.status, 200);
+    assert.match(script.headers.get('Content-Type'), /javascript/);
+    const style = await api.request('GET', '/docs/assets/swagger-ui.css', { 'headers': { 'Accept': '*/*' } });
+    assert.strictEqual(style.status, 200);
+    assert.strictEqual((await api.request('GET', '/docs/assets/', { 'headers': { 'Accept': '*/*' } })).status, 404);
+});
@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Create an apiary for the user, with the attributes overridden by apiaryInfo.
+ */
+function createApiary (user, apiaryInfo) {
+    const body = { 'name': 'Home yard', 'latitude': 44.56, 'longitude': -123.26, ...apiaryInfo };
+    return api.request('POST', '/apiaries', { 'user': user, 'body': body })
+        .then(response => {
+            assert.strictEqual(response.status, 201);
+            return response.body;
+        });
+};
+
+/**
+ * Create a hive for the user.
+ */
+function createHive (user) {
+    const body = { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 20000 };
+    return api.request('POST', '/hives', { 'user': user, 'body': body })
+        .then(response => response.body);
+};
+
+test('POST /apiaries creates an apiary owned by the user', async () => {
+    const user = newUser();
+    const response = await api.request('POST', '/apiaries', { 'user': user,
+        'body': { 'name': 'Orchard', 'latitude': 10, 'longitude': 20, 'notes': 'Behind the barn' } });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.owner, user);
+    assert.strictEqual(response.body.address, null);
+    assert.strictEqual(response.body.notes, 'Behind the barn');
+    assert.strictEqual(response.body.hives, response.body.self + '/hives');
+});
+
+test('POST /apiaries rejects coordinates out of range', async () => {
+    const response = await api.request('POST', '/apiaries', { 'user': newUser(),
+        'body': { 'name': 'Nowhere', 'latitude': 91, 'longitude': -181 } });
+
+    assert.strictEqual(response.status, 400);
+    const attributes = response.body.details.violations.map(violation => violation.attribute).sort();
+    assert.deepStrictEqual(attributes, ['latitude', 'longitude']);
+});
+
+test('GET /apiaries lists only the user\'s apiaries', async () => {
+    const user = newUser();
+    await createApiary(user);
+    await createApiary(user, { 'name': 'Second yard' });
+    await createApiary(newUser());
+
+    const response = await api.request('GET', '/apiaries', { 'user': user });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.total, 2);
+});
+
+test('GET, PUT, PATCH and DELETE /apiaries/:apiary_id', async () => {
+    const user = newUser();
+    const apiary = await createApiary(user);
+
+    const get = await api.request('GET', '/apiaries/' + apiary.id, { 'user': user });
+    assert.strictEqual(get.status, 200);
+    assert.strictEqual(get.body.name, apiary.name);
+
+    const put = await api.request('PUT', '/apiaries/' + apiary.id, { 'user': user,
+        'body': { 'name': 'Moved', 'latitude': 1, 'longitude': 2 } });
+    assert.strictEqual(put.status, 303);
+    assert.strictEqual(put.headers.get('Location'), apiary.self);
+    assert.strictEqual(put.body.latitude, 1);
+
+    const patch = await api.request('PATCH', '/apiaries/' + apiary.id, { 'user': user, 'body': { 'address': '1 Hive Lane' } });
+    assert.strictEqual(patch.status, 200);
+    assert.strictEqual(patch.body.address, '1 Hive Lane');
+    assert.strictEqual(patch.body.name, 'Moved');
+
+    const forbidden = await api.request('DELETE', '/apiaries/' + apiary.id, { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+
+    const deleted = await api.request('DELETE', '/apiaries/' + apiary.id, { 'user': user });
+    assert.strictEqual(deleted.status, 204);
+
+    const gone = await api.request('GET', '/apiaries/' + apiary.id, { 'user': user });
+    assert.strictEqual(gone.status, 404);
+});
+
+test('hives are added to and removed from an apiary', async () => {
+    const user = newUser();
+    const apiary = await createApiary(user);
+    const otherApiary = await createApiary(user);
+    const hive = await createHive(user);
+    const path = '/apiaries/' + apiary.id + '/hives/' + hive.id;
+
+    const added = await api.request('PUT', path, { 'user': user });
+    assert.strictEqual(added.status, 204);
+
+    const hives = await api.request('GET', '/apiaries/' + apiary.id + '/hives', { 'user': user });
+    assert.strictEqual(hives.status, 200);
+    assert.deepStrictEqual(hives.body.hives.map(found => String(found.id)), [String(hive.id)]);
+
+    const twice = await api.request('PUT', '/apiaries/' + otherApiary.id + '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(twice.status, 409);
+
+    const wrongApiary = await api.request('DELETE', '/apiaries/' + otherApiary.id + '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(wrongApiary.status, 409);
+
+    const removed = await api.request('DELETE', path, { 'user': user });
+    assert.strictEqual(removed.status, 204);
+    const hiveAfter = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(hiveAfter.body.apiary, null);
+});
+
+test('deleting an apiary keeps its hives', async () => {
+    const user = newUser();
+    const apiary = await createApiary(user);
+    const hive = await createHive(user);
+    await api.request('PUT', '/apiaries/' + apiary.id + '/hives/' + hive.id, { 'user': user });
+
+    await api.request('DELETE', '/apiaries/' + apiary.id, { 'user': user });
+
+    const hiveAfter = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(hiveAfter.status, 200);
+    assert.strictEqual(hiveAfter.body.apiary, null);
+});
+
+test('another beekeeper\'s hive cannot be added to an apiary', async () => {
+    const user = newUser();
+    const apiary = await createApiary(user);
+    const hive = await createHive(newUser());
+
+    const response = await api.request('PUT', '/apiaries/' + apiary.id + '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(response.status, 403);
+});
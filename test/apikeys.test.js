@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+const { datastore } = require('../datastore');
+const { API_KEYS } = require('../constants');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Create an API key for the user with the given attributes.
+ */
+function createApiKey (user, apiKeyInfo) {
+    return api.request('POST', '/users/me/api-keys', { 'user': user, 'body': { 'name': 'Scale', ...apiKeyInfo } })
+        .then(response => {
+            assert.strictEqual(response.status, 201);
+            return response.body;
+        });
+};
+
+test('an API key is shown once and acts as the user who created it', async () => {
+    const user = newUser();
+    const created = await api.request('POST', '/users/me/api-keys', { 'user': user, 'body': { 'name': 'Hive scale' } });
+
+    assert.strictEqual(created.status, 201);
+    assert.match(created.body.key, /^bk_[0-9]+\.[\w-]{43}$/);
+    assert.deepStrictEqual(created.body.scopes, []);
+    assert.strictEqual(created.body.expiresAt, null);
+    assert.strictEqual(created.headers.get('Location'), created.body.self);
+    assert.strictEqual(created.headers.get('Cache-Control'), 'no-store');
+
+    const hive = await api.request('POST', '/hives', { 'token': created.body.key,
+        'body': { 'hiveName': 'Scripted', 'structureType': 'Langstroth', 'colonySize': 1 } });
+    assert.strictEqual(hive.status, 201);
+    assert.strictEqual(hive.body.beekeeper, user);
+
+    const listed = await api.request('GET', '/users/me/api-keys', { 'user': user });
+    assert.strictEqual(listed.body.total, 1);
+    assert.strictEqual(listed.body.apiKeys[0].name, 'Hive scale');
+    assert.strictEqual(listed.body.apiKeys[0].key, undefined);
+
+    const stored = await datastore.get(datastore.key([API_KEYS, parseInt(created.body.id, 10)]));
+    assert.ok(!JSON.stringify(stored[0]).includes(created.body.key.split('.')[1]));
+});
+
+test('a revoked, expired or forged API key is rejected', async () => {
+    const user = newUser();
+    const revoked = await createApiKey(user);
+    const expired = await createApiKey(user, { 'expiresInDays': 1 });
+    const forged = revoked.key.replace(/.$/, revoked.key.endsWith('A') ? 'B' : 'A');
+
+    assert.strictEqual((await api.request('GET', '/hives', { 'token': expired.key })).status, 200);
+    const expiredKey = datastore.key([API_KEYS, parseInt(expired.id, 10)]);
+    const entity = (await datastore.get(expiredKey))[0];
+    entity.expiresAt = new Date(Date.now() - 1000).toISOString();
+    await datastore.save(entity);
+
+    assert.strictEqual((await api.request('DELETE', '/users/me/api-keys/' + revoked.id, { 'user': newUser() })).status, 404);
+    assert.strictEqual((await api.request('DELETE', '/users/me/api-keys/' + revoked.id, { 'user': user })).status, 204);
+
+    for (const token of [revoked.key, expired.key, forged, 'bk_1.short']) {
+        const response = await api.request('GET', '/hives', { 'token': token });
+        assert.strictEqual(response.status, 401, token);
+        assert.strictEqual(response.body.message, 'Invalid or expired API key');
+    }
+});
+
+test('the scopes of an API key limit what it can do', async () => {
+    const user = newUser();
+    const readOnly = await createApiKey(user, { 'scopes': ['read-only'] });
+    const queensOnly = await createApiKey(user, { 'scopes': ['queens'] });
+    const body = { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 1 };
+
+    assert.strictEqual((await api.request('GET', '/hives', { 'token': readOnly.key })).status, 200);
+    const write = await api.request('POST', '/hives', { 'token': readOnly.key, 'body': body });
+    assert.strictEqual(write.status, 403);
+    assert.deepStrictEqual(write.body.details, { 'scopes': ['read-only'] });
+
+    assert.strictEqual((await api.request('GET', '/queens', { 'token': queensOnly.key })).status, 200);
+    const hives = await api.request('GET', '/users/me/hives', { 'token': queensOnly.key });
+    assert.strictEqual(hives.status, 403);
+    assert.match(hives.body.message, /does not have the hives scope/);
+    assert.strictEqual((await api.request('GET', '/apiaries', { 'token': queensOnly.key })).status, 403);
+});
+
+test('only API keys with the audit scope can read the audit trail of every entity', async () => {
+    const admin = newUser();
+    process.env.AUTH_ADMINS = admin;
+
+    try {
+        const unscoped = await createApiKey(admin);
+        const readOnly = await createApiKey(admin, { 'scopes': ['read-only'] });
+        const auditor = await createApiKey(admin, { 'scopes': ['audit', 'read-only'] });
+
+        const denied = await api.request('GET', '/audit', { 'token': unscoped.key });
+        assert.strictEqual(denied.status, 403);
+        assert.match(denied.body.message, /does not have the audit scope/);
+        assert.strictEqual((await api.request('GET', '/audit', { 'token': readOnly.key })).status, 403);
+        assert.strictEqual((await api.request('GET', '/audit', { 'token': auditor.key })).status, 200);
+        assert.strictEqual((await api.request('GET', '/hives', { 'token': auditor.key })).status, 403);
+
+        // the audit trail of one hive goes with the hives
+        const hive = await api.request('POST', '/hives', { 'token': unscoped.key,
+            'body': { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 1 } });
+        assert.strictEqual((await api.request('GET', '/hives/' + hive.body.id + '/audit', { 'token': unscoped.key })).status, 200);
+    } finally {
+        delete process.env.AUTH_ADMINS;
+    }
+});
+
+test('API keys cannot manage API keys', async () => {
+    const user = newUser();
+    const apiKey = await createApiKey(user);
+
+    assert.strictEqual((await api.request('GET', '/users/me', { 'token': apiKey.key })).status, 200);
+    assert.strictEqual((await api.request('GET', '/users/me/api-keys', { 'token': apiKey.key })).status, 403);
+    const created = await api.request('POST', '/users/me/api-keys', { 'token': apiKey.key, 'body': { 'name': 'Another' } });
+    assert.strictEqual(created.status, 403);
+});
+
+test('POST /users/me/api-keys validates the scopes and expiry', async () => {
+    const response = await api.request('POST', '/users/me/api-keys', { 'user': newUser(),
+        'body': { 'name': '', 'scopes': ['hives', 'admin'], 'expiresInDays': 0 } });
+
+    assert.strictEqual(response.status, 400);
+    const violations = response.body.details.violations;
+    assert.deepStrictEqual(violations.map(violation => violation.attribute).sort(), ['expiresInDays', 'name', 'scopes']);
+    assert.match(violations.find(violation => violation.attribute === 'scopes').message, /^items must be one of/);
+});
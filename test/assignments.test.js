@@ -0,0 +1,195 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Create a hive and a queen for the user.
+ */
+function createHiveAndQueen (user) {
+    const hiveBody = { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 20000 };
+    const queenBody = { 'name': 'Queen', 'species': 'Carniolan', 'age': 12 };
+
+    return Promise.all([
+        api.request('POST', '/hives', { 'user': user, 'body': hiveBody }),
+        api.request('POST', '/queens', { 'user': user, 'body': queenBody })
+    ])
+        .then(responses => {
+            return { 'hive': responses[0].body, 'queen': responses[1].body };
+        });
+};
+
+/**
+ * Path of the link between a hive and a queen.
+ */
+function linkPath (hive, queen) {
+    return '/hives/' + hive.id + '/queens/' + queen.id;
+};
+
+test('PUT /hives/:hive_id/queens/:queen_id links the hive and the queen', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+
+    const response = await api.request('PUT', linkPath(hive, queen), { 'user': user });
+    assert.strictEqual(response.status, 204);
+
+    const updatedHive = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(updatedHive.body.queen.id, String(queen.id));
+    const updatedQueen = await api.request('GET', '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(updatedQueen.body.hive.id, String(hive.id));
+    assert.strictEqual(updatedQueen.body.hive.hiveName, hive.hiveName);
+});
+
+test('a hive can only have one queen', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+    const second = (await createHiveAndQueen(user)).queen;
+    await api.request('PUT', linkPath(hive, queen), { 'user': user });
+
+    const response = await api.request('PUT', linkPath(hive, second), { 'user': user });
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.message, 'Hive already has a queen');
+});
+
+test('a queen can only live in one hive', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+    const otherHive = (await createHiveAndQueen(user)).hive;
+    await api.request('PUT', linkPath(hive, queen), { 'user': user });
+
+    const response = await api.request('PUT', linkPath(otherHive, queen), { 'user': user });
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.message, 'Queen is already assigned');
+});
+
+test('a queen cannot be assigned to another beekeeper\'s hive, or the other way around', async () => {
+    const user = newUser();
+    const other = newUser();
+    const mine = await createHiveAndQueen(user);
+    const theirs = await createHiveAndQueen(other);
+
+    const theirHive = await api.request('PUT', linkPath(theirs.hive, mine.queen), { 'user': user });
+    assert.strictEqual(theirHive.status, 403);
+    assert.strictEqual(theirHive.body.message, 'Hive has a different owner');
+
+    const theirQueen = await api.request('PUT', linkPath(mine.hive, theirs.queen), { 'user': user });
+    assert.strictEqual(theirQueen.status, 403);
+    assert.strictEqual(theirQueen.body.message, 'Queen has a different owner');
+});
+
+test('assigning a missing hive or queen is 404', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+
+    const missingQueen = await api.request('PUT', linkPath(hive, { 'id': 999999999 }), { 'user': user });
+    assert.strictEqual(missingQueen.status, 404);
+
+    const missingHive = await api.request('PUT', linkPath({ 'id': 999999999 }, queen), { 'user': user });
+    assert.strictEqual(missingHive.status, 404);
+});
+
+test('assigning a queen needs a valid token', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+
+    const response = await api.request('PUT', linkPath(hive, queen));
+    assert.strictEqual(response.status, 401);
+});
+
+test('DELETE /hives/:hive_id/queens/:queen_id unlinks the hive and the queen', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+    await api.request('PUT', linkPath(hive, queen), { 'user': user });
+
+    const response = await api.request('DELETE', linkPath(hive, queen), { 'user': user });
+    assert.strictEqual(response.status, 204);
+
+    const updatedHive = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(updatedHive.body.queen, null);
+    const updatedQueen = await api.request('GET', '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(updatedQueen.body.hive, null);
+
+    const again = await api.request('DELETE', linkPath(hive, queen), { 'user': user });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.message, 'Queen is not associated with this hive');
+});
+
+test('a queen can only be removed from her own hive', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+    const otherHive = (await createHiveAndQueen(user)).hive;
+    await api.request('PUT', linkPath(hive, queen), { 'user': user });
+
+    const response = await api.request('DELETE', linkPath(otherHive, queen), { 'user': user });
+    assert.strictEqual(response.status, 409);
+
+    const forbidden = await api.request('DELETE', linkPath(hive, queen), { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+});
+
+test('assignments are recorded in the history of the hive and the queen', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+
+    await api.request('PUT', linkPath(hive, queen), { 'user': user, 'body': { 'reason': 'swarm', 'date': '2024-04-01' } });
+    await api.request('DELETE', linkPath(hive, queen), { 'user': user, 'body': { 'reason': 'supersedure', 'date': '2024-08-15' } });
+
+    const hiveHistory = await api.request('GET', '/hives/' + hive.id + '/queens/history', { 'user': user });
+    assert.strictEqual(hiveHistory.status, 200);
+    assert.strictEqual(hiveHistory.body.total, 1);
+    const entry = hiveHistory.body.history[0];
+    assert.strictEqual(entry.queen.id, String(queen.id));
+    assert.strictEqual(entry.startDate, '2024-04-01');
+    assert.strictEqual(entry.startReason, 'swarm');
+    assert.strictEqual(entry.endDate, '2024-08-15');
+    assert.strictEqual(entry.endReason, 'supersedure');
+
+    const queenHistory = await api.request('GET', '/queens/' + queen.id + '/hives/history', { 'user': user });
+    assert.strictEqual(queenHistory.status, 200);
+    assert.deepStrictEqual(queenHistory.body.history, hiveHistory.body.history);
+
+    const forbidden = await api.request('GET', '/hives/' + hive.id + '/queens/history', { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+});
+
+test('an invalid history reason or date is rejected', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+
+    const reason = await api.request('PUT', linkPath(hive, queen), { 'user': user, 'body': { 'reason': 'moved' } });
+    assert.strictEqual(reason.status, 400);
+
+    const date = await api.request('PUT', linkPath(hive, queen), { 'user': user, 'body': { 'date': 'yesterday' } });
+    assert.strictEqual(date.status, 400);
+
+    const rolledOver = await api.request('PUT', linkPath(hive, queen), { 'user': user, 'body': { 'date': '2024-02-31' } });
+    assert.strictEqual(rolledOver.status, 400);
+    assert.match(rolledOver.body.message, /valid date/);
+});
+
+test('a queen cannot be removed before the date she was assigned', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+    await api.request('PUT', linkPath(hive, queen), { 'user': user, 'body': { 'date': '2024-04-01' } });
+
+    const early = await api.request('DELETE', linkPath(hive, queen), { 'user': user, 'body': { 'date': '2024-03-31' } });
+    assert.strictEqual(early.status, 400);
+    assert.strictEqual(early.body.code, 'validation_error');
+    assert.match(early.body.message, /2024-04-01/);
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': user })).body.queen.id, String(queen.id));
+
+    const sameDay = await api.request('DELETE', linkPath(hive, queen), { 'user': user, 'body': { 'date': '2024-04-01' } });
+    assert.strictEqual(sameDay.status, 204);
+    const history = await api.request('GET', '/hives/' + hive.id + '/queens/history', { 'user': user });
+    assert.strictEqual(history.body.history[0].endDate, '2024-04-01');
+});
@@ -0,0 +1,164 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Create a hive and a queen for the user.
+ */
+async function createHiveAndQueen (user) {
+    const hive = await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Audited', 'structureType': 'Langstroth', 'colonySize': 20000 } });
+    const queen = await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Beatrix', 'species': 'Carniolan', 'age': 12 } });
+    assert.strictEqual(hive.status, 201);
+    assert.strictEqual(queen.status, 201);
+    return { 'hive': hive.body, 'queen': queen.body };
+};
+
+test('changes to a hive are recorded with the old and new values', async () => {
+    const user = newUser();
+    const { hive } = await createHiveAndQueen(user);
+    const path = '/hives/' + hive.id;
+
+    await api.request('PATCH', path, { 'user': user, 'body': { 'colonySize': 25000 } });
+    await api.request('PUT', path, { 'user': user,
+        'body': { 'hiveName': 'Audited', 'structureType': 'Top bar', 'colonySize': 25000 } });
+
+    const audit = await api.request('GET', path + '/audit', { 'user': user });
+    assert.strictEqual(audit.status, 200);
+    assert.strictEqual(audit.body.total, 3);
+    assert.deepStrictEqual(audit.body.events.map(event => event.action), ['update', 'update', 'create']);
+
+    const [put, patch, created] = audit.body.events;
+    assert.deepStrictEqual(put.changes, { 'structureType': { 'before': 'Langstroth', 'after': 'Top bar' } });
+    assert.deepStrictEqual(patch.changes, { 'colonySize': { 'before': 20000, 'after': 25000 } });
+    assert.strictEqual(created.changes.hiveName.after, 'Audited');
+    assert.strictEqual(put.actor, user);
+    assert.strictEqual(put.entityType, 'hive');
+    assert.strictEqual(put.entity.id, String(hive.id));
+    assert.ok(put.timestamp >= patch.timestamp);
+});
+
+test('a colony size counted in an inspection is recorded as a change to the hive', async () => {
+    const user = newUser();
+    const { hive } = await createHiveAndQueen(user);
+    const path = '/hives/' + hive.id;
+
+    const inspection = await api.request('POST', path + '/inspections', { 'user': user,
+        'body': { 'date': '2024-05-01', 'broodPattern': 'solid', 'temperament': 'calm', 'framesOfBees': 8,
+                    'queenSighted': true, 'eggsSeen': true, 'colonySize': 31000 } });
+    assert.strictEqual(inspection.status, 201);
+
+    const audit = await api.request('GET', path + '/audit', { 'user': user });
+    assert.deepStrictEqual(audit.body.events.map(event => event.action), ['update', 'create']);
+    assert.deepStrictEqual(audit.body.events[0].changes, { 'colonySize': { 'before': 20000, 'after': 31000 } });
+    assert.strictEqual(audit.body.events[0].actor, user);
+});
+
+test('adding a hive to an apiary, removing it and deleting the apiary are recorded on the hive', async () => {
+    const user = newUser();
+    const { hive } = await createHiveAndQueen(user);
+    const apiary = (await api.request('POST', '/apiaries', { 'user': user,
+        'body': { 'name': 'Home yard', 'latitude': 44.56, 'longitude': -123.26 } })).body;
+    const link = '/apiaries/' + apiary.id + '/hives/' + hive.id;
+
+    assert.strictEqual((await api.request('PUT', link, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('DELETE', link, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('PUT', link, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('DELETE', '/apiaries/' + apiary.id, { 'user': user })).status, 204);
+
+    const audit = await api.request('GET', '/hives/' + hive.id + '/audit', { 'user': user });
+    const events = audit.body.events.filter(event => event.changes.apiary !== undefined);
+    assert.deepStrictEqual(events.map(event => event.action).sort(), ['assign', 'assign', 'remove', 'remove']);
+    events.forEach(event => {
+        const { before, after } = event.changes.apiary;
+        if (event.action === 'assign') {
+            assert.strictEqual(before, null);
+            assert.strictEqual(after.id, String(apiary.id));
+        } else {
+            assert.strictEqual(before.id, String(apiary.id));
+            assert.strictEqual(after, null);
+        }
+        assert.strictEqual(event.actor, user);
+    });
+});
+
+test('assigning, removing and deleting are recorded on both the hive and the queen', async () => {
+    const user = newUser();
+    const { hive, queen } = await createHiveAndQueen(user);
+    const link = '/hives/' + hive.id + '/queens/' + queen.id;
+
+    assert.strictEqual((await api.request('PUT', link, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('DELETE', link, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('PUT', link, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('DELETE', '/hives/' + hive.id, { 'user': user })).status, 204);
+
+    const queenAudit = await api.request('GET', '/queens/' + queen.id + '/audit', { 'user': user });
+    assert.deepStrictEqual(queenAudit.body.events.map(event => event.action), ['remove', 'assign', 'remove', 'assign', 'create']);
+    assert.strictEqual(queenAudit.body.events[1].changes.hive.before, null);
+    assert.strictEqual(queenAudit.body.events[1].changes.hive.after.id, String(hive.id));
+
+    // the hive is gone, but its trail is kept for administrators
+    process.env.AUTH_ADMINS = user;
+    try {
+        const all = await api.request('GET', '/audit?limit=50&user=' + user, { 'user': user });
+        const hiveEvents = all.body.events.filter(event => event.entityType === 'hive');
+        assert.deepStrictEqual(hiveEvents.map(event => event.action), ['delete', 'assign', 'remove', 'assign', 'create']);
+        assert.strictEqual(hiveEvents[0].changes.hiveName.before, 'Audited');
+    } finally {
+        delete process.env.AUTH_ADMINS;
+    }
+});
+
+test('viewers can see the audit trail of a hive, other users cannot', async () => {
+    const owner = newUser();
+    const viewer = newUser();
+    const { hive } = await createHiveAndQueen(owner);
+    const path = '/hives/' + hive.id + '/audit';
+
+    assert.strictEqual((await api.request('GET', path, { 'user': viewer })).status, 403);
+    await api.request('PATCH', '/users/me', { 'user': viewer, 'body': {} });
+    await api.request('PUT', '/hives/' + hive.id + '/shares/' + viewer, { 'user': owner, 'body': { 'role': 'viewer' } });
+    assert.strictEqual((await api.request('GET', path, { 'user': viewer })).status, 200);
+    assert.strictEqual((await api.request('GET', '/hives/0/audit', { 'user': owner })).status, 404);
+});
+
+test('GET /audit is for administrators, filtered by user and date', async () => {
+    const admin = newUser();
+    const user = newUser();
+    await createHiveAndQueen(user);
+    const today = new Date().toISOString().substr(0, 10);
+
+    assert.strictEqual((await api.request('GET', '/audit', { 'user': user })).status, 403);
+
+    process.env.AUTH_ADMINS = admin;
+    try {
+        const mine = await api.request('GET', '/audit?user=' + user + '&from=' + today + '&to=' + today, { 'user': admin });
+        assert.strictEqual(mine.status, 200);
+        assert.strictEqual(mine.body.total, 2);
+        assert.ok(mine.body.events.every(event => event.actor === user));
+
+        const before = await api.request('GET', '/audit?user=' + user + '&to=2000-01-01', { 'user': admin });
+        assert.strictEqual(before.body.total, 0);
+
+        const invalid = await api.request('GET', '/audit?from=yesterday', { 'user': admin });
+        assert.strictEqual(invalid.status, 400);
+        assert.match(invalid.body.message, /^from must be a valid date/);
+        const rolledOver = await api.request('GET', '/audit?to=2024-02-31', { 'user': admin });
+        assert.strictEqual(rolledOver.status, 400);
+        assert.match(rolledOver.body.message, /^to must be a valid date/);
+    } finally {
+        delete process.env.AUTH_ADMINS;
+    }
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+test('a bulk request carries out each operation, and reports those that failed with a 207', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Updated', 'structureType': 'Langstroth', 'colonySize': 20000 } })).body;
+    const doomed = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Deleted', 'structureType': 'Top bar', 'colonySize': 5000 } })).body;
+
+    const response = await api.request('POST', '/hives/bulk', { 'user': user, 'body': [
+        { 'op': 'create', 'data': { 'hiveName': 'Created', 'structureType': 'Warre', 'colonySize': 8000 } },
+        { 'op': 'create', 'data': { 'hiveName': 'Invalid', 'colonySize': -1 } },
+        { 'op': 'update', 'id': hive.id, 'data': { 'colonySize': 21000 } },
+        { 'op': 'delete', 'id': doomed.id },
+        { 'op': 'delete', 'id': doomed.id }
+    ] });
+    assert.strictEqual(response.status, 207);
+    assert.strictEqual(response.body.atomic, false);
+    assert.strictEqual(response.body.succeeded, 3);
+    assert.strictEqual(response.body.failed, 2);
+    assert.deepStrictEqual(response.body.results.map(result => result.status), [201, 400, 200, 204, 410]);
+
+    const [created, invalid] = response.body.results;
+    assert.strictEqual((await api.request('GET', '/hives/' + created.id, { 'user': user })).body.hiveName, 'Created');
+    assert.strictEqual(invalid.code, 'validation_error');
+    assert.deepStrictEqual(invalid.errors.map(error => error.attribute).sort(), ['data.colonySize', 'data.structureType']);
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': user })).body.colonySize, 21000);
+    assert.strictEqual((await api.request('GET', '/hives/' + doomed.id, { 'user': user })).status, 410);
+});
+
+test('an atomic bulk request that fails carries out none of its operations', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Kept', 'structureType': 'Langstroth', 'colonySize': 20000 } })).body;
+    const etag = (await api.request('GET', '/hives/' + hive.id, { 'user': user })).headers.get('ETag');
+    await api.request('PATCH', '/hives/' + hive.id, { 'user': user, 'body': { 'colonySize': 20500 } });
+
+    const response = await api.request('POST', '/hives/bulk?atomic=true', { 'user': user, 'body': [
+        { 'op': 'create', 'data': { 'hiveName': 'Rolled back', 'structureType': 'Warre', 'colonySize': 8000 } },
+        { 'op': 'update', 'id': hive.id, 'data': { 'hiveName': 'Stale' }, 'ifMatch': etag }
+    ] });
+    assert.strictEqual(response.status, 207);
+    assert.strictEqual(response.body.succeeded, 0);
+    assert.deepStrictEqual(response.body.results.map(result => result.status), [424, 412]);
+    assert.strictEqual(response.body.results[0].code, 'failed_dependency');
+
+    const hives = (await api.request('GET', '/hives', { 'user': user })).body;
+    assert.deepStrictEqual(hives.hives.map(item => item.hiveName), ['Kept']);
+
+    const twice = await api.request('POST', '/hives/bulk?atomic=true', { 'user': user, 'body': [
+        { 'op': 'update', 'id': hive.id, 'data': { 'colonySize': 1 } },
+        { 'op': 'delete', 'id': hive.id }
+    ] });
+    assert.deepStrictEqual(twice.body.results.map(result => result.status), [424, 400]);
+
+    const invalid = await api.request('POST', '/hives/bulk?atomic=yes', { 'user': user, 'body': [{ 'op': 'delete', 'id': hive.id }] });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await api.request('POST', '/hives/bulk', { 'user': user, 'body': [] })).status, 400);
+    assert.strictEqual((await api.request('GET', '/hives/bulk', { 'user': user })).status, 405);
+});
+
+test('an atomic bulk request of queens succeeds with a 200', async () => {
+    const user = newUser();
+    const queen = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Old', 'species': 'Carniolan', 'age': 30 } })).body;
+
+    const response = await api.request('POST', '/queens/bulk?atomic=true', { 'user': user, 'body': [
+        { 'op': 'create', 'data': { 'name': 'Daughter', 'species': 'Carniolan', 'age': 2, 'motherQueen': queen.id } },
+        { 'op': 'update', 'id': queen.id, 'data': { 'status': 'superseded' } }
+    ] });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.succeeded, 2);
+
+    const daughter = await api.request('GET', '/queens/' + response.body.results[0].id, { 'user': user });
+    assert.strictEqual(daughter.body.motherQueen.id, queen.id);
+    assert.strictEqual(response.body.results[0].self, daughter.body.self);
+    assert.strictEqual((await api.request('GET', '/queens/' + queen.id, { 'user': user })).body.status, 'superseded');
+});
+
+test('the mothers set by an atomic bulk request cannot make a cycle between its queens', async () => {
+    const user = newUser();
+    const first = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'First', 'species': 'Carniolan', 'age': 30 } })).body;
+    const second = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Second', 'species': 'Carniolan', 'age': 20 } })).body;
+
+    const cycle = await api.request('POST', '/queens/bulk?atomic=true', { 'user': user, 'body': [
+        { 'op': 'update', 'id': first.id, 'data': { 'motherQueen': second.id } },
+        { 'op': 'update', 'id': second.id, 'data': { 'motherQueen': first.id } }
+    ] });
+    assert.strictEqual(cycle.status, 207);
+    assert.deepStrictEqual(cycle.body.results.map(result => result.status), [424, 400]);
+    assert.strictEqual(cycle.body.results[1].errors[0].attribute, 'motherQueen');
+    assert.strictEqual((await api.request('GET', '/queens/' + first.id, { 'user': user })).body.motherQueen, null);
+
+    const orphan = await api.request('POST', '/queens/bulk?atomic=true', { 'user': user, 'body': [
+        { 'op': 'delete', 'id': second.id },
+        { 'op': 'update', 'id': first.id, 'data': { 'motherQueen': second.id } }
+    ] });
+    assert.deepStrictEqual(orphan.body.results.map(result => result.status), [424, 400]);
+    assert.strictEqual((await api.request('GET', '/queens/' + second.id, { 'user': user })).status, 200);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+test('a hive can be cached with its ETag until it or its inspections change', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Cached', 'structureType': 'Langstroth', 'colonySize': 20000 } })).body;
+    const path = '/hives/' + hive.id;
+
+    const first = await api.request('GET', path, { 'user': user });
+    const etag = first.headers.get('ETag');
+    assert.match(etag, /^"[A-Za-z0-9_-]+"$/);
+
+    const cached = await api.request('GET', path, { 'user': user, 'headers': { 'If-None-Match': etag } });
+    assert.strictEqual(cached.status, 304);
+    assert.strictEqual(cached.body, '');
+
+    const inspection = await api.request('POST', path + '/inspections', { 'user': user,
+        'body': { 'date': '2024-05-01', 'broodPattern': 'solid', 'temperament': 'calm', 'framesOfBees': 6,
+                    'queenSighted': true, 'eggsSeen': true } });
+    assert.strictEqual(inspection.status, 201);
+    const inspected = await api.request('GET', path, { 'user': user, 'headers': { 'If-None-Match': etag } });
+    assert.strictEqual(inspected.status, 200);
+    assert.notStrictEqual(inspected.headers.get('ETag'), etag);
+});
+
+test('If-Match makes PUT, PATCH and DELETE of a hive fail with 412 once it has changed', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Shared', 'structureType': 'Top bar', 'colonySize': 5000 } })).body;
+    const path = '/hives/' + hive.id;
+    const etag = (await api.request('GET', path, { 'user': user })).headers.get('ETag');
+
+    const patched = await api.request('PATCH', path, { 'user': user, 'body': { 'colonySize': 6000 },
+        'headers': { 'If-Match': etag } });
+    assert.strictEqual(patched.status, 200);
+    const newTag = patched.headers.get('ETag');
+    assert.notStrictEqual(newTag, etag);
+    assert.strictEqual((await api.request('GET', path, { 'user': user })).headers.get('ETag'), newTag);
+
+    // the change is not made with the old tag
+    const stale = await api.request('PUT', path, { 'user': user, 'headers': { 'If-Match': etag },
+        'body': { 'hiveName': 'Overwritten', 'structureType': 'Top bar', 'colonySize': 1 } });
+    assert.strictEqual(stale.status, 412);
+    assert.strictEqual(stale.body.code, 'precondition_failed');
+    assert.strictEqual(stale.body.details.etag, newTag);
+    assert.strictEqual((await api.request('GET', path, { 'user': user })).body.hiveName, 'Shared');
+
+    const staleDelete = await api.request('DELETE', path, { 'user': user, 'headers': { 'If-Match': etag } });
+    assert.strictEqual(staleDelete.status, 412);
+    const deleted = await api.request('DELETE', path, { 'user': user, 'headers': { 'If-Match': '"other", ' + newTag } });
+    assert.strictEqual(deleted.status, 204);
+});
+
+test('queens have ETags, checked by If-Match and If-None-Match', async () => {
+    const user = newUser();
+    const queen = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Versioned', 'species': 'Carniolan', 'age': 12 } })).body;
+    const path = '/queens/' + queen.id;
+
+    const first = await api.request('GET', path, { 'user': user });
+    const etag = first.headers.get('ETag');
+    assert.strictEqual((await api.request('GET', path, { 'user': user, 'headers': { 'If-None-Match': etag } })).status, 304);
+
+    const put = await api.request('PUT', path, { 'user': user, 'headers': { 'If-Match': etag },
+        'body': { 'name': 'Versioned', 'species': 'Carniolan', 'age': 13 } });
+    assert.strictEqual(put.status, 303);
+    assert.strictEqual((await api.request('GET', path, { 'user': user })).headers.get('ETag'), put.headers.get('ETag'));
+
+    const stale = await api.request('PATCH', path, { 'user': user, 'headers': { 'If-Match': etag }, 'body': { 'age': 14 } });
+    assert.strictEqual(stale.status, 412);
+    assert.strictEqual((await api.request('PATCH', path, { 'user': user, 'headers': { 'If-Match': '*' }, 'body': { 'age': 14 } })).status, 200);
+    assert.strictEqual((await api.request('DELETE', path, { 'user': user, 'headers': { 'If-Match': etag } })).status, 412);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The field lists are only read, so no backend is needed
+process.env.DATA_BACKEND = 'memory';
+
+const { parseCollectionQuery } = require('../filtering');
+const { HIVE_QUERY_FIELDS } = require('../hives');
+const { QUEEN_QUERY_FIELDS } = require('../queens');
+
+/**
+ * Read the composite indexes of index.yaml as { kind, properties }, with
+ * properties written as 'name' or 'name desc'.
+ */
+function readIndexes () {
+    const indexes = [];
+
+    fs.readFileSync(path.join(__dirname, '../index.yaml'), 'utf8').split('\n').forEach(line => {
+        const kind = /^- kind: (\w+)$/.exec(line);
+        const name = /^ {2}- name: (\w+)$/.exec(line);
+        const direction = /^ {4}direction: (asc|desc)$/.exec(line);
+
+        if (kind !== null) {
+            indexes.push({ 'kind': kind[1], 'properties': [] });
+        } else if (name !== null) {
+            indexes[indexes.length - 1].properties.push(name[1]);
+        } else if (direction !== null && direction[1] === 'desc') {
+            indexes[indexes.length - 1].properties.push(indexes[indexes.length - 1].properties.pop() + ' desc');
+        }
+    });
+    return indexes;
+};
+
+const indexes = readIndexes();
+
+/**
+ * Check that index.yaml has the index a list of kind needs for the filters
+ * and sort order read from query, along with the filter by beekeeper.
+ */
+function assertIndexed (kind, query, fields) {
+    const collectionQuery = parseCollectionQuery({ 'query': query }, fields);
+    const equalities = ['beekeeper'].concat(collectionQuery.filters
+        .filter(filter => filter.operator === '=')
+        .map(filter => filter.property));
+    const range = collectionQuery.filters.find(filter => filter.operator !== '=');
+    const orders = collectionQuery.orders.length > 0
+        ? collectionQuery.orders.map(order => order.property + (order.descending ? ' desc' : ''))
+        : (range === undefined ? [] : [range.property]);
+
+    if (orders.length === 0) {
+        return; // merged from the built-in indexes
+    }
+    const found = indexes.some(index => {
+        return index.kind === kind
+            && index.properties.length === equalities.length + orders.length
+            && equalities.every(property => index.properties.slice(0, equalities.length).includes(property))
+            && orders.every((order, position) => index.properties[equalities.length + position] === order);
+    });
+    assert.ok(found, 'No index in index.yaml for ' + kind + ' ' + JSON.stringify(query));
+};
+
+/**
+ * A value to filter the field by.
+ */
+function sampleValue (field) {
+    if (field.enum !== undefined) {
+        return field.enum[0];
+    }
+    return { 'int': '1', 'boolean': 'true', 'string': 'a' }[field.type];
+};
+
+for (const [kind, fields] of [['Hives', HIVE_QUERY_FIELDS], ['Queens', QUEEN_QUERY_FIELDS]]) {
+    const names = Object.keys(fields);
+    const sortable = names.filter(name => fields[name].sortable !== false);
+
+    test('index.yaml has an index for every sort and range of ' + kind + ', with one filter by value', () => {
+        for (const first of sortable) {
+            for (const sign of ['', '-']) {
+                assertIndexed(kind, { 'sort': sign + first }, fields);
+                for (const other of names.filter(name => name !== first)) {
+                    assertIndexed(kind, { 'sort': sign + first, [other]: sampleValue(fields[other]) }, fields);
+                    if (fields[first].type === 'int') {
+                        assertIndexed(kind, { [first]: { 'lt': '5' }, [other]: sampleValue(fields[other]) }, fields);
+                    }
+                }
+                for (const second of sortable.filter(name => name !== first)) {
+                    assertIndexed(kind, { 'sort': sign + first + ',' + second }, fields);
+                    assertIndexed(kind, { 'sort': sign + first + ',-' + second }, fields);
+                }
+            }
+        }
+    });
+}
+
+test('combinations of filters and sort orders without an index are rejected', () => {
+    const rejected = {
+        'structureType=Langstroth&hasQueen=true&sort=colonySize': /only be filtered by one other value/,
+        'structureType=Langstroth&sort=-colonySize,hiveName': /cannot be filtered by a value as well/,
+        'sort=colonySize,hiveName,structureType': /at most two attributes/,
+        'hiveName=Home&sort=hiveName': /hiveName cannot be filtered by a value and sorted/,
+        'sort=hiveName,-hiveName': /more than once/
+    };
+
+    Object.keys(rejected).forEach(search => {
+        const query = Object.fromEntries(new URLSearchParams(search));
+        assert.throws(() => parseCollectionQuery({ 'query': query }, HIVE_QUERY_FIELDS), error => {
+            return error.status === 400 && rejected[search].test(error.message);
+        }, search);
+    });
+
+    // filters by value alone need no composite index
+    const collectionQuery = parseCollectionQuery({ 'query': { 'structureType': 'Langstroth', 'hasQueen': 'true', 'hiveName': 'Home' } }, HIVE_QUERY_FIELDS);
+    assert.strictEqual(collectionQuery.filters.length, 3);
+});
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// The tests run against the in-memory store unless another backend is chosen,
+// e.g. DATA_BACKEND=datastore with DATASTORE_EMULATOR_HOST set for the emulator.
+process.env.DATA_BACKEND = process.env.DATA_BACKEND || 'memory';
+
+// Requests are authenticated by the local issuer, with a key made for the run.
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_LOCAL_KEY = crypto.randomBytes(32).toString('hex');
+
+// Every test sends its requests from the same address, so the rate limits are
+// raised out of the way, except where a test sets its own.
+process.env.RATE_LIMIT_USER_MAX = '100000';
+process.env.RATE_LIMIT_IP_MAX = '100000';
+
+const express = require('express');
+const identity = require('../identity');
+
+//----------------------------------------------------------------------------
+// Helper functions shared by the integration tests. The API is started on a
+// free local port, and requests are authenticated with tokens signed by the
+// local issuer instead of Google.
+//----------------------------------------------------------------------------
+
+/**
+ * Sign an ID token for the user with the given subject.
+ * Claims override those of the token (e.g. aud, iss or exp).
+ */
+function signToken (sub, claims) {
+    return identity.provider.signToken(sub, claims);
+};
+
+/**
+ * Start the API on a free port. Resolves to { request, close }, where
+ * request(method, path, options) sends a request and resolves to
+ * { status, headers, body }, with a JSON body already parsed.
+ *
+ * Request options:
+ *  user: subject of the token to send (none if not given)
+ *  token: the exact Authorization token to send
+ *  body: sent as JSON, unless a Content-Type is given in headers
+ *  headers: extra request headers
+ */
+function startServer () {
+    const app = express();
+    app.enable('trust proxy');
+    app.use('/', require('../index'));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const base = 'http://127.0.0.1:' + server.address().port;
+
+            function request (method, path, options) {
+                const opts = options || {};
+                const headers = { 'Accept': 'application/json', ...opts.headers };
+                var body = opts.body;
+
+                if (opts.user !== undefined) {
+                    headers.Authorization = 'Bearer ' + signToken(opts.user);
+                } else if (opts.token !== undefined) {
+                    headers.Authorization = 'Bearer ' + opts.token;
+                }
+                if (body !== undefined && headers['Content-Type'] === undefined) {
+                    headers['Content-Type'] = 'application/json';
+                    body = JSON.stringify(body);
+                }
+
+                return fetch(base + path, { 'method': method, 'headers': headers, 'body': body, 'redirect': 'manual' })
+                    .then(response => {
+                        return response.text()
+                            .then(text => {
+                                const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+                                return { 'status': response.status,
+                                            'headers': response.headers,
+                                            'body': isJson ? JSON.parse(text) : text
+                                        };
+                            });
+                    });
+            };
+
+            function close () {
+                return new Promise(done => server.close(done));
+            };
+
+            resolve({ 'request': request, 'close': close });
+        });
+    });
+};
+
+/**
+ * Log in through the welcome page of the server, as a browser would: the
+ * login cookie set by POST / is sent back with the redirect to /oauth.
+ * Resolves to the /oauth response, with the JWT and refresh token shown on
+ * the page as idToken and refreshToken (null if not shown).
+ */
+function logIn (api) {
+    return api.request('POST', '/')
+        .then(login => {
+            const redirect = new URL(login.headers.get('Location'));
+            const cookie = login.headers.get('Set-Cookie').split(';')[0];
+            return api.request('GET', redirect.pathname + redirect.search,
+                { 'headers': { 'Accept': 'text/html', 'Cookie': cookie } });
+        })
+        .then(page => {
+            const idToken = /Your new JWT is: ([\w.-]+)/.exec(page.body);
+            const refreshToken = /Your refresh token is: ([\w.-]+)/.exec(page.body);
+            page.idToken = idToken === null ? null : idToken[1];
+            page.refreshToken = refreshToken === null ? null : refreshToken[1];
+            return page;
+        });
+};
+
+/**
+ * Subject of a new user, so every test can start from an empty account.
+ */
+function newUser () {
+    return 'user-' + crypto.randomUUID();
+};
+
+//----------------------------------------------------------------------------
+
+module.exports = {
+    signToken,
+    startServer,
+    logIn,
+    newUser
+};
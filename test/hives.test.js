@@ -0,0 +1,241 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+const { datastore } = require('../datastore');
+const { findStaleFlags, repairStaleFlags } = require('../consistency');
+const { HIVES } = require('../constants');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Create a hive for the user, with the attributes overridden by hiveInfo.
+ */
+function createHive (user, hiveInfo) {
+    const body = { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 20000, ...hiveInfo };
+    return api.request('POST', '/hives', { 'user': user, 'body': body })
+        .then(response => {
+            assert.strictEqual(response.status, 201);
+            return response.body;
+        });
+};
+
+test('POST /hives creates a hive owned by the user', async () => {
+    const user = newUser();
+    const response = await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Apple tree', 'structureType': 'Top bar', 'colonySize': 15000 } });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.hiveName, 'Apple tree');
+    assert.strictEqual(response.body.structureType, 'Top bar');
+    assert.strictEqual(response.body.colonySize, 15000);
+    assert.strictEqual(response.body.beekeeper, user);
+    assert.strictEqual(response.body.queen, null);
+    assert.strictEqual(response.body.apiary, null);
+    assert.match(response.body.self, /\/hives\/[0-9]+$/);
+});
+
+test('POST /hives lists every invalid attribute', async () => {
+    const response = await api.request('POST', '/hives', { 'user': newUser(),
+        'body': { 'hiveName': '', 'structureType': 'Barrel', 'colour': 'blue' } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.code, 'validation_error');
+    const attributes = response.body.details.violations.map(violation => violation.attribute).sort();
+    assert.deepStrictEqual(attributes, ['colonySize', 'colour', 'hiveName', 'structureType']);
+});
+
+test('POST /hives rejects a body that is not JSON', async () => {
+    const response = await api.request('POST', '/hives', { 'user': newUser(),
+        'body': 'hiveName=Hive', 'headers': { 'Content-Type': 'application/x-www-form-urlencoded' } });
+
+    assert.strictEqual(response.status, 415);
+    assert.strictEqual(response.body.code, 'unsupported_media_type');
+});
+
+test('POST /hives rejects malformed JSON', async () => {
+    const response = await api.request('POST', '/hives', { 'user': newUser(),
+        'body': '{"hiveName": ', 'headers': { 'Content-Type': 'application/json' } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.code, 'validation_error');
+});
+
+test('GET /hives lists only the user\'s hives, a page at a time', async () => {
+    const user = newUser();
+    for (var i = 0; i < 3; i++) {
+        await createHive(user, { 'hiveName': 'Hive ' + i });
+    }
+    await createHive(newUser());
+
+    const first = await api.request('GET', '/hives?limit=2', { 'user': user });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.total, 3);
+    assert.strictEqual(first.body.hives.length, 2);
+    assert.strictEqual(first.body.prev, undefined);
+    assert.ok(first.body.hives.every(hive => hive.beekeeper === user));
+
+    const next = new URL(first.body.next);
+    const second = await api.request('GET', next.pathname + next.search, { 'user': user });
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.body.hives.length, 1);
+    assert.strictEqual(second.body.next, undefined);
+    assert.notStrictEqual(second.body.prev, undefined);
+});
+
+test('GET /hives filters and sorts by the query string', async () => {
+    const user = newUser();
+    await createHive(user, { 'hiveName': 'Small', 'colonySize': 5000 });
+    await createHive(user, { 'hiveName': 'Medium', 'colonySize': 20000 });
+    await createHive(user, { 'hiveName': 'Large', 'colonySize': 40000, 'structureType': 'Warre' });
+
+    const response = await api.request('GET', '/hives?colonySize[gte]=10000&sort=-colonySize', { 'user': user });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.hives.map(hive => hive.hiveName), ['Large', 'Medium']);
+
+    const warre = await api.request('GET', '/hives?structureType=Warre', { 'user': user });
+    assert.deepStrictEqual(warre.body.hives.map(hive => hive.hiveName), ['Large']);
+});
+
+test('GET /hives filters by hasQueen, which follows the queen, along with a sort order', async () => {
+    const user = newUser();
+    const queen = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Resident', 'species': 'Carniolan', 'age': 12 } })).body;
+    const home = await createHive(user, { 'hiveName': 'Home' });
+    await createHive(user, { 'hiveName': 'Empty' });
+    await createHive(user, { 'hiveName': 'Bare' });
+    assert.strictEqual(home.hasQueen, false);
+
+    await api.request('PUT', '/hives/' + home.id + '/queens/' + queen.id, { 'user': user });
+    const queenless = await api.request('GET', '/hives?hasQueen=false&sort=hiveName', { 'user': user });
+    assert.strictEqual(queenless.status, 200);
+    assert.deepStrictEqual(queenless.body.hives.map(hive => hive.hiveName), ['Bare', 'Empty']);
+    const queenright = await api.request('GET', '/hives?hasQueen=true', { 'user': user });
+    assert.deepStrictEqual(queenright.body.hives.map(hive => hive.hiveName), ['Home']);
+    assert.strictEqual((await api.request('GET', '/queens?hasHive=true', { 'user': user })).body.total, 1);
+
+    await api.request('DELETE', '/hives/' + home.id + '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual((await api.request('GET', '/hives?hasQueen=true', { 'user': user })).body.total, 0);
+});
+
+test('the consistency check sets the hasQueen flag of hives saved without it', async () => {
+    const user = newUser();
+    const hive = await createHive(user, { 'hiveName': 'Old' });
+    const key = datastore.key([HIVES, parseInt(hive.id, 10)]);
+    const stored = (await datastore.get(key))[0];
+    delete stored.hasQueen;
+    await datastore.save(stored);
+    assert.strictEqual((await api.request('GET', '/hives?hasQueen=false', { 'user': user })).body.total, 0);
+
+    const problems = (await findStaleFlags()).filter(problem => problem.id === String(hive.id));
+    assert.deepStrictEqual(problems, [{ 'kind': HIVES, 'id': String(hive.id), 'flag': 'hasQueen', 'value': false }]);
+    assert.strictEqual((await repairStaleFlags(problems)).length, 1);
+    assert.strictEqual((await api.request('GET', '/hives?hasQueen=false', { 'user': user })).body.total, 1);
+});
+
+test('GET /hives rejects an invalid limit or filter', async () => {
+    const user = newUser();
+
+    const limit = await api.request('GET', '/hives?limit=0', { 'user': user });
+    assert.strictEqual(limit.status, 400);
+
+    const filter = await api.request('GET', '/hives?owner=someone', { 'user': user });
+    assert.strictEqual(filter.status, 400);
+    assert.match(filter.body.message, /Unknown filter: owner/);
+
+    const structureType = await api.request('GET', '/hives?structureType=Bogus', { 'user': user });
+    assert.strictEqual(structureType.status, 400);
+    assert.match(structureType.body.message, /structureType must be one of: Langstroth/);
+
+    const hasQueen = await api.request('GET', '/hives?hasQueen=maybe', { 'user': user });
+    assert.strictEqual(hasQueen.status, 400);
+});
+
+test('GET /hives/:hive_id returns the hive and its latest inspection', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+
+    const before = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(before.status, 200);
+    assert.strictEqual(before.body.hiveName, hive.hiveName);
+    assert.strictEqual(before.body.latestInspection, null);
+
+    await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user,
+        'body': { 'date': '2024-05-01', 'broodPattern': 'solid', 'temperament': 'calm', 'framesOfBees': 6,
+                    'queenSighted': true, 'eggsSeen': true } });
+    const after = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(after.body.latestInspection.date, '2024-05-01');
+});
+
+test('GET /hives/:hive_id is 403 for another user\'s hive and 404 for a missing one', async () => {
+    const hive = await createHive(newUser());
+
+    const forbidden = await api.request('GET', '/hives/' + hive.id, { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+    assert.strictEqual(forbidden.body.code, 'forbidden');
+
+    const missing = await api.request('GET', '/hives/999999999', { 'user': newUser() });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'not_found');
+});
+
+test('PUT /hives/:hive_id replaces the hive and redirects to it', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+
+    const response = await api.request('PUT', '/hives/' + hive.id, { 'user': user,
+        'body': { 'hiveName': 'Renamed', 'structureType': 'Dadant', 'colonySize': 1000 } });
+    assert.strictEqual(response.status, 303);
+    assert.strictEqual(response.headers.get('Location'), hive.self);
+    assert.strictEqual(response.body.structureType, 'Dadant');
+
+    const partial = await api.request('PUT', '/hives/' + hive.id, { 'user': user, 'body': { 'hiveName': 'Only name' } });
+    assert.strictEqual(partial.status, 400);
+});
+
+test('PATCH /hives/:hive_id only changes the given attributes', async () => {
+    const user = newUser();
+    const hive = await createHive(user, { 'structureType': 'Flow' });
+
+    const response = await api.request('PATCH', '/hives/' + hive.id, { 'user': user, 'body': { 'colonySize': 123 } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.colonySize, 123);
+    assert.strictEqual(response.body.structureType, 'Flow');
+
+    const invalid = await api.request('PATCH', '/hives/' + hive.id, { 'user': user, 'body': { 'colonySize': -1 } });
+    assert.strictEqual(invalid.status, 400);
+
+    const forbidden = await api.request('PATCH', '/hives/' + hive.id, { 'user': newUser(), 'body': { 'colonySize': 1 } });
+    assert.strictEqual(forbidden.status, 403);
+});
+
+test('DELETE /hives/:hive_id deletes the hive and releases its queen', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+    const queen = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Beatrice', 'species': 'Carniolan', 'age': 1 } })).body;
+    await api.request('PUT', '/hives/' + hive.id + '/queens/' + queen.id, { 'user': user });
+
+    const forbidden = await api.request('DELETE', '/hives/' + hive.id, { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+
+    const response = await api.request('DELETE', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(response.status, 204);
+
+    const gone = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(gone.status, 410);
+    assert.strictEqual(gone.body.code, 'gone');
+    const released = await api.request('GET', '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(released.body.hive, null);
+
+    const again = await api.request('DELETE', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(again.status, 410);
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+
+require('./helpers');
+const { OidcProvider, createProvider } = require('../identity');
+
+var issuer = null;
+var signingKeys = [];
+const unpublishedKey = crypto.generateKeyPairSync('rsa', { 'modulusLength': 2048 });
+
+/**
+ * Sign the claims (RS256) with the issuer's signing key of the given ID.
+ */
+function signRs256 (claims, keyId) {
+    const entry = signingKeys.find(candidate => candidate.kid === keyId) || unpublishedKey;
+    const header = Buffer.from(JSON.stringify({ 'alg': 'RS256', 'typ': 'JWT', 'kid': keyId })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(header + '.' + payload), entry.privateKey);
+    return header + '.' + payload + '.' + signature.toString('base64url');
+};
+
+/**
+ * Claims of a valid token from the fake issuer.
+ */
+function claimsFor (sub) {
+    const now = Math.floor(Date.now() / 1000);
+    return { 'iss': issuer.url, 'aud': 'beekeeper-client', 'sub': sub, 'iat': now, 'exp': now + 600 };
+};
+
+/**
+ * Add a signing key to the fake issuer.
+ */
+function addKey (keyId) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { 'modulusLength': 2048 });
+    signingKeys.push({ 'kid': keyId, 'privateKey': privateKey, 'publicKey': publicKey });
+};
+
+// A fake OpenID Connect issuer, serving its discovery document and keys.
+before(() => {
+    const app = express();
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({ 'issuer': issuer.url,
+                    'authorization_endpoint': issuer.url + '/authorize',
+                    'token_endpoint': issuer.url + '/token',
+                    'jwks_uri': issuer.url + '/keys',
+                    'revocation_endpoint': issuer.url + '/revoke'
+                });
+    });
+    app.post('/token', express.urlencoded({ 'extended': false }), (req, res) => {
+        if (req.body.grant_type !== 'refresh_token' || req.body.refresh_token !== 'refresh-1' || req.body.client_secret !== 'secret') {
+            return res.status(400).json({ 'error': 'invalid_grant' });
+        }
+        res.json({ 'id_token': signRs256(claimsFor('user-1'), 'key-1'), 'refresh_token': 'refresh-2' });
+    });
+    app.post('/revoke', express.urlencoded({ 'extended': false }), (req, res) => {
+        issuer.revoked.push(req.body.token);
+        res.status(200).end();
+    });
+    app.get('/keys', (req, res) => {
+        issuer.keyRequests += 1;
+        res.json({ 'keys': signingKeys.map(entry => {
+            return { ...entry.publicKey.export({ 'format': 'jwk' }), 'kid': entry.kid, 'use': 'sig', 'alg': 'RS256' };
+        }) });
+    });
+
+    addKey('key-1');
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            issuer = { 'server': server, 'url': 'http://127.0.0.1:' + server.address().port, 'keyRequests': 0, 'revoked': [] };
+            resolve();
+        });
+    });
+});
+
+after(() => new Promise(done => issuer.server.close(done)));
+
+test('an OIDC provider verifies tokens with the issuer\'s published keys', async () => {
+    const provider = new OidcProvider({ 'issuer': issuer.url, 'clientId': 'beekeeper-client' });
+
+    const claims = await provider.verifyToken(signRs256(claimsFor('user-1'), 'key-1'));
+    assert.strictEqual(claims.sub, 'user-1');
+
+    const url = new URL(await provider.getAuthorizationUrl('http://localhost/oauth', { 'state': 'state-1', 'codeChallenge': 'challenge-1' }));
+    assert.strictEqual(url.origin + url.pathname, issuer.url + '/authorize');
+    assert.strictEqual(url.searchParams.get('client_id'), 'beekeeper-client');
+    assert.strictEqual(url.searchParams.get('redirect_uri'), 'http://localhost/oauth');
+    assert.strictEqual(url.searchParams.get('state'), 'state-1');
+    assert.strictEqual(url.searchParams.get('code_challenge'), 'challenge-1');
+    assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+});
+
+test('an OIDC provider rejects tokens for another issuer or audience', async () => {
+    const provider = new OidcProvider({ 'issuer': issuer.url, 'clientId': 'beekeeper-client' });
+
+    await assert.rejects(provider.verifyToken(signRs256({ ...claimsFor('user-1'), 'iss': 'https://issuer.example.com' }, 'key-1')),
+        /issuer/);
+    await assert.rejects(provider.verifyToken(signRs256({ ...claimsFor('user-1'), 'aud': 'another-app' }, 'key-1')),
+        /audience/);
+    await assert.rejects(provider.verifyToken(signRs256(claimsFor('user-1'), 'key-unknown')),
+        /Unknown token signing key/);
+});
+
+test('an OIDC provider fetches the keys again when the issuer rotates them', async () => {
+    const provider = new OidcProvider({ 'issuer': issuer.url, 'clientId': 'beekeeper-client' });
+    await provider.verifyToken(signRs256(claimsFor('user-1'), 'key-1'));
+    const requests = issuer.keyRequests;
+
+    addKey('key-2');
+    provider.keysFetchedAt = 0; // the cached keys are old enough to refresh
+
+    const claims = await provider.verifyToken(signRs256(claimsFor('user-2'), 'key-2'));
+    assert.strictEqual(claims.sub, 'user-2');
+    assert.strictEqual(issuer.keyRequests, requests + 1);
+});
+
+test('an OIDC provider refreshes and revokes refresh tokens', async () => {
+    const provider = new OidcProvider({ 'issuer': issuer.url, 'clientId': 'beekeeper-client', 'clientSecret': 'secret' });
+
+    const refreshed = await provider.refresh('refresh-1');
+    assert.strictEqual(refreshed.claims.sub, 'user-1');
+    assert.strictEqual(refreshed.refreshToken, 'refresh-2');
+    await assert.rejects(provider.refresh('refresh-unknown'));
+
+    await provider.revoke('refresh-2');
+    assert.deepStrictEqual(issuer.revoked, ['refresh-2']);
+});
+
+test('the local issuer is refused in production and unknown providers are errors', () => {
+    assert.throws(() => createProvider({ 'provider': 'local', 'localKey': 'secret', 'production': true }), /production/);
+    assert.throws(() => createProvider({ 'provider': 'saml' }), /Unknown AUTH_PROVIDER/);
+    assert.throws(() => createProvider({ 'provider': 'oidc' }), /AUTH_ISSUER/);
+});
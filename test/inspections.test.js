@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+// Attributes of a valid inspection.
+const INSPECTION = { 'date': '2024-05-01',
+                        'broodPattern': 'solid',
+                        'temperament': 'calm',
+                        'framesOfBees': 8,
+                        'queenSighted': true,
+                        'eggsSeen': true
+                    };
+
+/**
+ * Create a hive for the user.
+ */
+function createHive (user) {
+    const body = { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 20000 };
+    return api.request('POST', '/hives', { 'user': user, 'body': body })
+        .then(response => response.body);
+};
+
+test('POST /hives/:hive_id/inspections records an inspection and the colony size', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+
+    const response = await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user,
+        'body': { ...INSPECTION, 'colonySize': 35000, 'notes': 'Added a super' } });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.hive, String(hive.id));
+    assert.strictEqual(response.body.beekeeper, user);
+    assert.strictEqual(response.body.notes, 'Added a super');
+    assert.match(response.body.self, new RegExp('/hives/' + hive.id + '/inspections/[0-9]+$'));
+
+    const updatedHive = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(updatedHive.body.colonySize, 35000);
+});
+
+test('POST /hives/:hive_id/inspections rejects invalid attributes and other users', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+    const path = '/hives/' + hive.id + '/inspections';
+
+    const invalid = await api.request('POST', path, { 'user': user, 'body': { ...INSPECTION, 'queenSighted': 'yes' } });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.details.violations[0].attribute, 'queenSighted');
+
+    const forbidden = await api.request('POST', path, { 'user': newUser(), 'body': INSPECTION });
+    assert.strictEqual(forbidden.status, 403);
+
+    const missing = await api.request('POST', '/hives/999999999/inspections', { 'user': user, 'body': INSPECTION });
+    assert.strictEqual(missing.status, 404);
+});
+
+test('GET /hives/:hive_id/inspections lists the hive\'s inspections only', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+    const otherHive = await createHive(user);
+    await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user, 'body': INSPECTION });
+    await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user, 'body': { ...INSPECTION, 'date': '2024-05-08' } });
+    await api.request('POST', '/hives/' + otherHive.id + '/inspections', { 'user': user, 'body': INSPECTION });
+
+    const response = await api.request('GET', '/hives/' + hive.id + '/inspections', { 'user': user });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.total, 2);
+    assert.ok(response.body.inspections.every(inspection => inspection.hive === String(hive.id)));
+});
+
+test('GET, PATCH and DELETE /hives/:hive_id/inspections/:inspection_id', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+    const inspection = (await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user, 'body': INSPECTION })).body;
+    const path = '/hives/' + hive.id + '/inspections/' + inspection.id;
+
+    const get = await api.request('GET', path, { 'user': user });
+    assert.strictEqual(get.status, 200);
+    assert.strictEqual(get.body.date, INSPECTION.date);
+
+    const patch = await api.request('PATCH', path, { 'user': user, 'body': { 'temperament': 'defensive' } });
+    assert.strictEqual(patch.status, 200);
+    assert.strictEqual(patch.body.temperament, 'defensive');
+    assert.strictEqual(patch.body.broodPattern, INSPECTION.broodPattern);
+
+    const deleted = await api.request('DELETE', path, { 'user': user });
+    assert.strictEqual(deleted.status, 204);
+
+    const gone = await api.request('GET', path, { 'user': user });
+    assert.strictEqual(gone.status, 404);
+});
+
+test('an inspection is only found under its own hive', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+    const otherHive = await createHive(user);
+    const inspection = (await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user, 'body': INSPECTION })).body;
+
+    const response = await api.request('GET', '/hives/' + otherHive.id + '/inspections/' + inspection.id, { 'user': user });
+    assert.strictEqual(response.status, 404);
+});
+
+test('the inspections of a deleted hive are gone with it', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+    await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user, 'body': INSPECTION });
+
+    await api.request('DELETE', '/hives/' + hive.id, { 'user': user });
+
+    const response = await api.request('GET', '/hives/' + hive.id + '/inspections', { 'user': user });
+    assert.strictEqual(response.status, 410);
+});
+
+test('an inspection only changes the colony size of the hive, and checks its If-Match header', async () => {
+    const user = newUser();
+    const hive = await createHive(user);
+    const queen = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Resident', 'species': 'Carniolan', 'age': 12 } })).body;
+    const path = '/hives/' + hive.id;
+    const etag = (await api.request('GET', path, { 'user': user })).headers.get('ETag');
+
+    assert.strictEqual((await api.request('PUT', path + '/queens/' + queen.id, { 'user': user })).status, 204);
+    const stale = await api.request('POST', path + '/inspections', { 'user': user, 'headers': { 'If-Match': etag },
+        'body': { ...INSPECTION, 'colonySize': 30000 } });
+    assert.strictEqual(stale.status, 412);
+
+    const current = (await api.request('GET', path, { 'user': user })).headers.get('ETag');
+    const inspected = await api.request('POST', path + '/inspections', { 'user': user, 'headers': { 'If-Match': current },
+        'body': { ...INSPECTION, 'colonySize': 30000 } });
+    assert.strictEqual(inspected.status, 201);
+
+    const updatedHive = (await api.request('GET', path, { 'user': user })).body;
+    assert.strictEqual(updatedHive.colonySize, 30000);
+    assert.strictEqual(updatedHive.hiveName, 'Hive');
+    assert.strictEqual(updatedHive.queen.id, String(queen.id));
+    assert.strictEqual(updatedHive.latestInspection.id, inspected.body.id);
+});
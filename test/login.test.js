@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer } = require('./helpers');
+const identity = require('../identity');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Start a login on the welcome page. Resolves to { query, cookie }: the
+ * query parameters the identity provider sends back, and the login cookie.
+ */
+function startLogin () {
+    return api.request('POST', '/')
+        .then(response => {
+            assert.strictEqual(response.status, 303);
+            return { 'query': new URL(response.headers.get('Location')).searchParams,
+                        'cookie': response.headers.get('Set-Cookie').split(';')[0]
+                    };
+        });
+};
+
+/**
+ * Return from the identity provider to /oauth with the given query parameters
+ * and login cookie.
+ */
+function callback (query, cookie) {
+    const headers = { 'Accept': 'text/html' };
+    if (cookie !== undefined) {
+        headers.Cookie = cookie;
+    }
+    return api.request('GET', '/oauth?' + new URLSearchParams(query).toString(), { 'headers': headers });
+};
+
+/**
+ * Check that a response is the HTML error page of the login.
+ */
+function assertErrorPage (response, status, message) {
+    assert.strictEqual(response.status, status);
+    assert.match(response.headers.get('Content-Type'), /^text\/html/);
+    assert.match(response.body, /Login failed/);
+    assert.match(response.body, message);
+    assert.match(response.body, new RegExp('Request ID: ' + response.headers.get('X-Request-Id')));
+};
+
+test('POST / starts a login with a state, a PKCE challenge and a login cookie', async () => {
+    const response = await api.request('POST', '/');
+    const query = new URL(response.headers.get('Location')).searchParams;
+
+    assert.ok(query.get('state').length > 0);
+    assert.match(query.get('code'), /^local\.[\w-]{43}$/);
+    assert.match(response.headers.get('Set-Cookie'), /^beekeeper_login=[\w-]+; Max-Age=600; Path=\/oauth; .*HttpOnly; SameSite=Lax/);
+});
+
+test('the login succeeds once with the state and cookie of the browser', async () => {
+    const login = await startLogin();
+
+    const page = await callback(login.query, login.cookie);
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /Your new JWT is/);
+    assert.match(page.headers.get('Set-Cookie'), /^beekeeper_login=;/);
+
+    const replayed = await callback(login.query, login.cookie);
+    assertErrorPage(replayed, 400, /already been used/);
+});
+
+test('the names shown after the login are escaped', async () => {
+    const user = identity.provider.subject;
+    await api.request('PATCH', '/users/me', { 'user': user, 'body': { 'firstName': '<script>alert(1)</script>' } });
+
+    try {
+        const login = await startLogin();
+        const page = await callback(login.query, login.cookie);
+        assert.strictEqual(page.status, 200);
+        assert.doesNotMatch(page.body, /<script>/);
+        assert.match(page.body, /Your given name is &lt;script&gt;/);
+    } finally {
+        await api.request('PATCH', '/users/me', { 'user': user, 'body': { 'firstName': identity.provider.givenName } });
+    }
+});
+
+test('a callback without the login cookie of the browser is rejected', async () => {
+    const login = await startLogin();
+    const other = await startLogin();
+
+    assertErrorPage(await callback(login.query), 400, /another browser/);
+    assertErrorPage(await callback(login.query, other.cookie), 400, /another browser/);
+});
+
+test('a forged or missing state is rejected', async () => {
+    const login = await startLogin();
+    const state = login.query.get('state');
+
+    const forged = { 'code': login.query.get('code'), 'state': state.replace(/.$/, state.endsWith('A') ? 'B' : 'A') };
+    assertErrorPage(await callback(forged, login.cookie), 400, /invalid or has expired/);
+
+    assertErrorPage(await callback({ 'code': login.query.get('code') }, login.cookie), 400, /authorization code and state/);
+});
+
+test('a code that does not match the PKCE verifier of the login is rejected', async () => {
+    const login = await startLogin();
+    const other = await startLogin();
+
+    const injected = { 'code': other.query.get('code'), 'state': login.query.get('state') };
+    assertErrorPage(await callback(injected, login.cookie), 401, /did not accept the login/);
+});
+
+test('a login refused by the identity provider shows why', async () => {
+    const login = await startLogin();
+
+    const refused = await callback({ 'error': '<access_denied>', 'state': login.query.get('state') }, login.cookie);
+    assertErrorPage(refused, 401, /did not log you in: &lt;access_denied&gt;/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The routers are only loaded, never used, so no backend is needed
+process.env.DATA_BACKEND = 'memory';
+
+const index = require('../index');
+const { buildSpec, listRoutes } = require('../openapi');
+
+const spec = buildSpec();
+const routes = listRoutes(index);
+
+test('finds the routes of every router', () => {
+    const found = routes.map(route => route.method.toUpperCase() + ' ' + route.path);
+
+    assert.ok(found.includes('GET /hives'));
+    assert.ok(found.includes('GET /hives/{hive_id}/inspections/{inspection_id}'));
+    assert.ok(found.includes('POST /'));
+});
+
+test('every registered route is described in the OpenAPI document', () => {
+    const missing = routes.filter(route => {
+        return spec.paths[route.path] === undefined || spec.paths[route.path][route.method] === undefined;
+    });
+
+    assert.deepStrictEqual(missing, [], 'Routes missing from openapi.js');
+});
+
+test('every operation in the OpenAPI document has a registered route', () => {
+    const stale = [];
+    Object.keys(spec.paths).forEach(path => {
+        Object.keys(spec.paths[path]).forEach(method => {
+            if (!routes.some(route => route.path === path && route.method === method)) {
+                stale.push({ 'method': method, 'path': path });
+            }
+        });
+    });
+
+    assert.deepStrictEqual(stale, [], 'Operations in openapi.js without a route');
+});
+
+test('every reference in the OpenAPI document resolves', () => {
+    const text = JSON.stringify(spec);
+    const refs = text.match(/"#\/components\/[^"]+"/g) || [];
+
+    refs.forEach(ref => {
+        const target = JSON.parse(ref).split('/').slice(1).reduce((node, name) => node && node[name], spec);
+        assert.ok(target !== undefined, 'Unresolved reference ' + ref);
+    });
+});
+
+test('every path parameter is declared by its operations', () => {
+    Object.keys(spec.paths).forEach(path => {
+        const names = (path.match(/{\w+}/g) || []).map(name => name.slice(1, -1));
+        Object.keys(spec.paths[path]).forEach(method => {
+            const declared = (spec.paths[path][method].parameters || []).map(parameter => {
+                return parameter.$ref !== undefined ? spec.components.parameters[parameter.$ref.split('/').pop()].name : parameter.name;
+            });
+            names.forEach(name => {
+                assert.ok(declared.includes(name), method.toUpperCase() + ' ' + path + ' does not declare ' + name);
+            });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Send a PATCH request with a patch document of the given media type.
+ */
+function patch (path, user, type, document) {
+    return api.request('PATCH', path, { 'user': user, 'body': JSON.stringify(document), 'headers': { 'Content-Type': type } });
+};
+
+test('a JSON Merge Patch changes a queen and clears the attributes set to null', async () => {
+    const user = newUser();
+    const mother = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Mother', 'species': 'Carniolan', 'age': 30 } })).body;
+    const queen = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Merged', 'species': 'Carniolan', 'age': 12, 'motherQueen': mother.id,
+                    'matingDate': '2024-06-01', 'status': 'laying' } })).body;
+    assert.strictEqual(queen.markingColor, 'green');
+
+    const merged = await patch('/queens/' + queen.id, user, 'application/merge-patch+json',
+        { 'age': 13, 'markingColor': null, 'motherQueen': null });
+    assert.strictEqual(merged.status, 200);
+    assert.strictEqual(merged.body.age, 13);
+    assert.strictEqual(merged.body.markingColor, null);
+    assert.strictEqual(merged.body.motherQueen, null);
+    assert.strictEqual(merged.body.status, 'laying');
+
+    // with application/json, null still leaves the attribute as it is
+    const kept = await api.request('PATCH', '/queens/' + queen.id, { 'user': user, 'body': { 'status': null, 'age': 14 } });
+    assert.strictEqual(kept.status, 200);
+    assert.strictEqual(kept.body.status, 'laying');
+
+    const required = await patch('/queens/' + queen.id, user, 'application/merge-patch+json', { 'name': null });
+    assert.strictEqual(required.status, 400);
+    assert.deepStrictEqual(required.body.details.violations, [{ 'attribute': 'name', 'message': 'is required' }]);
+
+    const unknown = await patch('/queens/' + queen.id, user, 'application/merge-patch+json', { 'colour': null });
+    assert.strictEqual(unknown.status, 400);
+});
+
+test('a JSON Patch is applied to a hive in order, and validated against its schema', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Patched', 'structureType': 'Langstroth', 'colonySize': 20000 } })).body;
+    const path = '/hives/' + hive.id;
+
+    const patched = await patch(path, user, 'application/json-patch+json', [
+        { 'op': 'test', 'path': '/colonySize', 'value': 20000 },
+        { 'op': 'replace', 'path': '/colonySize', 'value': 22000 },
+        { 'op': 'copy', 'from': '/structureType', 'path': '/hiveName' }
+    ]);
+    assert.strictEqual(patched.status, 200);
+    assert.strictEqual(patched.body.colonySize, 22000);
+    assert.strictEqual(patched.body.hiveName, 'Langstroth');
+
+    const failed = await patch(path, user, 'application/json-patch+json', [
+        { 'op': 'replace', 'path': '/hiveName', 'value': 'Lost' },
+        { 'op': 'test', 'path': '/colonySize', 'value': 20000 }
+    ]);
+    assert.strictEqual(failed.status, 409);
+    assert.strictEqual(failed.body.details.operation, 1);
+    assert.strictEqual((await api.request('GET', path, { 'user': user })).body.hiveName, 'Langstroth');
+
+    const missing = await patch(path, user, 'application/json-patch+json', [{ 'op': 'remove', 'path': '/apiary/name' }]);
+    assert.strictEqual(missing.status, 409);
+
+    const invalid = await patch(path, user, 'application/json-patch+json', [{ 'op': 'replace', 'path': '/colonySize', 'value': -1 }]);
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.details.violations[0].attribute, 'colonySize');
+
+    const unknown = await patch(path, user, 'application/json-patch+json', [{ 'op': 'add', 'path': '/colour', 'value': 'blue' }]);
+    assert.strictEqual(unknown.status, 400);
+
+    const malformed = await patch(path, user, 'application/json-patch+json', [{ 'op': 'rename', 'path': '/hiveName' }]);
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.body.details.violations[0].operation, 0);
+});
+
+test('attributes set to null in a JSON body are left as they are, even required ones', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Nulls', 'structureType': 'Langstroth', 'colonySize': 20000 } })).body;
+
+    const patched = await api.request('PATCH', '/hives/' + hive.id, { 'user': user, 'body': { 'hiveName': null, 'colonySize': 5 } });
+    assert.strictEqual(patched.status, 200);
+    assert.strictEqual(patched.body.hiveName, 'Nulls');
+    assert.strictEqual(patched.body.colonySize, 5);
+
+    const unknown = await api.request('PATCH', '/hives/' + hive.id, { 'user': user, 'body': { 'colour': null } });
+    assert.strictEqual(unknown.status, 400);
+
+    const bulk = await api.request('POST', '/hives/bulk', { 'user': user,
+        'body': [{ 'op': 'update', 'id': hive.id, 'data': { 'structureType': null, 'colonySize': 6 } }] });
+    assert.strictEqual(bulk.status, 200);
+});
+
+test('PATCH with an unsupported body type is a 415 listing the supported types', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Typed', 'structureType': 'Top bar', 'colonySize': 5000 } })).body;
+
+    const response = await api.request('PATCH', '/hives/' + hive.id, { 'user': user,
+        'body': 'colonySize=1', 'headers': { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    assert.strictEqual(response.status, 415);
+    assert.deepStrictEqual(response.body.details.supported,
+        ['application/json', 'application/merge-patch+json', 'application/json-patch+json']);
+    assert.strictEqual(response.headers.get('Accept-Patch'), 'application/json, application/merge-patch+json, application/json-patch+json');
+
+    // PUT still only takes application/json
+    const put = await api.request('PUT', '/hives/' + hive.id, { 'user': user,
+        'body': JSON.stringify({ 'hiveName': 'Typed' }), 'headers': { 'Content-Type': 'application/merge-patch+json' } });
+    assert.strictEqual(put.status, 415);
+});
+
+test('a patch cannot reach the prototype of an object', async () => {
+    const user = newUser();
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Guarded', 'structureType': 'Langstroth', 'colonySize': 20000 } })).body;
+    const path = '/hives/' + hive.id;
+
+    for (const pointer of ['/__proto__/polluted', '/constructor/prototype/polluted', '/hiveName/__proto__']) {
+        const response = await patch(path, user, 'application/json-patch+json', [{ 'op': 'add', 'path': pointer, 'value': true }]);
+        assert.strictEqual(response.status, 400);
+    }
+    const inherited = await patch(path, user, 'application/json-patch+json', [{ 'op': 'copy', 'from': '/toString', 'path': '/hiveName' }]);
+    assert.strictEqual(inherited.status, 409);
+
+    const merged = await api.request('PATCH', path, { 'user': user, 'body': '{"__proto__": {"polluted": true}}',
+        'headers': { 'Content-Type': 'application/merge-patch+json' } });
+    assert.strictEqual(merged.status, 400);
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual((await api.request('GET', path, { 'user': user })).body.hiveName, 'Guarded');
+});
@@ -0,0 +1,169 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Create a queen for the user, with the attributes overridden by queenInfo.
+ */
+function createQueen (user, queenInfo) {
+    const body = { 'name': 'Queen', 'species': 'Carniolan', 'age': 12, ...queenInfo };
+    return api.request('POST', '/queens', { 'user': user, 'body': body })
+        .then(response => {
+            assert.strictEqual(response.status, 201);
+            return response.body;
+        });
+};
+
+test('POST /queens creates a queen with her breeding record', async () => {
+    const user = newUser();
+    const response = await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Beatrice', 'species': 'Italian', 'age': 3, 'matingDate': '2023-06-10', 'matingMethod': 'open' } });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.name, 'Beatrice');
+    assert.strictEqual(response.body.beekeeper, user);
+    assert.strictEqual(response.body.hive, null);
+    assert.strictEqual(response.body.motherQueen, null);
+    assert.strictEqual(response.body.matingMethod, 'open');
+    assert.strictEqual(response.body.markingColor, 'red'); // years ending in 3 are red
+    assert.match(response.body.self, /\/queens\/[0-9]+$/);
+});
+
+test('POST /queens rejects invalid attributes', async () => {
+    const response = await api.request('POST', '/queens', { 'user': newUser(),
+        'body': { 'name': 'Beatrice', 'species': 'Italian', 'age': 'old', 'matingDate': '2023-02-30', 'status': 'royal' } });
+
+    assert.strictEqual(response.status, 400);
+    const attributes = response.body.details.violations.map(violation => violation.attribute).sort();
+    assert.deepStrictEqual(attributes, ['age', 'matingDate', 'status']);
+});
+
+test('POST /queens only accepts one of the user\'s queens as the mother', async () => {
+    const user = newUser();
+    const otherQueen = await createQueen(newUser());
+
+    const response = await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Daughter', 'species': 'Italian', 'age': 1, 'motherQueen': otherQueen.id } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.details.violations[0].attribute, 'motherQueen');
+});
+
+test('GET /queens lists and filters only the user\'s queens', async () => {
+    const user = newUser();
+    await createQueen(user, { 'name': 'Young', 'age': 2 });
+    await createQueen(user, { 'name': 'Old', 'age': 30, 'species': 'Buckfast' });
+    await createQueen(newUser());
+
+    const all = await api.request('GET', '/queens', { 'user': user });
+    assert.strictEqual(all.status, 200);
+    assert.strictEqual(all.body.total, 2);
+
+    const filtered = await api.request('GET', '/queens?age[lt]=24&hasHive=false', { 'user': user });
+    assert.deepStrictEqual(filtered.body.queens.map(queen => queen.name), ['Young']);
+
+    const species = await api.request('GET', '/queens?species=Buckfast', { 'user': user });
+    assert.deepStrictEqual(species.body.queens.map(queen => queen.name), ['Old']);
+});
+
+test('GET /queens/:queen_id returns the user\'s queen only', async () => {
+    const user = newUser();
+    const queen = await createQueen(user);
+
+    const response = await api.request('GET', '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.name, queen.name);
+
+    const forbidden = await api.request('GET', '/queens/' + queen.id, { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+
+    const missing = await api.request('GET', '/queens/999999999', { 'user': user });
+    assert.strictEqual(missing.status, 404);
+});
+
+test('PUT /queens/:queen_id replaces the queen and redirects to it', async () => {
+    const user = newUser();
+    const queen = await createQueen(user, { 'status': 'laying' });
+
+    const response = await api.request('PUT', '/queens/' + queen.id, { 'user': user,
+        'body': { 'name': 'Renamed', 'species': 'Italian', 'age': 13 } });
+    assert.strictEqual(response.status, 303);
+    assert.strictEqual(response.headers.get('Location'), queen.self);
+    assert.strictEqual(response.body.name, 'Renamed');
+    assert.strictEqual(response.body.status, null);
+
+    const forbidden = await api.request('PUT', '/queens/' + queen.id, { 'user': newUser(),
+        'body': { 'name': 'Stolen', 'species': 'Italian', 'age': 13 } });
+    assert.strictEqual(forbidden.status, 403);
+});
+
+test('PATCH /queens/:queen_id only changes the given attributes', async () => {
+    const user = newUser();
+    const queen = await createQueen(user, { 'species': 'Buckfast' });
+
+    const response = await api.request('PATCH', '/queens/' + queen.id, { 'user': user, 'body': { 'status': 'superseded' } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.status, 'superseded');
+    assert.strictEqual(response.body.species, 'Buckfast');
+
+    const invalid = await api.request('PATCH', '/queens/' + queen.id, { 'user': user, 'body': { 'age': -1 } });
+    assert.strictEqual(invalid.status, 400);
+});
+
+test('PATCH /queens/:queen_id cannot make a queen her own ancestor', async () => {
+    const user = newUser();
+    const mother = await createQueen(user, { 'name': 'Mother' });
+    const daughter = await createQueen(user, { 'name': 'Daughter', 'motherQueen': mother.id });
+
+    const self = await api.request('PATCH', '/queens/' + mother.id, { 'user': user, 'body': { 'motherQueen': mother.id } });
+    assert.strictEqual(self.status, 400);
+
+    const cycle = await api.request('PATCH', '/queens/' + mother.id, { 'user': user, 'body': { 'motherQueen': daughter.id } });
+    assert.strictEqual(cycle.status, 400);
+});
+
+test('GET /queens/:queen_id/lineage returns the ancestors and descendants', async () => {
+    const user = newUser();
+    const grandmother = await createQueen(user, { 'name': 'Grandmother' });
+    const mother = await createQueen(user, { 'name': 'Mother', 'motherQueen': grandmother.id });
+    await createQueen(user, { 'name': 'Daughter', 'motherQueen': mother.id });
+
+    const response = await api.request('GET', '/queens/' + mother.id + '/lineage', { 'user': user });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.name, 'Mother');
+    assert.deepStrictEqual(response.body.ancestors.map(queen => queen.name), ['Grandmother']);
+    assert.deepStrictEqual(response.body.descendants.map(queen => queen.name), ['Daughter']);
+    assert.deepStrictEqual(response.body.descendants[0].daughters, []);
+
+    const forbidden = await api.request('GET', '/queens/' + mother.id + '/lineage', { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+});
+
+test('DELETE /queens/:queen_id deletes the queen and removes her from her hive', async () => {
+    const user = newUser();
+    const queen = await createQueen(user);
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 100 } })).body;
+    await api.request('PUT', '/hives/' + hive.id + '/queens/' + queen.id, { 'user': user });
+
+    const forbidden = await api.request('DELETE', '/queens/' + queen.id, { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+
+    const response = await api.request('DELETE', '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(response.status, 204);
+
+    const gone = await api.request('GET', '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(gone.status, 410);
+    const queenless = await api.request('GET', '/hives/' + hive.id, { 'user': user });
+    assert.strictEqual(queenless.body.queen, null);
+});
@@ -0,0 +1,178 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+const ds = require('../datastore');
+const identity = require('../identity');
+const { MemoryRateLimitStore, DatastoreRateLimitStore, setStore } = require('../ratelimit');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+afterEach(() => {
+    process.env.RATE_LIMIT_USER_MAX = '100000';
+    process.env.RATE_LIMIT_IP_MAX = '100000';
+    setStore(new MemoryRateLimitStore());
+});
+
+test('requests over a user\'s limit are rejected with a 429 and Retry-After', async () => {
+    process.env.RATE_LIMIT_USER_MAX = '3';
+    const user = newUser();
+
+    const first = await api.request('GET', '/hives', { 'user': user });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('RateLimit-Limit'), '3');
+    assert.strictEqual(first.headers.get('RateLimit-Remaining'), '2');
+    assert.strictEqual(first.headers.get('RateLimit-Policy'), '3;w=60');
+    assert.ok(parseInt(first.headers.get('RateLimit-Reset'), 10) <= 60);
+
+    await api.request('GET', '/hives', { 'user': user });
+    await api.request('GET', '/queens', { 'user': user });
+    const limited = await api.request('GET', '/hives', { 'user': user });
+
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.code, 'too_many_requests');
+    assert.strictEqual(limited.headers.get('RateLimit-Remaining'), '0');
+    assert.strictEqual(limited.headers.get('Retry-After'), limited.headers.get('RateLimit-Reset'));
+    assert.strictEqual(limited.body.details.limit, 3);
+
+    // other users have their own limit
+    assert.strictEqual((await api.request('GET', '/hives', { 'user': newUser() })).status, 200);
+});
+
+test('requests without valid credentials are limited by IP address', async () => {
+    process.env.RATE_LIMIT_IP_MAX = '2';
+
+    assert.strictEqual((await api.request('GET', '/openapi.json')).status, 200);
+    assert.strictEqual((await api.request('GET', '/hives', { 'token': 'forged' })).status, 401);
+    const limited = await api.request('POST', '/queens', { 'body': {} });
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.headers.get('RateLimit-Limit'), '2');
+
+    // once the address is over its limit, no credentials from it are checked
+    assert.strictEqual((await api.request('GET', '/hives', { 'user': newUser() })).status, 429);
+});
+
+test('an authenticated user is counted separately from the address', async () => {
+    process.env.RATE_LIMIT_IP_MAX = '2';
+    process.env.RATE_LIMIT_USER_MAX = '5';
+
+    assert.strictEqual((await api.request('GET', '/openapi.json')).status, 200);
+    const user = newUser();
+    for (var i = 0; i < 3; i++) {
+        assert.strictEqual((await api.request('GET', '/hives', { 'user': user })).status, 200);
+    }
+    const response = await api.request('GET', '/hives', { 'user': user });
+    assert.strictEqual(response.headers.get('RateLimit-Remaining'), '1');
+});
+
+test('credentials are checked once, and not at all from an address over its limit', async () => {
+    process.env.RATE_LIMIT_IP_MAX = '1';
+    const verifyToken = identity.provider.verifyToken;
+    var checked = 0;
+    identity.provider.verifyToken = function (token) {
+        checked += 1;
+        return verifyToken.call(this, token);
+    };
+
+    try {
+        assert.strictEqual((await api.request('GET', '/hives', { 'token': 'forged' })).status, 401);
+        assert.strictEqual(checked, 1);
+        const limited = await api.request('GET', '/hives', { 'token': 'forged' });
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.headers.get('RateLimit-Remaining'), '0');
+        assert.ok(limited.headers.get('Retry-After') !== null);
+        assert.strictEqual(checked, 1);
+    } finally {
+        identity.provider.verifyToken = verifyToken;
+    }
+});
+
+test('a limit of 0 turns rate limiting off', async () => {
+    process.env.RATE_LIMIT_USER_MAX = '0';
+    const response = await api.request('GET', '/hives', { 'user': newUser() });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('RateLimit-Limit'), null);
+});
+
+test('the datastore store shares the counts of each client', async () => {
+    const store = new DatastoreRateLimitStore();
+    const key = 'user:' + newUser();
+
+    assert.strictEqual((await store.increment(key, 60000)).count, 1);
+    const second = await store.increment(key, 60000);
+    assert.strictEqual(second.count, 2);
+    assert.ok(second.resetAt > Date.now());
+
+    assert.deepStrictEqual(await store.peek(key), second);
+    assert.strictEqual(await store.peek('ip:' + newUser()), null);
+
+    // a new window starts once the last one has ended
+    const ended = 'ip:' + newUser();
+    assert.strictEqual((await store.increment(ended, 1)).count, 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual((await store.increment(ended, 1)).count, 1);
+});
+
+test('the datastore store spreads the requests of a client between shards', async () => {
+    const store = new DatastoreRateLimitStore();
+    const key = 'user:' + newUser();
+
+    // aligned to a window that cannot end during the test
+    for (var count = 1; count <= 30; count++) {
+        assert.strictEqual((await store.increment(key, 3600000 * 24 * 365)).count, count);
+    }
+    assert.strictEqual((await store.peek(key)).count, 30);
+
+    const keys = store.shardKeys(key);
+    const shards = (await ds.datastore.get(keys))[0].filter(shard => shard != null);
+    assert.ok(shards.length > 1);
+    assert.ok(shards.every(shard => shard.count < 30));
+});
+
+test('a failing store lets requests through', async () => {
+    process.env.RATE_LIMIT_USER_MAX = '1';
+    const errors = [];
+    const logError = console.error;
+    setStore({ 'increment': () => Promise.reject(new Error('store is down')) });
+    console.error = (...args) => errors.push(args);
+
+    try {
+        const user = newUser();
+        assert.strictEqual((await api.request('GET', '/hives', { 'user': user })).status, 200);
+        assert.strictEqual((await api.request('GET', '/hives', { 'user': user })).status, 200);
+    } finally {
+        console.error = logError;
+    }
+    assert.strictEqual(errors.length, 2);
+});
+
+test('the datastore store lets requests through when its transactions fail', async () => {
+    process.env.RATE_LIMIT_USER_MAX = '1';
+    const errors = [];
+    const logError = console.error;
+    const runInTransaction = ds.runInTransaction;
+    setStore(new DatastoreRateLimitStore());
+    ds.runInTransaction = () => Promise.reject(Object.assign(new Error('too much contention'), { 'code': 10 }));
+    console.error = (...args) => errors.push(args);
+
+    try {
+        const user = newUser();
+        const response = await api.request('GET', '/hives', { 'user': user });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('RateLimit-Limit'), null);
+        assert.strictEqual((await api.request('GET', '/hives', { 'user': user })).status, 200);
+    } finally {
+        ds.runInTransaction = runInTransaction;
+        console.error = logError;
+    }
+    assert.deepStrictEqual(errors.map(args => args[1]), ['too much contention', 'too much contention']);
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+const { datastore } = require('../datastore');
+const { purgeDeleted } = require('../purge');
+const { INSPECTIONS } = require('../constants');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Create a hive and a queen for the user, with the queen in the hive.
+ */
+async function createLinkedPair (user) {
+    const hive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Restored', 'structureType': 'Langstroth', 'colonySize': 20000 } })).body;
+    const queen = (await api.request('POST', '/queens', { 'user': user,
+        'body': { 'name': 'Lazarus', 'species': 'Carniolan', 'age': 12 } })).body;
+    const assigned = await api.request('PUT', '/hives/' + hive.id + '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(assigned.status, 204);
+    return { 'hive': hive, 'queen': queen };
+};
+
+test('a deleted hive is hidden, and restoring it takes back its queen', async () => {
+    const user = newUser();
+    const { hive, queen } = await createLinkedPair(user);
+
+    assert.strictEqual((await api.request('DELETE', '/hives/' + hive.id, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('GET', '/hives', { 'user': user })).body.total, 0);
+    const gone = await api.request('PATCH', '/hives/' + hive.id, { 'user': user, 'body': { 'colonySize': 1 } });
+    assert.strictEqual(gone.status, 410);
+    assert.match(gone.body.message, /restored with POST \/hives\/[0-9]+\/restore/);
+    assert.strictEqual((await api.request('GET', '/queens/' + queen.id, { 'user': user })).body.hive, null);
+
+    const restored = await api.request('POST', '/hives/' + hive.id + '/restore', { 'user': user });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.hiveName, 'Restored');
+    assert.strictEqual(restored.body.queen.id, String(queen.id));
+    assert.strictEqual(restored.headers.get('Location'), restored.body.self);
+
+    assert.strictEqual((await api.request('GET', '/hives', { 'user': user })).body.total, 1);
+    const linked = await api.request('GET', '/queens/' + queen.id, { 'user': user });
+    assert.strictEqual(linked.body.hive.id, String(hive.id));
+
+    const history = await api.request('GET', '/hives/' + hive.id + '/queens/history', { 'user': user });
+    assert.strictEqual(history.body.total, 2);
+    assert.strictEqual(history.body.history.filter(entry => entry.endDate === null).length, 1);
+
+    const audit = await api.request('GET', '/hives/' + hive.id + '/audit', { 'user': user });
+    assert.deepStrictEqual(audit.body.events.slice(0, 2).map(event => event.action), ['restore', 'delete']);
+
+    const again = await api.request('POST', '/hives/' + hive.id + '/restore', { 'user': user });
+    assert.strictEqual(again.status, 409);
+});
+
+test('a restored hive stays queenless if its queen has moved on', async () => {
+    const user = newUser();
+    const { hive, queen } = await createLinkedPair(user);
+    const otherHive = (await api.request('POST', '/hives', { 'user': user,
+        'body': { 'hiveName': 'Other', 'structureType': 'Top bar', 'colonySize': 5000 } })).body;
+
+    await api.request('DELETE', '/hives/' + hive.id, { 'user': user });
+    await api.request('PUT', '/hives/' + otherHive.id + '/queens/' + queen.id, { 'user': user });
+
+    const restored = await api.request('POST', '/hives/' + hive.id + '/restore', { 'user': user });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.queen, null);
+    assert.strictEqual((await api.request('GET', '/queens/' + queen.id, { 'user': user })).body.hive.id, String(otherHive.id));
+});
+
+test('a restored queen moves back into her hive', async () => {
+    const user = newUser();
+    const { hive, queen } = await createLinkedPair(user);
+
+    assert.strictEqual((await api.request('DELETE', '/queens/' + queen.id, { 'user': user })).status, 204);
+    assert.strictEqual((await api.request('GET', '/queens', { 'user': user })).body.total, 0);
+    assert.strictEqual((await api.request('GET', '/queens/' + queen.id + '/lineage', { 'user': user })).status, 410);
+
+    const forbidden = await api.request('POST', '/queens/' + queen.id + '/restore', { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+
+    const restored = await api.request('POST', '/queens/' + queen.id + '/restore', { 'user': user });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.name, 'Lazarus');
+    assert.strictEqual(restored.body.hive.id, String(hive.id));
+    assert.strictEqual(restored.body.deletedAt, undefined);
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': user })).body.queen.id, String(queen.id));
+
+    assert.strictEqual((await api.request('POST', '/queens/' + queen.id + '/restore', { 'user': user })).status, 409);
+    assert.strictEqual((await api.request('POST', '/queens/0/restore', { 'user': user })).status, 404);
+});
+
+test('deleted hives and queens are purged after the retention period', async () => {
+    const user = newUser();
+    const { hive, queen } = await createLinkedPair(user);
+    await api.request('POST', '/hives/' + hive.id + '/inspections', { 'user': user,
+        'body': { 'date': '2024-05-01', 'colonySize': 21000 } });
+    await api.request('DELETE', '/hives/' + hive.id, { 'user': user });
+    await api.request('DELETE', '/queens/' + queen.id, { 'user': user });
+
+    process.env.DELETE_RETENTION_DAYS = '1';
+    try {
+        // still within the retention period
+        assert.deepStrictEqual(await purgeDeleted(), { 'hives': [], 'queens': [] });
+
+        const tomorrow = new Date(Date.now() + 25 * 60 * 60 * 1000);
+        const purged = await purgeDeleted(tomorrow);
+        assert.deepStrictEqual(purged, { 'hives': [String(hive.id)], 'queens': [String(queen.id)] });
+    } finally {
+        delete process.env.DELETE_RETENTION_DAYS;
+    }
+
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': user })).status, 404);
+    assert.strictEqual((await api.request('POST', '/queens/' + queen.id + '/restore', { 'user': user })).status, 404);
+    const inspections = await datastore.runQuery(datastore.createQuery(INSPECTIONS).filter('hive', '=', String(hive.id)));
+    assert.strictEqual(inspections[0].length, 0);
+});
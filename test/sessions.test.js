@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, logIn } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => {
+    delete process.env.AUTH_SESSION_COOKIE;
+    return api.close();
+});
+
+test('POST /auth/token exchanges a refresh token for a new JWT, once', async () => {
+    const page = await logIn(api);
+    assert.notStrictEqual(page.refreshToken, null);
+
+    const refreshed = await api.request('POST', '/auth/token', { 'body': { 'refreshToken': page.refreshToken } });
+    assert.strictEqual(refreshed.status, 200);
+    assert.strictEqual(refreshed.body.tokenType, 'Bearer');
+    assert.ok(refreshed.body.expiresIn > 0);
+    assert.notStrictEqual(refreshed.body.refreshToken, page.refreshToken);
+    assert.strictEqual(refreshed.headers.get('Cache-Control'), 'no-store');
+
+    const hives = await api.request('GET', '/hives', { 'token': refreshed.body.idToken });
+    assert.strictEqual(hives.status, 200);
+
+    const reused = await api.request('POST', '/auth/token', { 'body': { 'refreshToken': page.refreshToken } });
+    assert.strictEqual(reused.status, 401);
+
+    const again = await api.request('POST', '/auth/token', { 'body': { 'refreshToken': refreshed.body.refreshToken } });
+    assert.strictEqual(again.status, 200);
+});
+
+test('POST /auth/token rejects invalid refresh tokens', async () => {
+    const missing = await api.request('POST', '/auth/token', { 'body': {} });
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(missing.body.details.violations[0].attribute, 'refreshToken');
+
+    const page = await logIn(api);
+    for (const token of ['not-a-token', '1.' + 'a'.repeat(43), page.idToken, page.refreshToken.replace(/.$/, 'x')]) {
+        const response = await api.request('POST', '/auth/token', { 'body': { 'refreshToken': token } });
+        assert.strictEqual(response.status, 401, token);
+        assert.strictEqual(response.body.code, 'unauthorized');
+    }
+});
+
+test('POST /auth/logout ends the session of a refresh token', async () => {
+    const page = await logIn(api);
+
+    const logout = await api.request('POST', '/auth/logout', { 'body': { 'refreshToken': page.refreshToken } });
+    assert.strictEqual(logout.status, 204);
+
+    const refreshed = await api.request('POST', '/auth/token', { 'body': { 'refreshToken': page.refreshToken } });
+    assert.strictEqual(refreshed.status, 401);
+
+    // logging out again has nothing left to do
+    const again = await api.request('POST', '/auth/logout', { 'body': { 'refreshToken': page.refreshToken } });
+    assert.strictEqual(again.status, 204);
+
+    const nothing = await api.request('POST', '/auth/logout');
+    assert.strictEqual(nothing.status, 400);
+});
+
+test('cookie sessions authenticate the browser until logging out', async () => {
+    process.env.AUTH_SESSION_COOKIE = 'true';
+    const page = await logIn(api);
+    delete process.env.AUTH_SESSION_COOKIE;
+
+    assert.strictEqual(page.refreshToken, null);
+    const setCookie = page.headers.getSetCookie().find(header => header.startsWith('beekeeper_session='));
+    assert.match(setCookie, /^beekeeper_session=[\w.-]+;/);
+    assert.match(setCookie, /HttpOnly/);
+    assert.match(setCookie, /SameSite=Strict/);
+    const cookie = { 'Cookie': setCookie.split(';')[0] };
+
+    const hives = await api.request('GET', '/hives', { 'headers': cookie });
+    assert.strictEqual(hives.status, 200);
+
+    const logout = await api.request('POST', '/auth/logout', { 'headers': cookie });
+    assert.strictEqual(logout.status, 204);
+    assert.match(logout.headers.get('Set-Cookie'), /^beekeeper_session=;/);
+
+    const loggedOut = await api.request('GET', '/hives', { 'headers': cookie });
+    assert.strictEqual(loggedOut.status, 401);
+});
+
+test('a malformed session cookie is ignored rather than failing the request', async () => {
+    const cookie = { 'Cookie': 'beekeeper_session=%' };
+
+    const spec = await api.request('GET', '/openapi.json', { 'headers': cookie });
+    assert.strictEqual(spec.status, 200);
+
+    const hives = await api.request('GET', '/hives', { 'headers': cookie });
+    assert.strictEqual(hives.status, 401);
+    assert.strictEqual(hives.body.code, 'unauthorized');
+});
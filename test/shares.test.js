@@ -0,0 +1,247 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, newUser } = require('./helpers');
+
+var api = null;
+
+before(() => {
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => api.close());
+
+/**
+ * Register a new user, so that entities can be shared with them.
+ */
+function registerUser () {
+    const user = newUser();
+    return api.request('PATCH', '/users/me', { 'user': user, 'body': {} })
+        .then(response => {
+            assert.strictEqual(response.status, 200);
+            return user;
+        });
+};
+
+/**
+ * Create an entity of the given collection for the user.
+ */
+function create (user, collection) {
+    const bodies = {
+        '/hives': { 'hiveName': 'Hive', 'structureType': 'Langstroth', 'colonySize': 20000 },
+        '/queens': { 'name': 'Queen', 'species': 'Carniolan', 'age': 12 },
+        '/apiaries': { 'name': 'Home yard', 'latitude': 44.56, 'longitude': -123.26 }
+    };
+    return api.request('POST', collection, { 'user': user, 'body': bodies[collection] })
+        .then(response => {
+            assert.strictEqual(response.status, 201);
+            return response.body;
+        });
+};
+
+/**
+ * Share the entity at path with the user, as the owner.
+ */
+function share (owner, path, user, role) {
+    return api.request('PUT', path + '/shares/' + user, { 'user': owner, 'body': { 'role': role } });
+};
+
+test('a viewer can read a shared hive but not change it', async () => {
+    const owner = await registerUser();
+    const viewer = await registerUser();
+    const hive = await create(owner, '/hives');
+    const path = '/hives/' + hive.id;
+
+    assert.strictEqual((await api.request('GET', path, { 'user': viewer })).status, 403);
+
+    const shared = await share(owner, path, viewer, 'viewer');
+    assert.strictEqual(shared.status, 201);
+    assert.strictEqual(shared.body.role, 'viewer');
+    assert.strictEqual(shared.body.grantedBy, owner);
+    assert.strictEqual(shared.headers.get('Location'), shared.body.self);
+
+    assert.strictEqual((await api.request('GET', path, { 'user': viewer })).status, 200);
+    assert.strictEqual((await api.request('GET', path + '/inspections', { 'user': viewer })).status, 200);
+
+    const patch = await api.request('PATCH', path, { 'user': viewer, 'body': { 'colonySize': 1 } });
+    assert.strictEqual(patch.status, 403);
+    assert.match(patch.body.message, /\(viewer\) does not allow this/);
+    assert.deepStrictEqual(patch.body.details, { 'role': 'viewer', 'required': 'editor' });
+});
+
+test('an editor can change a shared hive, which stays with its owner', async () => {
+    const owner = await registerUser();
+    const editor = await registerUser();
+    const hive = await create(owner, '/hives');
+    const path = '/hives/' + hive.id;
+
+    await share(owner, path, editor, 'viewer');
+    const promoted = await share(owner, path, editor, 'editor');
+    assert.strictEqual(promoted.status, 200);
+    assert.strictEqual(promoted.body.role, 'editor');
+
+    const put = await api.request('PUT', path, { 'user': editor,
+        'body': { 'hiveName': 'Renamed', 'structureType': 'Warre', 'colonySize': 5 } });
+    assert.strictEqual(put.status, 303);
+    assert.strictEqual(put.body.beekeeper, owner);
+
+    const inspection = await api.request('POST', path + '/inspections', { 'user': editor,
+        'body': { 'date': '2024-05-01', 'broodPattern': 'solid', 'temperament': 'calm', 'framesOfBees': 6,
+                    'queenSighted': true, 'eggsSeen': true } });
+    assert.strictEqual(inspection.status, 201);
+    assert.strictEqual(inspection.body.beekeeper, editor);
+
+    // only the owner can delete the hive or share it further
+    assert.strictEqual((await api.request('DELETE', path, { 'user': editor })).status, 403);
+    assert.strictEqual((await share(editor, path, await registerUser(), 'viewer')).status, 403);
+    assert.strictEqual((await api.request('GET', '/hives', { 'user': owner })).body.hives[0].hiveName, 'Renamed');
+});
+
+test('the queen of a shared hive follows the role on the hive', async () => {
+    const owner = await registerUser();
+    const editor = await registerUser();
+    const hive = await create(owner, '/hives');
+    const queen = await create(owner, '/queens');
+
+    assert.strictEqual((await api.request('PUT', '/hives/' + hive.id + '/queens/' + queen.id, { 'user': owner })).status, 204);
+    assert.strictEqual((await api.request('GET', '/queens/' + queen.id, { 'user': editor })).status, 403);
+
+    await share(owner, '/hives/' + hive.id, editor, 'editor');
+
+    const patch = await api.request('PATCH', '/queens/' + queen.id, { 'user': editor, 'body': { 'age': 13 } });
+    assert.strictEqual(patch.status, 200);
+    assert.strictEqual(patch.body.beekeeper, owner);
+    assert.strictEqual((await api.request('GET', '/queens/' + queen.id + '/lineage', { 'user': editor })).status, 200);
+    assert.strictEqual((await api.request('DELETE', '/queens/' + queen.id, { 'user': editor })).status, 403);
+
+    // once removed from the hive, the queen is no longer shared
+    const removed = await api.request('DELETE', '/hives/' + hive.id + '/queens/' + queen.id, { 'user': editor });
+    assert.strictEqual(removed.status, 204);
+    assert.strictEqual((await api.request('GET', '/queens/' + queen.id, { 'user': editor })).status, 403);
+});
+
+test('sharing an apiary shares every hive kept in it', async () => {
+    const owner = await registerUser();
+    const mentor = await registerUser();
+    const apiary = await create(owner, '/apiaries');
+    const hive = await create(owner, '/hives');
+    await api.request('PUT', '/apiaries/' + apiary.id + '/hives/' + hive.id, { 'user': owner });
+
+    assert.strictEqual((await share(owner, '/apiaries/' + apiary.id, mentor, 'viewer')).status, 201);
+
+    assert.strictEqual((await api.request('GET', '/apiaries/' + apiary.id + '/hives', { 'user': mentor })).body.total, 1);
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': mentor })).status, 200);
+    assert.strictEqual((await api.request('PATCH', '/hives/' + hive.id, { 'user': mentor, 'body': { 'colonySize': 1 } })).status, 403);
+
+    const mine = await api.request('GET', '/users/me/shares', { 'user': mentor });
+    assert.strictEqual(mine.status, 200);
+    assert.strictEqual(mine.body.total, 1);
+    assert.strictEqual(mine.body.shares[0].type, 'apiary');
+    assert.strictEqual(mine.body.shares[0].entity.id, apiary.id);
+
+    // a hive taken out of the apiary is no longer shared
+    await api.request('DELETE', '/apiaries/' + apiary.id + '/hives/' + hive.id, { 'user': owner });
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': mentor })).status, 403);
+});
+
+test('GET /hives and GET /queens list what is shared with the user with ?shared=true', async () => {
+    const owner = await registerUser();
+    const mentor = await registerUser();
+    const apiary = await create(owner, '/apiaries');
+    const kept = await create(owner, '/hives');
+    const direct = await create(owner, '/hives');
+    const queen = await create(owner, '/queens');
+    const own = await create(mentor, '/hives');
+    await api.request('PUT', '/apiaries/' + apiary.id + '/hives/' + kept.id, { 'user': owner });
+    await api.request('PUT', '/hives/' + kept.id + '/queens/' + queen.id, { 'user': owner });
+    await share(owner, '/apiaries/' + apiary.id, mentor, 'viewer');
+    await share(owner, '/hives/' + direct.id, mentor, 'editor');
+    await share(owner, '/hives/' + kept.id, mentor, 'editor');
+
+    const shared = await api.request('GET', '/hives?shared=true&limit=1', { 'user': mentor });
+    assert.strictEqual(shared.status, 200);
+    assert.strictEqual(shared.body.total, 2);
+    assert.deepStrictEqual(shared.body.hives.map(hive => hive.id), [kept.id]);
+    const next = await api.request('GET', shared.body.next.substr(shared.body.next.indexOf('/hives')), { 'user': mentor });
+    assert.deepStrictEqual(next.body.hives.map(hive => hive.id), [direct.id]);
+
+    const mine = await api.request('GET', '/hives', { 'user': mentor });
+    assert.deepStrictEqual(mine.body.hives.map(hive => hive.id), [own.id]);
+
+    const queens = await api.request('GET', '/queens?shared=true', { 'user': mentor });
+    assert.strictEqual(queens.status, 200);
+    assert.deepStrictEqual(queens.body.queens.map(found => found.id), [queen.id]);
+    assert.strictEqual((await api.request('GET', '/queens', { 'user': mentor })).body.total, 0);
+
+    assert.strictEqual((await api.request('GET', '/hives?shared=true&sort=hiveName', { 'user': mentor })).status, 400);
+    assert.strictEqual((await api.request('GET', '/hives?shared=yes', { 'user': mentor })).status, 400);
+});
+
+test('shares can be listed and removed by the owner, and left by the user', async () => {
+    const owner = await registerUser();
+    const first = await registerUser();
+    const second = await registerUser();
+    const hive = await create(owner, '/hives');
+    const path = '/hives/' + hive.id;
+
+    await share(owner, path, first, 'viewer');
+    await share(owner, path, second, 'editor');
+
+    const listed = await api.request('GET', path + '/shares', { 'user': owner });
+    assert.strictEqual(listed.status, 200);
+    assert.deepStrictEqual(listed.body.shares.map(found => found.user).sort(), [first, second].sort());
+    assert.strictEqual((await api.request('GET', path + '/shares', { 'user': second })).status, 403);
+
+    assert.strictEqual((await api.request('DELETE', path + '/shares/' + second, { 'user': first })).status, 403);
+    assert.strictEqual((await api.request('DELETE', path + '/shares/me', { 'user': first })).status, 204);
+    assert.strictEqual((await api.request('DELETE', path + '/shares/' + second, { 'user': owner })).status, 204);
+    assert.strictEqual((await api.request('DELETE', path + '/shares/' + second, { 'user': owner })).status, 404);
+
+    assert.strictEqual((await api.request('GET', path + '/shares', { 'user': owner })).body.total, 0);
+    assert.strictEqual((await api.request('GET', path, { 'user': first })).status, 403);
+});
+
+test('sharing is refused for unknown users, the owner and other roles', async () => {
+    const owner = await registerUser();
+    const hive = await create(owner, '/hives');
+    const path = '/hives/' + hive.id;
+
+    assert.strictEqual((await share(owner, path, newUser(), 'viewer')).status, 404);
+    assert.strictEqual((await share(owner, path, owner, 'viewer')).status, 400);
+
+    const invalid = await share(owner, path, await registerUser(), 'owner');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.details.violations[0].attribute, 'role');
+});
+
+test('the shares of a deleted hive are kept for when it is restored', async () => {
+    const owner = await registerUser();
+    const user = await registerUser();
+    const hive = await create(owner, '/hives');
+    await share(owner, '/hives/' + hive.id, user, 'editor');
+
+    assert.strictEqual((await api.request('DELETE', '/hives/' + hive.id, { 'user': owner })).status, 204);
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': user })).status, 410);
+    assert.strictEqual((await api.request('POST', '/hives/' + hive.id + '/restore', { 'user': user })).status, 403);
+
+    assert.strictEqual((await api.request('POST', '/hives/' + hive.id + '/restore', { 'user': owner })).status, 200);
+    assert.strictEqual((await api.request('GET', '/hives/' + hive.id, { 'user': user })).status, 200);
+});
+
+test('administrators are owners of every hive and queen', async () => {
+    const owner = await registerUser();
+    const admin = newUser();
+    const hive = await create(owner, '/hives');
+    const queen = await create(owner, '/queens');
+
+    process.env.AUTH_ADMINS = admin;
+    try {
+        assert.strictEqual((await api.request('GET', '/hives/' + hive.id + '/shares', { 'user': admin })).status, 200);
+        assert.strictEqual((await api.request('DELETE', '/queens/' + queen.id, { 'user': admin })).status, 204);
+        assert.strictEqual((await api.request('DELETE', '/hives/' + hive.id, { 'user': admin })).status, 204);
+    } finally {
+        delete process.env.AUTH_ADMINS;
+    }
+});
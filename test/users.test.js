@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, signToken, logIn, newUser } = require('./helpers');
+const { datastore } = require('../datastore');
+const { USERS } = require('../constants');
+
+var api = null;
+
+// Administrator of the tests, listed in AUTH_ADMINS.
+const admin = newUser();
+
+before(() => {
+    process.env.AUTH_ADMINS = 'someone-else, ' + admin;
+    return startServer().then(server => {
+        api = server;
+    });
+});
+
+after(() => {
+    delete process.env.AUTH_ADMINS;
+    return api.close();
+});
+
+/**
+ * Find the users with the given subject, as listed by an administrator.
+ */
+function findUsers (subject) {
+    return api.request('GET', '/users?limit=50', { 'user': admin })
+        .then(response => {
+            assert.strictEqual(response.status, 200);
+            return response.body.users.filter(user => user.userId === subject);
+        });
+};
+
+test('GET /users/me shows the profile from the claims of the JWT without registering the user', async () => {
+    const user = newUser();
+    const token = signToken(user, { 'given_name': 'Ada', 'family_name': 'Hive' });
+
+    const first = await api.request('GET', '/users/me', { 'token': token });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.id, user);
+    assert.strictEqual(first.body.firstName, 'Ada');
+    assert.strictEqual(first.body.lastName, 'Hive');
+    assert.strictEqual(first.body.isAdmin, false);
+    assert.strictEqual(first.body.firstLogin, null);
+    assert.match(first.body.hives, new RegExp('/users/' + user + '/hives$'));
+    assert.strictEqual((await findUsers(user)).length, 0);
+
+    // the first change registers the user, once
+    await api.request('PATCH', '/users/me', { 'token': token, 'body': {} });
+    await api.request('PATCH', '/users/me', { 'token': token, 'body': {} });
+    const second = await api.request('GET', '/users/me', { 'token': token });
+    assert.deepStrictEqual(second.body, first.body);
+    assert.strictEqual((await findUsers(user)).length, 1);
+});
+
+test('PATCH /users/me changes the names of the user', async () => {
+    const user = newUser();
+
+    const patch = await api.request('PATCH', '/users/me', { 'user': user, 'body': { 'firstName': 'Bea' } });
+    assert.strictEqual(patch.status, 200);
+    assert.strictEqual(patch.body.firstName, 'Bea');
+    assert.strictEqual(patch.body.lastName, null);
+
+    const invalid = await api.request('PATCH', '/users/me', { 'user': user, 'body': { 'firstName': 7, 'isAdmin': true } });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details.violations.map(violation => violation.attribute).sort(), ['firstName', 'isAdmin']);
+
+    const me = await api.request('GET', '/users/me', { 'user': user });
+    assert.strictEqual(me.body.firstName, 'Bea');
+    assert.strictEqual(me.body.isAdmin, false);
+});
+
+test('logging in again updates the same user and records the login times', async () => {
+    const first = await logIn(api);
+    const before = (await api.request('GET', '/users/me', { 'token': first.idToken })).body;
+    assert.notStrictEqual(before.firstLogin, null);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await logIn(api);
+    const after = (await api.request('GET', '/users/me', { 'token': second.idToken })).body;
+
+    assert.strictEqual(after.id, before.id);
+    assert.strictEqual(after.firstLogin, before.firstLogin);
+    assert.ok(after.lastLogin > before.lastLogin);
+    assert.strictEqual((await findUsers(after.id)).length, 1);
+});
+
+test('users saved before they were keyed by subject are merged', async () => {
+    const user = newUser();
+    const legacy = { 'firstName': 'Old', 'lastName': 'Entry', 'userId': user, 'isBeekeeper': true };
+    await datastore.save([{ 'key': datastore.key(USERS), 'data': legacy }, { 'key': datastore.key(USERS), 'data': legacy }]);
+    assert.strictEqual((await findUsers(user)).length, 2);
+
+    await api.request('PATCH', '/users/me', { 'user': user, 'body': {} });
+
+    const users = await findUsers(user);
+    assert.strictEqual(users.length, 1);
+    assert.strictEqual(users[0].id, user);
+});
+
+test('only administrators can list all users', async () => {
+    const unauthenticated = await api.request('GET', '/users');
+    assert.strictEqual(unauthenticated.status, 401);
+
+    const forbidden = await api.request('GET', '/users', { 'user': newUser() });
+    assert.strictEqual(forbidden.status, 403);
+    assert.strictEqual(forbidden.body.code, 'forbidden');
+
+    const listed = await api.request('GET', '/users', { 'user': admin });
+    assert.strictEqual(listed.status, 200);
+    assert.strictEqual(typeof listed.body.total, 'number');
+});
+
+test('GET /users/:user_id/hives and /queens list a user\'s own entities', async () => {
+    const user = newUser();
+    const other = newUser();
+    await api.request('PATCH', '/users/me', { 'user': user, 'body': {} });
+    await api.request('POST', '/hives', { 'user': user, 'body': { 'hiveName': 'Mine', 'structureType': 'Langstroth', 'colonySize': 1 } });
+    await api.request('POST', '/hives', { 'user': other, 'body': { 'hiveName': 'Theirs', 'structureType': 'Langstroth', 'colonySize': 1 } });
+    await api.request('POST', '/queens', { 'user': user, 'body': { 'name': 'Queen', 'species': 'Carniolan', 'age': 12 } });
+
+    for (const path of ['/users/me/hives', '/users/' + user + '/hives']) {
+        const hives = await api.request('GET', path, { 'user': user });
+        assert.strictEqual(hives.status, 200, path);
+        assert.deepStrictEqual(hives.body.hives.map(hive => hive.hiveName), ['Mine']);
+    }
+
+    const queens = await api.request('GET', '/users/me/queens?name=Queen', { 'user': user });
+    assert.strictEqual(queens.body.total, 1);
+
+    const forbidden = await api.request('GET', '/users/' + user + '/hives', { 'user': other });
+    assert.strictEqual(forbidden.status, 403);
+
+    const asAdmin = await api.request('GET', '/users/' + user + '/hives', { 'user': admin });
+    assert.strictEqual(asAdmin.status, 200);
+    assert.strictEqual(asAdmin.body.total, 1);
+
+    const missing = await api.request('GET', '/users/' + newUser() + '/queens', { 'user': admin });
+    assert.strictEqual(missing.status, 404);
+});
@@ -2,32 +2,238 @@ const express = require('express');
 const bodyParser = require('body-parser');
 
 const ds = require('./datastore');
+const { verifyJwt } = require('./auth');
+const { listedAdmins, isAdmin, getShares } = require('./roles');
+const apiKeys = require('./apikeys');
 const { USERS } = require('./constants');
+const { paginate } = require('./pagination');
+const { getHives } = require('./hives');
+const { getQueens } = require('./queens');
+const { validateBody } = require('./schema');
+const { ForbiddenError, NotFoundError, acceptsJson, requireJsonBody, methodNotAllowed } = require('./errors');
 
 const router = express.Router();
 
 const datastore = ds.datastore;
 
 router.use(bodyParser.json());
+router.use(verifyJwt);
+
+//----------------------------------------------------------------------------
+// Schema used to validate request input.
+//----------------------------------------------------------------------------
+
+// Attributes of a user that can be changed by PATCH /users/me.
+const USER_SCHEMA = {
+    'firstName': { 'type': 'string', 'nullable': true, 'maxLength': 100 },
+    'lastName': { 'type': 'string', 'nullable': true, 'maxLength': 100 }
+};
+
+// Attributes of an API key that can be set by POST /users/me/api-keys.
+const API_KEY_SCHEMA = {
+    'name': { 'type': 'string', 'required': true, 'minLength': 1, 'maxLength': 100 },
+    'scopes': { 'type': 'array', 'items': { 'type': 'string', 'enum': apiKeys.API_KEY_SCOPES } },
+    'expiresInDays': { 'type': 'int', 'nullable': true, 'min': 1, 'max': apiKeys.MAX_API_KEY_DAYS }
+};
 
 //----------------------------------------------------------------------------
 // Model functions related to USER entities.
+//
+// Users are keyed by the subject of their ID token, so logging in again
+// updates the same entity. In the routes, 'me' stands for the subject of the
+// authenticated user.
 //----------------------------------------------------------------------------
 
 /**
- * Retrieve all users. The results will not be paginated.
+ * Key of the user with the given subject.
+ */
+function userKey (subject) {
+    return datastore.key([USERS, subject]);
+};
+
+/**
+ * Build the response for a user, with links to their hives and queens.
+ */
+function formatUser (req, user) {
+    const userObj = ds.fromDatastore(user);
+    const self = req.protocol + '://' + req.get('host') + '/users/' + encodeURIComponent(userObj.id);
+    return { 'id': userObj.id,
+                'firstName': userObj.firstName,
+                'lastName': userObj.lastName,
+                'userId': userObj.userId,
+                'isBeekeeper': userObj.isBeekeeper,
+                'isAdmin': userObj.isAdmin,
+                'firstLogin': userObj.firstLogin,
+                'lastLogin': userObj.lastLogin,
+                'hives': self + '/hives',
+                'queens': self + '/queens'
+            };
+};
+
+/**
+ * Build the user with the subject of the given ID token claims, as they are
+ * first registered.
+ */
+function userFromClaims (claims) {
+    return {
+        'firstName': claims.given_name === undefined ? null : claims.given_name,
+        'lastName': claims.family_name === undefined ? null : claims.family_name,
+        'userId': claims.sub,
+        'isBeekeeper': true,
+        'isAdmin': false,
+        'firstLogin': null,
+        'lastLogin': null
+    };
+};
+
+/**
+ * Create the user with the subject of the given ID token claims, or update
+ * it if it already exists. If isLogin is true, the time is recorded as the
+ * user's last login (and first login, the first time). Users first seen
+ * through the API, rather than by logging in, have no login times yet.
+ *
+ * Schema:
+ *  firstName (string): first name of the user (given_name at registration)
+ *  lastName (string): last name of the user (family_name at registration)
+ *  userId (string): identification ID for the user (the sub claim of the ID token)
+ *  isBeekeeper (boolean): identifies the user as a verified beekeeper (default true)
+ *  isAdmin (boolean): whether the user is an administrator, who owns every
+ *      hive, queen and apiary (see roles.js; always true for the
+ *      users in AUTH_ADMINS)
+ *  firstLogin, lastLogin (string): times of the first and latest logins, or null
+ *
+ * Users saved before they were keyed by subject, possibly several times, are
+ * replaced by the new entity.
+ *
+ * Resolves to the user entity.
+ */
+function registerUser (claims, isLogin) {
+    const key = userKey(claims.sub);
+    const now = new Date().toISOString();
+    const legacyQuery = datastore.createQuery(USERS).filter('userId', '=', claims.sub);
+
+    return datastore.runQuery(legacyQuery)
+        .then(found => {
+            const legacyKeys = found[0].map(user => user[ds.Datastore.KEY])
+                .filter(legacyKey => legacyKey.name === undefined && String(legacyKey.id) !== claims.sub);
+
+            return ds.runInTransaction(transaction => {
+                return transaction.get(key)
+                    .then(existing => {
+                        const user = existing[0] != null ? existing[0] : userFromClaims(claims);
+
+                        user.isAdmin = user.isAdmin === true || listedAdmins().includes(claims.sub);
+                        if (isLogin) {
+                            user.firstLogin = user.firstLogin == null ? now : user.firstLogin;
+                            user.lastLogin = now;
+                        }
+
+                        transaction.save({ 'key': key, 'data': user });
+                        if (legacyKeys.length > 0) {
+                            transaction.delete(legacyKeys);
+                        }
+                        user[ds.Datastore.KEY] = key;
+                        return user;
+                    });
+            });
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Resolve the user_id of a route ('me' or a subject) to a subject the
+ * authenticated user may see: their own, or anyone's for an administrator.
+ * Throws an error if another user is not an administrator, or the user is
+ * not found.
+ */
+function verifyUserAccess (req, userId) {
+    const subject = userId === 'me' ? req.user.sub : userId;
+
+    if (subject === req.user.sub) {
+        return Promise.resolve(subject);
+    }
+
+    return isAdmin(req.user.sub)
+        .then(admin => {
+            if (!admin) {
+                throw new ForbiddenError('Only administrators can see other users');
+            }
+            return datastore.get(userKey(subject));
+        })
+        .then(user => {
+            if (user[0] === undefined || user[0] === null) {
+                throw new NotFoundError('No user with this user_id exists');
+            }
+            return subject;
+        });
+};
+
+/**
+ * Retrieve all users. The results will be paginated to the size given by the
+ * 'limit' query parameter (5 by default), and include links to the next and
+ * previous pages of results. Only administrators can list the users.
  */
 function getUsers (req) {
-    const usersQuery = datastore.createQuery(USERS);
-    
-    var foundUsers = {};
+    return isAdmin(req.user.sub)
+        .then(admin => {
+            if (!admin) {
+                throw new ForbiddenError('Only administrators can list all users');
+            }
+            return paginate(req, () => datastore.createQuery(USERS));
+        })
+        .then(page => {
+            return { 'total': page.total, 'users': page.items, 'next': page.next, 'prev': page.prev };
+        })
+        .catch(error => {
+            throw error;
+        });
+};
 
-    return datastore.runQuery(usersQuery)
-        .then(users => {
-            foundUsers.users = users[0]; // queen entities as a list
-            foundUsers.users.map(ds.fromDatastore);
+/**
+ * Retrieve the profile of the authenticated user. Users who have only used
+ * the API so far are not registered until they log in or change their profile
+ * or API keys, so they get the profile they would be registered with.
+ */
+function getMe (req) {
+    const key = userKey(req.user.sub);
 
-            return foundUsers;
+    return datastore.get(key)
+        .then(found => {
+            const user = found[0] != null ? found[0] : userFromClaims(req.user.claims);
+
+            user.isAdmin = user.isAdmin === true || listedAdmins().includes(req.user.sub);
+            user[ds.Datastore.KEY] = key;
+            return formatUser(req, user);
+        })
+        .catch(error => {
+            throw error;
+        });
+};
+
+/**
+ * Update the attributes of the authenticated user that are given in the body.
+ * The attributes are validated against USER_SCHEMA by the route.
+ */
+function patchMe (req) {
+    return registerUser(req.user.claims, false)
+        .then(() => {
+            return ds.runInTransaction(transaction => {
+                return transaction.get(userKey(req.user.sub))
+                    .then(user => {
+                        Object.keys(USER_SCHEMA).forEach(attribute => {
+                            if (req.body[attribute] !== undefined) {
+                                user[0][attribute] = req.body[attribute];
+                            }
+                        });
+                        transaction.save(user[0]);
+                        return user[0];
+                    });
+            });
+        })
+        .then(user => {
+            return formatUser(req, user);
         })
         .catch(error => {
             throw error;
@@ -39,39 +245,147 @@ function getUsers (req) {
 //----------------------------------------------------------------------------
 
 /**
- * Handle GET requests to /users to get all users.
+ * Handle GET requests to /users to get all users. 5 users will be listed per page
+ * unless a limit is given, along with links to the next and previous pages, if any.
+ * Response is a 403 error unless the user is an administrator.
  */
-router.get('/', function (req, res) {
+router.get('/', acceptsJson, function (req, res, next) {
     getUsers(req)
         .then(users => {
             res.status(200).json(users);
-        });
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /users/me to get the authenticated user's profile.
+ */
+router.get('/me', acceptsJson, function (req, res, next) {
+    getMe(req)
+        .then(user => {
+            res.status(200).json(user);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle PATCH requests to /users/me to change the authenticated user's names.
+ */
+router.patch('/me', requireJsonBody, acceptsJson, validateBody(USER_SCHEMA, { 'partial': true }), function (req, res, next) {
+    patchMe(req)
+        .then(user => {
+            res.status(200).json(user);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle GET requests to /users/me/api-keys to list the authenticated user's
+ * API keys. The keys themselves are only shown when they are created.
+ */
+router.get('/me/api-keys', acceptsJson, function (req, res, next) {
+    apiKeys.getApiKeys(req)
+        .then(keys => {
+            res.status(200).json(keys);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle POST requests to /users/me/api-keys to create an API key, with
+ * optional scopes and a number of days until it expires (never by default),
+ * registering the user if they are not yet. The response is the only time
+ * the key is shown.
+ */
+router.post('/me/api-keys', requireJsonBody, acceptsJson, validateBody(API_KEY_SCHEMA), function (req, res, next) {
+    registerUser(req.user.claims, false)
+        .then(() => {
+            return apiKeys.createApiKey(req, req.body);
+        })
+        .then(apiKey => {
+            res.location(apiKey.self);
+            res.set('Cache-Control', 'no-store');
+            res.status(201).json(apiKey);
+        })
+        .catch(next);
+});
+
+/**
+ * Handle DELETE requests to /users/me/api-keys/:key_id to revoke an API key.
+ */
+router.delete('/me/api-keys/:key_id', function (req, res, next) {
+    apiKeys.deleteApiKey(req, req.params.key_id)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
 });
 
 /**
- * Warn that PUT requests to /users are not supported.
+ * Handle GET requests to /users/:user_id/hives to list the hives of a user,
+ * paginated, filtered and sorted like GET /hives. Users can list their own
+ * hives ('me'), and administrators those of any user.
  */
-router.put('/', function (req, res) {
-    res.set('Accept', 'Get');
-    res.status(405).json({ Error: "Acceptable reqests to /users: GET" });
+router.get('/:user_id/hives', acceptsJson, function (req, res, next) {
+    verifyUserAccess(req, req.params.user_id)
+        .then(subject => {
+            return getHives(req, subject);
+        })
+        .then(hives => {
+            res.status(200).json(hives);
+        })
+        .catch(next);
 });
 
 /**
- * Warn that PATCH requests to /users are not supported.
+ * Handle GET requests to /users/:user_id/queens to list the queens of a user,
+ * paginated, filtered and sorted like GET /queens. Users can list their own
+ * queens ('me'), and administrators those of any user.
  */
-router.patch('/', function (req, res) {
-    res.set('Accept', 'Get');
-    res.status(405).json({ Error: "Acceptable reqests to /users: GET" });
+router.get('/:user_id/queens', acceptsJson, function (req, res, next) {
+    verifyUserAccess(req, req.params.user_id)
+        .then(subject => {
+            return getQueens(req, subject);
+        })
+        .then(queens => {
+            res.status(200).json(queens);
+        })
+        .catch(next);
 });
 
 /**
- * Warn that delete requests to /users are not supported.
+ * Handle GET requests to /users/:user_id/shares to list the hives and apiaries
+ * shared with a user, and their roles. Users can list their own shares ('me'),
+ * and administrators those of any user.
  */
-router.delete('/', function (req, res) {
-    res.set('Accept', 'Get');
-    res.status(405).json({ Error: "Acceptable reqests to /users: GET" });
+router.get('/:user_id/shares', acceptsJson, function (req, res, next) {
+    verifyUserAccess(req, req.params.user_id)
+        .then(subject => {
+            return getShares(req, { 'user': subject });
+        })
+        .then(shares => {
+            res.status(200).json(shares);
+        })
+        .catch(next);
 });
 
+/**
+ * Warn about the methods that are not supported by each /users route.
+ */
+router.all('/', methodNotAllowed('/users', ['GET']));
+router.all('/me', methodNotAllowed('/users/me', ['GET', 'PATCH']));
+router.all('/me/api-keys', methodNotAllowed('/users/me/api-keys', ['GET', 'POST']));
+router.all('/me/api-keys/:key_id', methodNotAllowed('/users/me/api-keys/:key_id', ['DELETE']));
+router.all('/:user_id/hives', methodNotAllowed('/users/:user_id/hives', ['GET']));
+router.all('/:user_id/queens', methodNotAllowed('/users/:user_id/queens', ['GET']));
+router.all('/:user_id/shares', methodNotAllowed('/users/:user_id/shares', ['GET']));
+
 //----------------------------------------------------------------------------
 
 module.exports = router;
+
+// The schemas are also read by openapi.js to document the API, and the model
+// function is used by the login to register users.
+module.exports.USER_SCHEMA = USER_SCHEMA;
+module.exports.API_KEY_SCHEMA = API_KEY_SCHEMA;
+module.exports.registerUser = registerUser;